@@ -0,0 +1,430 @@
+/**
+ * Corporate Wellness Portal - Database Migration Runner
+ * Applies the numbered SQL migrations in database/migrations
+ *
+ *   npm run migrate                     apply every pending migration
+ *   npm run migrate -- up [version]     apply pending migrations up to a version
+ *   npm run migrate -- down [version]   roll back the last migration, or every one after a version
+ *   npm run migrate -- status           list applied and pending migrations
+ *   npm run migrate -- baseline         mark 0001 as applied on a database built from the old schema.sql,
+ *                                       once it has every object 0001 creates
+ *   npm run migrate -- create <name>    add an empty up/down pair
+ *
+ * Migrations are NNNN_name.up.sql with a matching NNNN_name.down.sql. Each
+ * one runs in its own transaction unless its first line is
+ * `-- migrate:no-transaction` (e.g. CREATE INDEX CONCURRENTLY).
+ *
+ * Connects with MIGRATION_DATABASE_URL, falling back to DATABASE_URL: the
+ * migrating role must own the schema, unlike the application role.
+ */
+
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATION_FILE = /^(\d{4})_([a-z0-9_]+)\.(up|down)\.sql$/;
+const NO_TRANSACTION = /^--\s*migrate:no-transaction/;
+
+// Fixed key so every instance contends for the same lock
+const LOCK_KEY = 'corporate-wellness-portal:migrations';
+
+const MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS public.schema_migrations (
+    version VARCHAR(4) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    checksum VARCHAR(64) NOT NULL,
+    applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    execution_ms INTEGER
+  )
+`;
+
+/**
+ * Migrations on disk, ordered by version
+ */
+async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const migration = migrations.get(version) || { version, name };
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has mismatched file names: ${migration.name} and ${name}`);
+    }
+
+    migration[direction] = await fs.readFile(path.join(MIGRATIONS_DIR, file), 'utf8');
+    migrations.set(version, migration);
+  }
+
+  return [...migrations.values()]
+    .map(migration => {
+      if (!migration.up) {
+        throw new Error(`Migration ${migration.version}_${migration.name} has no up file`);
+      }
+      return { ...migration, checksum: checksum(migration.up) };
+    })
+    .sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function loadApplied(client) {
+  const result = await client.query(
+    'SELECT version, name, checksum, applied_at, execution_ms FROM public.schema_migrations ORDER BY version'
+  );
+  return new Map(result.rows.map(row => [row.version, row]));
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+/**
+ * Run one migration direction, recording the outcome in schema_migrations
+ */
+async function runMigration(client, migration, direction) {
+  const sql = migration[direction];
+  if (!sql) {
+    throw new Error(`Migration ${migration.version}_${migration.name} has no ${direction} file`);
+  }
+
+  const record = direction === 'up'
+    ? {
+      text: `INSERT INTO public.schema_migrations (version, name, checksum, execution_ms)
+             VALUES ($1, $2, $3, $4)`,
+      params: ms => [migration.version, migration.name, migration.checksum, ms]
+    }
+    : {
+      text: 'DELETE FROM public.schema_migrations WHERE version = $1',
+      params: () => [migration.version]
+    };
+
+  const transactional = !NO_TRANSACTION.test(sql);
+  const startTime = Date.now();
+
+  if (transactional) await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await client.query(record.text, record.params(Date.now() - startTime));
+    if (transactional) await client.query('COMMIT');
+  } catch (error) {
+    if (transactional) await client.query('ROLLBACK');
+    throw new Error(`${direction} ${migration.version}_${migration.name} failed: ${error.message}`);
+  }
+
+  console.log(`${direction === 'up' ? 'Applied' : 'Rolled back'} ${migration.version}_${migration.name} (${Date.now() - startTime}ms)`);
+}
+
+/**
+ * Apply pending migrations in order, up to and including `target`
+ */
+async function up(client, target) {
+  const migrations = await loadMigrations();
+  const applied = await loadApplied(client);
+  verifyChecksums(migrations, applied);
+
+  const pending = migrations.filter(migration =>
+    !applied.has(migration.version) && (!target || migration.version <= target)
+  );
+
+  for (const migration of pending) {
+    await runMigration(client, migration, 'up');
+  }
+
+  if (pending.length === 0) {
+    console.log('Database is up to date');
+  }
+}
+
+/**
+ * Roll back the latest migration, or every applied migration after `target`
+ */
+async function down(client, target) {
+  const migrations = await loadMigrations();
+  const applied = await loadApplied(client);
+  const byVersion = new Map(migrations.map(migration => [migration.version, migration]));
+
+  const versions = [...applied.keys()].sort().reverse();
+  const toRollBack = target
+    ? versions.filter(version => version > target)
+    : versions.slice(0, 1);
+
+  for (const version of toRollBack) {
+    const migration = byVersion.get(version);
+    if (!migration) {
+      throw new Error(`Applied migration ${version} is missing from ${MIGRATIONS_DIR}`);
+    }
+    await runMigration(client, migration, 'down');
+  }
+
+  if (toRollBack.length === 0) {
+    console.log('Nothing to roll back');
+  }
+}
+
+async function status(client) {
+  const migrations = await loadMigrations();
+  const applied = await loadApplied(client);
+
+  const rows = migrations.map(migration => {
+    const record = applied.get(migration.version);
+    let state = 'pending';
+    if (record) state = record.checksum === migration.checksum ? 'applied' : 'modified';
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      state,
+      appliedAt: record?.applied_at?.toISOString() || ''
+    };
+  });
+
+  for (const [version, record] of applied) {
+    if (!migrations.some(migration => migration.version === version)) {
+      rows.push({ version, name: record.name, state: 'missing', appliedAt: record.applied_at.toISOString() });
+    }
+  }
+
+  console.table(rows);
+}
+
+/**
+ * Everything 0001 creates, read from its SQL so the check cannot drift from
+ * the migration. Each check is a query returning one boolean `ok` column.
+ */
+function baselineObjects(sql) {
+  const source = sql.replace(/--.*$/gm, '');
+  const objects = [];
+  const add = (description, text, params) => objects.push({ description, text, params });
+  const tables = [];
+
+  for (const [, name] of source.matchAll(/CREATE EXTENSION IF NOT EXISTS "([^"]+)"/g)) {
+    add(`extension ${name}`, 'SELECT EXISTS (SELECT 1 FROM pg_extension WHERE extname = $1) AS ok', [name]);
+  }
+
+  for (const [, name] of source.matchAll(/CREATE SCHEMA IF NOT EXISTS (\w+)/g)) {
+    add(`schema ${name}`, 'SELECT EXISTS (SELECT 1 FROM pg_namespace WHERE nspname = $1) AS ok', [name]);
+  }
+
+  for (const [, schema, table, body] of source.matchAll(/CREATE TABLE (\w+)\.(\w+) \(([\s\S]*?)\n\);/g)) {
+    tables.push({ schema, table });
+    add(`table ${schema}.${table}`, 'SELECT to_regclass($1) IS NOT NULL AS ok', [`${schema}.${table}`]);
+
+    // Column definitions start a line; constraints and continuation lines don't
+    for (const [, column] of body.matchAll(/^\s{4}(\w+) [A-Z]/gm)) {
+      if (['CONSTRAINT', 'PRIMARY', 'UNIQUE', 'FOREIGN', 'CHECK', 'EXCLUDE'].includes(column)) continue;
+      add(
+        `column ${schema}.${table}.${column}`,
+        `SELECT EXISTS (
+           SELECT 1 FROM information_schema.columns
+           WHERE table_schema = $1 AND table_name = $2 AND column_name = $3
+         ) AS ok`,
+        [schema, table, column]
+      );
+    }
+  }
+
+  for (const [, name, schema] of source.matchAll(/CREATE (?:UNIQUE )?INDEX (\w+) ON (\w+)\./g)) {
+    add(`index ${schema}.${name}`, 'SELECT to_regclass($1) IS NOT NULL AS ok', [`${schema}.${name}`]);
+  }
+
+  for (const [, table] of source.matchAll(/ALTER TABLE (\w+\.\w+) ENABLE ROW LEVEL SECURITY/g)) {
+    add(
+      `row-level security on ${table}`,
+      'SELECT EXISTS (SELECT 1 FROM pg_class WHERE oid = to_regclass($1) AND relrowsecurity) AS ok',
+      [table]
+    );
+  }
+
+  for (const [, policy, schema, table] of source.matchAll(/CREATE POLICY (\w+) ON (\w+)\.(\w+)/g)) {
+    add(
+      `policy ${policy} on ${schema}.${table}`,
+      `SELECT EXISTS (
+         SELECT 1 FROM pg_policies WHERE schemaname = $1 AND tablename = $2 AND policyname = $3
+       ) AS ok`,
+      [schema, table, policy]
+    );
+  }
+
+  for (const [, qualified] of source.matchAll(/CREATE (?:OR REPLACE )?FUNCTION ([\w.]+)\(/g)) {
+    const [schema, name] = qualified.includes('.') ? qualified.split('.') : ['public', qualified];
+    add(
+      `function ${schema}.${name}`,
+      `SELECT EXISTS (
+         SELECT 1 FROM pg_proc p JOIN pg_namespace n ON n.oid = p.pronamespace
+         WHERE n.nspname = $1 AND p.proname = $2
+       ) AS ok`,
+      [schema, name]
+    );
+  }
+
+  for (const [, name, table] of source.matchAll(/CREATE TRIGGER (\w+) [^;]*? ON (\w+\.\w+)/g)) {
+    add(
+      `trigger ${name} on ${table}`,
+      'SELECT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = $1 AND tgrelid = to_regclass($2)) AS ok',
+      [name, table]
+    );
+  }
+
+  for (const [, view] of source.matchAll(/CREATE (?:OR REPLACE )?VIEW (\w+\.\w+)/g)) {
+    add(`view ${view}`, 'SELECT to_regclass($1) IS NOT NULL AS ok', [view]);
+  }
+
+  for (const [, role] of source.matchAll(/CREATE ROLE (\w+)/g)) {
+    add(`role ${role}`, 'SELECT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = $1) AS ok', [role]);
+  }
+
+  // has_*_privilege raises an error for an unknown role or object, so the
+  // privilege only counts once both exist
+  const privilegeCheck = (check, exists) => `SELECT CASE
+    WHEN EXISTS (SELECT 1 FROM pg_roles WHERE rolname = $1) AND ${exists} THEN ${check}
+    ELSE false END AS ok`;
+  const schemaExists = 'EXISTS (SELECT 1 FROM pg_namespace WHERE nspname = $2)';
+  const tableExists = 'to_regclass($2) IS NOT NULL';
+  // Given a list, has_table_privilege is true when any one is held
+  const tablePrivileges = `(SELECT bool_and(has_table_privilege($1, $2, privilege))
+    FROM unnest(string_to_array($3, ', ')) AS privilege)`;
+
+  for (const [, schemas, role] of source.matchAll(/GRANT USAGE ON SCHEMA ([\w, ]+) TO (\w+)/g)) {
+    for (const schema of schemas.split(/,\s*/)) {
+      add(
+        `USAGE on schema ${schema} for ${role}`,
+        privilegeCheck("has_schema_privilege($1, $2, 'USAGE')", schemaExists),
+        [role, schema]
+      );
+    }
+  }
+
+  for (const [, privileges, schemas, role] of source.matchAll(/GRANT ([A-Z, ]+) ON ALL TABLES IN SCHEMA ([\w, ]+) TO (\w+)/g)) {
+    const granted = schemas.split(/,\s*/);
+    for (const { schema, table } of tables.filter(({ schema }) => granted.includes(schema))) {
+      add(
+        `${privileges} on ${schema}.${table} for ${role}`,
+        privilegeCheck(tablePrivileges, tableExists),
+        [role, `${schema}.${table}`, privileges]
+      );
+    }
+  }
+
+  for (const [, privileges, object, role] of source.matchAll(/GRANT ([A-Z, ]+) ON (\w+\.\w+) TO (\w+)/g)) {
+    add(
+      `${privileges} on ${object} for ${role}`,
+      privilegeCheck(tablePrivileges, tableExists),
+      [role, object, privileges]
+    );
+  }
+
+  return objects;
+}
+
+/**
+ * Record the baseline as applied without running it, for databases that
+ * were created from schema.sql before migrations existed; `up` then
+ * applies everything added since. Refuses unless every object 0001 creates
+ * is already there, since nothing would ever create a missing one.
+ */
+async function baseline(client) {
+  const [first] = await loadMigrations();
+  const applied = await loadApplied(client);
+
+  if (applied.has(first.version)) {
+    console.log(`${first.version}_${first.name} is already recorded`);
+    return;
+  }
+
+  const existing = await client.query("SELECT to_regclass('tenant_main.companies') AS companies");
+  if (!existing.rows[0].companies) {
+    throw new Error('No existing schema found; run `npm run migrate` instead');
+  }
+
+  const missing = [];
+  for (const object of baselineObjects(first.up)) {
+    const result = await client.query(object.text, object.params);
+    if (!result.rows[0].ok) missing.push(object.description);
+  }
+
+  if (missing.length > 0) {
+    throw new Error(
+      `The existing schema lacks objects that ${first.version}_${first.name} creates:\n  ${missing.join('\n  ')}\n` +
+      'Create them (see database/migrations), then run baseline again'
+    );
+  }
+
+  await client.query(
+    'INSERT INTO public.schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, 0)',
+    [first.version, first.name, first.checksum]
+  );
+  console.log(`Marked ${first.version}_${first.name} as applied`);
+}
+
+async function create(name) {
+  if (!/^[a-z0-9_]+$/.test(name || '')) {
+    throw new Error('Migration names use lowercase letters, digits and underscores');
+  }
+
+  const migrations = await loadMigrations();
+  const last = migrations.at(-1)?.version || '0000';
+  const version = String(parseInt(last, 10) + 1).padStart(4, '0');
+
+  for (const direction of ['up', 'down']) {
+    const file = path.join(MIGRATIONS_DIR, `${version}_${name}.${direction}.sql`);
+    await fs.writeFile(file, `-- ${version}_${name} (${direction})\n`, { flag: 'wx' });
+    console.log(`Created ${path.relative(process.cwd(), file)}`);
+  }
+}
+
+/**
+ * Applied migrations must not change; edits belong in a new migration
+ */
+function verifyChecksums(migrations, applied) {
+  const modified = migrations.filter(migration =>
+    applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum
+  );
+
+  if (modified.length > 0) {
+    throw new Error(
+      `Applied migrations were modified: ${modified.map(m => `${m.version}_${m.name}`).join(', ')}`
+    );
+  }
+}
+
+async function main() {
+  const [command = 'up', argument] = process.argv.slice(2);
+
+  if (command === 'create') {
+    return create(argument);
+  }
+
+  const commands = { up, down, status, baseline };
+  if (!commands[command] || (argument !== undefined && !/^\d{4}$/.test(argument))) {
+    throw new Error('Usage: migrate <up [version] | down [version] | status | baseline | create <name>>');
+  }
+
+  const client = new pg.Client({
+    connectionString: process.env.MIGRATION_DATABASE_URL || process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false
+  });
+
+  await client.connect();
+  try {
+    // Session-level lock: a second instance waits here until the first has
+    // finished, then finds nothing left to apply
+    await client.query('SELECT pg_advisory_lock(hashtext($1))', [LOCK_KEY]);
+    await client.query(MIGRATIONS_TABLE);
+
+    await commands[command](client, argument);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock(hashtext($1))', [LOCK_KEY]).catch(() => {});
+    await client.end();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
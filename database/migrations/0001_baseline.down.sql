@@ -0,0 +1,11 @@
+-- Remove everything the baseline created. The extensions are left in
+-- place: they may be shared with other databases on the same server.
+
+DROP SCHEMA IF EXISTS tenant_integration CASCADE;
+DROP SCHEMA IF EXISTS tenant_audit CASCADE;
+DROP SCHEMA IF EXISTS tenant_analytics CASCADE;
+DROP SCHEMA IF EXISTS tenant_main CASCADE;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
+DROP FUNCTION IF EXISTS encrypt_pii(TEXT, TEXT);
+DROP FUNCTION IF EXISTS decrypt_pii(TEXT, TEXT);
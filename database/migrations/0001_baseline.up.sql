@@ -1,5 +1,10 @@
 -- Corporate Wellness Portal - Multi-Tenant Database Schema
 -- Dr. Alex AI-grade security with tenant isolation
+--
+-- Baseline migration: the schema as it stood when migrations were
+-- introduced. Databases created from the old schema.sql are marked as
+-- migrated with `npm run migrate -- baseline`; later changes go in new
+-- numbered migrations.
 
 -- Enable required extensions
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
@@ -0,0 +1,14 @@
+-- 0002_authentication (down)
+
+DROP TABLE IF EXISTS tenant_main.refresh_tokens;
+DROP TABLE IF EXISTS tenant_main.auth_sessions;
+DROP TABLE IF EXISTS tenant_main.tenant_admins;
+
+ALTER TABLE tenant_main.employees
+    DROP COLUMN IF EXISTS last_login_at,
+    DROP COLUMN IF EXISTS mfa_enrolled_at,
+    DROP COLUMN IF EXISTS mfa_recovery_codes,
+    DROP COLUMN IF EXISTS mfa_secret_encrypted,
+    DROP COLUMN IF EXISTS password_hash;
+
+ALTER TABLE tenant_main.companies DROP COLUMN IF EXISTS security_config;
@@ -0,0 +1,91 @@
+-- 0002_authentication (up)
+-- Stored credentials for employees and tenant admins, TOTP multi-factor
+-- authentication, and the login sessions their refresh tokens belong to.
+
+ALTER TABLE tenant_main.companies
+    ADD COLUMN security_config JSONB DEFAULT '{}'; -- e.g. {"mfa": {"requiredRoles": ["tenant_admin", "hr_analyst"]}}
+
+ALTER TABLE tenant_main.employees
+    ADD COLUMN password_hash TEXT,
+    ADD COLUMN mfa_secret_encrypted TEXT,
+    ADD COLUMN mfa_recovery_codes JSONB DEFAULT '[]', -- SHA-256 hashes of one-time recovery codes
+    ADD COLUMN mfa_enrolled_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN last_login_at TIMESTAMP WITH TIME ZONE;
+
+-- Tenant Admins (HR and platform administrators who manage a tenant)
+CREATE TABLE tenant_main.tenant_admins (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+    
+    -- Identity (names encrypted like employee PII)
+    email VARCHAR(255) NOT NULL,
+    first_name_encrypted TEXT,
+    last_name_encrypted TEXT,
+    role VARCHAR(50) NOT NULL DEFAULT 'tenant_admin',
+    
+    -- Security
+    password_hash TEXT,
+    mfa_enabled BOOLEAN DEFAULT FALSE,
+    mfa_secret_encrypted TEXT,
+    mfa_recovery_codes JSONB DEFAULT '[]', -- SHA-256 hashes of one-time recovery codes
+    mfa_enrolled_at TIMESTAMP WITH TIME ZONE,
+    last_password_change TIMESTAMP WITH TIME ZONE,
+    failed_login_attempts INTEGER DEFAULT 0,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    status VARCHAR(50) NOT NULL DEFAULT 'active',
+    
+    -- Audit fields
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_by UUID,
+    
+    CONSTRAINT valid_admin_role CHECK (role IN ('platform_admin', 'tenant_admin', 'hr_analyst')),
+    CONSTRAINT valid_admin_status CHECK (status IN ('active', 'suspended', 'disabled')),
+    CONSTRAINT unique_admin_per_company UNIQUE (company_id, email)
+);
+
+-- Auth Sessions (one per login; the refresh token family shares its id)
+CREATE TABLE tenant_main.auth_sessions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    user_type VARCHAR(20) NOT NULL,
+    auth_method VARCHAR(20) NOT NULL DEFAULT 'password',
+    
+    -- Client context
+    ip_address INET,
+    user_agent TEXT,
+    
+    -- Lifetime
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50),
+    
+    CONSTRAINT valid_session_user_type CHECK (user_type IN ('admin', 'employee', 'partner'))
+);
+
+-- Refresh Tokens (stored hashed; each is single use and replaced on rotation)
+CREATE TABLE tenant_main.refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID NOT NULL REFERENCES tenant_main.auth_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    replaced_by UUID REFERENCES tenant_main.refresh_tokens(id)
+);
+
+CREATE INDEX idx_tenant_admins_company_id ON tenant_main.tenant_admins (company_id);
+CREATE INDEX idx_tenant_admins_email ON tenant_main.tenant_admins (email);
+CREATE INDEX idx_auth_sessions_user ON tenant_main.auth_sessions (company_id, user_type, user_id);
+CREATE INDEX idx_auth_sessions_expires ON tenant_main.auth_sessions (expires_at);
+CREATE INDEX idx_refresh_tokens_session_id ON tenant_main.refresh_tokens (session_id);
+
+ALTER TABLE tenant_main.tenant_admins ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_main.auth_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_main.refresh_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE TRIGGER update_tenant_admins_updated_at BEFORE UPDATE ON tenant_main.tenant_admins FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,5 @@
+-- 0003_access_roles (down)
+
+ALTER TABLE tenant_main.employees
+    DROP CONSTRAINT IF EXISTS valid_access_role,
+    DROP COLUMN IF EXISTS access_role;
@@ -0,0 +1,7 @@
+-- 0003_access_roles (up)
+-- The portal role that sets an employee's permissions, kept apart from
+-- their job title in role.
+
+ALTER TABLE tenant_main.employees
+    ADD COLUMN access_role VARCHAR(50) NOT NULL DEFAULT 'employee', -- Portal role (employee or manager); role above is the job title
+    ADD CONSTRAINT valid_access_role CHECK (access_role IN ('employee', 'manager'));
@@ -0,0 +1,7 @@
+-- 0004_scim (down)
+
+DROP TABLE IF EXISTS tenant_main.scim_group_members;
+DROP TABLE IF EXISTS tenant_main.scim_groups;
+
+DROP INDEX IF EXISTS tenant_main.idx_employees_scim_external_id;
+ALTER TABLE tenant_main.employees DROP COLUMN IF EXISTS scim_external_id;
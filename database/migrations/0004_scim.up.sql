@@ -0,0 +1,34 @@
+-- 0004_scim (up)
+-- Users and groups provisioned by the tenant's identity provider. The SCIM
+-- token hash and group-to-role mapping live in companies.sso_config:
+-- {"saml": {...}, "oidc": {...}, "scim": {"tokenHash": ..., "groupRoleMapping": {...}}}
+
+ALTER TABLE tenant_main.employees
+    ADD COLUMN scim_external_id VARCHAR(255); -- Identifier assigned by the tenant's SCIM client (Okta, Entra ID)
+
+-- SCIM Groups (pushed by the tenant's identity provider)
+CREATE TABLE tenant_main.scim_groups (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+    display_name VARCHAR(255) NOT NULL,
+    external_id VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT unique_scim_group_per_company UNIQUE (company_id, display_name)
+);
+
+CREATE TABLE tenant_main.scim_group_members (
+    group_id UUID NOT NULL REFERENCES tenant_main.scim_groups(id) ON DELETE CASCADE,
+    employee_id UUID NOT NULL REFERENCES tenant_main.employees(id) ON DELETE CASCADE,
+    added_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    PRIMARY KEY (group_id, employee_id)
+);
+
+CREATE UNIQUE INDEX idx_employees_scim_external_id ON tenant_main.employees (company_id, scim_external_id) WHERE scim_external_id IS NOT NULL;
+CREATE INDEX idx_scim_groups_company_id ON tenant_main.scim_groups (company_id);
+CREATE INDEX idx_scim_group_members_employee_id ON tenant_main.scim_group_members (employee_id);
+
+ALTER TABLE tenant_main.scim_groups ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_main.scim_group_members ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,3 @@
+-- 0005_api_keys (down)
+
+DROP TABLE IF EXISTS tenant_main.api_keys;
@@ -0,0 +1,28 @@
+-- 0005_api_keys (up)
+-- Machine-to-machine keys for tenant integrations.
+
+-- API Keys (machine-to-machine access for tenant integrations; stored hashed)
+CREATE TABLE tenant_main.api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    key_hash VARCHAR(64) NOT NULL UNIQUE,
+    key_prefix VARCHAR(16) NOT NULL, -- Shown to admins to identify the key
+    scopes TEXT[] NOT NULL DEFAULT '{}',
+    
+    -- Usage
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    last_used_ip INET,
+    
+    -- Lifecycle
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_by UUID,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by UUID,
+    replaced_by UUID REFERENCES tenant_main.api_keys(id)
+);
+
+CREATE INDEX idx_api_keys_company_id ON tenant_main.api_keys (company_id);
+
+ALTER TABLE tenant_main.api_keys ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,3 @@
+-- 0006_account_action_tokens (down)
+
+DROP TABLE IF EXISTS tenant_main.account_action_tokens;
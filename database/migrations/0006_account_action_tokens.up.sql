@@ -0,0 +1,24 @@
+-- 0006_account_action_tokens (up)
+-- Single-use invitation and password reset links.
+
+-- Account Action Tokens (single-use invitation and password reset links;
+-- the id is the jti of the signed token sent to the user)
+CREATE TABLE tenant_main.account_action_tokens (
+    id UUID PRIMARY KEY,
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL,
+    user_type VARCHAR(20) NOT NULL,
+    purpose VARCHAR(20) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_by UUID, -- Administrator who sent an invitation; NULL for self-service resets
+    requested_ip INET,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    
+    CONSTRAINT valid_action_token_user_type CHECK (user_type IN ('admin', 'employee', 'partner')),
+    CONSTRAINT valid_action_token_purpose CHECK (purpose IN ('invitation', 'password_reset'))
+);
+
+CREATE INDEX idx_account_action_tokens_user ON tenant_main.account_action_tokens (company_id, user_type, user_id) WHERE used_at IS NULL;
+
+ALTER TABLE tenant_main.account_action_tokens ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,3 @@
+-- 0007_partner_accounts (down)
+
+DROP TABLE IF EXISTS tenant_main.partner_accounts;
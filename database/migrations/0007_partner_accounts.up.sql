@@ -0,0 +1,47 @@
+-- 0007_partner_accounts (up)
+-- Spouses and partners invited by an employee, with the consent they gave.
+
+-- Partner Accounts (spouses/partners sponsored by an employee; access ends
+-- when the sponsor leaves)
+CREATE TABLE tenant_main.partner_accounts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+    sponsor_employee_id UUID NOT NULL REFERENCES tenant_main.employees(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    relationship VARCHAR(20) NOT NULL DEFAULT 'spouse',
+    app_access TEXT[] NOT NULL DEFAULT '{}', -- Partner-facing apps only
+    status VARCHAR(20) NOT NULL DEFAULT 'invited',
+    
+    -- Consent captured when the invitation is accepted
+    consent_version VARCHAR(20),
+    consent_given_at TIMESTAMP WITH TIME ZONE,
+    consent_ip INET,
+    consent_user_agent TEXT,
+    
+    -- Security
+    password_hash TEXT,
+    mfa_enabled BOOLEAN DEFAULT FALSE,
+    mfa_secret_encrypted TEXT,
+    mfa_recovery_codes JSONB DEFAULT '[]',
+    mfa_enrolled_at TIMESTAMP WITH TIME ZONE,
+    last_password_change TIMESTAMP WITH TIME ZONE,
+    failed_login_attempts INTEGER DEFAULT 0,
+    locked_until TIMESTAMP WITH TIME ZONE,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    
+    -- Lifecycle
+    invited_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    CONSTRAINT valid_partner_relationship CHECK (relationship IN ('spouse', 'partner')),
+    CONSTRAINT valid_partner_status CHECK (status IN ('invited', 'active', 'revoked')),
+    CONSTRAINT valid_partner_apps CHECK (app_access <@ ARRAY['supportpartner', 'menowellness']::TEXT[]),
+    CONSTRAINT unique_partner_per_company UNIQUE (company_id, email)
+);
+
+CREATE INDEX idx_partner_accounts_sponsor ON tenant_main.partner_accounts (sponsor_employee_id);
+
+ALTER TABLE tenant_main.partner_accounts ENABLE ROW LEVEL SECURITY;
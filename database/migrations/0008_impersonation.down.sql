@@ -0,0 +1,9 @@
+-- 0008_impersonation (down)
+
+DROP INDEX IF EXISTS tenant_audit.idx_audit_logs_impersonation;
+ALTER TABLE tenant_audit.audit_logs
+    DROP COLUMN IF EXISTS impersonation_grant_id,
+    DROP COLUMN IF EXISTS impersonator_email,
+    DROP COLUMN IF EXISTS impersonator_id;
+
+DROP TABLE IF EXISTS tenant_main.impersonation_grants;
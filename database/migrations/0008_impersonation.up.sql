@@ -0,0 +1,42 @@
+-- 0008_impersonation (up)
+-- Tenant-approved support "view as" grants, and the operator behind each
+-- audit log entry written under one.
+
+-- Impersonation Grants (support "view as" sessions; a tenant admin must
+-- approve each one and it only works inside its time box)
+CREATE TABLE tenant_main.impersonation_grants (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+    target_user_id UUID NOT NULL REFERENCES tenant_main.tenant_admins(id) ON DELETE CASCADE,
+    
+    -- Platform operator asking to view as the target
+    requested_by UUID NOT NULL,
+    requested_by_email VARCHAR(255) NOT NULL,
+    reason TEXT NOT NULL,
+    duration_minutes INTEGER NOT NULL,
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Tenant admin decision
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    decided_by UUID,
+    decided_at TIMESTAMP WITH TIME ZONE,
+    decision_note TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE, -- decided_at + duration_minutes once approved
+    
+    ended_at TIMESTAMP WITH TIME ZONE,
+    ended_by UUID,
+    
+    CONSTRAINT valid_impersonation_status CHECK (status IN ('pending', 'approved', 'denied', 'ended')),
+    CONSTRAINT valid_impersonation_duration CHECK (duration_minutes BETWEEN 5 AND 120)
+);
+
+ALTER TABLE tenant_audit.audit_logs
+    -- user_* is the impersonated identity
+    ADD COLUMN impersonator_id UUID,
+    ADD COLUMN impersonator_email VARCHAR(255),
+    ADD COLUMN impersonation_grant_id UUID;
+
+CREATE INDEX idx_impersonation_grants_company_status ON tenant_main.impersonation_grants (company_id, status);
+CREATE INDEX idx_audit_logs_impersonation ON tenant_audit.audit_logs (impersonation_grant_id) WHERE impersonation_grant_id IS NOT NULL;
+
+ALTER TABLE tenant_main.impersonation_grants ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,3 @@
+-- 0009_signing_keys (down)
+
+DROP TABLE IF EXISTS tenant_main.signing_keys;
@@ -0,0 +1,22 @@
+-- 0009_signing_keys (up)
+-- The platform-wide key ring that signs JWTs.
+
+-- Signing Keys (platform-wide JWT key ring; private keys are stored encrypted.
+-- A key is published in the JWKS before it signs and stays verifiable for an
+-- overlap window after its successor takes over)
+CREATE TABLE tenant_main.signing_keys (
+    kid VARCHAR(64) PRIMARY KEY, -- RFC 7638 thumbprint of the public key
+    algorithm VARCHAR(10) NOT NULL CHECK (algorithm IN ('ES256', 'RS256')),
+    public_jwk JSONB NOT NULL,
+    private_key_encrypted TEXT NOT NULL,
+    
+    -- Lifecycle
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_by UUID,
+    activates_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    retire_after TIMESTAMP WITH TIME ZONE, -- Set once a successor is scheduled
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_by UUID
+);
+
+CREATE INDEX idx_signing_keys_activates_at ON tenant_main.signing_keys (activates_at DESC) WHERE revoked_at IS NULL;
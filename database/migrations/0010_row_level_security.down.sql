@@ -0,0 +1,34 @@
+-- 0010_row_level_security (down)
+-- The wellness_app role is left in place: it may be shared with other
+-- databases on the same server.
+
+ALTER VIEW tenant_analytics.dashboard_summary RESET (security_invoker);
+
+REVOKE ALL ON ALL SEQUENCES IN SCHEMA tenant_main, tenant_analytics, tenant_audit, tenant_integration FROM wellness_app;
+REVOKE ALL ON ALL TABLES IN SCHEMA tenant_main, tenant_analytics, tenant_audit, tenant_integration FROM wellness_app;
+REVOKE USAGE ON SCHEMA tenant_main, tenant_analytics, tenant_audit, tenant_integration FROM wellness_app;
+
+DROP POLICY IF EXISTS tenant_isolation ON tenant_main.companies;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_main.employees;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_main.tenant_admins;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_main.partner_accounts;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_main.auth_sessions;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_main.refresh_tokens;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_main.account_action_tokens;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_main.impersonation_grants;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_main.scim_groups;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_main.scim_group_members;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_main.api_keys;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_main.app_assignments;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_analytics.engagement_metrics;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_analytics.population_health;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_analytics.wellness_roi;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_audit.audit_logs;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_audit.security_events;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_integration.dralexai_sessions;
+DROP POLICY IF EXISTS tenant_isolation ON tenant_integration.sentiment_analytics;
+
+DROP FUNCTION IF EXISTS tenant_main.rls_tenant_allowed(UUID);
+
+ALTER TABLE tenant_integration.sentiment_analytics DISABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_integration.dralexai_sessions DISABLE ROW LEVEL SECURITY;
@@ -0,0 +1,86 @@
+-- 0010_row_level_security (up)
+-- Tenant isolation policies on every tenant table, and the role the
+-- application connects through so they apply to it.
+
+ALTER TABLE tenant_integration.dralexai_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_integration.sentiment_analytics ENABLE ROW LEVEL SECURITY;
+
+-- The application sets app.current_tenant at the start of every transaction
+-- (utils/database.js): the request's tenant id, or 'system' for work done
+-- before a tenant is known and for platform jobs. Unset means no rows.
+CREATE OR REPLACE FUNCTION tenant_main.rls_tenant_allowed(row_tenant_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT CASE current_setting('app.current_tenant', true)
+        WHEN 'system' THEN true
+        WHEN '' THEN false
+        ELSE COALESCE(row_tenant_id = current_setting('app.current_tenant', true)::uuid, false)
+    END
+$$ LANGUAGE sql STABLE;
+
+CREATE POLICY tenant_isolation ON tenant_main.companies
+    USING (tenant_main.rls_tenant_allowed(id));
+CREATE POLICY tenant_isolation ON tenant_main.employees
+    USING (tenant_main.rls_tenant_allowed(company_id));
+CREATE POLICY tenant_isolation ON tenant_main.tenant_admins
+    USING (tenant_main.rls_tenant_allowed(company_id));
+CREATE POLICY tenant_isolation ON tenant_main.partner_accounts
+    USING (tenant_main.rls_tenant_allowed(company_id));
+CREATE POLICY tenant_isolation ON tenant_main.auth_sessions
+    USING (tenant_main.rls_tenant_allowed(company_id));
+CREATE POLICY tenant_isolation ON tenant_main.refresh_tokens
+    USING (EXISTS (
+        SELECT 1 FROM tenant_main.auth_sessions s
+        WHERE s.id = refresh_tokens.session_id AND tenant_main.rls_tenant_allowed(s.company_id)
+    ));
+CREATE POLICY tenant_isolation ON tenant_main.account_action_tokens
+    USING (tenant_main.rls_tenant_allowed(company_id));
+CREATE POLICY tenant_isolation ON tenant_main.impersonation_grants
+    USING (tenant_main.rls_tenant_allowed(company_id));
+CREATE POLICY tenant_isolation ON tenant_main.scim_groups
+    USING (tenant_main.rls_tenant_allowed(company_id));
+CREATE POLICY tenant_isolation ON tenant_main.scim_group_members
+    USING (EXISTS (
+        SELECT 1 FROM tenant_main.scim_groups g
+        WHERE g.id = scim_group_members.group_id AND tenant_main.rls_tenant_allowed(g.company_id)
+    ));
+CREATE POLICY tenant_isolation ON tenant_main.api_keys
+    USING (tenant_main.rls_tenant_allowed(company_id));
+CREATE POLICY tenant_isolation ON tenant_main.app_assignments
+    USING (EXISTS (
+        SELECT 1 FROM tenant_main.employees e
+        WHERE e.id = app_assignments.employee_id AND tenant_main.rls_tenant_allowed(e.company_id)
+    ));
+CREATE POLICY tenant_isolation ON tenant_analytics.engagement_metrics
+    USING (tenant_main.rls_tenant_allowed(tenant_id));
+CREATE POLICY tenant_isolation ON tenant_analytics.population_health
+    USING (tenant_main.rls_tenant_allowed(tenant_id));
+CREATE POLICY tenant_isolation ON tenant_analytics.wellness_roi
+    USING (tenant_main.rls_tenant_allowed(tenant_id));
+CREATE POLICY tenant_isolation ON tenant_audit.audit_logs
+    USING (tenant_main.rls_tenant_allowed(tenant_id));
+CREATE POLICY tenant_isolation ON tenant_audit.security_events
+    USING (tenant_main.rls_tenant_allowed(tenant_id));
+CREATE POLICY tenant_isolation ON tenant_integration.dralexai_sessions
+    USING (tenant_main.rls_tenant_allowed(tenant_id));
+CREATE POLICY tenant_isolation ON tenant_integration.sentiment_analytics
+    USING (tenant_main.rls_tenant_allowed(tenant_id));
+
+-- Application role. Table owners bypass RLS, so the portal connects as a
+-- login role that is a member of wellness_app and owns nothing, e.g.
+--   CREATE ROLE portal_app LOGIN PASSWORD '...' IN ROLE wellness_app;
+-- The server refuses to start in production on a role that bypasses RLS.
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'wellness_app') THEN
+        CREATE ROLE wellness_app NOLOGIN NOBYPASSRLS;
+    END IF;
+END
+$$;
+
+GRANT USAGE ON SCHEMA tenant_main, tenant_analytics, tenant_audit, tenant_integration TO wellness_app;
+GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA tenant_main, tenant_analytics, tenant_audit, tenant_integration TO wellness_app;
+GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA tenant_main, tenant_analytics, tenant_audit, tenant_integration TO wellness_app;
+
+-- security_invoker: the view applies the querying role's RLS, not its owner's
+ALTER VIEW tenant_analytics.dashboard_summary SET (security_invoker = true);
+REVOKE INSERT, UPDATE, DELETE ON tenant_analytics.dashboard_summary FROM wellness_app;
@@ -0,0 +1,4 @@
+-- 0011_integration_and_email_events (down)
+
+DROP TABLE IF EXISTS tenant_audit.email_events;
+DROP TABLE IF EXISTS tenant_integration.integration_events;
@@ -0,0 +1,55 @@
+-- 0011_integration_and_email_events (up)
+-- Delivery logs written by the integration hub and the email service.
+-- Both are append-only; rows older than the retention windows in
+-- services/event-log.js are purged daily.
+
+CREATE TABLE tenant_integration.integration_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    -- NULL for platform-level calls made outside any tenant
+    tenant_id UUID REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+
+    service_name VARCHAR(50) NOT NULL, -- dralexai, sentiment
+    endpoint VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    metadata JSONB DEFAULT '{}',
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT valid_integration_event_status CHECK (status IN ('success', 'error'))
+);
+
+CREATE TABLE tenant_audit.email_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+
+    event_type VARCHAR(50) NOT NULL, -- welcome, password_reset, partner_invitation
+    recipient VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    message_id VARCHAR(255),
+    error_message TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT valid_email_event_status CHECK (status IN ('sent', 'failed'))
+);
+
+-- Tenant history pages newest first, optionally narrowed by service/type
+-- and status; created_at alone serves the retention purge
+CREATE INDEX idx_integration_events_tenant_created ON tenant_integration.integration_events (tenant_id, created_at DESC);
+CREATE INDEX idx_integration_events_tenant_service ON tenant_integration.integration_events (tenant_id, service_name, status, created_at DESC);
+CREATE INDEX idx_integration_events_created_at ON tenant_integration.integration_events (created_at);
+
+CREATE INDEX idx_email_events_tenant_created ON tenant_audit.email_events (tenant_id, created_at DESC);
+CREATE INDEX idx_email_events_tenant_type ON tenant_audit.email_events (tenant_id, event_type, status, created_at DESC);
+CREATE INDEX idx_email_events_created_at ON tenant_audit.email_events (created_at);
+
+ALTER TABLE tenant_integration.integration_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_audit.email_events ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY tenant_isolation ON tenant_integration.integration_events
+    USING (tenant_main.rls_tenant_allowed(tenant_id));
+CREATE POLICY tenant_isolation ON tenant_audit.email_events
+    USING (tenant_main.rls_tenant_allowed(tenant_id));
+
+-- Logs are never edited; DELETE is for the retention purge
+GRANT SELECT, INSERT, DELETE ON tenant_integration.integration_events, tenant_audit.email_events TO wellness_app;
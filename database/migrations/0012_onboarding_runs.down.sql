@@ -0,0 +1,5 @@
+-- 0012_onboarding_runs (down)
+
+DROP TABLE IF EXISTS tenant_main.onboarding_records;
+DROP TABLE IF EXISTS tenant_main.onboarding_batches;
+DROP TABLE IF EXISTS tenant_main.onboarding_runs;
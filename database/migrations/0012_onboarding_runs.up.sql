@@ -0,0 +1,107 @@
+-- 0012_onboarding_runs (up)
+-- Durable record of bulk onboarding: one run per upload, one row per
+-- queued batch and one row per CSV row with its outcome. Redis only
+-- caches progress snapshots of these tables.
+
+CREATE TABLE tenant_main.onboarding_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+
+    -- Admin user or API key that started the run; kept without a foreign
+    -- key so the trail survives the account being removed
+    initiated_by UUID,
+    initiated_by_type VARCHAR(20),
+    initiated_by_email VARCHAR(255),
+
+    source VARCHAR(20) NOT NULL DEFAULT 'csv',
+    filename VARCHAR(255),
+    file_size INTEGER,
+    options JSONB DEFAULT '{}',
+
+    status VARCHAR(30) NOT NULL DEFAULT 'validating',
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    valid_rows INTEGER NOT NULL DEFAULT 0,
+    invalid_rows INTEGER NOT NULL DEFAULT 0,
+    total_batches INTEGER NOT NULL DEFAULT 0,
+    succeeded_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    error_message TEXT,
+
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    CONSTRAINT valid_onboarding_run_status CHECK (status IN (
+        'validating', 'processing', 'completed', 'completed_with_errors', 'failed', 'cancelled'
+    ))
+);
+
+CREATE TABLE tenant_main.onboarding_batches (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_id UUID NOT NULL REFERENCES tenant_main.onboarding_runs(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+    batch_index INTEGER NOT NULL,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    job_id VARCHAR(100), -- Bull job id
+    row_count INTEGER NOT NULL,
+    processed_count INTEGER NOT NULL DEFAULT 0,
+    success_count INTEGER NOT NULL DEFAULT 0,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    processing_time_ms INTEGER,
+    error_message TEXT,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    started_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+
+    UNIQUE(run_id, batch_index),
+    CONSTRAINT valid_onboarding_batch_status CHECK (status IN ('queued', 'processing', 'completed', 'failed'))
+);
+
+CREATE TABLE tenant_main.onboarding_records (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    run_id UUID NOT NULL REFERENCES tenant_main.onboarding_runs(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+    row_number INTEGER NOT NULL, -- Line in the uploaded file, header is line 1
+    batch_index INTEGER, -- NULL for rows rejected by validation
+
+    email VARCHAR(255),
+    external_employee_id VARCHAR(100), -- employee_id column from the file
+    employee_id UUID REFERENCES tenant_main.employees(id) ON DELETE SET NULL,
+
+    status VARCHAR(20) NOT NULL,
+    errors JSONB NOT NULL DEFAULT '[]',
+    apps_assigned INTEGER,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE,
+
+    UNIQUE(run_id, row_number),
+    CONSTRAINT valid_onboarding_record_status CHECK (status IN ('invalid', 'pending', 'created', 'failed'))
+);
+
+-- History pages newest first; outcomes are read per run and status, and
+-- per batch when a retried job skips rows it already created
+CREATE INDEX idx_onboarding_runs_company_started ON tenant_main.onboarding_runs (company_id, started_at DESC);
+CREATE INDEX idx_onboarding_records_run_status ON tenant_main.onboarding_records (run_id, status, row_number);
+CREATE INDEX idx_onboarding_records_run_batch ON tenant_main.onboarding_records (run_id, batch_index);
+CREATE INDEX idx_onboarding_records_employee ON tenant_main.onboarding_records (employee_id) WHERE employee_id IS NOT NULL;
+
+ALTER TABLE tenant_main.onboarding_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_main.onboarding_batches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_main.onboarding_records ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY tenant_isolation ON tenant_main.onboarding_runs
+    USING (tenant_main.rls_tenant_allowed(company_id));
+CREATE POLICY tenant_isolation ON tenant_main.onboarding_batches
+    USING (tenant_main.rls_tenant_allowed(company_id));
+CREATE POLICY tenant_isolation ON tenant_main.onboarding_records
+    USING (tenant_main.rls_tenant_allowed(company_id));
+
+-- Runs are an audit trail; rows go away only with their company
+GRANT SELECT, INSERT, UPDATE ON
+    tenant_main.onboarding_runs,
+    tenant_main.onboarding_batches,
+    tenant_main.onboarding_records
+TO wellness_app;
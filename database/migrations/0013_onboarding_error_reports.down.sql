@@ -0,0 +1,8 @@
+-- 0013_onboarding_error_reports (down)
+
+ALTER TABLE tenant_main.onboarding_batches
+    DROP COLUMN IF EXISTS source_rows_encrypted;
+
+ALTER TABLE tenant_main.onboarding_runs
+    DROP COLUMN IF EXISTS quarantined_rows_encrypted,
+    DROP COLUMN IF EXISTS source_headers;
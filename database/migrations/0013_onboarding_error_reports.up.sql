@@ -0,0 +1,12 @@
+-- 0013_onboarding_error_reports (up)
+-- Source rows needed to rebuild an onboarding run's error report: the
+-- file's header row, and the original values of rejected rows (on the
+-- run) and of queued rows (per batch, for rows that fail later). Values
+-- are stored as encryptionService payloads, one per run or batch.
+
+ALTER TABLE tenant_main.onboarding_runs
+    ADD COLUMN source_headers JSONB,
+    ADD COLUMN quarantined_rows_encrypted TEXT;
+
+ALTER TABLE tenant_main.onboarding_batches
+    ADD COLUMN source_rows_encrypted TEXT;
@@ -0,0 +1,4 @@
+-- 0014_onboarding_plans (down)
+
+DROP TABLE IF EXISTS tenant_main.onboarding_plan_items;
+DROP TABLE IF EXISTS tenant_main.onboarding_plans;
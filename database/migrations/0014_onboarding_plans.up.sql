@@ -0,0 +1,77 @@
+-- 0014_onboarding_plans (up)
+-- Dry-run plans: what an uploaded roster would do to tenant_main.employees.
+-- A plan is approved by id; approval re-checks the diff and, if it still
+-- matches, applies it and links the onboarding run that creates new hires.
+
+CREATE TABLE tenant_main.onboarding_plans (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+
+    created_by UUID,
+    created_by_type VARCHAR(20),
+    created_by_email VARCHAR(255),
+
+    filename VARCHAR(255),
+    file_size INTEGER,
+    options JSONB DEFAULT '{}',
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    create_count INTEGER NOT NULL DEFAULT 0,
+    update_count INTEGER NOT NULL DEFAULT 0,
+    terminate_count INTEGER NOT NULL DEFAULT 0,
+    missing_count INTEGER NOT NULL DEFAULT 0,
+    unchanged_count INTEGER NOT NULL DEFAULT 0,
+    invalid_count INTEGER NOT NULL DEFAULT 0,
+
+    -- SHA-256 of the planned items; approval recomputes it against the
+    -- current employees and refuses a plan that no longer matches
+    fingerprint VARCHAR(64) NOT NULL,
+
+    -- Every row of the file, as an encryptionService payload, so approval
+    -- works from exactly the rows that were planned
+    source_headers JSONB,
+    source_rows_encrypted TEXT,
+
+    run_id UUID REFERENCES tenant_main.onboarding_runs(id) ON DELETE SET NULL,
+    approved_by UUID,
+    approved_by_email VARCHAR(255),
+    approved_at TIMESTAMP WITH TIME ZONE,
+
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+
+    CONSTRAINT valid_onboarding_plan_status CHECK (status IN ('pending', 'approved', 'stale', 'expired'))
+);
+
+CREATE TABLE tenant_main.onboarding_plan_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    plan_id UUID NOT NULL REFERENCES tenant_main.onboarding_plans(id) ON DELETE CASCADE,
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+
+    action VARCHAR(20) NOT NULL,
+    row_number INTEGER, -- NULL for employees missing from the file
+    employee_id UUID REFERENCES tenant_main.employees(id) ON DELETE SET NULL,
+    email VARCHAR(255),
+    external_employee_id VARCHAR(100),
+
+    changes JSONB NOT NULL DEFAULT '{}', -- { field: { from, to } } for updates
+    errors JSONB NOT NULL DEFAULT '[]',
+
+    CONSTRAINT valid_onboarding_plan_action CHECK (action IN (
+        'create', 'update', 'terminate', 'missing', 'unchanged', 'invalid'
+    ))
+);
+
+CREATE INDEX idx_onboarding_plans_company_created ON tenant_main.onboarding_plans (company_id, created_at DESC);
+CREATE INDEX idx_onboarding_plan_items_plan_action ON tenant_main.onboarding_plan_items (plan_id, action, row_number);
+
+ALTER TABLE tenant_main.onboarding_plans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tenant_main.onboarding_plan_items ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY tenant_isolation ON tenant_main.onboarding_plans
+    USING (tenant_main.rls_tenant_allowed(company_id));
+CREATE POLICY tenant_isolation ON tenant_main.onboarding_plan_items
+    USING (tenant_main.rls_tenant_allowed(company_id));
+
+GRANT SELECT, INSERT, UPDATE ON tenant_main.onboarding_plans, tenant_main.onboarding_plan_items TO wellness_app;
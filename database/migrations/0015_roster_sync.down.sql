@@ -0,0 +1,13 @@
+-- 0015_roster_sync (down)
+
+DROP INDEX IF EXISTS tenant_main.idx_employees_roster_termination_due;
+ALTER TABLE tenant_main.employees DROP COLUMN IF EXISTS roster_termination_due_at;
+
+DELETE FROM tenant_main.onboarding_plan_items WHERE action = 'reactivate';
+ALTER TABLE tenant_main.onboarding_plan_items
+    DROP CONSTRAINT valid_onboarding_plan_action,
+    ADD CONSTRAINT valid_onboarding_plan_action CHECK (action IN (
+        'create', 'update', 'terminate', 'missing', 'unchanged', 'invalid'
+    ));
+
+ALTER TABLE tenant_main.onboarding_plans DROP COLUMN IF EXISTS reactivate_count;
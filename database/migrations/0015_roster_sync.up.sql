@@ -0,0 +1,20 @@
+-- 0015_roster_sync (up)
+-- Roster sync: returning employees are reactivated by the roster, and
+-- employees missing from it can be terminated after a grace period.
+
+ALTER TABLE tenant_main.onboarding_plans
+    ADD COLUMN reactivate_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE tenant_main.onboarding_plan_items
+    DROP CONSTRAINT valid_onboarding_plan_action,
+    ADD CONSTRAINT valid_onboarding_plan_action CHECK (action IN (
+        'create', 'update', 'reactivate', 'terminate', 'missing', 'unchanged', 'invalid'
+    ));
+
+-- Set when a roster left the employee out with a grace period; cleared
+-- when a later roster lists them again, acted on by the daily sweep
+ALTER TABLE tenant_main.employees
+    ADD COLUMN roster_termination_due_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX idx_employees_roster_termination_due ON tenant_main.employees (roster_termination_due_at)
+    WHERE roster_termination_due_at IS NOT NULL;
@@ -0,0 +1,3 @@
+-- 0016_column_mapping_profiles (down)
+
+DROP TABLE IF EXISTS tenant_main.column_mapping_profiles;
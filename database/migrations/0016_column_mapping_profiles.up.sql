@@ -0,0 +1,30 @@
+-- 0016_column_mapping_profiles (up)
+-- Per-tenant column mappings for onboarding uploads: which source column
+-- feeds which employee field, value translation tables and defaults.
+
+CREATE TABLE tenant_main.column_mapping_profiles (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    company_id UUID NOT NULL REFERENCES tenant_main.companies(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+
+    -- [{ source, target, values: { from: to } }]
+    columns JSONB NOT NULL DEFAULT '[]',
+    -- { target: value } for blank or missing fields
+    defaults JSONB NOT NULL DEFAULT '{}',
+
+    created_by UUID,
+    created_by_email VARCHAR(255),
+    updated_by UUID,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+
+    UNIQUE(company_id, name)
+);
+
+ALTER TABLE tenant_main.column_mapping_profiles ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY tenant_isolation ON tenant_main.column_mapping_profiles
+    USING (tenant_main.rls_tenant_allowed(company_id));
+
+GRANT SELECT, INSERT, UPDATE, DELETE ON tenant_main.column_mapping_profiles TO wellness_app;
@@ -0,0 +1,3 @@
+-- 0017_onboarding_plan_pending_run (down)
+
+ALTER TABLE tenant_main.onboarding_plans DROP COLUMN IF EXISTS pending_creates_encrypted;
@@ -0,0 +1,7 @@
+-- 0017_onboarding_plan_pending_run (up)
+-- New hires an approved plan still has to queue, as an encryptionService
+-- payload. Written with the approval and cleared once their onboarding run
+-- has started, so a run that failed to start can be resumed.
+
+ALTER TABLE tenant_main.onboarding_plans
+    ADD COLUMN pending_creates_encrypted TEXT;
@@ -0,0 +1,996 @@
+/**
+ * Corporate Wellness Portal - Demo Data Seeder
+ * Generates a deterministic multi-tenant dataset for demos and local analytics
+ *
+ *   npm run seed                        seed the demo companies
+ *   npm run seed -- --reset             replace previously seeded demo companies
+ *   npm run seed -- --seed 7            use another PRNG seed
+ *   npm run seed -- --as-of 2026-06-30  end the 12 months of history on a fixed date
+ *   npm run seed -- --scale 0.25        generate a quarter of the employees
+ *
+ * The same seed, as-of date and scale always produce the same rows, IDs
+ * included. Every demo company lives under DEMO_DOMAIN_SUFFIX so --reset
+ * never touches real tenants. Names stay out of the encrypted name columns:
+ * PHI encryption is deliberately slow and demo employees are identified by
+ * email only.
+ *
+ * Connects like the migration runner (MIGRATION_DATABASE_URL, falling back
+ * to DATABASE_URL) and refuses to run with NODE_ENV=production.
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import pg from 'pg';
+
+const DEMO_DOMAIN_SUFFIX = '.demo.example';
+
+// Postgres caps a statement at 65535 bind parameters
+const MAX_PARAMS = 60000;
+const ENGAGEMENT_BATCH_ROWS = 2000;
+
+// Segments smaller than this are left out of population_health so no
+// rollup describes an identifiable handful of employees
+const MIN_SEGMENT_SIZE = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// costPerEmployee is annual: licences, incentives and program administration
+const TIERS = {
+  startup: { maxEmployees: 500, accessLevel: 'basic', costPerEmployee: 300, implementationCost: 15000 },
+  enterprise: { maxEmployees: 5000, accessLevel: 'premium', costPerEmployee: 420, implementationCost: 60000 },
+  fortune500: { maxEmployees: 100000, accessLevel: 'complete', costPerEmployee: 480, implementationCost: 150000 }
+};
+
+const INDUSTRIES = {
+  technology: {
+    femaleShare: 0.36,
+    averageSalary: 128000,
+    healthcareCost: 8200,
+    benchmarkROI: 142,
+    departments: { Engineering: 38, Product: 9, Sales: 14, Marketing: 8, 'Customer Support': 12, Finance: 5, 'Human Resources': 4, Legal: 2, Executive: 2, Operations: 6 }
+  },
+  hospitality: {
+    femaleShare: 0.56,
+    averageSalary: 41000,
+    healthcareCost: 6900,
+    benchmarkROI: 118,
+    departments: { 'Store Operations': 62, 'Supply Chain': 10, Marketing: 5, Finance: 4, 'Human Resources': 4, Sales: 6, Executive: 2, Training: 7 }
+  },
+  logistics: {
+    femaleShare: 0.31,
+    averageSalary: 58000,
+    healthcareCost: 8600,
+    benchmarkROI: 131,
+    departments: { 'Warehouse Operations': 41, Transportation: 24, 'Customer Support': 9, Sales: 8, Finance: 5, 'Human Resources': 4, 'Information Technology': 5, Executive: 1, Safety: 3 }
+  },
+  healthcare: {
+    femaleShare: 0.74,
+    averageSalary: 72000,
+    healthcareCost: 9100,
+    benchmarkROI: 156,
+    departments: { Nursing: 38, 'Clinical Services': 18, 'Patient Services': 12, Administration: 9, Finance: 6, 'Human Resources': 4, 'Information Technology': 5, Executive: 2, Facilities: 6 }
+  },
+  manufacturing: {
+    femaleShare: 0.29,
+    averageSalary: 67000,
+    healthcareCost: 9400,
+    benchmarkROI: 127,
+    departments: { Production: 44, Engineering: 14, 'Quality Assurance': 8, 'Supply Chain': 10, Sales: 7, Finance: 5, 'Human Resources': 4, 'Information Technology': 4, Executive: 1, Safety: 3 }
+  }
+};
+
+// Departments whose employees report more stress; mirrors the rule-based
+// recommendations in bulk onboarding
+const HIGH_STRESS_DEPARTMENTS = ['Sales', 'Executive', 'Finance', 'Nursing', 'Transportation'];
+
+const COMPANIES = [
+  {
+    slug: 'lumen-labs',
+    name: 'Lumen Labs',
+    tier: 'startup',
+    industry: 'technology',
+    employees: 260,
+    headquarters: 'Austin, TX',
+    sites: ['Austin, TX', 'Remote'],
+    contact: 'Priya Raman',
+    compliance: ['SOC2']
+  },
+  {
+    slug: 'harbor-and-pine',
+    name: 'Harbor & Pine Coffee Co.',
+    tier: 'startup',
+    industry: 'hospitality',
+    employees: 410,
+    headquarters: 'Portland, OR',
+    sites: ['Portland, OR', 'Seattle, WA', 'Boise, ID'],
+    contact: 'Marcus Bell',
+    compliance: []
+  },
+  {
+    slug: 'northwind-logistics',
+    name: 'Northwind Logistics',
+    tier: 'enterprise',
+    industry: 'logistics',
+    employees: 1850,
+    headquarters: 'Columbus, OH',
+    sites: ['Columbus, OH', 'Indianapolis, IN', 'Louisville, KY', 'Memphis, TN'],
+    contact: 'Dana Whitfield',
+    compliance: ['SOC2']
+  },
+  {
+    slug: 'meridian-health',
+    name: 'Meridian Health Partners',
+    tier: 'enterprise',
+    industry: 'healthcare',
+    employees: 2400,
+    headquarters: 'Nashville, TN',
+    sites: ['Nashville, TN', 'Franklin, TN', 'Murfreesboro, TN'],
+    contact: 'Elena Okafor',
+    compliance: ['HIPAA', 'SOC2']
+  },
+  {
+    slug: 'atlas-manufacturing',
+    name: 'Atlas Global Manufacturing',
+    tier: 'fortune500',
+    industry: 'manufacturing',
+    employees: 4200,
+    headquarters: 'Detroit, MI',
+    sites: ['Detroit, MI', 'Toledo, OH', 'Greenville, SC', 'Monterrey, MX', 'Remote'],
+    contact: 'Thomas Lindqvist',
+    compliance: ['HIPAA', 'SOC2', 'ISO27001']
+  }
+];
+
+const FIRST_NAMES = {
+  female: ['maria', 'jennifer', 'aisha', 'emily', 'sofia', 'grace', 'hannah', 'mei', 'olivia', 'fatima',
+    'rachel', 'camila', 'nicole', 'priya', 'lauren', 'ana', 'keisha', 'megan', 'yuki', 'isabel'],
+  male: ['james', 'david', 'miguel', 'wei', 'daniel', 'omar', 'kevin', 'luis', 'andrew', 'tyrone',
+    'ryan', 'arjun', 'brian', 'mateo', 'jason', 'samuel', 'hiroshi', 'eric', 'jamal', 'patrick'],
+  other: ['alex', 'jordan', 'taylor', 'sam', 'riley', 'casey', 'morgan', 'avery']
+};
+
+const LAST_NAMES = ['smith', 'johnson', 'garcia', 'nguyen', 'williams', 'patel', 'brown', 'martinez',
+  'kim', 'davis', 'lopez', 'wilson', 'anderson', 'thomas', 'chen', 'jackson', 'white', 'harris',
+  'sanchez', 'clark', 'ramirez', 'lewis', 'robinson', 'walker', 'young', 'allen', 'king', 'wright',
+  'scott', 'torres', 'hill', 'flores', 'green', 'adams', 'nelson', 'baker', 'hall', 'rivera',
+  'campbell', 'mitchell', 'carter', 'roberts', 'okafor', 'haddad', 'kowalski', 'novak', 'silva',
+  'murphy', 'cohen', 'tanaka'];
+
+const APP_FEATURES = {
+  fertilitytracker: ['cycle_tracking', 'ovulation_predictor', 'partner_sync', 'educational_content'],
+  pregnancycompanion: ['weekly_updates', 'symptom_log', 'appointment_planner', 'kick_counter'],
+  postpartumsupport: ['mood_check_in', 'feeding_log', 'sleep_log', 'peer_groups'],
+  menowellness: ['symptom_tracker', 'hot_flash_log', 'sleep_coaching', 'expert_qa'],
+  supportpartner: ['partner_guides', 'check_ins', 'communication_tips'],
+  myconfidant: ['journaling', 'guided_chat', 'mood_check_in', 'breathing_exercises'],
+  soberpal: ['streak_tracker', 'craving_log', 'peer_support', 'daily_pledge'],
+  innerarchitect: ['goal_setting', 'coaching_sessions', 'habit_tracker', 'reflection']
+};
+
+// How often an enrolled employee opens each app, relative to the others
+const APP_AFFINITY = {
+  fertilitytracker: 1.2,
+  pregnancycompanion: 1.6,
+  postpartumsupport: 1.4,
+  menowellness: 1.1,
+  supportpartner: 0.7,
+  myconfidant: 0.9,
+  soberpal: 1.5,
+  innerarchitect: 0.8
+};
+
+const AGE_GROUPS = [
+  { label: '18-24', min: 18, max: 24 },
+  { label: '25-34', min: 25, max: 34 },
+  { label: '35-44', min: 35, max: 44 },
+  { label: '45-54', min: 45, max: 54 },
+  { label: '55-64', min: 55, max: 64 },
+  { label: '65+', min: 65, max: 120 }
+];
+
+// =============================================
+// Deterministic randomness
+// =============================================
+
+/**
+ * mulberry32: tiny, fast and good enough for synthetic data
+ */
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * FNV-1a, to give each company its own stream derived from the run seed
+ */
+function hashSeed(value) {
+  let hash = 0x811C9DC5;
+  for (const char of String(value)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function createRandom(seed) {
+  const next = mulberry32(seed);
+
+  const random = {
+    next,
+    between: (min, max) => min + next() * (max - min),
+    int: (min, max) => Math.floor(min + next() * (max - min + 1)),
+    chance: probability => next() < probability,
+    pick: items => items[Math.floor(next() * items.length)],
+    weighted: weights => {
+      const entries = Object.entries(weights);
+      const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+      let roll = next() * total;
+      for (const [value, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) return value;
+      }
+      return entries.at(-1)[0];
+    },
+    // Sum of uniforms: cheap, bounded and roughly bell-shaped
+    normalish: (mean, spread) => mean + spread * ((next() + next() + next()) / 1.5 - 1),
+    sample: (items, count) => {
+      const pool = [...items];
+      const picked = [];
+      while (picked.length < count && pool.length > 0) {
+        picked.push(pool.splice(Math.floor(next() * pool.length), 1)[0]);
+      }
+      return picked;
+    },
+    uuid: () => {
+      const bytes = Array.from({ length: 16 }, () => Math.floor(next() * 256));
+      bytes[6] = (bytes[6] & 0x0f) | 0x40;
+      bytes[8] = (bytes[8] & 0x3f) | 0x80;
+      const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+      return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    },
+    hex: length => Array.from({ length }, () => Math.floor(next() * 16).toString(16)).join('')
+  };
+
+  return random;
+}
+
+// =============================================
+// Calendar helpers (all dates are UTC)
+// =============================================
+
+function parseDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    throw new Error(`Invalid --as-of date: ${value} (expected YYYY-MM-DD)`);
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid --as-of date: ${value}`);
+  }
+  return date;
+}
+
+function toDateString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date, days) {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function addMonths(date, months) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+}
+
+function isoWeek(date) {
+  const thursday = addDays(date, 3 - ((date.getUTCDay() + 6) % 7));
+  const yearStart = Date.UTC(thursday.getUTCFullYear(), 0, 1);
+  return Math.floor((thursday - yearStart) / DAY_MS / 7) + 1;
+}
+
+/**
+ * Twelve calendar months ending with the as-of month, which is month-to-date
+ */
+function buildMonths(asOf) {
+  const first = addMonths(asOf, -11);
+  return Array.from({ length: 12 }, (_, index) => {
+    const start = addMonths(first, index);
+    const nextStart = addMonths(first, index + 1);
+    const end = nextStart > asOf ? asOf : addDays(nextStart, -1);
+    return { index, start, end };
+  });
+}
+
+function ageGroup(age) {
+  return AGE_GROUPS.find(group => age >= group.min && age <= group.max).label;
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value, places = 2) {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+}
+
+// =============================================
+// Generators
+// =============================================
+
+function generateCompany(template, random, asOf, scale) {
+  const tier = TIERS[template.tier];
+  const launchedMonthsAgo = random.int(16, 40);
+  const subscriptionStart = addDays(addMonths(asOf, -launchedMonthsAgo), random.int(0, 27));
+  const domain = `${template.slug}${DEMO_DOMAIN_SUFFIX}`;
+  const employeeCount = Math.max(MIN_SEGMENT_SIZE * 3, Math.round(template.employees * scale));
+
+  return {
+    id: random.uuid(),
+    template,
+    industry: INDUSTRIES[template.industry],
+    tier,
+    employeeCount,
+    subscriptionStart,
+    // Some programs gain momentum over the year, others plateau
+    momentum: random.between(-0.05, 0.2),
+    row: {
+      name: template.name,
+      domain,
+      tier: template.tier,
+      max_employees: tier.maxEmployees,
+      encryption_key: random.hex(64),
+      white_label_config: JSON.stringify({ subdomain: template.slug, companyName: template.name }),
+      subscription_tier: template.tier,
+      subscription_status: 'active',
+      subscription_start_date: subscriptionStart,
+      subscription_end_date: addMonths(subscriptionStart, 36),
+      primary_contact_email: `people-ops@${domain}`,
+      primary_contact_name: template.contact,
+      billing_email: `billing@${domain}`,
+      industry: template.industry,
+      company_size: companySize(employeeCount),
+      headquarters_location: template.headquarters,
+      status: 'active',
+      security_level: 'enterprise',
+      compliance_requirements: template.compliance,
+      created_at: subscriptionStart
+    }
+  };
+}
+
+function companySize(employees) {
+  if (employees <= 200) return '51-200';
+  if (employees <= 500) return '201-500';
+  if (employees <= 1000) return '501-1000';
+  if (employees <= 5000) return '1001-5000';
+  return '5001+';
+}
+
+function generateEmployees(company, random, asOf) {
+  const { industry, template } = company;
+  const historyStart = addMonths(asOf, -11);
+  const usedEmails = new Set();
+  const employees = [];
+
+  for (let index = 0; index < company.employeeCount; index++) {
+    const genderRoll = random.next();
+    let gender = genderRoll < industry.femaleShare ? 'female' : 'male';
+    if (genderRoll > 0.985) gender = 'non_binary';
+    else if (genderRoll > 0.975) gender = 'undisclosed';
+
+    const age = Math.round(clamp(random.normalish(40, 16), 21, 67));
+    const married = random.chance(clamp(0.12 + (age - 22) * 0.018, 0.1, 0.68));
+    const maritalStatus = married
+      ? 'married'
+      : random.weighted({ single: 70, domestic_partnership: 14, divorced: 12, widowed: age > 55 ? 4 : 1 });
+    const hasDependents = random.chance(married ? 0.68 : 0.22) && age < 62;
+
+    const firstName = random.pick(FIRST_NAMES[gender === 'female' || gender === 'male' ? gender : 'other']);
+    const lastName = random.pick(LAST_NAMES);
+    let email = `${firstName}.${lastName}@${company.row.domain}`;
+    for (let suffix = 2; usedEmails.has(email); suffix++) {
+      email = `${firstName}.${lastName}${suffix}@${company.row.domain}`;
+    }
+    usedEmails.add(email);
+
+    const department = random.weighted(industry.departments);
+    const isManager = random.chance(department === 'Executive' ? 0.6 : 0.11);
+
+    // Most of the workforce predates the year of history; the rest joined during it
+    const hiredDuringHistory = random.chance(0.16);
+    const hireDate = hiredDuringHistory
+      ? addDays(historyStart, random.int(0, Math.floor((asOf - historyStart) / DAY_MS)))
+      : addDays(company.subscriptionStart, -random.int(0, 3650));
+
+    let accountStatus = random.weighted({ active: 925, pending: 30, terminated: 40, suspended: 5 });
+    const onboardedAt = accountStatus === 'pending'
+      ? null
+      : addDays(hireDate > company.subscriptionStart ? hireDate : company.subscriptionStart, random.int(1, 21));
+    if (onboardedAt && onboardedAt > asOf) accountStatus = 'pending';
+
+    let leftAt = null;
+    if (accountStatus === 'terminated') {
+      const earliest = onboardedAt > historyStart ? onboardedAt : historyStart;
+      leftAt = addDays(earliest, random.int(0, Math.floor((asOf - earliest) / DAY_MS)));
+    }
+
+    employees.push({
+      id: random.uuid(),
+      index,
+      email,
+      department,
+      isManager,
+      age,
+      gender,
+      maritalStatus,
+      married,
+      hasDependents,
+      location: random.pick(template.sites),
+      accountStatus,
+      hireDate,
+      onboardedAt: accountStatus === 'pending' ? null : onboardedAt,
+      leftAt,
+      // Baseline wellbeing and how readily the employee engages with the apps
+      wellness: clamp(random.normalish(HIGH_STRESS_DEPARTMENTS.includes(department) ? 0.52 : 0.6, 0.14), 0.2, 0.9),
+      propensity: random.chance(0.17) ? 0 : random.next() ** 1.4,
+      device: random.weighted({ mobile: 62, desktop: 30, tablet: 8 })
+    });
+  }
+
+  // Managers first so every report's manager_id already exists
+  employees.sort((a, b) => Number(b.isManager) - Number(a.isManager) || a.index - b.index);
+
+  const managersByDepartment = new Map();
+  for (const employee of employees) {
+    if (employee.isManager) {
+      if (!managersByDepartment.has(employee.department)) managersByDepartment.set(employee.department, []);
+      managersByDepartment.get(employee.department).push(employee);
+    }
+  }
+
+  for (const employee of employees) {
+    const managers = managersByDepartment.get(employee.department) || [];
+    employee.managerId = !employee.isManager && managers.length > 0 ? random.pick(managers).id : null;
+    employee.role = jobTitle(employee, random);
+    employee.apps = assignApps(employee, random);
+  }
+
+  return employees;
+}
+
+function jobTitle(employee, random) {
+  if (employee.department === 'Executive') {
+    return employee.isManager ? random.pick(['Vice President', 'Chief of Staff', 'Senior Vice President']) : 'Executive Assistant';
+  }
+  if (employee.isManager) {
+    return `${random.pick(['Manager', 'Senior Manager', 'Director'])}, ${employee.department}`;
+  }
+  const level = employee.age < 28 ? 'Associate' : random.pick(['Specialist', 'Senior Specialist', 'Lead']);
+  return `${employee.department} ${level}`;
+}
+
+/**
+ * Demographic rules in the spirit of the onboarding recommendations; at most
+ * three apps per employee
+ */
+function assignApps(employee, random) {
+  if (!employee.onboardedAt) return [];
+
+  const { age, gender, married, maritalStatus, hasDependents } = employee;
+  const partnered = married || maritalStatus === 'domestic_partnership';
+  const apps = [];
+
+  if (gender === 'female' && age >= 42 && random.chance(0.62)) apps.push('menowellness');
+  if (gender === 'female' && age >= 24 && age <= 42 && random.chance(0.06)) apps.push('pregnancycompanion');
+  if (gender === 'female' && age >= 24 && age <= 43 && hasDependents && random.chance(0.08)) apps.push('postpartumsupport');
+  if (partnered && age >= 25 && age <= 40 && random.chance(0.38)) apps.push('fertilitytracker');
+  if (gender === 'male' && partnered && age >= 42 && random.chance(0.18)) apps.push('supportpartner');
+  if (random.chance(0.035)) apps.push('soberpal');
+  if (random.chance(HIGH_STRESS_DEPARTMENTS.includes(employee.department) ? 0.62 : 0.42)) apps.push('innerarchitect');
+  if (random.chance(0.36)) apps.push('myconfidant');
+
+  return apps.slice(0, 3);
+}
+
+/**
+ * Daily engagement for one employee. Calls `emit` with each
+ * engagement_metrics row and returns the per-month summary used for the
+ * population rollups.
+ */
+function simulateEngagement(company, employee, months, random, asOf, emit) {
+  const monthly = months.map(() => ({ sessions: 0, wellnessSum: 0 }));
+  if (employee.apps.length === 0) return monthly;
+
+  const features = employee.apps.map(app => APP_FEATURES[app]);
+  const start = months[0].start > employee.onboardedAt ? months[0].start : addDays(employee.onboardedAt, 1);
+  const end = employee.leftAt && employee.leftAt < asOf ? employee.leftAt : asOf;
+  let sessionsSoFar = 0;
+
+  for (let day = start; day <= end; day = addDays(day, 1)) {
+    const month = months.find(candidate => day >= candidate.start && day <= candidate.end);
+    if (!month) continue;
+
+    const weekend = day.getUTCDay() === 0 || day.getUTCDay() === 6;
+    // Newly onboarded employees explore, then settle; the program's
+    // momentum lifts or flattens usage across the year
+    const daysEnrolled = (day - employee.onboardedAt) / DAY_MS;
+    const novelty = daysEnrolled < 30 ? 1.5 : 1;
+    const trend = 1 + company.momentum * (month.index / 11);
+    const dateRecorded = toDateString(day);
+
+    for (let appIndex = 0; appIndex < employee.apps.length; appIndex++) {
+      const app = employee.apps[appIndex];
+      const probability = 0.22 * employee.propensity * APP_AFFINITY[app] * novelty * trend * (weekend ? 0.6 : 1);
+      if (!random.chance(probability)) continue;
+
+      sessionsSoFar++;
+      const wellnessScore = clamp(
+        employee.wellness + 0.14 * Math.min(1, sessionsSoFar / 60) + random.between(-0.06, 0.06),
+        0,
+        1
+      );
+      const sessionDuration = Math.round(clamp(random.normalish(420, 360) * (employee.device === 'desktop' ? 1.3 : 1), 45, 3600));
+
+      monthly[month.index].sessions++;
+      monthly[month.index].wellnessSum += wellnessScore;
+
+      const device = random.chance(0.85) ? employee.device : random.pick(['mobile', 'desktop', 'tablet']);
+      emit([
+        company.id,
+        employee.id,
+        app,
+        sessionDuration,
+        Math.max(1, Math.round(sessionDuration / random.between(40, 90))),
+        JSON.stringify(random.sample(features[appIndex], random.int(1, 3))),
+        round(clamp(0.35 + 0.45 * employee.propensity + sessionDuration / 7200 + random.between(-0.08, 0.08), 0, 1)),
+        round(wellnessScore),
+        round(clamp(0.45 + 0.35 * wellnessScore + random.between(-0.07, 0.07), 0, 1)),
+        dateRecorded,
+        isoWeek(day),
+        day.getUTCMonth() + 1,
+        Math.floor(day.getUTCMonth() / 3) + 1,
+        device,
+        browserFor(device, random),
+        employee.location
+      ]);
+    }
+  }
+
+  return monthly;
+}
+
+function browserFor(device, random) {
+  if (device === 'desktop') return random.weighted({ Chrome: 55, Edge: 22, Safari: 15, Firefox: 8 });
+  return random.weighted({ 'Safari Mobile': 55, 'Chrome Mobile': 40, 'Samsung Internet': 5 });
+}
+
+function isEnrolled(employee, month) {
+  return Boolean(employee.onboardedAt)
+    && employee.onboardedAt <= month.end
+    && (!employee.leftAt || employee.leftAt >= month.start);
+}
+
+/**
+ * Monthly population_health rows: company-wide, then per department, age
+ * group and gender. Scores share the 0-1 scale of engagement_metrics.
+ */
+function buildPopulationHealth(company, employees, summaries, months, random) {
+  const rows = [];
+  const previous = new Map();
+
+  for (const month of months) {
+    const segments = new Map();
+
+    for (const employee of employees) {
+      if (!isEnrolled(employee, month)) continue;
+      const summary = summaries.get(employee.id)[month.index];
+
+      const keys = [
+        { key: 'all', department: null, age_group: null, gender: null },
+        { key: `department:${employee.department}`, department: employee.department, age_group: null, gender: null },
+        { key: `age:${ageGroup(employee.age)}`, department: null, age_group: ageGroup(employee.age), gender: null },
+        { key: `gender:${employee.gender}`, department: null, age_group: null, gender: employee.gender }
+      ];
+
+      for (const segmentKey of keys) {
+        const segment = segments.get(segmentKey.key) || {
+          ...segmentKey, total: 0, engaged: 0, wellnessSum: 0, wellnessCount: 0, ageSum: 0, stressed: 0
+        };
+        segment.total++;
+        segment.ageSum += employee.age;
+        if (HIGH_STRESS_DEPARTMENTS.includes(employee.department)) segment.stressed++;
+        if (summary.sessions > 0) {
+          segment.engaged++;
+          segment.wellnessSum += summary.wellnessSum / summary.sessions;
+          segment.wellnessCount++;
+        } else {
+          // Unengaged employees still count, at their baseline
+          segment.wellnessSum += employee.wellness;
+          segment.wellnessCount++;
+        }
+        segments.set(segmentKey.key, segment);
+      }
+    }
+
+    for (const segment of segments.values()) {
+      if (segment.total < MIN_SEGMENT_SIZE) continue;
+
+      const wellness = segment.wellnessSum / segment.wellnessCount;
+      const averageAge = segment.ageSum / segment.total;
+      const stressShare = segment.stressed / segment.total;
+      const prior = previous.get(segment.key);
+      const change = prior ? ((wellness - prior) / prior) * 100 : 0;
+      previous.set(segment.key, wellness);
+
+      rows.push([
+        company.id,
+        segment.department,
+        segment.age_group,
+        segment.gender,
+        segment.total,
+        round((segment.engaged / segment.total) * 100),
+        round(wellness),
+        round(clamp(0.95 - wellness + (averageAge - 40) * 0.006 + random.between(-0.03, 0.03), 0, 1)),
+        round(clamp(0.85 - 0.6 * wellness + 0.15 * stressShare + random.between(-0.03, 0.03), 0, 1)),
+        round(clamp(0.3 + 0.55 * wellness + random.between(-0.03, 0.03), 0, 1)),
+        round(clamp(0.15 + 0.6 * wellness - (averageAge - 40) * 0.004 + random.between(-0.04, 0.04), 0, 1)),
+        round(clamp(0.2 + 0.7 * wellness - 0.1 * stressShare + random.between(-0.03, 0.03), 0, 1)),
+        Math.abs(change) < 1 ? 'stable' : change > 0 ? 'improving' : 'declining',
+        round(clamp(change, -999.99, 999.99)),
+        toDateString(month.start),
+        'monthly'
+      ]);
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Quarterly wellness_roi rows built from enrollment and engagement
+ */
+function buildWellnessROI(company, employees, summaries, months) {
+  const { industry, tier } = company;
+  const rows = [];
+  let cumulativeInvestment = 0;
+  let cumulativeSavings = 0;
+  let paybackMonths = null;
+
+  for (let quarter = 0; quarter < 4; quarter++) {
+    const quarterMonths = months.slice(quarter * 3, quarter * 3 + 3);
+    const monthFraction = quarterMonths.length / 12;
+
+    let enrolledSum = 0;
+    let engagedSum = 0;
+    for (const month of quarterMonths) {
+      for (const employee of employees) {
+        if (!isEnrolled(employee, month)) continue;
+        enrolledSum++;
+        if (summaries.get(employee.id)[month.index].sessions > 0) engagedSum++;
+      }
+    }
+
+    const enrolled = enrolledSum / quarterMonths.length;
+    const engagementRate = enrolledSum > 0 ? engagedSum / enrolledSum : 0;
+    // Outcomes lag engagement: savings build up over the first year
+    const maturity = [0.55, 0.75, 0.9, 1][quarter];
+
+    const healthcareReduction = engagementRate * 0.08 * maturity;
+    const productivityPercent = engagementRate * 5 * maturity;
+    const absenteeismPercent = engagementRate * 12 * maturity;
+    const retentionPercent = engagementRate * 5.5 * maturity;
+
+    const healthcareSavings = enrolled * industry.healthcareCost * monthFraction * healthcareReduction;
+    const productivitySavings = enrolled * industry.averageSalary * monthFraction * (productivityPercent / 100) * 0.1;
+    const absenteeismSavings = enrolled * 7 * (industry.averageSalary / 250) * monthFraction * (absenteeismPercent / 100);
+    const retentionSavings = enrolled * 0.15 * (industry.averageSalary * 0.3) * monthFraction * (retentionPercent / 100);
+    const totalSavings = healthcareSavings + productivitySavings + absenteeismSavings + retentionSavings;
+
+    const investment = enrolled * tier.costPerEmployee * monthFraction + (quarter === 0 ? tier.implementationCost * 0.25 : 0);
+    const roi = investment > 0 ? ((totalSavings - investment) / investment) * 100 : 0;
+
+    // Months until savings cover the investment: fixed once reached,
+    // otherwise projected from this quarter's net run rate
+    const monthsBefore = quarter * 3;
+    const deficitBefore = cumulativeInvestment - cumulativeSavings;
+    cumulativeInvestment += investment;
+    cumulativeSavings += totalSavings;
+    const monthlyNet = (totalSavings - investment) / quarterMonths.length;
+
+    let payback = paybackMonths;
+    if (payback === null && monthlyNet > 0) {
+      payback = monthsBefore + Math.max(1, Math.ceil(Math.max(deficitBefore, 0) / monthlyNet));
+      if (cumulativeSavings >= cumulativeInvestment) paybackMonths = payback;
+    }
+
+    rows.push([
+      company.id,
+      round(healthcareSavings),
+      round(productivityPercent),
+      round(absenteeismPercent),
+      round(retentionPercent),
+      round(investment),
+      tier.costPerEmployee,
+      round(totalSavings),
+      round(clamp(roi, -999.99, 999.99)),
+      payback,
+      industry.benchmarkROI,
+      Math.round(clamp(50 + (roi - industry.benchmarkROI) / 4, 1, 99)),
+      toDateString(quarterMonths.at(-1).end),
+      toDateString(quarterMonths[0].start),
+      toDateString(quarterMonths.at(-1).end)
+    ]);
+  }
+
+  return rows;
+}
+
+// =============================================
+// Database
+// =============================================
+
+async function insertRows(client, table, columns, rows) {
+  const rowsPerStatement = Math.floor(MAX_PARAMS / columns.length);
+
+  for (let offset = 0; offset < rows.length; offset += rowsPerStatement) {
+    const chunk = rows.slice(offset, offset + rowsPerStatement);
+    const values = [];
+    const tuples = chunk.map(row => {
+      const placeholders = row.map(value => {
+        values.push(value);
+        return `$${values.length}`;
+      });
+      return `(${placeholders.join(', ')})`;
+    });
+
+    await client.query(`INSERT INTO ${table} (${columns.join(', ')}) VALUES ${tuples.join(', ')}`, values);
+  }
+}
+
+const EMPLOYEE_COLUMNS = ['id', 'company_id', 'email', 'employee_id', 'department', 'role', 'manager_id',
+  'access_role', 'location', 'birth_year', 'gender', 'marital_status', 'has_dependents', 'apps_assigned',
+  'onboarded_at', 'account_status', 'created_at', 'updated_at'];
+
+const ASSIGNMENT_COLUMNS = ['employee_id', 'app_name', 'access_level', 'provisioned_at', 'app_config', 'status'];
+
+const ENGAGEMENT_COLUMNS = ['tenant_id', 'employee_id', 'app_name', 'session_duration', 'pages_viewed',
+  'features_used', 'engagement_score', 'wellness_score', 'productivity_indicator', 'date_recorded',
+  'week_of_year', 'month_of_year', 'quarter_of_year', 'device_type', 'browser', 'location'];
+
+const POPULATION_COLUMNS = ['tenant_id', 'department', 'age_group', 'gender', 'total_employees',
+  'engagement_rate', 'wellness_score_avg', 'risk_score_avg', 'stress_level_avg', 'sleep_quality_avg',
+  'exercise_frequency_avg', 'mental_health_score_avg', 'trend_direction', 'trend_percentage',
+  'analysis_date', 'analysis_period'];
+
+const ROI_COLUMNS = ['tenant_id', 'healthcare_cost_reduction', 'productivity_increase_percent',
+  'absenteeism_reduction_percent', 'retention_improvement_percent', 'program_investment',
+  'cost_per_employee', 'total_savings', 'net_roi_percent', 'payback_period_months',
+  'industry_benchmark_roi', 'percentile_ranking', 'calculation_date', 'period_start', 'period_end'];
+
+async function seedCompany(client, template, options) {
+  const random = createRandom(hashSeed(`${options.seed}:${template.slug}`));
+  const months = buildMonths(options.asOf);
+  const company = generateCompany(template, random, options.asOf, options.scale);
+  const employees = generateEmployees(company, random, options.asOf);
+
+  const companyColumns = Object.keys(company.row);
+  await insertRows(client, 'tenant_main.companies', ['id', ...companyColumns], [
+    [company.id, ...companyColumns.map(column => company.row[column])]
+  ]);
+
+  await insertRows(client, 'tenant_main.employees', EMPLOYEE_COLUMNS, employees.map(employee => [
+    employee.id,
+    company.id,
+    employee.email,
+    `E${String(employee.index + 1).padStart(6, '0')}`,
+    employee.department,
+    employee.role,
+    employee.managerId,
+    employee.isManager ? 'manager' : 'employee',
+    employee.location,
+    options.asOf.getUTCFullYear() - employee.age,
+    employee.gender,
+    employee.maritalStatus,
+    employee.hasDependents,
+    JSON.stringify(employee.apps),
+    employee.onboardedAt,
+    employee.accountStatus,
+    employee.onboardedAt || employee.hireDate,
+    employee.leftAt || employee.onboardedAt || employee.hireDate
+  ]));
+
+  const assignments = employees.flatMap(employee => employee.apps.map(app => [
+    employee.id,
+    app,
+    company.tier.accessLevel,
+    employee.onboardedAt,
+    JSON.stringify({ autoProvisioned: true, seeded: true }),
+    employee.accountStatus === 'active' ? 'active' : 'suspended'
+  ]));
+  await insertRows(client, 'tenant_main.app_assignments', ASSIGNMENT_COLUMNS, assignments);
+
+  let batch = [];
+  let engagementRows = 0;
+  const summaries = new Map();
+
+  for (const employee of employees) {
+    const pending = [];
+    summaries.set(employee.id, simulateEngagement(company, employee, months, random, options.asOf, row => pending.push(row)));
+
+    batch.push(...pending);
+    if (batch.length >= ENGAGEMENT_BATCH_ROWS) {
+      await insertRows(client, 'tenant_analytics.engagement_metrics', ENGAGEMENT_COLUMNS, batch);
+      engagementRows += batch.length;
+      batch = [];
+    }
+  }
+  await insertRows(client, 'tenant_analytics.engagement_metrics', ENGAGEMENT_COLUMNS, batch);
+  engagementRows += batch.length;
+
+  // Activity timestamps follow from the generated sessions
+  await client.query(
+    `UPDATE tenant_main.employees e
+     SET last_active = s.last_session, last_login_at = s.last_session
+     FROM (
+       SELECT employee_id, MAX(date_recorded)::timestamptz + INTERVAL '12 hours' AS last_session
+       FROM tenant_analytics.engagement_metrics
+       WHERE tenant_id = $1
+       GROUP BY employee_id
+     ) s
+     WHERE e.id = s.employee_id AND e.company_id = $1`,
+    [company.id]
+  );
+  await client.query(
+    `UPDATE tenant_main.app_assignments a
+     SET last_accessed = s.last_session
+     FROM (
+       SELECT employee_id, app_name, MAX(date_recorded)::timestamptz + INTERVAL '12 hours' AS last_session
+       FROM tenant_analytics.engagement_metrics
+       WHERE tenant_id = $1
+       GROUP BY employee_id, app_name
+     ) s
+     WHERE a.employee_id = s.employee_id AND a.app_name = s.app_name`,
+    [company.id]
+  );
+
+  const populationRows = buildPopulationHealth(company, employees, summaries, months, random);
+  await insertRows(client, 'tenant_analytics.population_health', POPULATION_COLUMNS, populationRows);
+
+  const roiRows = buildWellnessROI(company, employees, summaries, months);
+  await insertRows(client, 'tenant_analytics.wellness_roi', ROI_COLUMNS, roiRows);
+
+  return {
+    id: company.id,
+    name: template.name,
+    tier: template.tier,
+    employees: employees.length,
+    appAssignments: assignments.length,
+    engagementRows,
+    populationRows: populationRows.length,
+    roiRows: roiRows.length
+  };
+}
+
+/**
+ * Demo companies from an earlier run; audit rows reference companies
+ * without cascading, so they go first
+ */
+async function removeDemoCompanies(client) {
+  const existing = await client.query(
+    'SELECT id FROM tenant_main.companies WHERE domain LIKE $1',
+    [`%${DEMO_DOMAIN_SUFFIX}`]
+  );
+  const ids = existing.rows.map(row => row.id);
+  if (ids.length === 0) return 0;
+
+  await client.query('DELETE FROM tenant_audit.security_events WHERE tenant_id = ANY($1::uuid[])', [ids]);
+  await client.query('DELETE FROM tenant_audit.audit_logs WHERE tenant_id = ANY($1::uuid[])', [ids]);
+  await client.query('DELETE FROM tenant_main.companies WHERE id = ANY($1::uuid[])', [ids]);
+
+  return ids.length;
+}
+
+function parseOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      seed: { type: 'string', default: '1' },
+      'as-of': { type: 'string' },
+      scale: { type: 'string', default: '1' },
+      reset: { type: 'boolean', default: false }
+    }
+  });
+
+  const seed = Number(values.seed);
+  if (!Number.isInteger(seed) || seed < 0) {
+    throw new Error('--seed must be a non-negative integer');
+  }
+
+  const scale = Number(values.scale);
+  if (!Number.isFinite(scale) || scale <= 0 || scale > 10) {
+    throw new Error('--scale must be a number between 0 and 10');
+  }
+
+  return {
+    seed,
+    scale,
+    asOf: parseDate(values['as-of'] || toDateString(new Date())),
+    reset: values.reset
+  };
+}
+
+async function main() {
+  const options = parseOptions(process.argv.slice(2));
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Refusing to seed demo data with NODE_ENV=production');
+  }
+
+  const client = new pg.Client({
+    connectionString: process.env.MIGRATION_DATABASE_URL || process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_SSL === 'true' ? { rejectUnauthorized: false } : false
+  });
+
+  await client.connect();
+  try {
+    // Row-level security lets the system scope see every tenant, in case the
+    // connecting role does not own the tables
+    await client.query("SELECT set_config('app.current_tenant', 'system', false)");
+
+    if (options.reset) {
+      await client.query('BEGIN');
+      try {
+        const removed = await removeDemoCompanies(client);
+        await client.query('COMMIT');
+        console.log(`Removed ${removed} demo compan${removed === 1 ? 'y' : 'ies'}`);
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw error;
+      }
+    } else {
+      const existing = await client.query(
+        'SELECT COUNT(*)::int AS count FROM tenant_main.companies WHERE domain LIKE $1',
+        [`%${DEMO_DOMAIN_SUFFIX}`]
+      );
+      if (existing.rows[0].count > 0) {
+        throw new Error('Demo data is already present; rerun with --reset to replace it');
+      }
+    }
+
+    console.log(`Seeding with seed ${options.seed}, as of ${toDateString(options.asOf)}, scale ${options.scale}`);
+
+    for (const template of COMPANIES) {
+      const startTime = Date.now();
+
+      // One transaction per company: a failure never leaves half a tenant
+      await client.query('BEGIN');
+      let summary;
+      try {
+        summary = await seedCompany(client, template, options);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Seeding ${template.name} failed: ${error.message}`);
+      }
+
+      console.log(
+        `Seeded ${summary.name} (${summary.tier}, ${summary.id}): ${summary.employees} employees, ` +
+        `${summary.appAssignments} app assignments, ${summary.engagementRows} engagement rows, ` +
+        `${summary.populationRows} population rollups, ${summary.roiRows} ROI periods (${Date.now() - startTime}ms)`
+      );
+    }
+  } finally {
+    await client.end();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -45,6 +45,13 @@ async function logAuditEvent(req, res, duration, responseData) {
       // User context
       userId: req.user?.id || null,
       userEmail: req.user?.email || null,
+      userRole: req.user?.role || null,
+      sessionId: req.user?.sessionId || null,
+      apiKeyId: req.apiKey?.id || null,
+      apiKeyName: req.apiKey?.name || null,
+      impersonatorId: req.impersonation?.actorId || null,
+      impersonatorEmail: req.impersonation?.actorEmail || null,
+      impersonationGrantId: req.impersonation?.grantId || null,
       tenantId: req.tenant?.id || null,
       
       // Request metadata
@@ -58,7 +65,7 @@ async function logAuditEvent(req, res, duration, responseData) {
       duration: duration,
       
       // Security context
-      authMethod: req.headers.authorization ? 'bearer_token' : 'none',
+      authMethod: req.user?.authMethod || (req.headers.authorization ? 'bearer_token' : 'none'),
       
       // Timestamp
       timestamp: new Date().toISOString()
@@ -91,6 +98,16 @@ async function logAuditEvent(req, res, duration, responseData) {
  * Determine audit level based on request characteristics
  */
 function getAuditLevel(req, res) {
+  // Everything seen during a support "view as" session is kept
+  if (req.impersonation) {
+    return 'critical';
+  }
+  
+  // Every API key request is stored so integrations can be reviewed per key
+  if (req.apiKey) {
+    return req.method === 'DELETE' ? 'critical' : 'high';
+  }
+  
   // Critical events
   if (req.path.includes('/admin') || 
       req.path.includes('/analytics') ||
@@ -123,11 +140,12 @@ async function storeAuditEvent(auditData) {
   try {
     const query = `
       INSERT INTO tenant_audit.audit_logs (
-        tenant_id, user_id, user_email, action, resource_type, resource_id,
+        tenant_id, user_id, user_email, user_role, action, resource_type, resource_id,
         ip_address, user_agent, request_id, session_id,
+        impersonator_id, impersonator_email, impersonation_grant_id, compliance_category,
         success, duration_ms, timestamp
       ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18
       )
     `;
     
@@ -135,19 +153,25 @@ async function storeAuditEvent(auditData) {
       auditData.tenantId,
       auditData.userId,
       auditData.userEmail,
+      auditData.userRole,
       `${auditData.method} ${auditData.path}`,
       extractResourceType(auditData.path),
       extractResourceId(auditData.path),
       auditData.ip,
       auditData.userAgent,
       auditData.requestId,
-      null, // session_id - would be extracted from session if available
+      auditData.sessionId || (auditData.apiKeyId ? `api_key:${auditData.apiKeyId}` : null),
+      auditData.impersonatorId,
+      auditData.impersonatorEmail,
+      auditData.impersonationGrantId,
+      auditData.impersonationGrantId ? 'impersonation' : null,
       auditData.statusCode < 400,
       auditData.duration,
       auditData.timestamp
     ];
     
-    await database.query(query, values);
+    // Anonymous and rejected requests have no tenant scope but are still audited
+    await database.runAsSystem(() => database.query(query, values));
     
   } catch (error) {
     logger.error('Failed to store audit event in database', {
@@ -240,27 +264,60 @@ export const securityAuditMiddleware = (req, res, next) => {
  * Store security event in database
  */
 async function storeSecurityEvent(req, eventType, severity) {
+  await recordSecurityEvent({
+    tenantId: req.tenant?.id,
+    eventType,
+    severity,
+    description: `Suspicious request: ${req.method} ${req.originalUrl}`,
+    affectedUserId: req.user?.id,
+    sourceIp: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+}
+
+/**
+ * Record a security event outside of the request pipeline
+ * (e.g. account lockouts raised by the authentication service)
+ */
+export async function recordSecurityEvent({
+  tenantId = null,
+  eventType,
+  severity = 'low',
+  category = null,
+  description,
+  affectedUserId = null,
+  affectedResource = null,
+  sourceIp = null,
+  userAgent = null,
+  detectionMethod = null,
+  status = 'open'
+}) {
   try {
     const query = `
       INSERT INTO tenant_audit.security_events (
-        tenant_id, event_type, severity, description, affected_user_id,
-        source_ip, user_agent, detected_at, status
+        tenant_id, event_type, severity, category, description, affected_user_id,
+        affected_resource, source_ip, user_agent, detected_at, detection_method, status
       ) VALUES (
-        $1, $2, $3, $4, $5, $6, $7, NOW(), 'open'
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), $10, $11
       )
     `;
     
     const values = [
-      req.tenant?.id,
+      tenantId,
       eventType,
       severity,
-      `Suspicious request: ${req.method} ${req.originalUrl}`,
-      req.user?.id,
-      req.ip,
-      req.get('User-Agent')
+      category,
+      description,
+      affectedUserId,
+      affectedResource,
+      sourceIp,
+      userAgent,
+      detectionMethod,
+      status
     ];
     
-    await database.query(query, values);
+    // Raised before a tenant is known too (failed logins, bad credentials)
+    await database.runAsSystem(() => database.query(query, values));
     
   } catch (error) {
     logger.error('Failed to store security event', {
@@ -271,7 +328,72 @@ async function storeSecurityEvent(req, eventType, severity) {
   }
 }
 
+/**
+ * Record an audit log entry outside of the request pipeline
+ * (e.g. impersonation grants being requested, approved or ended)
+ */
+export async function recordAuditEvent({
+  tenantId = null,
+  userId = null,
+  userEmail = null,
+  userRole = null,
+  action,
+  resourceType = null,
+  resourceId = null,
+  oldValues = null,
+  newValues = null,
+  ip = null,
+  userAgent = null,
+  requestId = null,
+  impersonatorId = null,
+  impersonatorEmail = null,
+  impersonationGrantId = null,
+  complianceCategory = null
+}) {
+  try {
+    const query = `
+      INSERT INTO tenant_audit.audit_logs (
+        tenant_id, user_id, user_email, user_role, action, resource_type, resource_id,
+        old_values, new_values, ip_address, user_agent, request_id,
+        impersonator_id, impersonator_email, impersonation_grant_id, compliance_category,
+        success, timestamp
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, TRUE, NOW()
+      )
+    `;
+    
+    const values = [
+      tenantId,
+      userId,
+      userEmail,
+      userRole,
+      action,
+      resourceType,
+      resourceId,
+      oldValues ? JSON.stringify(oldValues) : null,
+      newValues ? JSON.stringify(newValues) : null,
+      ip,
+      userAgent,
+      requestId,
+      impersonatorId,
+      impersonatorEmail,
+      impersonationGrantId,
+      complianceCategory
+    ];
+    
+    await database.query(query, values);
+    
+  } catch (error) {
+    logger.error('Failed to store audit event', {
+      error: error.message,
+      action
+    });
+  }
+}
+
 export default {
   auditMiddleware,
-  securityAuditMiddleware
+  securityAuditMiddleware,
+  recordSecurityEvent,
+  recordAuditEvent
 };
\ No newline at end of file
@@ -3,31 +3,87 @@
  * Enterprise-grade authentication for multi-tenant access
  */
 
+import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import { logger } from '../utils/logger.js';
-import { encryptionService } from '../services/encryption.js';
+import { database } from '../utils/database.js';
+import { tokenService } from '../services/token.js';
+import { apiKeyService, API_KEY_PREFIX } from '../services/api-key.js';
+import { impersonationService } from '../services/impersonation.js';
+import { signingKeyService } from '../services/signing-key.js';
+import { isPlatformOperator } from './permissions.js';
+
+const PARTNER_PATHS = ['/api/auth', '/api/partner'];
+
+// Public endpoints that authenticate someone (login, refresh, MFA, SSO,
+// password and invitation links)
+const PRE_AUTHENTICATION_PATHS = [
+  '/api/auth/login',
+  '/api/auth/register',
+  '/api/auth/refresh',
+  '/api/auth/logout',
+  '/api/auth/mfa',
+  '/api/auth/sso',
+  '/api/auth/password',
+  '/api/auth/invitations'
+];
+
+// The aggregate admin views an impersonation session may read. Everything
+// else, including any endpoint returning individual health information
+// (PHI) or identifiable employee records, is refused. Compared in lower
+// case without a trailing slash, as Express routes them.
+const IMPERSONATION_ALLOWED_PATHS = new Set([
+  '/api/auth/me',
+  '/api/auth/csrf-token',
+  '/api/tenant/info',
+  '/api/tenant/roles',
+  '/api/tenant/dashboard-summary',
+  '/api/tenant/usage-statistics',
+  '/api/analytics/executive-dashboard',
+  '/api/analytics/roi-maximizer',
+  '/api/analytics/engagement-optimization'
+]);
 
 /**
  * Authentication middleware for protected routes
  */
-export const authMiddleware = (req, res, next) => {
+export const authMiddleware = async (req, res, next) => {
   // Skip auth for public endpoints
   const publicPaths = [
     '/api/health',
+    '/.well-known', // Public signing keys
     '/api/auth/login',
     '/api/auth/register',
+    '/api/auth/refresh', // Authenticated by refresh token
+    '/api/auth/logout', // Accepts a refresh token once the access token has expired
+    '/api/auth/mfa', // Authenticated by MFA challenge token or optional bearer token
+    '/api/auth/sso',
+    '/api/auth/password', // Authenticated by the emailed reset link
+    '/api/auth/invitations', // Authenticated by the emailed invitation link
+    '/scim/v2', // Authenticated by the tenant's SCIM bearer token
     '/pitch-deck',
     '/pitch-deck.html'
   ];
   
   const isPublicPath = publicPaths.some(path => req.path.startsWith(path));
   if (isPublicPath) {
+    // Sign-in flows look accounts and credentials up before the tenant is
+    // known; every other public endpoint runs without a database scope
+    if (PRE_AUTHENTICATION_PATHS.some(path => req.path.startsWith(path))) {
+      return database.runAsSystem(next);
+    }
     return next();
   }
   
   const authHeader = req.headers.authorization;
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
   
+  // Integrations authenticate with a tenant API key instead of a user token
+  const apiKey = req.headers['x-api-key'] || (token?.startsWith(API_KEY_PREFIX) ? token : null);
+  if (apiKey) {
+    return authenticateApiKey(req, res, next, apiKey);
+  }
+  
   if (!token) {
     logger.warn('Missing authentication token', {
       path: req.path,
@@ -43,15 +99,53 @@ export const authMiddleware = (req, res, next) => {
   
   try {
     // Verify JWT token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'corporate-wellness-secret');
+    const decoded = verifyToken(token);
+    
+    if (await tokenService.isRevoked(decoded)) {
+      logger.security('Revoked token presented', {
+        userId: decoded.userId,
+        tenantId: decoded.tenantId,
+        sessionId: decoded.sid,
+        ip: req.ip,
+        requestId: req.id
+      });
+      
+      return res.status(401).json({
+        error: 'Token revoked',
+        requestId: req.id
+      });
+    }
     
     // Add user context to request
     req.user = {
       id: decoded.userId,
       email: decoded.email,
       role: decoded.role,
-      tenantId: decoded.tenantId
+      userType: decoded.userType,
+      tenantId: decoded.tenantId,
+      authMethod: decoded.authMethod || 'password',
+      sessionId: decoded.sid
     };
+    req.tokenClaims = decoded;
+    
+    if (decoded.imp) {
+      return await authorizeImpersonation(req, res, next, decoded);
+    }
+    
+    // Partner accounts are limited to their own endpoints and the auth API
+    if (req.user.userType === 'partner' && !PARTNER_PATHS.some(path => req.path.startsWith(path))) {
+      logger.warn('Partner access outside partner scope', {
+        userId: req.user.id,
+        tenantId: req.user.tenantId,
+        path: req.path,
+        requestId: req.id
+      });
+      
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        requestId: req.id
+      });
+    }
     
     logger.debug('User authenticated', {
       userId: req.user.id,
@@ -60,6 +154,21 @@ export const authMiddleware = (req, res, next) => {
       requestId: req.id
     });
     
+    // Last-seen bookkeeping must never hold up or fail the request
+    tokenService.touchSession(decoded.sid, { ip: req.ip }).catch(error => {
+      logger.warn('Failed to record session activity', {
+        sessionId: decoded.sid,
+        error: error.message,
+        requestId: req.id
+      });
+    });
+    
+    // Platform operators manage every tenant, so their queries are not
+    // limited to the platform tenant's rows
+    if (isPlatformOperator(req.user)) {
+      return database.runAsSystem(next);
+    }
+    
     next();
     
   } catch (error) {
@@ -84,22 +193,165 @@ export const authMiddleware = (req, res, next) => {
   }
 };
 
+/**
+ * Support "view as" tokens: the grant must still be active, the session is
+ * read-only, only the allowed aggregate views are served and every
+ * response is flagged
+ */
+async function authorizeImpersonation(req, res, next, decoded) {
+  const grant = await impersonationService.getActiveGrant(decoded.imp);
+  
+  if (!grant || grant.company_id !== decoded.tenantId || grant.requested_by !== decoded.act?.sub) {
+    logger.security('Impersonation token used outside its grant', {
+      grantId: decoded.imp,
+      operatorId: decoded.act?.sub,
+      tenantId: decoded.tenantId,
+      ip: req.ip,
+      requestId: req.id
+    });
+    
+    return res.status(401).json({
+      error: 'Impersonation session ended',
+      requestId: req.id
+    });
+  }
+  
+  req.impersonation = {
+    grantId: grant.id,
+    actorId: decoded.act.sub,
+    actorEmail: decoded.act.email,
+    actorTenantId: decoded.act.tenantId,
+    expiresAt: grant.expires_at
+  };
+  
+  res.set('X-Impersonation', `active; grant=${grant.id}`);
+  res.set('X-Impersonated-By', decoded.act.email);
+  res.set('X-Impersonation-Expires', new Date(grant.expires_at).toISOString());
+  
+  const isRead = req.method === 'GET' || req.method === 'HEAD';
+  if (!isRead) {
+    return res.status(403).json({
+      error: 'Impersonation sessions are read-only',
+      requestId: req.id
+    });
+  }
+  
+  const path = req.path.toLowerCase().replace(/\/+$/, '');
+  if (!IMPERSONATION_ALLOWED_PATHS.has(path)) {
+    logger.security('Impersonation blocked from endpoint', {
+      grantId: grant.id,
+      operatorId: decoded.act.sub,
+      tenantId: decoded.tenantId,
+      path: req.path,
+      requestId: req.id
+    });
+    
+    return res.status(403).json({
+      error: 'Not available during impersonation',
+      requestId: req.id
+    });
+  }
+  
+  next();
+}
+
+/**
+ * Authenticate a request made with a tenant API key
+ */
+async function authenticateApiKey(req, res, next, key) {
+  try {
+    // tenantMiddleware already looked the key up while resolving the tenant
+    const apiKey = req.authenticatedApiKey !== undefined
+      ? req.authenticatedApiKey
+      : await database.runAsSystem(() => apiKeyService.authenticate(key, { ip: req.ip }));
+    
+    if (!apiKey) {
+      logger.security('Invalid API key presented', {
+        path: req.path,
+        ip: req.ip,
+        requestId: req.id
+      });
+      
+      return res.status(401).json({
+        error: 'Invalid API key',
+        requestId: req.id
+      });
+    }
+    
+    if (req.tenant && req.tenant.id !== apiKey.company_id) {
+      logger.security('API key used against another tenant', {
+        apiKeyId: apiKey.id,
+        keyTenantId: apiKey.company_id,
+        requestedTenantId: req.tenant.id,
+        ip: req.ip,
+        requestId: req.id
+      });
+      
+      return res.status(403).json({
+        error: 'API key does not belong to this tenant',
+        requestId: req.id
+      });
+    }
+    
+    req.user = {
+      id: apiKey.id,
+      email: null,
+      role: 'api_key',
+      userType: 'api_key',
+      tenantId: apiKey.company_id,
+      authMethod: 'api_key',
+      scopes: apiKey.scopes
+    };
+    req.apiKey = {
+      id: apiKey.id,
+      name: apiKey.name,
+      prefix: apiKey.key_prefix
+    };
+    
+    next();
+    
+  } catch (error) {
+    logger.error('API key authentication error', {
+      error: error.message,
+      path: req.path,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Authentication failed',
+      requestId: req.id
+    });
+  }
+}
+
 /**
  * Optional authentication middleware (doesn't block if no token)
  */
-export const optionalAuthMiddleware = (req, res, next) => {
+export const optionalAuthMiddleware = async (req, res, next) => {
   const authHeader = req.headers.authorization;
   const token = authHeader && authHeader.split(' ')[1];
   
   if (token) {
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'corporate-wellness-secret');
+      const decoded = verifyToken(token);
+      if (await tokenService.isRevoked(decoded)) {
+        throw new Error('Token revoked');
+      }
+      // Optional-auth routes are account writes (MFA, logout); impersonation is read-only
+      if (decoded.imp) {
+        throw new Error('Impersonation token');
+      }
+      
       req.user = {
         id: decoded.userId,
         email: decoded.email,
         role: decoded.role,
-        tenantId: decoded.tenantId
+        userType: decoded.userType,
+        tenantId: decoded.tenantId,
+        authMethod: decoded.authMethod || 'password',
+        sessionId: decoded.sid
       };
+      req.tokenClaims = decoded;
     } catch (error) {
       // Continue without user context if token is invalid
       logger.debug('Optional auth failed, continuing without user context', {
@@ -146,23 +398,103 @@ export const requireRole = (allowedRoles) => {
 
 /**
  * Generate JWT token for user
+ * Tokens carry a unique id (jti) and, when issued for a session, its id (sid)
+ * so they can be revoked server-side. Impersonation tokens also name the real
+ * operator in an `act` claim and their grant in `imp`.
  */
-export const generateToken = (user, tenantId) => {
+export const generateToken = (user, tenantId, { sessionId, expiresIn, impersonation } = {}) => {
   const payload = {
     userId: user.id,
     email: user.email,
     role: user.role,
-    tenantId: tenantId
+    userType: user.userType,
+    tenantId: tenantId,
+    authMethod: user.authMethod,
+    sid: sessionId,
+    jti: crypto.randomUUID(),
+    type: 'access'
   };
   
-  return jwt.sign(payload, process.env.JWT_SECRET || 'corporate-wellness-secret', {
-    expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+  if (impersonation) {
+    payload.act = {
+      sub: impersonation.actorId,
+      email: impersonation.actorEmail,
+      tenantId: impersonation.actorTenantId
+    };
+    payload.imp = impersonation.grantId;
+  }
+  
+  return signToken(payload, {
+    expiresIn: expiresIn || process.env.JWT_EXPIRES_IN || '15m'
   });
 };
 
+/**
+ * Sign an arbitrary JWT with the current key from the signing key ring.
+ * The `kid` header tells verifiers, including the embedded apps reading
+ * /.well-known/jwks.json, which public key to use.
+ */
+export const signToken = (payload, options = {}) => {
+  const key = signingKeyService.getSigningKey();
+  if (!key) {
+    throw new Error('No JWT signing key available');
+  }
+  
+  return jwt.sign(payload, key.privateKey, {
+    ...options,
+    algorithm: key.algorithm,
+    keyid: key.kid
+  });
+};
+
+/**
+ * Verify a JWT signed by the portal. By default only access tokens are
+ * accepted; pass expectedType to verify purpose-specific tokens such as
+ * MFA challenges.
+ */
+export const verifyToken = (token, { expectedType = 'access' } = {}) => {
+  const { key, algorithm } = resolveVerificationKey(token);
+  // Pin the algorithm so a token cannot choose how it is verified
+  const decoded = jwt.verify(token, key, { algorithms: [algorithm] });
+  
+  // Tokens issued before typed tokens were introduced carry no type and are access tokens
+  const tokenType = decoded.type || 'access';
+  if (tokenType !== expectedType) {
+    throw new jwt.JsonWebTokenError(`Unexpected token type: ${tokenType}`);
+  }
+  
+  return decoded;
+};
+
+/**
+ * Tokens name their key in the `kid` header. Tokens signed with the old
+ * shared secret carry no kid; they verify only while JWT_SECRET is still
+ * set, which can be dropped once the last of them (invitation links, 7 days)
+ * has expired.
+ */
+function resolveVerificationKey(token) {
+  const header = jwt.decode(token, { complete: true })?.header;
+  
+  if (header?.kid) {
+    const key = signingKeyService.getVerificationKey(header.kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+    return { key: key.publicKey, algorithm: key.algorithm };
+  }
+  
+  if (process.env.JWT_SECRET) {
+    return { key: process.env.JWT_SECRET, algorithm: 'HS256' };
+  }
+  
+  throw new jwt.JsonWebTokenError('Token has no key id');
+}
+
 export default {
   authMiddleware,
   optionalAuthMiddleware,
   requireRole,
-  generateToken
+  generateToken,
+  signToken,
+  verifyToken
 };
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ * Corporate Wellness Portal - Permission Middleware
+ * Role to permission-scope mapping and per-route enforcement
+ */
+
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+
+// Operators of the platform itself sign in to this tenant; platform_admin
+// accounts anywhere else only get tenant-level rights
+export const PLATFORM_TENANT_ID = process.env.PLATFORM_TENANT_ID || '00000000-0000-0000-0000-000000000000';
+
+export const ROLES = ['platform_admin', 'tenant_admin', 'hr_analyst', 'manager', 'employee', 'partner'];
+
+// Roles each account table can hold
+export const ROLES_BY_USER_TYPE = {
+  admin: ['platform_admin', 'tenant_admin', 'hr_analyst'],
+  employee: ['manager', 'employee'],
+  partner: ['partner']
+};
+
+const TENANT_ADMIN_PERMISSIONS = [
+  'tenant:read',
+  'tenant:write',
+  'employees:read',
+  'employees:write',
+  'onboarding:run',
+  'analytics:read',
+  'integrations:read',
+  'integrations:write',
+  'roles:write',
+  'sso:manage',
+  'api_keys:manage',
+  'impersonation:approve'
+];
+
+export const ROLE_PERMISSIONS = {
+  platform_admin: [...TENANT_ADMIN_PERMISSIONS, 'platform:read', 'platform:write', 'platform:impersonate'],
+  tenant_admin: TENANT_ADMIN_PERMISSIONS,
+  hr_analyst: ['tenant:read', 'employees:read', 'analytics:read', 'integrations:read'],
+  manager: ['tenant:read', 'team:read'],
+  employee: [],
+  partner: []
+};
+
+// Scopes a tenant API key can be granted; keys never manage identity or other keys
+export const API_KEY_SCOPES = [
+  'tenant:read',
+  'employees:read',
+  'employees:write',
+  'onboarding:run',
+  'analytics:read',
+  'integrations:read',
+  'integrations:write'
+];
+
+/**
+ * Permission scopes held by an authenticated user or API key
+ */
+export function getPermissions(user) {
+  if (user?.userType === 'api_key') {
+    return (user.scopes || []).filter(scope => API_KEY_SCOPES.includes(scope));
+  }
+
+  const permissions = ROLE_PERMISSIONS[user?.role] || [];
+
+  if (user?.role === 'platform_admin' && !isPlatformOperator(user)) {
+    return permissions.filter(permission => !permission.startsWith('platform:'));
+  }
+
+  return permissions;
+}
+
+export function hasPermission(user, permission) {
+  return getPermissions(user).includes(permission);
+}
+
+export function isPlatformOperator(user) {
+  return user?.role === 'platform_admin' && user.tenantId === PLATFORM_TENANT_ID;
+}
+
+/**
+ * Require a permission scope for a route.
+ *
+ * `subjectParam` names a route parameter holding an employee id; the
+ * employee themself, and their manager when `allowTeam` is set, are let
+ * through without the scope.
+ */
+export const requirePermission = (permission, { subjectParam, allowTeam = false } = {}) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        requestId: req.id
+      });
+    }
+
+    try {
+      // Permissions apply within the user's own tenant only
+      if (req.tenant && req.tenant.id !== req.user.tenantId && !isPlatformOperator(req.user)) {
+        return deny(req, res, permission, 'tenant_mismatch');
+      }
+
+      if (hasPermission(req.user, permission)) {
+        return next();
+      }
+
+      const subjectId = subjectParam ? req.params[subjectParam] : null;
+      if (subjectId && await canAccessSubject(req.user, subjectId, allowTeam)) {
+        return next();
+      }
+
+      return deny(req, res, permission, 'missing_permission');
+
+    } catch (error) {
+      logger.error('Permission check failed', {
+        userId: req.user.id,
+        permission,
+        error: error.message,
+        requestId: req.id
+      });
+
+      res.status(500).json({
+        error: 'Authorization check failed',
+        requestId: req.id
+      });
+    }
+  };
+};
+
+async function canAccessSubject(user, employeeId, allowTeam) {
+  if (user.userType === 'employee' && user.id === employeeId) {
+    return true;
+  }
+
+  if (!allowTeam || !hasPermission(user, 'team:read')) {
+    return false;
+  }
+
+  const result = await database.query(
+    'SELECT 1 FROM tenant_main.employees WHERE id = $1 AND company_id = $2 AND manager_id = $3',
+    [employeeId, user.tenantId, user.id]
+  );
+
+  return result.rows.length > 0;
+}
+
+function deny(req, res, permission, reason) {
+  logger.warn('Insufficient permissions', {
+    userId: req.user.id,
+    userRole: req.user.role,
+    tenantId: req.tenant?.id,
+    requiredPermission: permission,
+    reason,
+    path: req.path,
+    requestId: req.id
+  });
+
+  return res.status(403).json({
+    error: 'Insufficient permissions',
+    requiredPermission: permission,
+    requestId: req.id
+  });
+}
+
+export default {
+  PLATFORM_TENANT_ID,
+  ROLES,
+  ROLES_BY_USER_TYPE,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES,
+  getPermissions,
+  hasPermission,
+  isPlatformOperator,
+  requirePermission
+};
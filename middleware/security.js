@@ -229,7 +229,12 @@ export const csrfProtection = (req, res, next) => {
 export const fileUploadSecurity = (req, res, next) => {
   if (!req.file) return next();
   
-  const allowedTypes = ['text/csv', 'application/vnd.ms-excel', 'application/json'];
+  const allowedTypes = [
+    'text/csv',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/json'
+  ];
   const maxSize = 100 * 1024 * 1024; // 100MB
   
   // Validate file type
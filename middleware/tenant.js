@@ -6,35 +6,63 @@
 import { database } from '../utils/database.js';
 import { logger } from '../utils/logger.js';
 import { redisClient } from '../utils/redis.js';
+import { verifyToken } from './auth.js';
+import { apiKeyService, API_KEY_PREFIX } from '../services/api-key.js';
+
+// Portal hosts that are not tenant subdomains
+const RESERVED_SUBDOMAINS = ['www', 'api'];
 
 /**
  * Multi-tenant middleware - extracts and validates tenant context
  */
 export const tenantMiddleware = async (req, res, next) => {
+  let tenantId = null;
+  
   try {
-    let tenantId = null;
     let tenant = null;
     
-    // Extract tenant ID from various sources
-    tenantId = extractTenantId(req);
+    // Credentials and hosts are looked up before any tenant is known
+    const resolution = await database.runAsSystem(() => resolveTenantId(req));
+    tenantId = resolution.tenantId;
+    
+    if (resolution.forbidden) {
+      logger.security('Cross-tenant addressing attempt', {
+        tenantId,
+        requestedTenantId: req.headers['x-tenant-id'],
+        path: req.path,
+        ip: req.ip,
+        requestId: req.id
+      });
+      
+      return res.status(403).json({
+        error: resolution.forbidden,
+        requestId: req.id
+      });
+    }
     
     if (!tenantId) {
-      // For public endpoints, skip tenant validation
-      if (isPublicEndpoint(req.path)) {
+      // Public endpoints skip tenant validation; invalid credentials are
+      // rejected by authMiddleware
+      if (isPublicEndpoint(req.path) || resolution.credentialRejected) {
         return next();
       }
       
       return res.status(400).json({
         error: 'Tenant identification required',
-        hint: 'Provide tenant ID via header, domain, or JWT token',
+        hint: 'Sign in, use an API key, or use your organization\'s portal domain',
         requestId: req.id
       });
     }
     
     // Get tenant configuration (with caching)
-    tenant = await getTenantConfig(tenantId);
+    tenant = await database.runAsSystem(() => getTenantConfig(tenantId));
     
     if (!tenant) {
+      // Public endpoints (e.g. login) resolve their tenant themselves
+      if (isPublicEndpoint(req.path)) {
+        return next();
+      }
+
       logger.warn('Invalid tenant access attempt', {
         tenantId,
         ip: req.ip,
@@ -90,7 +118,8 @@ export const tenantMiddleware = async (req, res, next) => {
         whiteLabel: tenant.white_label_config || {},
         sso: tenant.sso_config || {},
         integration: tenant.integration_config || {},
-        billing: tenant.billing_config || {}
+        billing: tenant.billing_config || {},
+        security: tenant.security_config || {}
       },
       subscription: {
         tier: tenant.subscription_tier,
@@ -99,7 +128,8 @@ export const tenantMiddleware = async (req, res, next) => {
         endDate: tenant.subscription_end_date
       },
       securityLevel: tenant.security_level,
-      complianceRequirements: tenant.compliance_requirements || []
+      complianceRequirements: tenant.compliance_requirements || [],
+      resolvedBy: resolution.source
     };
     
     // Set tenant-specific response headers
@@ -117,7 +147,15 @@ export const tenantMiddleware = async (req, res, next) => {
       requestId: req.id
     });
     
-    next();
+    // Authenticated requests only see their tenant's rows (row-level
+    // security). Anonymous requests on a tenant host get no scope: they can
+    // only reach public endpoints, and the sign-in ones opt into the system
+    // scope in authMiddleware.
+    if (resolution.source === 'host') {
+      return next();
+    }
+    
+    database.runWithTenant(tenant.id, next);
     
   } catch (error) {
     logger.error('Tenant middleware error', {
@@ -134,48 +172,76 @@ export const tenantMiddleware = async (req, res, next) => {
 };
 
 /**
- * Extract tenant ID from request
+ * Resolve the tenant a request is for, strongest evidence first:
+ *   1. an API key: its own tenant (X-Tenant-ID may only restate it)
+ *   2. a verified access token: its tenant claim
+ *   3. the Host: a tenant subdomain of the portal domain or a custom domain
+ * A presented credential always decides; the Host is only consulted for
+ * anonymous requests, and X-Tenant-ID never selects a tenant on its own.
+ *
+ * Returns { tenantId, source }, { tenantId: null, credentialRejected } when
+ * the credential is invalid, or { forbidden } when the request names a
+ * tenant its credential does not belong to.
  */
-function extractTenantId(req) {
-  // 1. Check X-Tenant-ID header
-  let tenantId = req.headers['x-tenant-id'];
-  if (tenantId) return tenantId;
-  
-  // 2. Check Authorization JWT token
+async function resolveTenantId(req) {
   const authHeader = req.headers.authorization;
-  if (authHeader && authHeader.startsWith('Bearer ')) {
-    try {
-      const token = authHeader.substring(7);
-      // This would decode the JWT and extract tenant ID
-      // For now, we'll parse it from the token structure
-      const payload = JSON.parse(Buffer.from(token.split('.')[1], 'base64').toString());
-      if (payload.tenantId) return payload.tenantId;
-    } catch (error) {
-      // Invalid JWT, continue to other methods
+  const token = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+  const apiKey = req.headers['x-api-key'] || (token?.startsWith(API_KEY_PREFIX) ? token : null);
+  const requestedTenantId = req.headers['x-tenant-id'];
+  
+  if (apiKey) {
+    const key = await apiKeyService.authenticate(apiKey, { ip: req.ip });
+    // Shared with authMiddleware so the key is only looked up once
+    req.authenticatedApiKey = key;
+    
+    if (!key) {
+      return { tenantId: null, credentialRejected: true };
     }
+    if (requestedTenantId && requestedTenantId !== key.company_id) {
+      return { forbidden: 'API key is not authorized for this tenant', tenantId: key.company_id };
+    }
+    return { tenantId: key.company_id, source: 'api_key' };
   }
   
-  // 3. Check subdomain (for white-label deployments)
-  const host = req.get('host');
-  if (host) {
-    const subdomain = host.split('.')[0];
-    if (subdomain && subdomain !== 'www' && subdomain !== 'api') {
-      // Look up tenant by subdomain
-      return lookupTenantBySubdomain(subdomain);
+  if (token) {
+    let claims;
+    try {
+      claims = verifyToken(token);
+    } catch (error) {
+      return { tenantId: null, credentialRejected: true };
+    }
+    
+    if (requestedTenantId && requestedTenantId !== claims.tenantId) {
+      return { forbidden: 'X-Tenant-ID does not match the authenticated tenant', tenantId: claims.tenantId };
     }
+    return { tenantId: claims.tenantId || null, source: 'token' };
   }
   
-  // 4. Check custom domain mapping
-  if (host) {
-    return lookupTenantByDomain(host);
-  }
+  const tenantId = await resolveTenantFromHost(req.hostname);
+  return { tenantId, source: tenantId ? 'host' : null };
+}
+
+/**
+ * Tenant subdomains live directly under the portal domain; any other host
+ * must be a tenant's registered custom domain
+ */
+async function resolveTenantFromHost(hostname) {
+  const host = hostname?.toLowerCase();
+  if (!host) return null;
+  
+  const baseDomain = (process.env.TENANT_BASE_DOMAIN || 'wellness-portal.com').toLowerCase();
   
-  // 5. Check query parameter (for development/testing)
-  if (req.query.tenantId) {
-    return req.query.tenantId;
+  if (host.endsWith(`.${baseDomain}`)) {
+    const subdomain = host.slice(0, -(baseDomain.length + 1));
+    if (subdomain.includes('.') || RESERVED_SUBDOMAINS.includes(subdomain)) {
+      return null;
+    }
+    return lookupTenantBySubdomain(subdomain);
   }
   
-  return null;
+  if (host === baseDomain) return null;
+  
+  return lookupTenantByDomain(host);
 }
 
 /**
@@ -195,7 +261,7 @@ async function getTenantConfig(tenantId) {
     const query = `
       SELECT 
         id, name, domain, tier, max_employees, encryption_key,
-        white_label_config, sso_config, integration_config, billing_config,
+        white_label_config, sso_config, integration_config, billing_config, security_config,
         subscription_tier, subscription_status, subscription_start_date, subscription_end_date,
         primary_contact_email, primary_contact_name,
         industry, company_size, headquarters_location,
@@ -276,10 +342,10 @@ async function lookupTenantByDomain(domain) {
       return cached;
     }
     
-    // Query database for domain mapping
+    // Only domains registered for the portal; the primary (email) domain is not one
     const query = `
       SELECT id FROM tenant_main.companies 
-      WHERE domain = $1 OR white_label_config->>'customDomain' = $1
+      WHERE LOWER(white_label_config->>'customDomain') = $1
       AND status = 'active'
     `;
     
@@ -308,9 +374,16 @@ async function lookupTenantByDomain(domain) {
 function isPublicEndpoint(path) {
   const publicPaths = [
     '/api/health',
+    '/.well-known',
     '/api/auth/login',
     '/api/auth/register',
+    '/api/auth/refresh',
+    '/api/auth/logout',
+    '/api/auth/mfa',
     '/api/auth/sso',
+    '/api/auth/password',
+    '/api/auth/invitations',
+    '/scim/v2',
     '/api/onboarding/template'
   ];
   
@@ -323,7 +396,7 @@ function isPublicEndpoint(path) {
 export const validateTenantResource = (resourceType) => {
   return async (req, res, next) => {
     try {
-      const { tenantId } = req.tenant;
+      const { id: tenantId } = req.tenant;
       const resourceId = req.params.id || req.params.employeeId || req.params.resourceId;
       
       if (!resourceId) {
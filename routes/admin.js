@@ -4,16 +4,16 @@
  */
 
 import express from 'express';
+import { requirePermission } from '../middleware/permissions.js';
+import { impersonationService } from '../services/impersonation.js';
+import { signingKeyService } from '../services/signing-key.js';
 // Use global mock logger for demo
 const logger = global.mockLogger || console;
 
-// Mock auth middleware for demo
-const requireRole = (roles) => (req, res, next) => next();
-
 const router = express.Router();
 
-// All admin routes require admin role
-router.use(requireRole(['admin', 'super_admin']));
+// All admin routes are for platform operators only
+router.use(requirePermission('platform:read'));
 
 /**
  * GET /api/admin/platform-overview
@@ -138,7 +138,7 @@ router.get('/analytics/platform-metrics', async (req, res) => {
  * POST /api/admin/maintenance/cache-clear
  * Clear platform cache
  */
-router.post('/maintenance/cache-clear', async (req, res) => {
+router.post('/maintenance/cache-clear', requirePermission('platform:write'), async (req, res) => {
   try {
     const { cacheType = 'all' } = req.body;
     
@@ -170,6 +170,274 @@ router.post('/maintenance/cache-clear', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/admin/signing-keys
+ * JWT signing key ring: published, active, retiring and revoked keys
+ */
+router.get('/signing-keys', async (req, res) => {
+  try {
+    const keys = await signingKeyService.listKeys();
+    
+    res.json({
+      success: true,
+      keys,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to list signing keys', {
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to list signing keys',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/admin/signing-keys/rotate
+ * Rotate ahead of schedule; activateImmediately skips pre-publication (key compromise)
+ */
+router.post('/signing-keys/rotate', requirePermission('platform:write'), async (req, res) => {
+  try {
+    const key = await signingKeyService.rotate({
+      activateImmediately: req.body?.activateImmediately === true,
+      createdBy: req.user.id
+    });
+    
+    if (!key) {
+      return res.status(409).json({
+        error: 'A successor key is already scheduled',
+        requestId: req.id
+      });
+    }
+    
+    logger.info('Signing key rotated by operator', {
+      kid: key.kid,
+      userId: req.user.id,
+      requestId: req.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      key,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to rotate signing key', {
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to rotate signing key',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/admin/signing-keys/:kid/revoke
+ * Withdraw a key at once; every token it signed stops verifying
+ */
+router.post('/signing-keys/:kid/revoke', requirePermission('platform:write'), async (req, res) => {
+  try {
+    const result = await signingKeyService.revoke(req.params.kid, {
+      revokedBy: req.user.id
+    });
+    
+    if (result.status === 'signing_key') {
+      return res.status(409).json({
+        error: 'Rotate with activateImmediately before revoking the current signing key',
+        requestId: req.id
+      });
+    }
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        error: 'Signing key not found or already revoked',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to revoke signing key', {
+      kid: req.params.kid,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to revoke signing key',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/admin/impersonation
+ * Impersonation requests across tenants (filter by tenantId, status)
+ */
+router.get('/impersonation', requirePermission('platform:impersonate'), async (req, res) => {
+  try {
+    const grants = await impersonationService.listGrants({
+      tenantId: req.query.tenantId,
+      status: req.query.status
+    });
+    
+    res.json({
+      success: true,
+      grants,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to list impersonation requests', {
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to list impersonation requests',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/admin/impersonation
+ * Ask a tenant to approve a time-boxed "view as" session for one of its admins
+ */
+router.post('/impersonation', requirePermission('platform:impersonate'), async (req, res) => {
+  try {
+    const { tenantId, targetUserId, reason, durationMinutes } = req.body || {};
+    
+    const result = await impersonationService.requestGrant(req.user, {
+      tenantId,
+      targetUserId,
+      reason,
+      durationMinutes
+    }, auditContext(req));
+    
+    if (result.status !== 'success') {
+      return res.status(result.status === 'not_found' ? 404 : 400).json({
+        error: result.detail,
+        requestId: req.id
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      grant: result.grant,
+      message: 'Awaiting tenant admin approval',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to request impersonation', {
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to request impersonation',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/admin/impersonation/:grantId/token
+ * Start an approved session: returns an access token for the target admin
+ * that expires with the grant
+ */
+router.post('/impersonation/:grantId/token', requirePermission('platform:impersonate'), async (req, res) => {
+  try {
+    const result = await impersonationService.issueToken(req.params.grantId, req.user, auditContext(req));
+    
+    if (result.status !== 'success') {
+      return res.status(404).json({
+        error: 'No approved, unexpired grant found for this operator',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      token: result.token,
+      expiresAt: result.expiresAt,
+      user: result.user,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to start impersonation', {
+      grantId: req.params.grantId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to start impersonation',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/admin/impersonation/:grantId/end
+ * End one of the operator's own grants before its time box runs out
+ */
+router.post('/impersonation/:grantId/end', requirePermission('platform:impersonate'), async (req, res) => {
+  try {
+    const grant = await impersonationService.endGrant(req.params.grantId, req.user, {
+      requestedBy: req.user.id
+    }, auditContext(req));
+    
+    if (!grant) {
+      return res.status(404).json({
+        error: 'Grant not found or already closed',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      grant,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to end impersonation', {
+      grantId: req.params.grantId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to end impersonation',
+      requestId: req.id
+    });
+  }
+});
+
+function auditContext(req) {
+  return {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    requestId: req.id
+  };
+}
+
 // Helper methods
 router.getPlatformOverview = async function() {
   return {
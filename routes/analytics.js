@@ -8,9 +8,12 @@ import { integrationHubService } from '../services/integration-hub.js';
 import { corporateAnalyticsService } from '../services/corporate-analytics.js';
 import { logger } from '../utils/logger.js';
 import { validateTenantResource } from '../middleware/tenant.js';
+import { requirePermission } from '../middleware/permissions.js';
 
 const router = express.Router();
 
+router.use(requirePermission('analytics:read'));
+
 /**
  * GET /api/analytics/executive-dashboard
  * 🔥 The million-dollar executive dashboard that VCs will lose their minds over
@@ -3,24 +3,41 @@
  * Enterprise authentication with SSO support
  */
 
+import crypto from 'crypto';
 import express from 'express';
-// Use global mock logger for demo
-const logger = global.mockLogger || console;
-
-// Mock functions for demo
-const generateToken = (user, tenantId) => {
-  return `demo_token_${user.id}_${tenantId}_${Date.now()}`;
-};
-const database = {};
-const encryptionService = {};
+import passport from 'passport';
+import { generateToken, optionalAuthMiddleware, verifyToken } from '../middleware/auth.js';
+import { getPermissions } from '../middleware/permissions.js';
+import { authService } from '../services/auth.js';
+import { mfaService } from '../services/mfa.js';
+import { partnerService } from '../services/partner.js';
+import { passwordService } from '../services/password.js';
+import { ssoService } from '../services/sso.js';
+import { tokenService } from '../services/token.js';
+import { logger } from '../utils/logger.js';
+import { bindBrowserSession } from '../utils/session.js';
 
 const router = express.Router();
 
+/**
+ * Demo endpoints mint tokens for fictional users and tenants, so they are
+ * never exposed in production
+ */
+const demoOnly = (req, res, next) => {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({
+      error: 'Endpoint not found',
+      requestId: req.id
+    });
+  }
+  next();
+};
+
 /**
  * POST /api/auth/demo-login
  * Demo login for showcasing the platform
  */
-router.post('/demo-login', async (req, res) => {
+router.post('/demo-login', demoOnly, async (req, res) => {
   try {
     // Create demo user session for presentation purposes
     const demoUser = {
@@ -90,44 +107,88 @@ router.post('/login', async (req, res) => {
       });
     }
     
-    // For demo purposes, accept any login with demo credentials
-    if (email.includes('demo') || email.includes('test')) {
-      const demoUser = {
-        id: `user-${Date.now()}`,
-        email: email,
-        role: 'admin',
-        name: 'Demo User'
-      };
-      
-      const demoTenant = {
-        id: `tenant-${Date.now()}`,
-        name: 'Demo Corporation',
-        tier: 'enterprise'
-      };
+    const result = await authService.authenticate(
+      { email, password, tenantDomain },
+      { ip: req.ip, userAgent: req.get('User-Agent') }
+    );
+    
+    if (result.status === 'throttled') {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        error: 'Too many failed login attempts',
+        retryAfter: result.retryAfter,
+        requestId: req.id
+      });
+    }
+    
+    if (result.status === 'locked') {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(423).json({
+        error: 'Account temporarily locked',
+        retryAfter: result.retryAfter,
+        requestId: req.id
+      });
+    }
+    
+    if (result.status !== 'success') {
+      logger.warn('Login failed: invalid credentials', {
+        tenantDomain,
+        ip: req.ip,
+        requestId: req.id
+      });
       
-      const token = generateToken(demoUser, demoTenant.id);
+      return res.status(401).json({
+        error: 'Invalid credentials',
+        requestId: req.id
+      });
+    }
+    
+    const { user, tenant } = result;
+    
+    // Second factor: enrolled users, and users whose role the tenant policy covers
+    const mfa = await mfaService.getLoginRequirement(user, tenant.id, result.mfaEnabled);
+    if (mfa.required) {
+      logger.info('Login password step complete, MFA required', {
+        userId: user.id,
+        tenantId: tenant.id,
+        enrollmentRequired: mfa.enrollmentRequired,
+        requestId: req.id
+      });
       
       return res.json({
         success: true,
-        token,
-        user: demoUser,
-        tenant: demoTenant,
-        message: 'Login successful'
+        mfaRequired: true,
+        enrollmentRequired: mfa.enrollmentRequired,
+        mfaToken: mfaService.createChallengeToken(user, tenant.id, mfa),
+        message: mfa.enrollmentRequired
+          ? 'Multi-factor enrollment required'
+          : 'Multi-factor verification required'
       });
     }
     
-    // In production, this would validate against the database
-    logger.warn('Login attempt with non-demo credentials', {
-      email,
-      tenantDomain,
-      requestId: req.id
+    const session = await tokenService.issueSession(user, tenant.id, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
     });
+    await bindBrowserSession(req, session.sessionId, user, tenant.id);
     
-    res.status(401).json({
-      error: 'Invalid credentials. Use demo credentials for presentation.',
+    logger.info('Login successful', {
+      userId: user.id,
+      tenantId: tenant.id,
+      userType: user.userType,
       requestId: req.id
     });
     
+    res.json({
+      success: true,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
+      user,
+      tenant,
+      message: 'Login successful'
+    });
+    
   } catch (error) {
     logger.error('Login failed', {
       error: error.message,
@@ -141,11 +202,620 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * Resolve who an MFA request is for: an MFA challenge token from the
+ * password step, or an already authenticated access token
+ */
+async function resolveMfaSubject(req) {
+  if (req.body.mfaToken) {
+    const challenge = await mfaService.consumeChallengeToken(req.body.mfaToken);
+    return challenge ? { ...challenge, viaChallenge: true } : null;
+  }
+  
+  return req.user ? subjectFromUser(req.user) : null;
+}
+
+function subjectFromUser(user) {
+  return {
+    user: {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      userType: user.userType
+    },
+    tenantId: user.tenantId,
+    viaChallenge: false
+  };
+}
+
+/**
+ * Issue the access token once the second factor is satisfied
+ */
+async function completeMfaLogin(req, res, subject, extra = {}) {
+  const { tenantId } = subject;
+  const user = { ...subject.user, authMethod: 'mfa' };
+  const session = await tokenService.issueSession(user, tenantId, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+  await bindBrowserSession(req, session.sessionId, user, tenantId);
+  const tenant = await authService.getTenantSummary(tenantId);
+  
+  logger.info('Login successful', {
+    userId: user.id,
+    tenantId,
+    userType: user.userType,
+    mfa: true,
+    requestId: req.id
+  });
+  
+  res.json({
+    success: true,
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    user,
+    tenant,
+    ...extra,
+    message: 'Login successful'
+  });
+}
+
+/**
+ * POST /api/auth/mfa/verify
+ * Second login step: exchange an MFA challenge token and a TOTP or recovery code for an access token
+ */
+router.post('/mfa/verify', async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+    
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        error: 'MFA token and a verification code or recovery code are required',
+        requestId: req.id
+      });
+    }
+    
+    const subject = await resolveMfaSubject(req);
+    if (!subject || subject.enrollmentRequired) {
+      return res.status(401).json({
+        error: 'Invalid or expired MFA challenge',
+        requestId: req.id
+      });
+    }
+    
+    const method = await mfaService.verifyUser(subject.user, subject.tenantId, { code, recoveryCode });
+    if (!method) {
+      logger.security('MFA verification failed', {
+        tenantId: subject.tenantId,
+        userId: subject.user.id,
+        ip: req.ip,
+        requestId: req.id
+      });
+      
+      return res.status(401).json({
+        error: 'Invalid verification code',
+        requestId: req.id
+      });
+    }
+    
+    await completeMfaLogin(req, res, subject, { mfaMethod: method });
+    
+  } catch (error) {
+    logger.error('MFA verification error', {
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'MFA verification failed',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/enroll
+ * Start TOTP enrollment and return the provisioning URI for the authenticator QR code
+ */
+router.post('/mfa/enroll', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const subject = await resolveMfaSubject(req);
+    
+    // A challenge token only permits enrollment when policy forced it on an unenrolled account
+    if (!subject || (subject.viaChallenge && !subject.enrollmentRequired)) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        requestId: req.id
+      });
+    }
+    
+    const state = await mfaService.getMfaState(subject.user, subject.tenantId);
+    if (state?.mfa_enabled) {
+      return res.status(409).json({
+        error: 'MFA is already enabled for this account',
+        requestId: req.id
+      });
+    }
+    
+    const enrollment = await mfaService.startEnrollment(subject.user, subject.tenantId);
+    
+    res.json({
+      success: true,
+      ...enrollment,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code'
+    });
+    
+  } catch (error) {
+    logger.error('MFA enrollment failed', {
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'MFA enrollment failed',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/activate
+ * Confirm enrollment with a TOTP code; returns one-time recovery codes
+ */
+router.post('/mfa/activate', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({
+        error: 'Verification code is required',
+        requestId: req.id
+      });
+    }
+    
+    const subject = await resolveMfaSubject(req);
+    if (!subject || (subject.viaChallenge && !subject.enrollmentRequired)) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        requestId: req.id
+      });
+    }
+    
+    const recoveryCodes = await mfaService.activateEnrollment(subject.user, subject.tenantId, code);
+    if (!recoveryCodes) {
+      return res.status(400).json({
+        error: 'Invalid verification code or enrollment expired',
+        requestId: req.id
+      });
+    }
+    
+    // Enrollment forced during login completes that login
+    if (subject.viaChallenge) {
+      return completeMfaLogin(req, res, subject, { recoveryCodes });
+    }
+    
+    res.json({
+      success: true,
+      recoveryCodes,
+      message: 'MFA enabled. Store your recovery codes somewhere safe; they will not be shown again.'
+    });
+    
+  } catch (error) {
+    logger.error('MFA activation failed', {
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'MFA activation failed',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/recovery-codes
+ * Regenerate recovery codes (requires a current TOTP code)
+ */
+router.post('/mfa/recovery-codes', optionalAuthMiddleware, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        requestId: req.id
+      });
+    }
+    
+    const subject = subjectFromUser(req.user);
+    const method = await mfaService.verifyUser(subject.user, subject.tenantId, { code: req.body.code });
+    if (method !== 'totp') {
+      return res.status(401).json({
+        error: 'Invalid verification code',
+        requestId: req.id
+      });
+    }
+    
+    const recoveryCodes = await mfaService.regenerateRecoveryCodes(subject.user, subject.tenantId);
+    
+    res.json({
+      success: true,
+      recoveryCodes,
+      message: 'Recovery codes regenerated. Previous codes no longer work.'
+    });
+    
+  } catch (error) {
+    logger.error('Recovery code regeneration failed', {
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Recovery code regeneration failed',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/auth/mfa/disable
+ * Turn off MFA (requires a current TOTP code; refused where tenant policy mandates MFA)
+ */
+router.post('/mfa/disable', optionalAuthMiddleware, async (req, res) => {
+  try {
+    if (!req.user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        requestId: req.id
+      });
+    }
+    
+    const subject = subjectFromUser(req.user);
+    const policy = await mfaService.getTenantPolicy(subject.tenantId);
+    if (mfaService.isRequiredForRole(policy, subject.user.role)) {
+      return res.status(403).json({
+        error: 'MFA is required for your role by company policy',
+        requestId: req.id
+      });
+    }
+    
+    const method = await mfaService.verifyUser(subject.user, subject.tenantId, { code: req.body.code });
+    if (method !== 'totp') {
+      return res.status(401).json({
+        error: 'Invalid verification code',
+        requestId: req.id
+      });
+    }
+    
+    await mfaService.disable(subject.user, subject.tenantId);
+    
+    res.json({
+      success: true,
+      message: 'MFA disabled'
+    });
+    
+  } catch (error) {
+    logger.error('MFA disable failed', {
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'MFA disable failed',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * Provision the user asserted by a tenant IdP, then hand the session to the
+ * frontend via a one-time code
+ */
+async function completeSsoLogin(req, res, { tenantId, provider, settings, attributes, returnTo, idpIssuer }) {
+  const result = await authService.provisionSsoUser(tenantId, attributes, {
+    jitProvisioning: settings.jitProvisioning !== false,
+    allowedDomains: settings.allowedDomains || [],
+    provider
+  });
+  
+  if (result.status !== 'success') {
+    logger.security('SSO login denied', {
+      tenantId,
+      provider,
+      reason: result.reason,
+      idpIssuer,
+      requestId: req.id
+    });
+    return res.redirect(ssoService.buildFrontendRedirect({ error: result.reason }));
+  }
+  
+  const user = { ...result.user, authMethod: provider };
+  const { tenant } = result;
+  const session = await tokenService.issueSession(user, tenant.id, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+  const code = await ssoService.createLoginHandoff({
+    token: session.token,
+    refreshToken: session.refreshToken,
+    expiresIn: session.expiresIn,
+    user,
+    tenant
+  });
+  
+  logger.info('SSO login successful', {
+    userId: user.id,
+    tenantId: tenant.id,
+    userType: user.userType,
+    provider,
+    requestId: req.id
+  });
+  
+  res.redirect(ssoService.buildFrontendRedirect(returnTo ? { code, returnTo } : { code }));
+}
+
+/**
+ * GET /api/auth/sso/saml/:tenantId/metadata
+ * Service provider metadata for registering the portal with the tenant's IdP
+ */
+router.get('/sso/saml/:tenantId/metadata', async (req, res) => {
+  try {
+    const metadata = await ssoService.generateServiceProviderMetadata(req);
+    
+    res.type('application/xml').send(metadata);
+    
+  } catch (error) {
+    logger.warn('SAML metadata unavailable', {
+      tenantId: req.params.tenantId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(404).json({
+      error: 'SAML is not configured for this tenant',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/auth/sso/saml/:tenantId/login
+ * Start SP-initiated SAML login by redirecting to the tenant's IdP
+ */
+router.get('/sso/saml/:tenantId/login', (req, res, next) => {
+  req.query.RelayState = ssoService.sanitizeReturnTo(req.query.returnTo) || '';
+  
+  passport.authenticate(ssoService.samlStrategy, { session: false }, (error) => {
+    // Only reached when the redirect could not be built
+    logger.warn('SAML login could not start', {
+      tenantId: req.params.tenantId,
+      error: error?.message,
+      requestId: req.id
+    });
+    
+    res.status(404).json({
+      error: 'SAML is not enabled for this tenant',
+      requestId: req.id
+    });
+  })(req, res, next);
+});
+
+/**
+ * POST /api/auth/sso/saml/:tenantId/acs
+ * Assertion consumer service: validate the IdP response, provision the user
+ * and hand the session to the frontend via a one-time code
+ */
+router.post('/sso/saml/:tenantId/acs', (req, res, next) => {
+  const { tenantId } = req.params;
+  const returnTo = ssoService.sanitizeReturnTo(req.body?.RelayState);
+  
+  passport.authenticate(ssoService.samlStrategy, { session: false }, async (error, profile) => {
+    try {
+      if (error || !profile) {
+        logger.security('SAML assertion rejected', {
+          tenantId,
+          error: error?.message,
+          ip: req.ip,
+          requestId: req.id
+        });
+        return res.redirect(ssoService.buildFrontendRedirect({ error: 'sso_failed' }));
+      }
+      
+      const { saml } = await ssoService.getSsoConfig(tenantId);
+      const attributes = ssoService.mapSamlProfile(profile, saml.attributeMapping);
+      
+      await completeSsoLogin(req, res, {
+        tenantId,
+        provider: 'saml',
+        settings: saml,
+        attributes,
+        returnTo,
+        idpIssuer: profile.issuer
+      });
+      
+    } catch (callbackError) {
+      logger.error('SAML login failed', {
+        tenantId,
+        error: callbackError.message,
+        requestId: req.id
+      });
+      
+      res.redirect(ssoService.buildFrontendRedirect({ error: 'sso_failed' }));
+    }
+  })(req, res, next);
+});
+
+/**
+ * GET /api/auth/sso/oidc/:tenantId/login
+ * Start an OIDC authorization-code (PKCE) login with the tenant's provider
+ */
+router.get('/sso/oidc/:tenantId/login', async (req, res, next) => {
+  const { tenantId } = req.params;
+  
+  let oidcLogin;
+  try {
+    oidcLogin = await ssoService.createOidcStrategy(req, tenantId);
+  } catch (error) {
+    logger.warn('OIDC login could not start', {
+      tenantId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    return res.status(404).json({
+      error: 'OIDC is not enabled for this tenant',
+      requestId: req.id
+    });
+  }
+  
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  const returnTo = ssoService.sanitizeReturnTo(req.query.returnTo);
+  
+  passport.authenticate(oidcLogin.strategy, {
+    session: false,
+    state: { nonce, returnTo },
+    nonce,
+    hostedDomain: oidcLogin.oidc.hostedDomain
+  })(req, res, next);
+});
+
+/**
+ * GET /api/auth/sso/oidc/:tenantId/callback
+ * Redirect URI: exchange the code, validate the ID token and sign the user in
+ */
+router.get('/sso/oidc/:tenantId/callback', async (req, res, next) => {
+  const { tenantId } = req.params;
+  
+  if (req.query.error) {
+    logger.warn('OIDC provider returned an error', {
+      tenantId,
+      error: req.query.error,
+      requestId: req.id
+    });
+    return res.redirect(ssoService.buildFrontendRedirect({ error: 'sso_failed' }));
+  }
+  
+  let oidcLogin;
+  try {
+    oidcLogin = await ssoService.createOidcStrategy(req, tenantId);
+  } catch (error) {
+    return res.redirect(ssoService.buildFrontendRedirect({ error: 'sso_failed' }));
+  }
+  
+  const { strategy, oidc, discovery } = oidcLogin;
+  
+  passport.authenticate(strategy, { session: false }, async (error, result, info) => {
+    try {
+      if (error || !result?.params?.id_token) {
+        logger.security('OIDC callback rejected', {
+          tenantId,
+          error: error?.message || info?.message || 'No ID token returned',
+          ip: req.ip,
+          requestId: req.id
+        });
+        return res.redirect(ssoService.buildFrontendRedirect({ error: 'sso_failed' }));
+      }
+      
+      const state = info?.state || {};
+      let claims;
+      try {
+        claims = await ssoService.verifyIdToken(result.params.id_token, {
+          discovery,
+          clientId: oidc.clientId,
+          nonce: state.nonce
+        });
+      } catch (tokenError) {
+        logger.security('OIDC ID token rejected', {
+          tenantId,
+          error: tokenError.message,
+          ip: req.ip,
+          requestId: req.id
+        });
+        return res.redirect(ssoService.buildFrontendRedirect({ error: 'sso_failed' }));
+      }
+      
+      if (claims.email_verified === false || (oidc.hostedDomain && claims.hd !== oidc.hostedDomain)) {
+        logger.security('OIDC identity not accepted', {
+          tenantId,
+          subject: claims.sub,
+          hostedDomain: claims.hd,
+          requestId: req.id
+        });
+        return res.redirect(ssoService.buildFrontendRedirect({ error: 'identity_not_accepted' }));
+      }
+      
+      await completeSsoLogin(req, res, {
+        tenantId,
+        provider: 'oidc',
+        settings: oidc,
+        attributes: ssoService.mapOidcClaims(claims, oidc.claimMapping),
+        returnTo: ssoService.sanitizeReturnTo(state.returnTo),
+        idpIssuer: claims.iss
+      });
+      
+    } catch (callbackError) {
+      logger.error('OIDC login failed', {
+        tenantId,
+        error: callbackError.message,
+        requestId: req.id
+      });
+      
+      res.redirect(ssoService.buildFrontendRedirect({ error: 'sso_failed' }));
+    }
+  })(req, res, next);
+});
+
+/**
+ * POST /api/auth/sso/exchange
+ * Redeem the one-time code from an SSO redirect for an access token
+ */
+router.post('/sso/exchange', async (req, res) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({
+        error: 'Code is required',
+        requestId: req.id
+      });
+    }
+    
+    const handoff = await ssoService.redeemLoginHandoff(code);
+    if (!handoff) {
+      return res.status(401).json({
+        error: 'Invalid or expired code',
+        requestId: req.id
+      });
+    }
+    
+    // The IdP redirect happened in the browser; bind the session on this same-site call
+    const { sid } = verifyToken(handoff.token);
+    await bindBrowserSession(req, sid, handoff.user, handoff.tenant.id);
+    
+    res.json({
+      success: true,
+      ...handoff,
+      message: 'Login successful'
+    });
+    
+  } catch (error) {
+    logger.error('SSO code exchange failed', {
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'SSO code exchange failed',
+      requestId: req.id
+    });
+  }
+});
+
 /**
  * POST /api/auth/register
  * User registration (for demo purposes)
  */
-router.post('/register', async (req, res) => {
+router.post('/register', demoOnly, async (req, res) => {
   try {
     const { email, password, companyName, firstName, lastName } = req.body;
     
@@ -211,22 +881,272 @@ router.post('/register', async (req, res) => {
 
 /**
  * POST /api/auth/logout
- * User logout
+ * End the current session: its refresh tokens stop working and its access
+ * tokens are denied. A refresh token in the body is accepted when the access
+ * token has already expired.
  */
-router.post('/logout', (req, res) => {
-  // In a real implementation, this would invalidate the token
-  logger.info('User logout', {
-    userId: req.user?.id,
-    tenantId: req.user?.tenantId,
+router.post('/logout', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+    
+    if (req.user?.sessionId) {
+      await tokenService.revokeSession(req.user.sessionId, 'logout');
+    } else if (req.tokenClaims) {
+      await tokenService.revokeAccessToken(req.tokenClaims);
+    }
+    
+    if (refreshToken) {
+      await tokenService.revokeSessionByRefreshToken(refreshToken, 'logout');
+    }
+    
+    logger.info('User logout', {
+      userId: req.user?.id,
+      tenantId: req.user?.tenantId,
+      requestId: req.id
+    });
+    
+    res.json({
+      success: true,
+      message: 'Logout successful'
+    });
+    
+  } catch (error) {
+    logger.error('Logout failed', {
+      error: error.message,
+      userId: req.user?.id,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Logout failed',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/auth/password/forgot
+ * Email a single-use reset link. The response never reveals whether the
+ * address belongs to an account.
+ */
+router.post('/password/forgot', async (req, res) => {
+  try {
+    const { email, tenantDomain } = req.body || {};
+    
+    if (!email) {
+      return res.status(400).json({
+        error: 'Email is required',
+        requestId: req.id
+      });
+    }
+    
+    await passwordService.requestPasswordReset(
+      { email, tenantDomain },
+      { ip: req.ip }
+    );
+    
+  } catch (error) {
+    // Failures are logged but answered like successes to avoid account enumeration
+    logger.error('Password reset request failed', {
+      error: error.message,
+      requestId: req.id
+    });
+  }
+  
+  res.status(202).json({
+    success: true,
+    message: 'If the address belongs to an account, a reset link has been sent',
     requestId: req.id
   });
-  
+});
+
+/**
+ * POST /api/auth/password/reset
+ * Choose a new password with a reset link token; signs out every session
+ */
+router.post('/password/reset', (req, res) => {
+  completePasswordLink(req, res, 'password_reset', (token, password, context) =>
+    passwordService.completeLink(token, 'password_reset', password, context)
+  );
+});
+
+/**
+ * POST /api/auth/invitations/accept
+ * Choose a first password with an invitation link token and activate the account
+ */
+router.post('/invitations/accept', (req, res) => {
+  // Partners accept through their own endpoint, which captures consent
+  completePasswordLink(req, res, 'invitation', (token, password, context) =>
+    passwordService.completeLink(token, 'invitation', password, context, {
+      userTypes: ['admin', 'employee']
+    })
+  );
+});
+
+/**
+ * GET /api/auth/invitations/partner/consent
+ * Consent terms a partner must accept with their invitation
+ */
+router.get('/invitations/partner/consent', (req, res) => {
   res.json({
     success: true,
-    message: 'Logout successful'
+    consent: partnerService.getConsentTerms(),
+    requestId: req.id
   });
 });
 
+/**
+ * POST /api/auth/invitations/partner/accept
+ * Partner invitation acceptance: sets a password and records explicit
+ * consent ({ accepted: true, version }) to the current terms
+ */
+router.post('/invitations/partner/accept', (req, res) => {
+  completePasswordLink(req, res, 'invitation', (token, password, context) =>
+    partnerService.acceptInvitation(token, password, req.body?.consent, context)
+  );
+});
+
+async function completePasswordLink(req, res, purpose, complete) {
+  try {
+    const { token, password } = req.body || {};
+    
+    if (!token || !password) {
+      return res.status(400).json({
+        error: 'Token and password are required',
+        requestId: req.id
+      });
+    }
+    
+    const result = await complete(token, password, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    if (result.status === 'weak_password') {
+      return res.status(400).json({
+        error: 'Password does not meet the password policy',
+        violations: result.violations,
+        requestId: req.id
+      });
+    }
+    
+    if (result.status === 'consent_required') {
+      return res.status(400).json({
+        error: 'Consent to the current terms is required',
+        consent: partnerService.getConsentTerms(),
+        requestId: req.id
+      });
+    }
+    
+    if (result.status !== 'success') {
+      logger.warn('Rejected password link', {
+        purpose,
+        reason: result.status,
+        ip: req.ip,
+        requestId: req.id
+      });
+      
+      return res.status(400).json({
+        error: 'This link is invalid or has expired',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: purpose === 'invitation'
+        ? 'Password set. You can now sign in.'
+        : 'Password reset. Sign in with your new password.',
+      email: result.user.email,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to set password from link', {
+      purpose,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to set password',
+      requestId: req.id
+    });
+  }
+}
+
+/**
+ * GET /api/auth/sessions
+ * List the current user's active sessions and devices
+ */
+router.get('/sessions', async (req, res) => {
+  try {
+    const sessions = await tokenService.listUserSessions(req.user.tenantId, req.user.id, req.user.userType);
+    
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sessionId
+      })),
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to list sessions', {
+      userId: req.user?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * DELETE /api/auth/sessions/:sessionId
+ * Sign out one of the current user's sessions
+ */
+router.delete('/sessions/:sessionId', async (req, res) => {
+  try {
+    const revoked = await tokenService.revokeUserSession(
+      req.user.tenantId,
+      req.user.id,
+      req.user.userType,
+      req.params.sessionId
+    );
+    
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Session not found',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Session revoked',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to revoke session', {
+      userId: req.user?.id,
+      sessionId: req.params.sessionId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to revoke session',
+      requestId: req.id
+    });
+  }
+});
+
 /**
  * GET /api/auth/me
  * Get current user info
@@ -242,35 +1162,57 @@ router.get('/me', (req, res) => {
   res.json({
     success: true,
     user: req.user,
+    permissions: getPermissions(req.user),
     tenant: req.tenant
   });
 });
 
 /**
  * POST /api/auth/refresh
- * Refresh authentication token
+ * Rotate a refresh token: returns a new access token and a new refresh token.
+ * Presenting an already-used refresh token revokes the whole session.
  */
-router.post('/refresh', (req, res) => {
-  if (!req.user) {
-    return res.status(401).json({
-      error: 'Not authenticated',
-      requestId: req.id
-    });
-  }
-  
+router.post('/refresh', async (req, res) => {
   try {
-    const newToken = generateToken(req.user, req.user.tenantId);
+    const { refreshToken } = req.body || {};
+    
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Refresh token is required',
+        requestId: req.id
+      });
+    }
+    
+    const result = await tokenService.refresh(refreshToken, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    if (result.status === 'reused') {
+      return res.status(401).json({
+        error: 'Refresh token has already been used; session revoked',
+        requestId: req.id
+      });
+    }
+    
+    if (result.status !== 'success') {
+      return res.status(401).json({
+        error: 'Invalid refresh token',
+        requestId: req.id
+      });
+    }
     
     res.json({
       success: true,
-      token: newToken,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn,
       message: 'Token refreshed successfully'
     });
     
   } catch (error) {
     logger.error('Token refresh failed', {
       error: error.message,
-      userId: req.user.id,
       requestId: req.id
     });
     
@@ -286,7 +1228,7 @@ router.post('/refresh', (req, res) => {
  * Get CSRF token for forms
  */
 router.get('/csrf-token', (req, res) => {
-  const csrfToken = require('crypto').randomBytes(32).toString('hex');
+  const csrfToken = crypto.randomBytes(32).toString('hex');
   
   // Store in session for validation
   req.session.csrfToken = csrfToken;
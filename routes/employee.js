@@ -4,19 +4,22 @@
  */
 
 import express from 'express';
+import { requirePermission } from '../middleware/permissions.js';
+import { validateTenantResource } from '../middleware/tenant.js';
+import { authService } from '../services/auth.js';
+import { partnerService } from '../services/partner.js';
+import { passwordService } from '../services/password.js';
+import { tokenService } from '../services/token.js';
 // Use global mock logger for demo
 const logger = global.mockLogger || console;
 
-// Mock tenant validation middleware for demo
-const validateTenantResource = (resource) => (req, res, next) => next();
-
 const router = express.Router();
 
 /**
  * GET /api/employee
  * Get all employees for tenant with pagination
  */
-router.get('/', async (req, res) => {
+router.get('/', requirePermission('employees:read'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { page = 1, limit = 50, search, department, status } = req.query;
@@ -54,7 +57,7 @@ router.get('/', async (req, res) => {
  * GET /api/employee/:employeeId
  * Get specific employee details
  */
-router.get('/:employeeId', validateTenantResource('employee'), async (req, res) => {
+router.get('/:employeeId', requirePermission('employees:read', { subjectParam: 'employeeId', allowTeam: true }), validateTenantResource('employee'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { employeeId } = req.params;
@@ -93,7 +96,7 @@ router.get('/:employeeId', validateTenantResource('employee'), async (req, res)
  * PUT /api/employee/:employeeId
  * Update employee information
  */
-router.put('/:employeeId', validateTenantResource('employee'), async (req, res) => {
+router.put('/:employeeId', requirePermission('employees:write'), validateTenantResource('employee'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { employeeId } = req.params;
@@ -134,7 +137,7 @@ router.put('/:employeeId', validateTenantResource('employee'), async (req, res)
  * GET /api/employee/:employeeId/health-summary
  * Get employee health summary
  */
-router.get('/:employeeId/health-summary', validateTenantResource('employee'), async (req, res) => {
+router.get('/:employeeId/health-summary', requirePermission('employees:read', { subjectParam: 'employeeId' }), validateTenantResource('employee'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { employeeId } = req.params;
@@ -166,7 +169,7 @@ router.get('/:employeeId/health-summary', validateTenantResource('employee'), as
  * GET /api/employee/:employeeId/app-usage
  * Get employee app usage statistics
  */
-router.get('/:employeeId/app-usage', validateTenantResource('employee'), async (req, res) => {
+router.get('/:employeeId/app-usage', requirePermission('employees:read', { subjectParam: 'employeeId' }), validateTenantResource('employee'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { employeeId } = req.params;
@@ -200,7 +203,7 @@ router.get('/:employeeId/app-usage', validateTenantResource('employee'), async (
  * POST /api/employee/:employeeId/assign-apps
  * Assign apps to employee
  */
-router.post('/:employeeId/assign-apps', validateTenantResource('employee'), async (req, res) => {
+router.post('/:employeeId/assign-apps', requirePermission('employees:write'), validateTenantResource('employee'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { employeeId } = req.params;
@@ -248,11 +251,353 @@ router.post('/:employeeId/assign-apps', validateTenantResource('employee'), asyn
   }
 });
 
+/**
+ * POST /api/employee/:employeeId/unlock
+ * Clear a login lockout for an employee account
+ */
+router.post('/:employeeId/unlock', requirePermission('employees:write'), validateTenantResource('employee'), async (req, res) => {
+  try {
+    const { employeeId } = req.params;
+    
+    const unlocked = await authService.unlockAccount(req.tenant.id, employeeId, 'employee', {
+      unlockedBy: req.user.id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    if (!unlocked) {
+      return res.status(404).json({
+        error: 'Employee not found',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Employee account unlocked',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to unlock employee account', {
+      tenantId: req.tenant?.id,
+      employeeId: req.params.employeeId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to unlock account',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/employee/:employeeId/invitation
+ * Re-send the welcome email with a new invitation link; earlier links stop working
+ */
+router.post('/:employeeId/invitation', requirePermission('employees:write'), validateTenantResource('employee'), async (req, res) => {
+  try {
+    const invitation = await passwordService.sendInvitation(req.tenant.id, req.params.employeeId, {
+      createdBy: req.user.id
+    });
+    
+    if (!invitation) {
+      return res.status(409).json({
+        error: 'Employee not found or account is not active',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Invitation sent',
+      expiresAt: invitation.expiresAt,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to send invitation', {
+      tenantId: req.tenant?.id,
+      employeeId: req.params.employeeId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to send invitation',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/employee/:employeeId/partner
+ * The spouse/partner the employee sponsors
+ */
+router.get('/:employeeId/partner', requirePermission('employees:read', { subjectParam: 'employeeId' }), validateTenantResource('employee'), async (req, res) => {
+  try {
+    const partner = await partnerService.getPartnerForEmployee(req.tenant.id, req.params.employeeId);
+    
+    if (!partner) {
+      return res.status(404).json({
+        error: 'No partner found',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      partner,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to get partner', {
+      tenantId: req.tenant?.id,
+      employeeId: req.params.employeeId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to get partner',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/employee/:employeeId/partner
+ * Invite the employee's spouse/partner to partner-facing apps
+ */
+router.post('/:employeeId/partner', requirePermission('employees:write', { subjectParam: 'employeeId' }), validateTenantResource('employee'), async (req, res) => {
+  try {
+    const { email, relationship, apps = ['supportpartner'] } = req.body || {};
+    
+    const result = await partnerService.invitePartner(req.tenant.id, req.params.employeeId, {
+      email,
+      relationship,
+      apps
+    }, { invitedBy: req.user.id });
+    
+    if (result.status !== 'success') {
+      const statusCodes = { invalid: 400, not_found: 404, conflict: 409 };
+      return res.status(statusCodes[result.status]).json({
+        error: result.detail,
+        requestId: req.id
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      partner: result.partner,
+      invitationSent: result.invitationSent,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to invite partner', {
+      tenantId: req.tenant?.id,
+      employeeId: req.params.employeeId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to invite partner',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * DELETE /api/employee/:employeeId/partner
+ * Remove the employee's partner; their access and sessions end immediately
+ */
+router.delete('/:employeeId/partner', requirePermission('employees:write', { subjectParam: 'employeeId' }), validateTenantResource('employee'), async (req, res) => {
+  try {
+    const revoked = await partnerService.revokeForSponsor(
+      req.tenant.id,
+      req.params.employeeId,
+      'removed_by_sponsor',
+      { revokedBy: req.user.id }
+    );
+    
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'No partner found',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Partner access revoked',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to revoke partner', {
+      tenantId: req.tenant?.id,
+      employeeId: req.params.employeeId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to revoke partner',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/employee/:employeeId/sessions
+ * List an employee's active sessions and devices
+ */
+router.get('/:employeeId/sessions', requirePermission('employees:write'), validateTenantResource('employee'), async (req, res) => {
+  try {
+    const sessions = await tokenService.listUserSessions(req.tenant.id, req.params.employeeId, 'employee');
+    
+    res.json({
+      success: true,
+      sessions,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to list employee sessions', {
+      tenantId: req.tenant?.id,
+      employeeId: req.params.employeeId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to list sessions',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/employee/:employeeId/sessions/revoke
+ * Force sign-out of every session for an employee
+ */
+router.post('/:employeeId/sessions/revoke', requirePermission('employees:write'), validateTenantResource('employee'), async (req, res) => {
+  try {
+    const revokedCount = await tokenService.revokeAllUserSessions(
+      req.tenant.id,
+      req.params.employeeId,
+      'employee',
+      'admin_revoked',
+      { revokedBy: req.user.id }
+    );
+    
+    res.json({
+      success: true,
+      revokedCount,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to revoke employee sessions', {
+      tenantId: req.tenant?.id,
+      employeeId: req.params.employeeId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to revoke sessions',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * PUT /api/employee/:employeeId/status
+ * Change an employee's account status; suspending or terminating signs them out everywhere
+ */
+router.put('/:employeeId/status', requirePermission('employees:write'), validateTenantResource('employee'), async (req, res) => {
+  try {
+    const { status } = req.body;
+    
+    if (!['pending', 'active', 'suspended', 'terminated'].includes(status)) {
+      return res.status(400).json({
+        error: 'Invalid account status',
+        requestId: req.id
+      });
+    }
+    
+    const employee = await authService.setEmployeeStatus(req.tenant.id, req.params.employeeId, status);
+    
+    if (!employee) {
+      return res.status(404).json({
+        error: 'Employee not found',
+        requestId: req.id
+      });
+    }
+    
+    let revokedCount = 0;
+    let revokedPartners = 0;
+    if (status === 'suspended' || status === 'terminated') {
+      revokedCount = await tokenService.revokeAllUserSessions(
+        req.tenant.id,
+        employee.id,
+        'employee',
+        `account_${status}`,
+        { revokedBy: req.user.id }
+      );
+      
+      // Partner access is sponsored by the employee and ends with theirs
+      revokedPartners = await partnerService.revokeForSponsor(
+        req.tenant.id,
+        employee.id,
+        `sponsor_${status}`,
+        { revokedBy: req.user.id }
+      );
+    }
+    
+    logger.info('Employee account status changed', {
+      tenantId: req.tenant.id,
+      employeeId: employee.id,
+      status,
+      changedBy: req.user.id,
+      revokedSessions: revokedCount,
+      revokedPartners
+    });
+    
+    res.json({
+      success: true,
+      status: employee.account_status,
+      revokedSessions: revokedCount,
+      revokedPartners,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to change employee status', {
+      tenantId: req.tenant?.id,
+      employeeId: req.params.employeeId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to change account status',
+      requestId: req.id
+    });
+  }
+});
+
 /**
  * GET /api/employee/bulk-actions/template
  * Download template for bulk employee actions
  */
-router.get('/bulk-actions/template', (req, res) => {
+router.get('/bulk-actions/template', requirePermission('employees:write'), (req, res) => {
   const csvTemplate = `employee_id,email,action,app_name,access_level,notes
 EMP001,john.doe@company.com,assign,innerarchitect,premium,High stress role
 EMP002,jane.smith@company.com,assign,menowellness,basic,Age appropriate
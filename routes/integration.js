@@ -5,11 +5,17 @@
 
 import express from 'express';
 import { integrationHubService } from '../services/integration-hub.js';
+import { eventLogService } from '../services/event-log.js';
 import { logger } from '../utils/logger.js';
 import { validateTenantResource } from '../middleware/tenant.js';
+import { requirePermission } from '../middleware/permissions.js';
 
 const router = express.Router();
 
+// Every route reads integration data; the POSTs also send tenant data to
+// external services and additionally require integrations:write
+router.use(requirePermission('integrations:read'));
+
 /**
  * GET /api/integration/health
  * Check health status of all integrated services
@@ -48,11 +54,47 @@ router.get('/health', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/integration/events
+ * Page through this tenant's integration calls (filter by service, status, from, to)
+ */
+router.get('/events', async (req, res) => {
+  try {
+    const result = await eventLogService.listIntegrationEvents(req.tenant.id, req.query);
+    
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        error: result.detail,
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      events: result.events,
+      pagination: result.pagination,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to list integration events', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to list integration events',
+      requestId: req.id
+    });
+  }
+});
+
 /**
  * POST /api/integration/population-insights
  * Generate comprehensive population health insights
  */
-router.post('/population-insights', async (req, res) => {
+router.post('/population-insights', requirePermission('integrations:write'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { options = {} } = req.body;
@@ -98,7 +140,7 @@ router.post('/population-insights', async (req, res) => {
  * POST /api/integration/risk-assessment/:employeeId
  * Real-time employee risk assessment
  */
-router.post('/risk-assessment/:employeeId', validateTenantResource('employee'), async (req, res) => {
+router.post('/risk-assessment/:employeeId', requirePermission('integrations:write'), validateTenantResource('employee'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { employeeId } = req.params;
@@ -150,7 +192,7 @@ router.post('/risk-assessment/:employeeId', validateTenantResource('employee'),
  * POST /api/integration/program-analysis/:programId
  * Analyze wellness program effectiveness
  */
-router.post('/program-analysis/:programId', async (req, res) => {
+router.post('/program-analysis/:programId', requirePermission('integrations:write'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { programId } = req.params;
@@ -271,7 +313,7 @@ router.get('/dashboard-data', async (req, res) => {
  * POST /api/integration/dralexai/clinical-insights
  * Direct Dr. Alex AI clinical insights integration
  */
-router.post('/dralexai/clinical-insights', async (req, res) => {
+router.post('/dralexai/clinical-insights', requirePermission('integrations:write'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { populationData, analysisType = 'comprehensive_population_health' } = req.body;
@@ -322,7 +364,7 @@ router.post('/dralexai/clinical-insights', async (req, res) => {
  * POST /api/integration/sentiment/correlation-analysis
  * Direct SentimentAsAService correlation analysis
  */
-router.post('/sentiment/correlation-analysis', async (req, res) => {
+router.post('/sentiment/correlation-analysis', requirePermission('integrations:write'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { dataSet, analysisTypes = ['engagement_correlation', 'wellness_sentiment'] } = req.body;
@@ -426,7 +468,7 @@ router.get('/real-time-metrics', async (req, res) => {
  * POST /api/integration/claude-ai/synthesize
  * Direct Claude AI synthesis for complex analysis
  */
-router.post('/claude-ai/synthesize', async (req, res) => {
+router.post('/claude-ai/synthesize', requirePermission('integrations:write'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { analysisType, dataInputs, customPrompt } = req.body;
@@ -5,13 +5,17 @@
 
 import express from 'express';
 import multer from 'multer';
-import { bulkOnboardingService } from '../services/bulk-onboarding.js';
+import { bulkOnboardingService, ONBOARDING_MODES, ONBOARDING_VALIDATION_MODES } from '../services/bulk-onboarding.js';
+import { onboardingPlanService } from '../services/onboarding-plan.js';
+import { columnMappingService, MAPPING_TARGET_FIELDS } from '../services/column-mapping.js';
 import { logger } from '../utils/logger.js';
+import { database } from '../utils/database.js';
 import { fileUploadSecurity } from '../middleware/security.js';
+import { requirePermission, hasPermission } from '../middleware/permissions.js';
 
 const router = express.Router();
 
-// Configure multer for CSV uploads
+// Configure multer for CSV and XLSX uploads
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
@@ -27,7 +31,7 @@ const upload = multer({
       'text/plain'
     ];
     
-    if (allowedTypes.includes(file.mimetype) || file.originalname.endsWith('.csv')) {
+    if (allowedTypes.includes(file.mimetype) || /\.(csv|xlsx)$/i.test(file.originalname)) {
       cb(null, true);
     } else {
       cb(new Error('Invalid file type. Please upload CSV or Excel files only.'));
@@ -35,13 +39,42 @@ const upload = multer({
   }
 });
 
+// multer resumes the chain from busboy's stream events, outside the
+// request's async context; bind next so the tenant's database scope survives
+const uploadFile = field => (req, res, next) => upload.single(field)(req, res, database.bindScope(next));
+
+/**
+ * terminationGraceDays from a form field: undefined when not given, NaN when invalid
+ */
+const parseGraceDays = value => {
+  if (value === undefined || value === '') return undefined;
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 0 && days <= 365 ? days : NaN;
+};
+
+/**
+ * Response body for a dry run: the plan, plus the fields /validate has always returned
+ */
+const dryRunResponse = (plan, requestId) => ({
+  message: 'Dry run completed',
+  ...plan,
+  valid: plan.summary.invalid === 0,
+  totalRecords: plan.totalRows,
+  validRecords: plan.totalRows - plan.summary.invalid,
+  invalidRecords: plan.summary.invalid,
+  itemsUrl: `/api/onboarding/plans/${plan.planId}/items`,
+  approveUrl: `/api/onboarding/plans/${plan.planId}/approve`,
+  requestId
+});
+
 /**
  * POST /api/onboarding/upload
- * Upload CSV file and start bulk onboarding process
+ * Upload a CSV or XLSX file and start bulk onboarding process; mode=sync updates,
+ * reactivates and (with terminateMissing) terminates to match the file
  */
-router.post('/upload', upload.single('csvFile'), fileUploadSecurity, async (req, res) => {
+router.post('/upload', requirePermission('onboarding:run'), uploadFile('csvFile'), fileUploadSecurity, async (req, res) => {
   try {
-    const { tenantId } = req.tenant;
+    const tenantId = req.tenant.id;
     const file = req.file;
     
     if (!file) {
@@ -58,25 +91,136 @@ router.post('/upload', upload.single('csvFile'), fileUploadSecurity, async (req,
       requestId: req.id
     });
     
+    const validationMode = req.body.validationMode || 'partial';
+    if (!ONBOARDING_VALIDATION_MODES.includes(validationMode)) {
+      return res.status(400).json({
+        error: `validationMode must be one of: ${ONBOARDING_VALIDATION_MODES.join(', ')}`,
+        requestId: req.id
+      });
+    }
+    
+    const mode = req.body.mode || 'create';
+    if (!ONBOARDING_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: `mode must be one of: ${ONBOARDING_MODES.join(', ')}`,
+        requestId: req.id
+      });
+    }
+    
+    const terminationGraceDays = parseGraceDays(req.body.terminationGraceDays);
+    if (Number.isNaN(terminationGraceDays)) {
+      return res.status(400).json({
+        error: 'terminationGraceDays must be a whole number of days from 0 to 365',
+        requestId: req.id
+      });
+    }
+    
     // Parse options from request body
     const options = {
+      validationMode,
       sendWelcomeEmails: req.body.sendWelcomeEmails !== 'false',
       autoActivate: req.body.autoActivate !== 'false',
       dryRun: req.body.dryRun === 'true',
+      sheetName: req.body.sheetName || undefined, // XLSX only; the first sheet by default
+      mappingProfileId: req.body.mappingProfileId || undefined,
       notificationSettings: req.body.notificationSettings ? 
         JSON.parse(req.body.notificationSettings) : {}
     };
     
+    const rosterOptions = {
+      terminateMissing: req.body.terminateMissing === 'true',
+      terminationGraceDays
+    };
+    
+    // A dry run only plans; the plan is applied by approving it
+    if (options.dryRun) {
+      const { dryRun, ...planOptions } = options;
+      const plan = await onboardingPlanService.createPlan(tenantId, file, {
+        ...planOptions,
+        ...rosterOptions
+      }, { createdBy: req.user });
+      
+      return res.json(dryRunResponse(plan, req.id));
+    }
+    
+    if (mode === 'sync') {
+      // Terminations are an employee write beyond onboarding
+      if (rosterOptions.terminateMissing && !hasPermission(req.user, 'employees:write')) {
+        return res.status(403).json({
+          error: 'Insufficient permissions',
+          requiredPermission: 'employees:write',
+          requestId: req.id
+        });
+      }
+      
+      const result = await onboardingPlanService.syncRoster(tenantId, file, {
+        ...options,
+        ...rosterOptions
+      }, { initiatedBy: req.user });
+      
+      // Strict mode applies nothing; the plan stays pending for review
+      if (result.status === 'invalid') {
+        return res.status(400).json({
+          error: `${result.plan.summary.invalid} rows are invalid; nothing was applied`,
+          validationMode,
+          plan: result.plan,
+          itemsUrl: `/api/onboarding/plans/${result.plan.planId}/items?action=invalid`,
+          approveUrl: `/api/onboarding/plans/${result.plan.planId}/approve`,
+          requestId: req.id
+        });
+      }
+      if (result.status !== 'success') {
+        return res.status(409).json({
+          error: result.detail,
+          status: result.status,
+          requestId: req.id
+        });
+      }
+      
+      return res.status(202).json({
+        message: 'Roster sync applied',
+        plan: result.plan,
+        updated: result.updated,
+        reactivated: result.reactivated,
+        terminated: result.terminated,
+        terminationsScheduled: result.terminationsScheduled,
+        terminationsCancelled: result.terminationsCancelled,
+        onboarding: result.run,
+        statusUrl: result.run ? `/api/onboarding/status/${result.run.onboardingId}` : null,
+        itemsUrl: `/api/onboarding/plans/${result.plan.planId}/items`,
+        requestId: req.id
+      });
+    }
+    
     // Start bulk onboarding process
-    const result = await bulkOnboardingService.processCSVUpload(tenantId, file, options);
+    const result = await bulkOnboardingService.processCSVUpload(tenantId, file, options, {
+      initiatedBy: req.user
+    });
+    
+    const errorReportUrl = result.invalidRecords > 0 ?
+      `/api/onboarding/status/${result.onboardingId}/error-report` : null;
+    
+    // Strict mode rejects the whole file; the run and its report remain
+    if (result.status === 'failed') {
+      return res.status(400).json({
+        error: result.error,
+        onboardingId: result.onboardingId,
+        validationMode: result.validationMode,
+        invalidRecords: result.invalidRecords,
+        errorReportUrl,
+        requestId: req.id
+      });
+    }
     
     res.status(202).json({
       message: 'Bulk onboarding process started',
       onboardingId: result.onboardingId,
       status: result.status,
+      validationMode: result.validationMode,
       totalEmployees: result.totalEmployees,
       totalBatches: result.totalBatches,
       invalidRecords: result.invalidRecords,
+      errorReportUrl,
       estimatedCompletionTime: result.estimatedCompletionTime,
       processingTimeMs: result.processingTimeMs,
       requestId: req.id
@@ -100,40 +244,51 @@ router.post('/upload', upload.single('csvFile'), fileUploadSecurity, async (req,
  * GET /api/onboarding/status/:onboardingId
  * Get status of bulk onboarding process
  */
-router.get('/status/:onboardingId', async (req, res) => {
+router.get('/status/:onboardingId', requirePermission('onboarding:run'), async (req, res) => {
   try {
-    const { tenantId } = req.tenant;
+    const tenantId = req.tenant.id;
     const { onboardingId } = req.params;
     
     const status = await bulkOnboardingService.getOnboardingStatus(tenantId, onboardingId);
     
-    // Calculate progress percentage
-    const progressPercentage = status.totalBatches > 0 ? 
-      Math.round((status.completedBatches / status.totalBatches) * 100) : 0;
-    
-    // Determine overall status
-    let overallStatus = status.status;
-    if (status.completedBatches === status.totalBatches && status.totalBatches > 0) {
-      overallStatus = 'completed';
+    if (!status) {
+      return res.status(404).json({
+        error: 'Onboarding session not found',
+        requestId: req.id
+      });
     }
     
+    // Progress counts rows, so it moves while a batch is still running
+    const progressPercentage = status.totalEmployees > 0 ?
+      Math.round((status.totalProcessed / status.totalEmployees) * 100) : 0;
+    
     res.json({
       onboardingId,
-      status: overallStatus,
+      status: status.status,
+      validationMode: status.validationMode,
+      filename: status.filename,
+      initiatedBy: status.initiatedBy,
       progress: {
         percentage: progressPercentage,
         completedBatches: status.completedBatches,
+        failedBatches: status.failedBatches,
         totalBatches: status.totalBatches,
+        totalRows: status.totalRows,
         totalEmployees: status.totalEmployees,
+        invalidRecords: status.invalidRecords,
         totalProcessed: status.totalProcessed,
         totalSuccessful: status.totalSuccessful,
-        totalFailed: status.totalProcessed - status.totalSuccessful
+        totalFailed: status.totalFailed
       },
       timing: {
         startTime: status.startTime,
+        completedAt: status.completedAt,
         lastUpdate: status.lastUpdate,
         estimatedCompletion: status.estimatedCompletionTime
       },
+      error: status.error,
+      errorReportUrl: status.invalidRecords > 0 || status.totalFailed > 0 ?
+        `/api/onboarding/status/${onboardingId}/error-report` : null,
       batchDetails: status.batchStatuses,
       requestId: req.id
     });
@@ -146,10 +301,102 @@ router.get('/status/:onboardingId', async (req, res) => {
       requestId: req.id
     });
     
-    res.status(404).json({
+    res.status(500).json({
+      error: 'Failed to retrieve onboarding status',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/onboarding/status/:onboardingId/records
+ * Per-row outcomes of an onboarding run, filterable by status
+ */
+router.get('/status/:onboardingId/records', requirePermission('onboarding:run'), async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const { onboardingId } = req.params;
+    
+    const result = await bulkOnboardingService.listOnboardingRecords(tenantId, onboardingId, req.query);
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        error: 'Onboarding session not found',
+        requestId: req.id
+      });
+    }
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        error: result.detail,
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      onboardingId,
+      records: result.records,
+      pagination: result.pagination,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to get onboarding records', {
+      tenantId: req.tenant?.id,
+      onboardingId: req.params.onboardingId,
       error: error.message,
       requestId: req.id
     });
+    
+    res.status(500).json({
+      error: 'Failed to retrieve onboarding records',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/onboarding/status/:onboardingId/error-report
+ * Download the rows that were quarantined or failed, with their errors, as CSV
+ */
+router.get('/status/:onboardingId/error-report', requirePermission('onboarding:run'), async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const { onboardingId } = req.params;
+    
+    const report = await bulkOnboardingService.getErrorReport(tenantId, onboardingId);
+    
+    if (!report) {
+      return res.status(404).json({
+        error: 'Onboarding session not found',
+        requestId: req.id
+      });
+    }
+    
+    // The report carries the uploaded rows' personal data
+    logger.audit('Onboarding error report downloaded', {
+      tenantId,
+      onboardingId,
+      rowCount: report.rowCount,
+      downloadedBy: req.user?.id,
+      requestId: req.id
+    });
+    
+    res.setHeader('Content-Type', 'text/csv');
+    res.attachment(report.filename);
+    res.send(report.csv);
+    
+  } catch (error) {
+    logger.error('Failed to build onboarding error report', {
+      tenantId: req.tenant?.id,
+      onboardingId: req.params.onboardingId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to build onboarding error report',
+      requestId: req.id
+    });
   }
 });
 
@@ -173,33 +420,22 @@ alice.brown@company.com,Alice,Brown,EMP004,HR,HR Specialist,MGR004,Austin,1988,f
  * GET /api/onboarding/history
  * Get onboarding history for tenant
  */
-router.get('/history', async (req, res) => {
+router.get('/history', requirePermission('onboarding:run'), async (req, res) => {
   try {
-    const { tenantId } = req.tenant;
-    const { page = 1, limit = 10 } = req.query;
+    const tenantId = req.tenant.id;
     
-    // This would typically query a database table for onboarding history
-    // For now, we'll return a placeholder response
+    const result = await bulkOnboardingService.listOnboardingRuns(tenantId, req.query);
+    
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        error: result.detail,
+        requestId: req.id
+      });
+    }
     
     const history = {
-      onboardingSessions: [
-        {
-          id: 'onboarding_123456789',
-          startTime: '2024-01-15T10:00:00Z',
-          status: 'completed',
-          totalEmployees: 250,
-          successfulEmployees: 248,
-          failedEmployees: 2,
-          processingTimeMs: 45000,
-          initiatedBy: req.user?.id
-        }
-      ],
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total: 1,
-        pages: 1
-      }
+      onboardingSessions: result.runs,
+      pagination: result.pagination
     };
     
     res.json(history);
@@ -220,11 +456,11 @@ router.get('/history', async (req, res) => {
 
 /**
  * POST /api/onboarding/validate
- * Validate CSV file without processing (dry run)
+ * Dry run: plan which employees the file would create, update and terminate
  */
-router.post('/validate', upload.single('csvFile'), fileUploadSecurity, async (req, res) => {
+router.post('/validate', requirePermission('onboarding:run'), uploadFile('csvFile'), fileUploadSecurity, async (req, res) => {
   try {
-    const { tenantId } = req.tenant;
+    const tenantId = req.tenant.id;
     const file = req.file;
     
     if (!file) {
@@ -234,23 +470,284 @@ router.post('/validate', upload.single('csvFile'), fileUploadSecurity, async (re
       });
     }
     
-    // Run validation only (dry run)
-    const options = { dryRun: true };
-    const result = await bulkOnboardingService.processCSVUpload(tenantId, file, options);
+    const terminationGraceDays = parseGraceDays(req.body.terminationGraceDays);
+    if (Number.isNaN(terminationGraceDays)) {
+      return res.status(400).json({
+        error: 'terminationGraceDays must be a whole number of days from 0 to 365',
+        requestId: req.id
+      });
+    }
+    
+    // Compare the file with current employees without changing anything
+    const plan = await onboardingPlanService.createPlan(tenantId, file, {
+      sendWelcomeEmails: req.body.sendWelcomeEmails !== 'false',
+      autoActivate: req.body.autoActivate !== 'false',
+      sheetName: req.body.sheetName || undefined,
+      mappingProfileId: req.body.mappingProfileId || undefined,
+      terminateMissing: req.body.terminateMissing === 'true',
+      terminationGraceDays
+    }, { createdBy: req.user });
+    
+    res.json(dryRunResponse(plan, req.id));
+    
+  } catch (error) {
+    logger.error('CSV validation failed', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(400).json({
+      error: error.message,
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/onboarding/plans/:planId
+ * Summary of a dry-run plan
+ */
+router.get('/plans/:planId', requirePermission('onboarding:run'), async (req, res) => {
+  try {
+    const plan = await onboardingPlanService.getPlan(req.tenant.id, req.params.planId);
+    
+    if (!plan) {
+      return res.status(404).json({
+        error: 'Plan not found',
+        requestId: req.id
+      });
+    }
+    
+    res.json({ ...plan, requestId: req.id });
+    
+  } catch (error) {
+    logger.error('Failed to get onboarding plan', {
+      tenantId: req.tenant?.id,
+      planId: req.params.planId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to retrieve plan',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/onboarding/plans/:planId/items
+ * Planned creates, updates (with changed fields), terminations and invalid rows
+ */
+router.get('/plans/:planId/items', requirePermission('onboarding:run'), async (req, res) => {
+  try {
+    const result = await onboardingPlanService.listPlanItems(req.tenant.id, req.params.planId, req.query);
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        error: 'Plan not found',
+        requestId: req.id
+      });
+    }
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        error: result.detail,
+        requestId: req.id
+      });
+    }
     
     res.json({
-      message: 'CSV validation completed',
-      valid: result.invalidRecords === 0,
-      totalRecords: result.totalEmployees,
-      validRecords: result.totalEmployees - result.invalidRecords,
-      invalidRecords: result.invalidRecords,
-      estimatedProcessingTime: result.estimatedCompletionTime,
-      warnings: result.warnings || [],
+      planId: req.params.planId,
+      items: result.items,
+      pagination: result.pagination,
       requestId: req.id
     });
     
   } catch (error) {
-    logger.error('CSV validation failed', {
+    logger.error('Failed to list onboarding plan items', {
+      tenantId: req.tenant?.id,
+      planId: req.params.planId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to retrieve plan items',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/onboarding/plans/:planId/approve
+ * Apply a dry-run plan exactly as planned; refused if employees changed since.
+ * Sent again for a plan with runPending set, it queues the new hires whose
+ * run failed to start.
+ */
+router.post('/plans/:planId/approve', requirePermission('onboarding:run'), async (req, res) => {
+  try {
+    const tenantId = req.tenant.id;
+    const { planId } = req.params;
+    
+    const plan = await onboardingPlanService.getPlan(tenantId, planId);
+    if (!plan) {
+      return res.status(404).json({
+        error: 'Plan not found',
+        requestId: req.id
+      });
+    }
+    
+    // Terminations are an employee write beyond onboarding
+    if (plan.summary.terminate > 0 && !hasPermission(req.user, 'employees:write')) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        requiredPermission: 'employees:write',
+        requestId: req.id
+      });
+    }
+    
+    const result = await onboardingPlanService.approvePlan(tenantId, planId, { approvedBy: req.user });
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        error: 'Plan not found',
+        requestId: req.id
+      });
+    }
+    if (result.status === 'conflict' || result.status === 'stale') {
+      return res.status(409).json({
+        error: result.detail,
+        status: result.status,
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      message: result.resumed ? 'Plan approval resumed' : 'Plan approved',
+      plan: result.plan,
+      updated: result.updated,
+      reactivated: result.reactivated,
+      terminated: result.terminated,
+      terminationsScheduled: result.terminationsScheduled,
+      terminationsCancelled: result.terminationsCancelled,
+      onboarding: result.run,
+      statusUrl: result.run ? `/api/onboarding/status/${result.run.onboardingId}` : null,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to approve onboarding plan', {
+      tenantId: req.tenant?.id,
+      planId: req.params.planId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to approve plan',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/onboarding/mapping-profiles
+ * List the tenant's column mapping profiles
+ */
+router.get('/mapping-profiles', requirePermission('onboarding:run'), async (req, res) => {
+  try {
+    const profiles = await columnMappingService.listProfiles(req.tenant.id);
+    
+    res.json({
+      profiles,
+      targetFields: MAPPING_TARGET_FIELDS,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to list column mapping profiles', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to list mapping profiles',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/onboarding/mapping-profiles
+ * Create a column mapping profile: { name, description, columns: [{ source, target, values }], defaults }
+ */
+router.post('/mapping-profiles', requirePermission('onboarding:run'), async (req, res) => {
+  try {
+    const result = await columnMappingService.createProfile(req.tenant.id, req.body, req.user);
+    
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        error: result.detail,
+        targetFields: MAPPING_TARGET_FIELDS,
+        requestId: req.id
+      });
+    }
+    if (result.status === 'conflict') {
+      return res.status(409).json({
+        error: result.detail,
+        requestId: req.id
+      });
+    }
+    
+    res.status(201).json({
+      profile: result.profile,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to create column mapping profile', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to create mapping profile',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/onboarding/mapping-profiles/suggest
+ * Suggest a mapping from an uploaded file's header row, and the saved profiles that fit it
+ */
+router.post('/mapping-profiles/suggest', requirePermission('onboarding:run'), uploadFile('csvFile'), fileUploadSecurity, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        error: 'No file uploaded',
+        requestId: req.id
+      });
+    }
+    
+    const { headers } = await bulkOnboardingService.parseUpload(req.file, {
+      sheetName: req.body.sheetName || undefined
+    });
+    const profiles = await columnMappingService.listProfiles(req.tenant.id);
+    const suggestion = columnMappingService.suggestMappings(headers, profiles);
+    
+    res.json({
+      headers,
+      ...suggestion,
+      targetFields: MAPPING_TARGET_FIELDS,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Column mapping suggestion failed', {
       tenantId: req.tenant?.id,
       error: error.message,
       requestId: req.id
@@ -263,13 +760,131 @@ router.post('/validate', upload.single('csvFile'), fileUploadSecurity, async (re
   }
 });
 
+/**
+ * GET /api/onboarding/mapping-profiles/:profileId
+ * Get one column mapping profile
+ */
+router.get('/mapping-profiles/:profileId', requirePermission('onboarding:run'), async (req, res) => {
+  try {
+    const profile = await columnMappingService.getProfile(req.tenant.id, req.params.profileId);
+    
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Mapping profile not found',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      profile,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to get column mapping profile', {
+      tenantId: req.tenant?.id,
+      profileId: req.params.profileId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to retrieve mapping profile',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * PUT /api/onboarding/mapping-profiles/:profileId
+ * Replace a column mapping profile
+ */
+router.put('/mapping-profiles/:profileId', requirePermission('onboarding:run'), async (req, res) => {
+  try {
+    const result = await columnMappingService.updateProfile(req.tenant.id, req.params.profileId, req.body, req.user);
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        error: 'Mapping profile not found',
+        requestId: req.id
+      });
+    }
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        error: result.detail,
+        targetFields: MAPPING_TARGET_FIELDS,
+        requestId: req.id
+      });
+    }
+    if (result.status === 'conflict') {
+      return res.status(409).json({
+        error: result.detail,
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      profile: result.profile,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to update column mapping profile', {
+      tenantId: req.tenant?.id,
+      profileId: req.params.profileId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to update mapping profile',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * DELETE /api/onboarding/mapping-profiles/:profileId
+ * Delete a column mapping profile; runs that used it are unaffected
+ */
+router.delete('/mapping-profiles/:profileId', requirePermission('onboarding:run'), async (req, res) => {
+  try {
+    const deleted = await columnMappingService.deleteProfile(req.tenant.id, req.params.profileId, req.user);
+    
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Mapping profile not found',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      message: 'Mapping profile deleted',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to delete column mapping profile', {
+      tenantId: req.tenant?.id,
+      profileId: req.params.profileId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to delete mapping profile',
+      requestId: req.id
+    });
+  }
+});
+
 /**
  * DELETE /api/onboarding/:onboardingId
  * Cancel ongoing onboarding process
  */
-router.delete('/:onboardingId', async (req, res) => {
+router.delete('/:onboardingId', requirePermission('onboarding:run'), async (req, res) => {
   try {
-    const { tenantId } = req.tenant;
+    const tenantId = req.tenant.id;
     const { onboardingId } = req.params;
     
     // Cancel the onboarding process
@@ -307,9 +922,9 @@ router.delete('/:onboardingId', async (req, res) => {
  * GET /api/onboarding/apps/recommendations/:employeeId
  * Get app recommendations for specific employee
  */
-router.get('/apps/recommendations/:employeeId', async (req, res) => {
+router.get('/apps/recommendations/:employeeId', requirePermission('employees:read', { subjectParam: 'employeeId' }), async (req, res) => {
   try {
-    const { tenantId } = req.tenant;
+    const tenantId = req.tenant.id;
     const { employeeId } = req.params;
     
     // Get employee profile
@@ -366,9 +981,9 @@ router.get('/apps/recommendations/:employeeId', async (req, res) => {
  * POST /api/onboarding/ldap/sync
  * Sync employees from LDAP/Active Directory
  */
-router.post('/ldap/sync', async (req, res) => {
+router.post('/ldap/sync', requirePermission('onboarding:run'), async (req, res) => {
   try {
-    const { tenantId } = req.tenant;
+    const tenantId = req.tenant.id;
     const { ldapConfig, syncOptions = {} } = req.body;
     
     // Validate LDAP configuration
@@ -0,0 +1,91 @@
+/**
+ * Corporate Wellness Portal - Partner Routes
+ * Self-service endpoints for signed-in spouse/partner accounts
+ */
+
+import express from 'express';
+import { partnerService } from '../services/partner.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Only partner accounts use these endpoints
+router.use((req, res, next) => {
+  if (req.user?.userType !== 'partner') {
+    return res.status(403).json({
+      error: 'Partner account required',
+      requestId: req.id
+    });
+  }
+  next();
+});
+
+/**
+ * GET /api/partner/me
+ * The partner's account, app access and recorded consent
+ */
+router.get('/me', async (req, res) => {
+  try {
+    const partner = await partnerService.getPartner(req.user.tenantId, req.user.id);
+
+    if (!partner || partner.status !== 'active') {
+      return res.status(404).json({
+        error: 'Partner account not found',
+        requestId: req.id
+      });
+    }
+
+    // The sponsor's identity is not part of the partner's view
+    delete partner.sponsorEmployeeId;
+
+    res.json({
+      success: true,
+      partner,
+      requestId: req.id
+    });
+
+  } catch (error) {
+    logger.error('Failed to get partner account', {
+      partnerId: req.user?.id,
+      error: error.message,
+      requestId: req.id
+    });
+
+    res.status(500).json({
+      error: 'Failed to get partner account',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/partner/consent/withdraw
+ * Withdraw consent: the account is revoked and every session ends
+ */
+router.post('/consent/withdraw', async (req, res) => {
+  try {
+    await partnerService.revokePartner(req.user.tenantId, req.user.id, 'consent_withdrawn', {
+      revokedBy: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Consent withdrawn and partner access closed',
+      requestId: req.id
+    });
+
+  } catch (error) {
+    logger.error('Failed to withdraw partner consent', {
+      partnerId: req.user?.id,
+      error: error.message,
+      requestId: req.id
+    });
+
+    res.status(500).json({
+      error: 'Failed to withdraw consent',
+      requestId: req.id
+    });
+  }
+});
+
+export default router;
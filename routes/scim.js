@@ -0,0 +1,320 @@
+/**
+ * Corporate Wellness Portal - SCIM 2.0 Routes
+ * Joiner/mover/leaver provisioning pushed by tenant identity providers
+ */
+
+import express from 'express';
+import { scimService, SCIM_SCHEMAS } from '../services/scim.js';
+import { logger } from '../utils/logger.js';
+import { database } from '../utils/database.js';
+
+const router = express.Router();
+
+router.use(express.json({ type: ['application/json', 'application/scim+json'], limit: '1mb' }));
+
+// Every SCIM request carries the tenant's bearer token; it alone decides the tenant
+router.use(async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    // The token is looked up before its tenant is known
+    const tenant = await database.runAsSystem(() => scimService.authenticate(token));
+
+    if (!tenant) {
+      logger.warn('Rejected SCIM request', {
+        ip: req.ip,
+        path: req.path,
+        requestId: req.id
+      });
+      return sendError(res, 401, 'Invalid SCIM bearer token');
+    }
+
+    req.tenant = tenant;
+    // The token belongs to one tenant; its requests only see that tenant's rows
+    database.runWithTenant(tenant.id, next);
+
+  } catch (error) {
+    logger.error('SCIM authentication error', {
+      error: error.message,
+      requestId: req.id
+    });
+    sendError(res, 500, 'Authentication failed');
+  }
+});
+
+/**
+ * GET /scim/v2/ServiceProviderConfig
+ * Capabilities advertised to SCIM clients
+ */
+router.get('/ServiceProviderConfig', (req, res) => {
+  send(res, 200, {
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig'],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: scimService.maxPageSize },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'OAuth Bearer Token',
+      description: 'Tenant SCIM token issued from the portal admin settings'
+    }]
+  });
+});
+
+/**
+ * GET /scim/v2/Users
+ * List or filter (`userName eq "..."`, `externalId eq "..."`) employees
+ */
+router.get('/Users', async (req, res) => {
+  try {
+    const list = await scimService.listUsers(req.tenant, req.query);
+
+    if (!list) {
+      return sendError(res, 400, 'Unsupported filter', 'invalidFilter');
+    }
+
+    list.Resources.forEach(resource => withLocation(req, resource));
+    send(res, 200, list);
+
+  } catch (error) {
+    handleError(req, res, error, 'Failed to list SCIM users');
+  }
+});
+
+/**
+ * GET /scim/v2/Users/:id
+ */
+router.get('/Users/:id', async (req, res) => {
+  try {
+    const resource = await scimService.getUser(req.tenant, req.params.id);
+
+    if (!resource) {
+      return sendError(res, 404, 'User not found');
+    }
+
+    send(res, 200, withLocation(req, resource));
+
+  } catch (error) {
+    handleError(req, res, error, 'Failed to get SCIM user');
+  }
+});
+
+/**
+ * POST /scim/v2/Users
+ * Joiner: provision an employee
+ */
+router.post('/Users', async (req, res) => {
+  try {
+    const result = await scimService.createUser(req.tenant, req.body || {});
+    sendResult(req, res, result, 201);
+
+  } catch (error) {
+    handleError(req, res, error, 'Failed to create SCIM user');
+  }
+});
+
+/**
+ * PUT /scim/v2/Users/:id
+ * Mover: replace an employee's attributes
+ */
+router.put('/Users/:id', async (req, res) => {
+  try {
+    const result = await scimService.replaceUser(req.tenant, req.params.id, req.body || {});
+    sendResult(req, res, result, 200);
+
+  } catch (error) {
+    handleError(req, res, error, 'Failed to replace SCIM user');
+  }
+});
+
+/**
+ * PATCH /scim/v2/Users/:id
+ * Mover/leaver: partial update; `active: false` deprovisions the employee
+ */
+router.patch('/Users/:id', async (req, res) => {
+  try {
+    const operations = req.body?.Operations;
+
+    if (!Array.isArray(operations)) {
+      return sendError(res, 400, 'Operations array is required', 'invalidSyntax');
+    }
+
+    const result = await scimService.patchUser(req.tenant, req.params.id, operations);
+    sendResult(req, res, result, 200);
+
+  } catch (error) {
+    handleError(req, res, error, 'Failed to patch SCIM user');
+  }
+});
+
+/**
+ * DELETE /scim/v2/Users/:id
+ * Leaver: terminate the employee (records are retained)
+ */
+router.delete('/Users/:id', async (req, res) => {
+  try {
+    const result = await scimService.deleteUser(req.tenant, req.params.id);
+    sendResult(req, res, result, 204);
+
+  } catch (error) {
+    handleError(req, res, error, 'Failed to delete SCIM user');
+  }
+});
+
+/**
+ * GET /scim/v2/Groups
+ * List or filter (`displayName eq "..."`) groups
+ */
+router.get('/Groups', async (req, res) => {
+  try {
+    const list = await scimService.listGroups(req.tenant, {
+      ...req.query,
+      excludeMembers: excludesMembers(req)
+    });
+
+    if (!list) {
+      return sendError(res, 400, 'Unsupported filter', 'invalidFilter');
+    }
+
+    list.Resources.forEach(resource => withLocation(req, resource));
+    send(res, 200, list);
+
+  } catch (error) {
+    handleError(req, res, error, 'Failed to list SCIM groups');
+  }
+});
+
+/**
+ * GET /scim/v2/Groups/:id
+ */
+router.get('/Groups/:id', async (req, res) => {
+  try {
+    const resource = await scimService.getGroup(req.tenant, req.params.id, {
+      excludeMembers: excludesMembers(req)
+    });
+
+    if (!resource) {
+      return sendError(res, 404, 'Group not found');
+    }
+
+    send(res, 200, withLocation(req, resource));
+
+  } catch (error) {
+    handleError(req, res, error, 'Failed to get SCIM group');
+  }
+});
+
+/**
+ * POST /scim/v2/Groups
+ */
+router.post('/Groups', async (req, res) => {
+  try {
+    const result = await scimService.createGroup(req.tenant, req.body || {});
+    sendResult(req, res, result, 201);
+
+  } catch (error) {
+    handleError(req, res, error, 'Failed to create SCIM group');
+  }
+});
+
+/**
+ * PUT /scim/v2/Groups/:id
+ */
+router.put('/Groups/:id', async (req, res) => {
+  try {
+    const result = await scimService.replaceGroup(req.tenant, req.params.id, req.body || {});
+    sendResult(req, res, result, 200);
+
+  } catch (error) {
+    handleError(req, res, error, 'Failed to replace SCIM group');
+  }
+});
+
+/**
+ * PATCH /scim/v2/Groups/:id
+ * Membership changes; groups mapped to roles update members' roles
+ */
+router.patch('/Groups/:id', async (req, res) => {
+  try {
+    const operations = req.body?.Operations;
+
+    if (!Array.isArray(operations)) {
+      return sendError(res, 400, 'Operations array is required', 'invalidSyntax');
+    }
+
+    const result = await scimService.patchGroup(req.tenant, req.params.id, operations);
+    sendResult(req, res, result, 200);
+
+  } catch (error) {
+    handleError(req, res, error, 'Failed to patch SCIM group');
+  }
+});
+
+/**
+ * DELETE /scim/v2/Groups/:id
+ */
+router.delete('/Groups/:id', async (req, res) => {
+  try {
+    const result = await scimService.deleteGroup(req.tenant, req.params.id);
+    sendResult(req, res, result, 204);
+
+  } catch (error) {
+    handleError(req, res, error, 'Failed to delete SCIM group');
+  }
+});
+
+const RESULT_ERRORS = {
+  not_found: { status: 404, detail: 'Resource not found' },
+  invalid: { status: 400, scimType: 'invalidValue' },
+  conflict: { status: 409, scimType: 'uniqueness' },
+  limit_reached: { status: 403 }
+};
+
+function sendResult(req, res, result, successStatus) {
+  if (result.status === 'success') {
+    if (successStatus === 204) {
+      return res.status(204).end();
+    }
+    return send(res, successStatus, withLocation(req, result.resource));
+  }
+
+  const error = RESULT_ERRORS[result.status];
+  sendError(res, error.status, result.detail || error.detail, error.scimType);
+}
+
+function send(res, status, body) {
+  res.status(status).type('application/scim+json').send(JSON.stringify(body));
+}
+
+function sendError(res, status, detail, scimType) {
+  send(res, status, {
+    schemas: [SCIM_SCHEMAS.error],
+    status: String(status),
+    scimType,
+    detail
+  });
+}
+
+function handleError(req, res, error, message) {
+  logger.error(message, {
+    tenantId: req.tenant?.id,
+    error: error.message,
+    requestId: req.id
+  });
+  sendError(res, 500, message);
+}
+
+function withLocation(req, resource) {
+  resource.meta.location = `${scimService.getBaseUrl(req)}/${resource.meta.resourceType}s/${resource.id}`;
+  return resource;
+}
+
+function excludesMembers(req) {
+  return String(req.query.excludedAttributes || '')
+    .split(',')
+    .some(attribute => attribute.trim().toLowerCase() === 'members');
+}
+
+export default router;
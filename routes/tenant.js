@@ -4,6 +4,20 @@
  */
 
 import express from 'express';
+import {
+  requirePermission,
+  isPlatformOperator,
+  ROLES_BY_USER_TYPE,
+  ROLE_PERMISSIONS,
+  API_KEY_SCOPES
+} from '../middleware/permissions.js';
+import { authService } from '../services/auth.js';
+import { ssoService } from '../services/sso.js';
+import { scimService } from '../services/scim.js';
+import { apiKeyService } from '../services/api-key.js';
+import { tokenService } from '../services/token.js';
+import { impersonationService } from '../services/impersonation.js';
+import { eventLogService } from '../services/event-log.js';
 // Use global mock logger for demo
 const logger = global.mockLogger || console;
 
@@ -68,7 +82,7 @@ router.get('/info', (req, res) => {
  * GET /api/tenant/dashboard-summary
  * Get tenant dashboard summary
  */
-router.get('/dashboard-summary', async (req, res) => {
+router.get('/dashboard-summary', requirePermission('analytics:read'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     
@@ -100,7 +114,7 @@ router.get('/dashboard-summary', async (req, res) => {
  * PUT /api/tenant/config
  * Update tenant configuration
  */
-router.put('/config', async (req, res) => {
+router.put('/config', requirePermission('tenant:write'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { whiteLabelConfig, integrationConfig, notificationSettings } = req.body;
@@ -146,7 +160,7 @@ router.put('/config', async (req, res) => {
  * GET /api/tenant/employees/summary
  * Get employee summary statistics
  */
-router.get('/employees/summary', async (req, res) => {
+router.get('/employees/summary', requirePermission('employees:read'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     
@@ -176,7 +190,7 @@ router.get('/employees/summary', async (req, res) => {
  * GET /api/tenant/usage-statistics
  * Get tenant usage statistics
  */
-router.get('/usage-statistics', async (req, res) => {
+router.get('/usage-statistics', requirePermission('analytics:read'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { timeframe = '30d' } = req.query;
@@ -208,7 +222,7 @@ router.get('/usage-statistics', async (req, res) => {
  * POST /api/tenant/upgrade
  * Request tenant tier upgrade
  */
-router.post('/upgrade', async (req, res) => {
+router.post('/upgrade', requirePermission('tenant:write'), async (req, res) => {
   try {
     const { tenantId } = req.tenant;
     const { targetTier, billingCycle } = req.body;
@@ -261,6 +275,874 @@ router.post('/upgrade', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/tenant/admins/:adminId/unlock
+ * Clear a login lockout for a tenant administrator account
+ */
+router.post('/admins/:adminId/unlock', requirePermission('tenant:write'), async (req, res) => {
+  try {
+    const { adminId } = req.params;
+    
+    const unlocked = await authService.unlockAccount(req.tenant.id, adminId, 'admin', {
+      unlockedBy: req.user.id,
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+    
+    if (!unlocked) {
+      return res.status(404).json({
+        error: 'Administrator not found',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Administrator account unlocked',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to unlock administrator account', {
+      tenantId: req.tenant?.id,
+      adminId: req.params.adminId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to unlock account',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/tenant/sso/saml
+ * Current SAML settings and the service provider URLs to give the IdP
+ */
+router.get('/sso/saml', requirePermission('sso:manage'), async (req, res) => {
+  try {
+    const config = await ssoService.getSsoConfig(req.tenant.id);
+    const urls = ssoService.getServiceProviderUrls(req.tenant.id);
+    
+    res.json({
+      success: true,
+      saml: ssoService.describeSamlConfig(config?.saml, urls),
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to get SAML configuration', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to get SAML configuration',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * PUT /api/tenant/sso/saml
+ * Configure SAML SSO. IdP settings can be imported from metadata XML
+ * (metadataXml) or the IdP's published metadata URL (metadataUrl).
+ */
+router.put('/sso/saml', requirePermission('sso:manage'), async (req, res) => {
+  try {
+    const {
+      metadataXml, metadataUrl,
+      enabled, entryPoint, idpEntityId, idpCert,
+      attributeMapping, jitProvisioning, allowedDomains
+    } = req.body;
+    
+    const updates = {};
+    
+    if (metadataXml || metadataUrl) {
+      try {
+        const xml = metadataXml || await ssoService.fetchIdpMetadata(metadataUrl);
+        Object.assign(updates, await ssoService.parseIdpMetadata(xml));
+        if (metadataUrl) updates.metadataUrl = metadataUrl;
+      } catch (metadataError) {
+        return res.status(400).json({
+          error: 'Invalid IdP metadata',
+          details: metadataError.message,
+          requestId: req.id
+        });
+      }
+    }
+    
+    if (entryPoint !== undefined) updates.entryPoint = entryPoint;
+    if (idpEntityId !== undefined) updates.idpEntityId = idpEntityId;
+    if (idpCert !== undefined) {
+      updates.idpCert = [].concat(idpCert).map(cert =>
+        cert.replace(/-----(BEGIN|END) CERTIFICATE-----/g, '').replace(/\s+/g, '')
+      );
+    }
+    if (attributeMapping !== undefined) updates.attributeMapping = attributeMapping;
+    if (jitProvisioning !== undefined) updates.jitProvisioning = Boolean(jitProvisioning);
+    if (allowedDomains !== undefined) {
+      updates.allowedDomains = [].concat(allowedDomains).map(domain => domain.toLowerCase().trim());
+    }
+    if (enabled !== undefined) updates.enabled = Boolean(enabled);
+    
+    if (entryPoint !== undefined && !/^https:\/\//.test(entryPoint)) {
+      return res.status(400).json({
+        error: 'IdP entry point must be an HTTPS URL',
+        requestId: req.id
+      });
+    }
+    
+    const current = await ssoService.getSsoConfig(req.tenant.id);
+    const merged = { ...(current?.saml || {}), ...updates };
+    
+    if (merged.enabled && (!merged.entryPoint || !merged.idpCert?.length)) {
+      return res.status(400).json({
+        error: 'IdP entry point and signing certificate are required to enable SAML',
+        requestId: req.id
+      });
+    }
+    
+    const urls = ssoService.getServiceProviderUrls(req.tenant.id);
+    const saml = await ssoService.updateSsoConfig(req.tenant.id, 'saml', updates, req.user.id);
+    
+    res.json({
+      success: true,
+      saml: ssoService.describeSamlConfig(saml, urls),
+      message: 'SAML configuration updated',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to update SAML configuration', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to update SAML configuration',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/tenant/sso/oidc
+ * Current OpenID Connect settings and the redirect URI to register with the provider
+ */
+router.get('/sso/oidc', requirePermission('sso:manage'), async (req, res) => {
+  try {
+    const config = await ssoService.getSsoConfig(req.tenant.id);
+    
+    res.json({
+      success: true,
+      oidc: ssoService.describeOidcConfig(config?.oidc, ssoService.getOidcCallbackUrl(req.tenant.id)),
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to get OIDC configuration', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to get OIDC configuration',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * PUT /api/tenant/sso/oidc
+ * Configure OpenID Connect SSO (e.g. Google Workspace or Entra ID)
+ */
+router.put('/sso/oidc', requirePermission('sso:manage'), async (req, res) => {
+  try {
+    const {
+      enabled, issuer, clientId, clientSecret, scopes,
+      hostedDomain, claimMapping, jitProvisioning, allowedDomains
+    } = req.body;
+    
+    const updates = {};
+    
+    if (issuer !== undefined) {
+      try {
+        ssoService.assertIssuerUrl(issuer);
+      } catch (issuerError) {
+        return res.status(400).json({
+          error: 'Invalid issuer',
+          details: issuerError.message,
+          requestId: req.id
+        });
+      }
+      updates.issuer = issuer.replace(/\/+$/, '');
+    }
+    if (clientId !== undefined) updates.clientId = clientId;
+    if (clientSecret !== undefined) {
+      updates.clientSecretEncrypted = clientSecret
+        ? await ssoService.encryptClientSecret(req.tenant.id, clientSecret)
+        : null;
+    }
+    if (scopes !== undefined) {
+      updates.scopes = [...new Set(['openid', ...[].concat(scopes)])];
+    }
+    if (hostedDomain !== undefined) updates.hostedDomain = hostedDomain || null;
+    if (claimMapping !== undefined) updates.claimMapping = claimMapping;
+    if (jitProvisioning !== undefined) updates.jitProvisioning = Boolean(jitProvisioning);
+    if (allowedDomains !== undefined) {
+      updates.allowedDomains = [].concat(allowedDomains).map(domain => domain.toLowerCase().trim());
+    }
+    if (enabled !== undefined) updates.enabled = Boolean(enabled);
+    
+    const current = await ssoService.getSsoConfig(req.tenant.id);
+    const merged = { ...(current?.oidc || {}), ...updates };
+    
+    if (merged.enabled) {
+      if (!merged.issuer || !merged.clientId) {
+        return res.status(400).json({
+          error: 'Issuer and client ID are required to enable OIDC',
+          requestId: req.id
+        });
+      }
+      
+      // Confirm the provider is reachable and well-formed before switching logins over
+      try {
+        await ssoService.getOidcDiscovery(merged.issuer, { forceRefresh: true });
+      } catch (discoveryError) {
+        return res.status(400).json({
+          error: 'OIDC discovery failed',
+          details: discoveryError.message,
+          requestId: req.id
+        });
+      }
+    }
+    
+    const callbackUrl = ssoService.getOidcCallbackUrl(req.tenant.id);
+    const oidc = await ssoService.updateSsoConfig(req.tenant.id, 'oidc', updates, req.user.id);
+    
+    res.json({
+      success: true,
+      oidc: ssoService.describeOidcConfig(oidc, callbackUrl),
+      message: 'OIDC configuration updated',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to update OIDC configuration', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to update OIDC configuration',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/tenant/sso/scim
+ * SCIM provisioning settings and the base URL to give the IdP
+ */
+router.get('/sso/scim', requirePermission('sso:manage'), async (req, res) => {
+  try {
+    const config = await ssoService.getSsoConfig(req.tenant.id);
+    
+    res.json({
+      success: true,
+      scim: scimService.describeScimConfig(config?.scim, scimService.getBaseUrl(req)),
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to get SCIM configuration', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to get SCIM configuration',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/tenant/sso/scim/token
+ * Issue a new SCIM bearer token (replacing the old one) and enable SCIM.
+ * The token is only shown in this response.
+ */
+router.post('/sso/scim/token', requirePermission('sso:manage'), async (req, res) => {
+  try {
+    const token = await scimService.rotateToken(req.tenant.id, req.user.id);
+    
+    if (!token) {
+      return res.status(404).json({
+        error: 'Tenant not found',
+        requestId: req.id
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      token,
+      baseUrl: scimService.getBaseUrl(req),
+      message: 'Store this token in your identity provider now; it cannot be shown again',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to issue SCIM token', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to issue SCIM token',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * PUT /api/tenant/sso/scim
+ * Enable/disable SCIM and map IdP groups to employee roles,
+ * e.g. { "groupRoleMapping": { "People Managers": "manager" } }
+ */
+router.put('/sso/scim', requirePermission('sso:manage'), async (req, res) => {
+  try {
+    const { enabled, groupRoleMapping } = req.body;
+    const updates = {};
+    
+    if (groupRoleMapping !== undefined) {
+      const entries = Object.entries(groupRoleMapping || {});
+      if (entries.some(([, role]) => !ROLES_BY_USER_TYPE.employee.includes(role))) {
+        return res.status(400).json({
+          error: 'Invalid role in group mapping',
+          allowedRoles: ROLES_BY_USER_TYPE.employee,
+          requestId: req.id
+        });
+      }
+      updates.groupRoleMapping = Object.fromEntries(entries);
+    }
+    if (enabled !== undefined) updates.enabled = Boolean(enabled);
+    
+    const current = await ssoService.getSsoConfig(req.tenant.id);
+    if (updates.enabled && !current?.scim?.tokenHash) {
+      return res.status(400).json({
+        error: 'Issue a SCIM token before enabling SCIM',
+        requestId: req.id
+      });
+    }
+    
+    const scim = await ssoService.updateSsoConfig(req.tenant.id, 'scim', updates, req.user.id);
+    
+    res.json({
+      success: true,
+      scim: scimService.describeScimConfig(scim, scimService.getBaseUrl(req)),
+      message: 'SCIM configuration updated',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to update SCIM configuration', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to update SCIM configuration',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/tenant/api-keys
+ * List the tenant's API keys (never the key values)
+ */
+router.get('/api-keys', requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const apiKeys = await apiKeyService.listKeys(req.tenant.id);
+    
+    res.json({
+      success: true,
+      apiKeys,
+      availableScopes: API_KEY_SCOPES,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to list API keys', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to list API keys',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/tenant/api-keys
+ * Create an API key for an integration. The key is only shown in this response.
+ */
+router.post('/api-keys', requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+    
+    if (!name || typeof name !== 'string' || name.length > 255) {
+      return res.status(400).json({
+        error: 'A key name of up to 255 characters is required',
+        requestId: req.id
+      });
+    }
+    
+    const requestedScopes = [...new Set([].concat(scopes || []))];
+    if (requestedScopes.length === 0 || requestedScopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      return res.status(400).json({
+        error: 'Invalid scopes',
+        allowedScopes: API_KEY_SCOPES,
+        requestId: req.id
+      });
+    }
+    
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = parseInt(expiresInDays);
+      if (!(days > 0 && days <= 730)) {
+        return res.status(400).json({
+          error: 'expiresInDays must be between 1 and 730',
+          requestId: req.id
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+    
+    const { key, apiKey } = await apiKeyService.createKey(req.tenant.id, {
+      name: name.trim(),
+      scopes: requestedScopes,
+      expiresAt
+    }, req.user.id);
+    
+    res.status(201).json({
+      success: true,
+      key,
+      apiKey,
+      message: 'Store this key now; it cannot be shown again',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to create API key', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to create API key',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/tenant/api-keys/:keyId/rotate
+ * Issue a replacement key; the old key keeps working for gracePeriodHours (default 24)
+ */
+router.post('/api-keys/:keyId/rotate', requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const rotated = await apiKeyService.rotateKey(req.tenant.id, req.params.keyId, {
+      gracePeriodHours: req.body?.gracePeriodHours
+    }, req.user.id);
+    
+    if (!rotated) {
+      return res.status(404).json({
+        error: 'Active API key not found',
+        requestId: req.id
+      });
+    }
+    
+    res.status(201).json({
+      success: true,
+      key: rotated.key,
+      apiKey: rotated.apiKey,
+      message: 'Store this key now; it cannot be shown again',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to rotate API key', {
+      tenantId: req.tenant?.id,
+      keyId: req.params.keyId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to rotate API key',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * DELETE /api/tenant/api-keys/:keyId
+ * Revoke an API key immediately
+ */
+router.delete('/api-keys/:keyId', requirePermission('api_keys:manage'), async (req, res) => {
+  try {
+    const revoked = await apiKeyService.revokeKey(req.tenant.id, req.params.keyId, req.user.id);
+    
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'API key not found',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'API key revoked',
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to revoke API key', {
+      tenantId: req.tenant?.id,
+      keyId: req.params.keyId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to revoke API key',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/tenant/roles
+ * Roles that can be assigned in this tenant and the permissions they grant
+ */
+router.get('/roles', requirePermission('tenant:read'), (req, res) => {
+  const roles = Object.entries(ROLES_BY_USER_TYPE).flatMap(([userType, roleNames]) =>
+    roleNames.map(role => ({
+      role,
+      userType,
+      permissions: ROLE_PERMISSIONS[role]
+    }))
+  );
+  
+  res.json({
+    success: true,
+    roles,
+    requestId: req.id
+  });
+});
+
+/**
+ * PUT /api/tenant/employees/:employeeId/role
+ * Set an employee's portal role (employee or manager)
+ */
+router.put('/employees/:employeeId/role', requirePermission('roles:write'), async (req, res) => {
+  await assignRole(req, res, req.params.employeeId, 'employee');
+});
+
+/**
+ * PUT /api/tenant/admins/:adminId/role
+ * Set an administrator's role (tenant_admin, hr_analyst or platform_admin)
+ */
+router.put('/admins/:adminId/role', requirePermission('roles:write'), async (req, res) => {
+  await assignRole(req, res, req.params.adminId, 'admin');
+});
+
+async function assignRole(req, res, userId, userType) {
+  try {
+    const { role } = req.body;
+    
+    if (!ROLES_BY_USER_TYPE[userType].includes(role)) {
+      return res.status(400).json({
+        error: 'Invalid role',
+        allowedRoles: ROLES_BY_USER_TYPE[userType],
+        requestId: req.id
+      });
+    }
+    
+    // Only platform operators can grant platform_admin
+    if (role === 'platform_admin' && !isPlatformOperator(req.user)) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        requestId: req.id
+      });
+    }
+    
+    const result = await authService.assignRole(req.tenant.id, userId, userType, role, {
+      assignedBy: req.user.id
+    });
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        error: 'User not found',
+        requestId: req.id
+      });
+    }
+    
+    if (result.status === 'last_admin') {
+      return res.status(409).json({
+        error: 'A tenant must keep at least one active tenant administrator',
+        requestId: req.id
+      });
+    }
+    
+    // Outstanding tokens carry the old role; sign the user in again
+    if (result.user.previousRole !== role) {
+      await tokenService.revokeAllUserSessions(req.tenant.id, userId, userType, 'role_changed', {
+        revokedBy: req.user.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      user: result.user,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to assign role', {
+      tenantId: req.tenant?.id,
+      userId,
+      userType,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to assign role',
+      requestId: req.id
+    });
+  }
+}
+
+/**
+ * GET /api/tenant/impersonation
+ * Support impersonation requests for this tenant (filter by status)
+ */
+router.get('/impersonation', requirePermission('impersonation:approve'), async (req, res) => {
+  try {
+    const grants = await impersonationService.listGrants({
+      tenantId: req.tenant.id,
+      status: req.query.status
+    });
+    
+    res.json({
+      success: true,
+      grants,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to list impersonation requests', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to list impersonation requests',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * POST /api/tenant/impersonation/:grantId/approve
+ * Approve a pending request; the time box starts now
+ */
+router.post('/impersonation/:grantId/approve', requirePermission('impersonation:approve'), async (req, res) => {
+  await decideImpersonation(req, res, true);
+});
+
+/**
+ * POST /api/tenant/impersonation/:grantId/deny
+ * Deny a pending request
+ */
+router.post('/impersonation/:grantId/deny', requirePermission('impersonation:approve'), async (req, res) => {
+  await decideImpersonation(req, res, false);
+});
+
+/**
+ * POST /api/tenant/impersonation/:grantId/end
+ * Revoke a pending or running grant; open impersonation tokens stop working
+ */
+router.post('/impersonation/:grantId/end', requirePermission('impersonation:approve'), async (req, res) => {
+  try {
+    const grant = await impersonationService.endGrant(req.params.grantId, req.user, {
+      tenantId: req.tenant.id
+    }, {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      requestId: req.id
+    });
+    
+    if (!grant) {
+      return res.status(404).json({
+        error: 'Grant not found or already closed',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      grant,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to end impersonation', {
+      tenantId: req.tenant?.id,
+      grantId: req.params.grantId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to end impersonation',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/tenant/impersonation/:grantId/audit
+ * Everything recorded under a grant, with the operator and the impersonated admin
+ */
+router.get('/impersonation/:grantId/audit', requirePermission('impersonation:approve'), async (req, res) => {
+  try {
+    const events = await impersonationService.getAuditTrail(req.tenant.id, req.params.grantId);
+    
+    res.json({
+      success: true,
+      events,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to get impersonation audit trail', {
+      tenantId: req.tenant?.id,
+      grantId: req.params.grantId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to get impersonation audit trail',
+      requestId: req.id
+    });
+  }
+});
+
+/**
+ * GET /api/tenant/email-events
+ * Page through email delivery history (filter by type, status, from, to)
+ */
+router.get('/email-events', requirePermission('employees:read'), async (req, res) => {
+  try {
+    const result = await eventLogService.listEmailEvents(req.tenant.id, req.query);
+    
+    if (result.status === 'invalid') {
+      return res.status(400).json({
+        error: result.detail,
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      events: result.events,
+      pagination: result.pagination,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to list email events', {
+      tenantId: req.tenant?.id,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to list email events',
+      requestId: req.id
+    });
+  }
+});
+
+async function decideImpersonation(req, res, approve) {
+  try {
+    const result = await impersonationService.decideGrant(
+      req.tenant.id,
+      req.params.grantId,
+      req.user,
+      approve,
+      { note: req.body?.note },
+      {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        requestId: req.id
+      }
+    );
+    
+    if (result.status === 'forbidden') {
+      return res.status(403).json({
+        error: 'Only this tenant\'s administrators can decide impersonation requests',
+        requestId: req.id
+      });
+    }
+    
+    if (result.status === 'not_found') {
+      return res.status(404).json({
+        error: 'No pending request found',
+        requestId: req.id
+      });
+    }
+    
+    res.json({
+      success: true,
+      grant: result.grant,
+      requestId: req.id
+    });
+    
+  } catch (error) {
+    logger.error('Failed to decide impersonation request', {
+      tenantId: req.tenant?.id,
+      grantId: req.params.grantId,
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to decide impersonation request',
+      requestId: req.id
+    });
+  }
+}
+
 // Helper methods (these would normally be in a service class)
 router.getTenantFeatures = function(tier) {
   const features = {
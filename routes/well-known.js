@@ -0,0 +1,35 @@
+/**
+ * Corporate Wellness Portal - Well-Known Routes
+ * Public discovery documents for services that verify portal tokens
+ */
+
+import express from 'express';
+import { signingKeyService } from '../services/signing-key.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * GET /.well-known/jwks.json
+ * Public keys for verifying portal-issued JWTs (matched by `kid`)
+ */
+router.get('/jwks.json', (req, res) => {
+  try {
+    // Keys are published a day before they sign, so a short cache is safe
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(signingKeyService.getJwks());
+    
+  } catch (error) {
+    logger.error('Failed to serve JWKS', {
+      error: error.message,
+      requestId: req.id
+    });
+    
+    res.status(500).json({
+      error: 'Failed to load signing keys',
+      requestId: req.id
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,41 @@
+/**
+ * Corporate Wellness Portal - Signing Key CLI
+ * Inspect and rotate the JWT key ring, e.g. to create the first production key
+ *
+ *   npm run signing-keys -- list
+ *   npm run signing-keys -- rotate [--now]
+ */
+
+import 'dotenv/config';
+import { database } from '../utils/database.js';
+import { signingKeyService } from '../services/signing-key.js';
+
+async function main() {
+  const [command, ...flags] = process.argv.slice(2);
+
+  await database.connect();
+
+  try {
+    await signingKeyService.load();
+
+    if (command === 'list') {
+      console.table(await signingKeyService.listKeys());
+    } else if (command === 'rotate') {
+      // --now activates the key at once: use it for the first key or after a compromise
+      const key = await signingKeyService.rotate({ activateImmediately: flags.includes('--now') });
+      console.log(key
+        ? `Created ${key.kid} (${key.algorithm}), signing from ${new Date(key.activatesAt).toISOString()}`
+        : 'A successor key is already scheduled; nothing to do');
+    } else {
+      console.error('Usage: signing-keys <list | rotate [--now]>');
+      process.exitCode = 1;
+    }
+  } finally {
+    await database.end();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
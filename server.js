@@ -10,8 +10,7 @@ import helmet from 'helmet';
 import cors from 'cors';
 import compression from 'compression';
 import rateLimit from 'express-rate-limit';
-import session from 'express-session';
-import connectRedis from 'connect-redis';
+import passport from 'passport';
 import dotenv from 'dotenv';
 
 // Security and middleware imports
@@ -29,12 +28,19 @@ import onboardingRoutes from './routes/onboarding.js';
 import analyticsRoutes from './routes/analytics.js';
 import integrationRoutes from './routes/integration.js';
 import adminRoutes from './routes/admin.js';
+import scimRoutes from './routes/scim.js';
+import partnerRoutes from './routes/partner.js';
+import wellKnownRoutes from './routes/well-known.js';
 
 // Service imports
 import { logger } from './utils/logger.js';
 import { database } from './utils/database.js';
 import { redisClient } from './utils/redis.js';
+import { sessionMiddleware } from './utils/session.js';
 import { encryptionService } from './services/encryption.js';
+import { signingKeyService } from './services/signing-key.js';
+import { eventLogService } from './services/event-log.js';
+import { onboardingPlanService } from './services/onboarding-plan.js';
 
 // Load environment variables
 dotenv.config();
@@ -81,7 +87,9 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  credentials: true
+  credentials: true,
+  // Lets the portal show a banner while support is viewing as an admin
+  exposedHeaders: ['X-Impersonation', 'X-Impersonated-By', 'X-Impersonation-Expires']
 }));
 
 // Rate limiting - Enterprise grade
@@ -102,19 +110,8 @@ app.use(express.json({ limit: '50mb' })); // Large CSV uploads
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // Session configuration with Redis
-const RedisStore = connectRedis(session);
-app.use(session({
-  store: new RedisStore({ client: redisClient }),
-  secret: process.env.SESSION_SECRET || 'corporate-wellness-portal-secret',
-  resave: false,
-  saveUninitialized: false,
-  cookie: {
-    secure: NODE_ENV === 'production',
-    httpOnly: true,
-    maxAge: 24 * 60 * 60 * 1000, // 24 hours
-    sameSite: 'strict'
-  }
-}));
+app.use(sessionMiddleware);
+app.use(passport.initialize());
 
 // Custom middleware stack
 app.use(auditMiddleware);      // Log all requests for compliance
@@ -125,9 +122,15 @@ app.use(authMiddleware);       // Enterprise authentication
 // Health check (no auth required)
 app.use('/api/health', healthRoutes);
 
+// Signing keys for services that verify portal tokens (no auth required)
+app.use('/.well-known', wellKnownRoutes);
+
 // Public authentication routes
 app.use('/api/auth', authRoutes);
 
+// SCIM provisioning (authenticated by the tenant's SCIM token)
+app.use('/scim/v2', scimRoutes);
+
 // Protected routes (require authentication)
 app.use('/api/tenant', tenantRoutes);
 app.use('/api/employee', employeeRoutes);
@@ -135,6 +138,7 @@ app.use('/api/onboarding', onboardingRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/integration', integrationRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/partner', partnerRoutes);
 
 // Static files for admin interface
 app.use(express.static('public'));
@@ -174,6 +178,10 @@ async function gracefulShutdown(signal) {
   logger.info(`Received ${signal}, shutting down gracefully...`);
   
   try {
+    signingKeyService.stopScheduler();
+    eventLogService.stopScheduler();
+    onboardingPlanService.stopScheduler();
+    
     // Close database connections
     await database.end();
     
@@ -197,6 +205,7 @@ async function startServer() {
   try {
     // Initialize database
     await database.connect();
+    await database.verifyTenantIsolation();
     logger.info('Database connected successfully');
     
     // Initialize Redis
@@ -207,6 +216,17 @@ async function startServer() {
     await encryptionService.initialize();
     logger.info('Encryption service initialized');
     
+    // Load the JWT key ring; production refuses to start without one
+    await signingKeyService.initialize();
+    signingKeyService.startScheduler();
+    logger.info('Signing keys loaded');
+    
+    // Daily purge of integration and email logs past their retention
+    eventLogService.startScheduler();
+    
+    // Hourly termination of employees past their roster grace period
+    onboardingPlanService.startScheduler();
+    
     // Start HTTP server
     app.listen(PORT, () => {
       logger.info(`🏢 Corporate Wellness Portal running on port ${PORT}`);
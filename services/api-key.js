@@ -0,0 +1,190 @@
+/**
+ * Corporate Wellness Portal - API Key Service
+ * Tenant-scoped keys for HRIS and BI integrations
+ */
+
+import crypto from 'crypto';
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+
+export const API_KEY_PREFIX = 'cwk_';
+
+const KEY_COLUMNS = `id, company_id, name, key_prefix, scopes, last_used_at, last_used_ip,
+  created_at, created_by, expires_at, revoked_at, revoked_by, replaced_by`;
+
+class ApiKeyService {
+  constructor() {
+    this.maxRotationGraceHours = 7 * 24;
+    // Avoid a write on every request from busy integrations
+    this.lastUsedResolutionSeconds = 60;
+  }
+
+  /**
+   * Create a key. The plaintext key is only returned here.
+   */
+  async createKey(tenantId, { name, scopes, expiresAt = null }, createdBy) {
+    const key = this.generateKey();
+
+    const result = await database.query(
+      `INSERT INTO tenant_main.api_keys (company_id, name, key_hash, key_prefix, scopes, expires_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${KEY_COLUMNS}`,
+      [tenantId, name, this.hashKey(key), key.slice(0, 12), scopes, expiresAt, createdBy]
+    );
+
+    const apiKey = this.describeKey(result.rows[0]);
+
+    logger.audit('API key created', {
+      tenantId,
+      apiKeyId: apiKey.id,
+      scopes,
+      createdBy,
+      auditType: 'configuration'
+    });
+
+    return { key, apiKey };
+  }
+
+  async listKeys(tenantId) {
+    const result = await database.query(
+      `SELECT ${KEY_COLUMNS}
+       FROM tenant_main.api_keys
+       WHERE company_id = $1
+       ORDER BY created_at DESC`,
+      [tenantId]
+    );
+
+    return result.rows.map(row => this.describeKey(row));
+  }
+
+  /**
+   * Replace a key with a new one carrying the same name and scopes. The old
+   * key keeps working for the grace period so integrations can be redeployed.
+   */
+  async rotateKey(tenantId, keyId, { gracePeriodHours = 24 } = {}, rotatedBy) {
+    const current = await database.query(
+      `SELECT ${KEY_COLUMNS}
+       FROM tenant_main.api_keys
+       WHERE id = $1 AND company_id = $2 AND revoked_at IS NULL AND replaced_by IS NULL
+         AND (expires_at IS NULL OR expires_at > NOW())`,
+      [keyId, tenantId]
+    );
+
+    const previous = current.rows[0];
+    if (!previous) return null;
+
+    const { key, apiKey } = await this.createKey(tenantId, {
+      name: previous.name,
+      scopes: previous.scopes,
+      expiresAt: previous.expires_at
+    }, rotatedBy);
+
+    const graceHours = Math.min(Math.max(parseInt(gracePeriodHours) || 0, 0), this.maxRotationGraceHours);
+
+    await database.query(
+      `UPDATE tenant_main.api_keys
+       SET replaced_by = $2,
+           expires_at = LEAST(COALESCE(expires_at, 'infinity'), NOW() + ($3 * INTERVAL '1 hour'))
+       WHERE id = $1`,
+      [previous.id, apiKey.id, graceHours]
+    );
+
+    logger.audit('API key rotated', {
+      tenantId,
+      apiKeyId: previous.id,
+      replacedBy: apiKey.id,
+      gracePeriodHours: graceHours,
+      rotatedBy,
+      auditType: 'configuration'
+    });
+
+    return { key, apiKey };
+  }
+
+  async revokeKey(tenantId, keyId, revokedBy) {
+    const result = await database.query(
+      `UPDATE tenant_main.api_keys
+       SET revoked_at = NOW(), revoked_by = $3
+       WHERE id = $1 AND company_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [keyId, tenantId, revokedBy]
+    );
+
+    if (!result.rows[0]) return false;
+
+    logger.security('API key revoked', {
+      tenantId,
+      apiKeyId: keyId,
+      revokedBy
+    });
+
+    return true;
+  }
+
+  /**
+   * Resolve a presented key to its active record, or null
+   */
+  async authenticate(key, { ip } = {}) {
+    if (!key?.startsWith(API_KEY_PREFIX)) return null;
+
+    const result = await database.query(
+      `SELECT k.id, k.company_id, k.name, k.key_prefix, k.scopes, k.last_used_at
+       FROM tenant_main.api_keys k
+       JOIN tenant_main.companies c ON c.id = k.company_id
+       WHERE k.key_hash = $1
+         AND k.revoked_at IS NULL
+         AND (k.expires_at IS NULL OR k.expires_at > NOW())
+         AND c.status = 'active'`,
+      [this.hashKey(key)]
+    );
+
+    const apiKey = result.rows[0];
+    if (!apiKey) return null;
+
+    await database.query(
+      `UPDATE tenant_main.api_keys
+       SET last_used_at = NOW(), last_used_ip = $2
+       WHERE id = $1
+         AND (last_used_at IS NULL OR last_used_at < NOW() - ($3 * INTERVAL '1 second'))`,
+      [apiKey.id, ip || null, this.lastUsedResolutionSeconds]
+    );
+
+    return apiKey;
+  }
+
+  describeKey(row) {
+    const now = new Date();
+    let status = 'active';
+    if (row.revoked_at) status = 'revoked';
+    else if (row.expires_at && new Date(row.expires_at) <= now) status = 'expired';
+    else if (row.replaced_by) status = 'rotating';
+
+    return {
+      id: row.id,
+      name: row.name,
+      prefix: row.key_prefix,
+      scopes: row.scopes,
+      status,
+      lastUsedAt: row.last_used_at,
+      lastUsedIp: row.last_used_ip,
+      createdAt: row.created_at,
+      createdBy: row.created_by,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at,
+      replacedBy: row.replaced_by
+    };
+  }
+
+  generateKey() {
+    return `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+  }
+}
+
+// Export singleton instance
+export const apiKeyService = new ApiKeyService();
+
+export default apiKeyService;
@@ -0,0 +1,711 @@
+/**
+ * Corporate Wellness Portal - Authentication Service
+ * Credential verification and tenant resolution for portal users
+ */
+
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+import { redisClient } from '../utils/redis.js';
+import { encryptionService } from './encryption.js';
+import { recordSecurityEvent } from '../middleware/audit.js';
+
+// Identity sources, checked in order. Tenant admins take precedence so an HR
+// admin who is also enrolled as an employee signs in with admin rights.
+const USER_SOURCES = {
+  admin: {
+    table: 'tenant_main.tenant_admins',
+    statusColumn: 'status',
+    activeStatus: 'active',
+    roleColumn: 'role'
+  },
+  employee: {
+    table: 'tenant_main.employees',
+    statusColumn: 'account_status',
+    activeStatus: 'active',
+    pendingStatus: 'pending', // Onboarded but has not yet accepted the invitation
+    roleColumn: 'access_role'
+  },
+  partner: {
+    table: 'tenant_main.partner_accounts',
+    statusColumn: 'status',
+    activeStatus: 'active',
+    pendingStatus: 'invited',
+    // Partners become active only by accepting the invitation, which records consent
+    activatedByInvitationOnly: true,
+    roleColumn: null
+  }
+};
+
+class AuthService {
+  constructor() {
+    // Hash used when no account matches so that unknown emails take as long
+    // to reject as wrong passwords
+    this.dummyPasswordHash = null;
+
+    // Progressive lockout: every maxFailedAttempts consecutive failures lock
+    // the account, doubling the lock duration each time up to the cap
+    this.lockoutPolicy = {
+      maxFailedAttempts: parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+      baseLockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+      maxLockoutMinutes: 24 * 60
+    };
+
+    // Redis-backed throttling of failed attempts, independent of whether
+    // the targeted account exists
+    this.loginThrottle = {
+      windowSeconds: 15 * 60,
+      maxFailuresPerIp: parseInt(process.env.LOGIN_MAX_FAILURES_PER_IP) || 50,
+      maxFailuresPerAccount: parseInt(process.env.LOGIN_MAX_FAILURES_PER_ACCOUNT) || 10
+    };
+  }
+
+  /**
+   * Authenticate email/password credentials against stored users
+   * Resolves to { status: 'success', user, tenant, mfaEnabled } or a failure status of
+   * 'invalid', 'locked' or 'throttled' (the latter two with retryAfter seconds).
+   * 'locked' is only returned once the password has matched.
+   */
+  async authenticate({ email, password, tenantDomain }, context = {}) {
+    const normalizedEmail = email.toLowerCase().trim();
+    const tenant = await this.resolveTenant(tenantDomain || normalizedEmail.split('@')[1]);
+    const tenantId = tenant?.id || null;
+
+    const throttle = await this.checkLoginThrottle(tenantId, normalizedEmail, context.ip);
+    if (throttle) {
+      logger.security('Login throttled', {
+        tenantId,
+        ip: context.ip,
+        scope: throttle.scope,
+        retryAfter: throttle.retryAfter
+      });
+      return { status: 'throttled', retryAfter: throttle.retryAfter };
+    }
+
+    if (!tenant) {
+      logger.warn('Login attempt for unknown tenant', {
+        tenantDomain,
+        emailDomain: normalizedEmail.split('@')[1]
+      });
+      await this.consumeDummyVerification(password);
+      await this.registerThrottledFailure(tenantId, normalizedEmail, context.ip);
+      return { status: 'invalid' };
+    }
+
+    const user = await this.findUserByEmail(tenant.id, normalizedEmail);
+
+    if (!user || !user.password_hash) {
+      await this.consumeDummyVerification(password);
+      await this.registerThrottledFailure(tenantId, normalizedEmail, context.ip);
+      return { status: 'invalid' };
+    }
+
+    // The lock is only reported to someone who knows the password; otherwise a
+    // locked response would confirm that the account exists
+    const locked = user.locked_until && new Date(user.locked_until) > new Date();
+    const passwordValid = await encryptionService.verifyPassword(password, user.password_hash, tenant.id);
+    if (!passwordValid) {
+      await this.registerThrottledFailure(tenantId, normalizedEmail, context.ip);
+      if (!locked) {
+        await this.recordFailedLogin(user, context);
+      }
+      return { status: 'invalid' };
+    }
+
+    if (locked) {
+      logger.security('Login attempt on locked account', {
+        tenantId: tenant.id,
+        userId: user.id,
+        userType: user.userType,
+        ip: context.ip
+      });
+      return {
+        status: 'locked',
+        retryAfter: Math.ceil((new Date(user.locked_until) - Date.now()) / 1000)
+      };
+    }
+
+    if (user.status !== USER_SOURCES[user.userType].activeStatus) {
+      logger.warn('Login attempt for inactive account', {
+        tenantId: tenant.id,
+        userId: user.id,
+        userType: user.userType,
+        status: user.status
+      });
+      return { status: 'invalid' };
+    }
+
+    await this.recordSuccessfulLogin(user);
+    await redisClient.del(this.getAccountThrottleKey(tenant.id, normalizedEmail));
+
+    return {
+      status: 'success',
+      user: this.toAuthUser(user),
+      mfaEnabled: Boolean(user.mfa_enabled),
+      tenant: {
+        id: tenant.id,
+        name: tenant.name,
+        tier: tenant.tier
+      }
+    };
+  }
+
+  /**
+   * Resolve an active tenant from its primary domain, custom domain or subdomain
+   */
+  async resolveTenant(tenantDomain) {
+    if (!tenantDomain) return null;
+
+    const domain = tenantDomain.toLowerCase().trim();
+    const query = `
+      SELECT id, name, tier, domain
+      FROM tenant_main.companies
+      WHERE (domain = $1
+        OR white_label_config->>'customDomain' = $1
+        OR white_label_config->>'subdomain' = $1)
+      AND status = 'active'
+      LIMIT 1
+    `;
+
+    const result = await database.query(query, [domain]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Tenant fields returned to clients after login
+   */
+  async getTenantSummary(tenantId) {
+    const result = await database.query(
+      'SELECT id, name, tier FROM tenant_main.companies WHERE id = $1',
+      [tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Find a user by email within a tenant, checking each identity source in order
+   */
+  async findUserByEmail(tenantId, email) {
+    for (const [userType, source] of Object.entries(USER_SOURCES)) {
+      const query = `
+        SELECT id, company_id, email, password_hash,
+          failed_login_attempts, locked_until, mfa_enabled,
+          ${source.statusColumn} AS status,
+          ${source.roleColumn ? `${source.roleColumn} AS role` : `'${userType}' AS role`}
+        FROM ${source.table}
+        WHERE company_id = $1 AND LOWER(email) = $2
+      `;
+
+      const result = await database.query(query, [tenantId, email]);
+      if (result.rows[0]) {
+        return { ...result.rows[0], userType };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Load the current state of a known user, e.g. when refreshing a session.
+   * Returns the auth user shape plus status, or null.
+   */
+  async findUserById(tenantId, userId, userType) {
+    const source = USER_SOURCES[userType];
+    if (!source) return null;
+
+    const result = await database.query(
+      `SELECT id, email,
+         ${source.statusColumn} AS status,
+         ${source.roleColumn ? `${source.roleColumn} AS role` : `'${userType}' AS role`}
+       FROM ${source.table}
+       WHERE id = $1 AND company_id = $2`,
+      [userId, tenantId]
+    );
+
+    const user = result.rows[0];
+    if (!user) return null;
+
+    return {
+      ...this.toAuthUser({ ...user, userType }),
+      status: user.status,
+      active: user.status === source.activeStatus
+    };
+  }
+
+  /**
+   * Resolve the portal account for an identity asserted by a tenant IdP,
+   * creating an employee just in time when the tenant allows it.
+   * Resolves to { status: 'success', user, tenant } or { status: 'denied', reason }
+   */
+  async provisionSsoUser(tenantId, attributes, { jitProvisioning = true, allowedDomains = [], provider } = {}) {
+    const email = attributes.email?.toLowerCase().trim();
+    if (!email || !email.includes('@')) {
+      return { status: 'denied', reason: 'missing_email' };
+    }
+
+    const emailDomain = email.split('@')[1];
+    if (allowedDomains.length > 0 && !allowedDomains.includes(emailDomain)) {
+      return { status: 'denied', reason: 'domain_not_allowed' };
+    }
+
+    const tenant = await this.getTenantSummary(tenantId);
+    if (!tenant) {
+      return { status: 'denied', reason: 'unknown_tenant' };
+    }
+
+    let user = await this.findUserByEmail(tenantId, email);
+
+    if (user && user.status !== USER_SOURCES[user.userType].activeStatus) {
+      // Pending employees complete onboarding by signing in through their IdP
+      if (user.userType === 'employee' && user.status === 'pending') {
+        await database.query(
+          `UPDATE tenant_main.employees
+           SET account_status = 'active', onboarded_at = COALESCE(onboarded_at, NOW()), updated_at = NOW()
+           WHERE id = $1`,
+          [user.id]
+        );
+        user.status = 'active';
+      } else {
+        return { status: 'denied', reason: 'account_inactive' };
+      }
+    }
+
+    if (user && user.userType === 'employee') {
+      // The IdP is the source of truth for directory fields it sends
+      await database.query(
+        `UPDATE tenant_main.employees
+         SET department = COALESCE($2, department),
+             role = COALESCE($3, role),
+             employee_id = COALESCE($4, employee_id),
+             updated_at = NOW()
+         WHERE id = $1`,
+        [user.id, attributes.department || null, attributes.role || null, attributes.employeeId || null]
+      );
+    }
+
+    if (!user) {
+      if (!jitProvisioning) {
+        return { status: 'denied', reason: 'not_provisioned' };
+      }
+
+      user = await this.createSsoEmployee(tenantId, email, attributes);
+      if (!user) {
+        return { status: 'denied', reason: 'employee_limit_reached' };
+      }
+
+      logger.audit('Employee provisioned just in time from SSO', {
+        tenantId,
+        userId: user.id,
+        provider,
+        auditType: 'provisioning'
+      });
+    }
+
+    await this.recordSuccessfulLogin({ ...user, company_id: tenantId });
+
+    return {
+      status: 'success',
+      user: this.toAuthUser(user),
+      tenant
+    };
+  }
+
+  /**
+   * Insert an active employee for a first-time SSO login, respecting the
+   * tenant's employee limit. Returns null when the tenant is at capacity.
+   */
+  async createSsoEmployee(tenantId, email, attributes) {
+    const encryptedFirstName = attributes.firstName
+      ? await encryptionService.encryptPHI(attributes.firstName, tenantId, email)
+      : null;
+    const encryptedLastName = attributes.lastName
+      ? await encryptionService.encryptPHI(attributes.lastName, tenantId, email)
+      : null;
+
+    const result = await database.query(
+      `INSERT INTO tenant_main.employees (
+         company_id, email, employee_id, first_name_encrypted, last_name_encrypted,
+         department, role, account_status, onboarded_at, created_at
+       )
+       SELECT $1, $2, $3, $4, $5, $6, $7, 'active', NOW(), NOW()
+       FROM tenant_main.companies c
+       WHERE c.id = $1
+         AND (SELECT COUNT(*) FROM tenant_main.employees WHERE company_id = $1 AND account_status != 'terminated') < c.max_employees
+       ON CONFLICT (company_id, email) DO NOTHING
+       RETURNING id, company_id, email`,
+      [
+        tenantId,
+        email,
+        attributes.employeeId || null,
+        encryptedFirstName ? JSON.stringify(encryptedFirstName) : null,
+        encryptedLastName ? JSON.stringify(encryptedLastName) : null,
+        attributes.department || null,
+        attributes.role || null
+      ]
+    );
+
+    if (!result.rows[0]) {
+      // Either at capacity or a concurrent login created the row first
+      const existing = await this.findUserByEmail(tenantId, email);
+      return existing?.userType === 'employee' ? existing : null;
+    }
+
+    return { ...result.rows[0], role: 'employee', userType: 'employee', status: 'active' };
+  }
+
+  /**
+   * Stamp the last login time for a user and clear failed attempt counters
+   */
+  async recordSuccessfulLogin(user) {
+    const source = USER_SOURCES[user.userType];
+
+    await database.query(
+      `UPDATE ${source.table}
+       SET last_login_at = NOW(), failed_login_attempts = 0, locked_until = NULL
+       WHERE id = $1`,
+      [user.id]
+    );
+
+    logger.audit('User login', {
+      tenantId: user.company_id,
+      userId: user.id,
+      userType: user.userType,
+      auditType: 'authentication'
+    });
+  }
+
+  /**
+   * Count a failed password attempt and lock the account when the
+   * threshold is reached. Returns lockout details when a lock was applied.
+   */
+  async recordFailedLogin(user, context = {}) {
+    const source = USER_SOURCES[user.userType];
+    const { maxFailedAttempts } = this.lockoutPolicy;
+
+    const result = await database.query(
+      `UPDATE ${source.table}
+       SET failed_login_attempts = COALESCE(failed_login_attempts, 0) + 1
+       WHERE id = $1
+       RETURNING failed_login_attempts`,
+      [user.id]
+    );
+
+    const failedAttempts = result.rows[0]?.failed_login_attempts || 0;
+
+    if (failedAttempts === 0 || failedAttempts % maxFailedAttempts !== 0) {
+      return null;
+    }
+
+    const durationMinutes = this.getLockoutDuration(failedAttempts);
+
+    await database.query(
+      `UPDATE ${source.table}
+       SET locked_until = NOW() + ($2 * INTERVAL '1 minute')
+       WHERE id = $1`,
+      [user.id, durationMinutes]
+    );
+
+    logger.security('Account locked after repeated failed logins', {
+      tenantId: user.company_id,
+      userId: user.id,
+      userType: user.userType,
+      failedAttempts,
+      durationMinutes,
+      ip: context.ip
+    });
+
+    await recordSecurityEvent({
+      tenantId: user.company_id,
+      eventType: 'account_lockout',
+      severity: durationMinutes >= this.lockoutPolicy.maxLockoutMinutes ? 'high' : 'medium',
+      category: 'authentication',
+      description: `Account locked for ${durationMinutes} minutes after ${failedAttempts} consecutive failed login attempts`,
+      affectedUserId: user.id,
+      affectedResource: `${user.userType}:${user.id}`,
+      sourceIp: context.ip,
+      userAgent: context.userAgent,
+      detectionMethod: 'failed_login_threshold'
+    });
+
+    return { failedAttempts, durationMinutes };
+  }
+
+  /**
+   * Lock duration for the nth lockout: base, 2x base, 4x base ... up to the cap
+   */
+  getLockoutDuration(failedAttempts) {
+    const { maxFailedAttempts, baseLockoutMinutes, maxLockoutMinutes } = this.lockoutPolicy;
+    const lockoutNumber = Math.floor(failedAttempts / maxFailedAttempts);
+
+    return Math.min(baseLockoutMinutes * Math.pow(2, lockoutNumber - 1), maxLockoutMinutes);
+  }
+
+  /**
+   * Clear a lockout on behalf of a tenant administrator
+   */
+  async unlockAccount(tenantId, userId, userType, { unlockedBy, ip, userAgent } = {}) {
+    const source = USER_SOURCES[userType];
+    if (!source) {
+      throw new Error(`Unknown user type: ${userType}`);
+    }
+
+    const result = await database.query(
+      `UPDATE ${source.table}
+       SET failed_login_attempts = 0, locked_until = NULL
+       WHERE id = $1 AND company_id = $2
+       RETURNING id, email`,
+      [userId, tenantId]
+    );
+
+    const account = result.rows[0];
+    if (!account) {
+      return null;
+    }
+
+    await redisClient.del(this.getAccountThrottleKey(tenantId, account.email.toLowerCase()));
+
+    logger.security('Account unlocked by administrator', {
+      tenantId,
+      userId,
+      userType,
+      unlockedBy
+    });
+
+    await recordSecurityEvent({
+      tenantId,
+      eventType: 'account_unlocked',
+      severity: 'low',
+      category: 'authentication',
+      description: `Account unlocked by administrator ${unlockedBy}`,
+      affectedUserId: userId,
+      affectedResource: `${userType}:${userId}`,
+      sourceIp: ip,
+      userAgent,
+      detectionMethod: 'admin_action',
+      status: 'resolved'
+    });
+
+    return { id: account.id, userType };
+  }
+
+  /**
+   * Store a new password, restarting the password age and clearing any
+   * lockout. A pending employee becomes active once they have a password.
+   * Returns { id, email, status } or null.
+   */
+  async setPassword(tenantId, userId, userType, password) {
+    const source = USER_SOURCES[userType];
+    if (!source) {
+      throw new Error(`Unknown user type: ${userType}`);
+    }
+
+    const passwordHash = await encryptionService.hashPassword(password, tenantId);
+    const activation = source.pendingStatus
+      ? `, ${source.statusColumn} = CASE WHEN ${source.statusColumn} = '${source.pendingStatus}'
+           THEN '${source.activeStatus}' ELSE ${source.statusColumn} END`
+      : '';
+
+    const result = await database.query(
+      `UPDATE ${source.table}
+       SET password_hash = $3, last_password_change = NOW(),
+           failed_login_attempts = 0, locked_until = NULL, updated_at = NOW()${activation}
+       WHERE id = $1 AND company_id = $2
+       RETURNING id, email, ${source.statusColumn} AS status`,
+      [userId, tenantId, passwordHash]
+    );
+
+    const account = result.rows[0];
+    if (!account) return null;
+
+    await redisClient.del(this.getAccountThrottleKey(tenantId, account.email.toLowerCase()));
+
+    return account;
+  }
+
+  /**
+   * Statuses in which an account may set a password through an emailed
+   * link of the given purpose ('invitation' or 'password_reset')
+   */
+  getPasswordSetupStatuses(userType, purpose) {
+    const source = USER_SOURCES[userType];
+    if (!source) return [];
+
+    const allowPending = source.pendingStatus &&
+      (purpose === 'invitation' || !source.activatedByInvitationOnly);
+
+    return allowPending ? [source.activeStatus, source.pendingStatus] : [source.activeStatus];
+  }
+
+  /**
+   * Change an employee's account status. Returns the updated row or null.
+   */
+  async setEmployeeStatus(tenantId, employeeId, status) {
+    const result = await database.query(
+      `UPDATE tenant_main.employees
+       SET account_status = $3, updated_at = NOW()
+       WHERE id = $1 AND company_id = $2
+       RETURNING id, email, account_status`,
+      [employeeId, tenantId, status]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Change the portal role of an account. The role must already be valid for
+   * the user type. A tenant's last active tenant_admin cannot be demoted.
+   * Resolves to { status: 'success', user } or { status: 'not_found' | 'last_admin' }
+   */
+  async assignRole(tenantId, userId, userType, role, { assignedBy } = {}) {
+    const source = USER_SOURCES[userType];
+    if (!source?.roleColumn) {
+      throw new Error(`Roles cannot be assigned to user type: ${userType}`);
+    }
+
+    const result = await database.query(
+      `UPDATE ${source.table} t
+       SET ${source.roleColumn} = $3::text, updated_at = NOW()
+       FROM (
+         SELECT id, ${source.roleColumn} AS previous_role
+         FROM ${source.table}
+         WHERE id = $1 AND company_id = $2
+       ) previous
+       WHERE t.id = previous.id
+         AND ($3::text = 'tenant_admin' OR previous.previous_role <> 'tenant_admin' OR EXISTS (
+           SELECT 1 FROM ${source.table} other
+           WHERE other.company_id = $2 AND other.id <> $1
+             AND other.${source.roleColumn} = 'tenant_admin'
+             AND other.${source.statusColumn} = '${source.activeStatus}'
+         ))
+       RETURNING t.id, t.email, t.${source.roleColumn} AS role, previous.previous_role`,
+      [userId, tenantId, role]
+    );
+
+    const account = result.rows[0];
+    if (!account) {
+      const existing = await this.findUserById(tenantId, userId, userType);
+      return { status: existing ? 'last_admin' : 'not_found' };
+    }
+
+    logger.audit('Role assigned', {
+      tenantId,
+      userId,
+      userType,
+      role,
+      previousRole: account.previous_role,
+      assignedBy
+    });
+
+    return {
+      status: 'success',
+      user: {
+        id: account.id,
+        email: account.email,
+        role: account.role,
+        previousRole: account.previous_role,
+        userType
+      }
+    };
+  }
+
+  /**
+   * Check per-IP and per-account failure counters. Accounts are counted
+   * within their tenant, so failures against an email in one tenant can't
+   * lock out the same address elsewhere; without a tenant only the IP
+   * counts. Returns { scope, retryAfter } when the caller must back off.
+   */
+  async checkLoginThrottle(tenantId, email, ip) {
+    const checks = [];
+    if (tenantId) {
+      checks.push({
+        scope: 'account',
+        key: this.getAccountThrottleKey(tenantId, email),
+        max: this.loginThrottle.maxFailuresPerAccount
+      });
+    }
+    if (ip) {
+      checks.push({ scope: 'ip', key: this.getIpThrottleKey(ip), max: this.loginThrottle.maxFailuresPerIp });
+    }
+
+    for (const { scope, key, max } of checks) {
+      const failures = parseInt(await redisClient.get(key)) || 0;
+      if (failures >= max) {
+        const ttl = await redisClient.ttl(key);
+        return { scope, retryAfter: ttl > 0 ? ttl : this.loginThrottle.windowSeconds };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Count a failed attempt against the IP and account throttling windows
+   */
+  async registerThrottledFailure(tenantId, email, ip) {
+    const keys = [];
+    if (tenantId) keys.push(this.getAccountThrottleKey(tenantId, email));
+    if (ip) keys.push(this.getIpThrottleKey(ip));
+
+    for (const key of keys) {
+      try {
+        const failures = await redisClient.incr(key);
+        if (failures === 1) {
+          await redisClient.expire(key, this.loginThrottle.windowSeconds);
+        }
+      } catch (error) {
+        // Throttling is best effort; the database lockout still applies
+        logger.warn('Failed to update login throttle counter', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Table backing a user type, for services that manage account columns
+   */
+  getUserTable(userType) {
+    const source = USER_SOURCES[userType];
+    if (!source) {
+      throw new Error(`Unknown user type: ${userType}`);
+    }
+    return source.table;
+  }
+
+  getAccountThrottleKey(tenantId, email) {
+    return `login_failures:account:${tenantId}:${email}`;
+  }
+
+  getIpThrottleKey(ip) {
+    return `login_failures:ip:${ip}`;
+  }
+
+  /**
+   * Shape a database user row into the claims carried by access tokens
+   */
+  toAuthUser(user) {
+    return {
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      userType: user.userType
+    };
+  }
+
+  /**
+   * Run a password verification against a throwaway hash to keep response
+   * timing consistent between unknown accounts and wrong passwords
+   */
+  async consumeDummyVerification(password) {
+    if (!this.dummyPasswordHash) {
+      this.dummyPasswordHash = await encryptionService.hashPassword(
+        encryptionService.generateSecureKey(),
+        'timing-equalization'
+      );
+    }
+
+    await encryptionService.verifyPassword(password, this.dummyPasswordHash);
+  }
+}
+
+// Export singleton instance
+export const authService = new AuthService();
+
+export default authService;
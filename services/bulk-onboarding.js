@@ -5,6 +5,7 @@
 
 import fs from 'fs/promises';
 import csv from 'csv-parser';
+import ExcelJS from 'exceljs';
 import { Readable } from 'stream';
 import Bull from 'bull';
 import { database } from '../utils/database.js';
@@ -12,7 +13,31 @@ import { logger } from '../utils/logger.js';
 import { encryptionService } from './encryption.js';
 import { claudeAIService } from './claude-ai.js';
 import { emailService } from './email.js';
+import { partnerService, PARTNER_APPS } from './partner.js';
+import { passwordService } from './password.js';
 import { redisClient } from '../utils/redis.js';
+import { columnMappingService } from './column-mapping.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const RUN_STATUSES = ['validating', 'processing', 'completed', 'completed_with_errors', 'failed', 'cancelled'];
+const RECORD_STATUSES = ['invalid', 'pending', 'created', 'failed'];
+const FINISHED_RUN_STATUSES = ['completed', 'completed_with_errors', 'failed', 'cancelled'];
+
+// partial onboards the valid rows and quarantines the rest; strict stops
+// the whole run on the first invalid row
+export const ONBOARDING_VALIDATION_MODES = ['partial', 'strict'];
+
+// create only adds employees and rejects rows for existing ones; sync
+// makes the tenant match the file (see onboardingPlanService.syncRoster)
+export const ONBOARDING_MODES = ['create', 'sync'];
+
+// Columns the error report appends to the original ones; ignored on re-upload
+const ERROR_REPORT_COLUMNS = ['error_row_number', 'error_messages'];
+
+// The quote toCsvLine puts before a cell a spreadsheet would run as a
+// formula; removed again when an error report is re-uploaded
+const FORMULA_ESCAPE = /^'(?=[=+\-@\t\r])/;
 
 class BulkOnboardingService {
   constructor() {
@@ -33,7 +58,17 @@ class BulkOnboardingService {
     
     this.batchSize = 1000; // Process 1000 employees at a time
     this.maxConcurrentJobs = 10;
+
+    // Runs, batches and row outcomes live in Postgres; Redis only holds
+    // status snapshots so polling clients don't hit the database each time
+    this.progressCacheSeconds = 5;
+    this.finishedCacheSeconds = 3600;
+    this.historyPageSize = 10;
+    this.maxHistoryPageSize = 100;
     
+    // Spreadsheets often open with a title or notes above the header row
+    this.headerScanRows = 20;
+
     this.setupQueueProcessors();
   }
 
@@ -41,14 +76,22 @@ class BulkOnboardingService {
    * Setup queue processors for background jobs
    */
   setupQueueProcessors() {
+    // Jobs run outside any request, so each one is scoped to the tenant it
+    // was queued for; without a scope the database would show it no rows
+    
     // Employee processing queue
     this.employeeQueue.process('process-employee-batch', this.maxConcurrentJobs, async (job) => {
-      return await this.processEmployeeBatch(job.data);
+      return await database.runWithTenant(job.data.tenantId, () =>
+        // attemptsMade counts earlier failures of this job
+        this.processEmployeeBatch(job.data, {
+          finalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1)
+        })
+      );
     });
     
     // Notification queue
     this.notificationQueue.process('send-welcome-email', this.maxConcurrentJobs, async (job) => {
-      return await this.sendWelcomeEmail(job.data);
+      return await database.runWithTenant(job.data.tenantId, () => this.sendWelcomeEmail(job.data));
     });
     
     // Error handling
@@ -65,74 +108,68 @@ class BulkOnboardingService {
    * Main entry point for bulk onboarding
    * Handles CSV upload and initiates processing
    */
-  async processCSVUpload(tenantId, csvFile, options = {}) {
+  async processCSVUpload(tenantId, csvFile, options = {}, { initiatedBy } = {}) {
     const startTime = Date.now();
-    const onboardingId = `onboarding_${tenantId}_${Date.now()}`;
+    const validationMode = options.validationMode || 'partial';
+    let onboardingId;
     
     try {
-      logger.info('Starting bulk onboarding process', {
-        tenantId,
-        onboardingId,
-        filename: csvFile.originalname,
-        fileSize: csvFile.size
-      });
-      
       // Create onboarding session record
-      await this.createOnboardingSession(tenantId, onboardingId, {
+      onboardingId = await this.createOnboardingSession(tenantId, {
         filename: csvFile.originalname,
         fileSize: csvFile.size,
-        options
+        options: { ...options, validationMode },
+        initiatedBy
       });
       
-      // Parse CSV and validate structure
-      const employees = await this.parseCSV(csvFile.buffer);
-      const validationResult = await this.validateEmployeeData(employees, tenantId);
-      
-      if (validationResult.errors.length > 0) {
-        throw new Error(`Validation failed: ${validationResult.errors.join(', ')}`);
-      }
-      
-      // Split into batches for processing
-      const batches = this.createBatches(validationResult.validEmployees, this.batchSize);
-      
-      logger.info('Employee data validated, starting batch processing', {
+      logger.info('Starting bulk onboarding process', {
         tenantId,
         onboardingId,
-        totalEmployees: validationResult.validEmployees.length,
-        totalBatches: batches.length,
-        invalidRecords: validationResult.invalidEmployees.length
+        filename: csvFile.originalname,
+        fileSize: csvFile.size,
+        initiatedBy: initiatedBy?.id
       });
       
-      // Queue batches for processing
-      const batchPromises = batches.map((batch, index) => {
-        return this.employeeQueue.add('process-employee-batch', {
+      // Parse the file and validate structure
+      const { source, mapped } = await this.readUpload(tenantId, csvFile, options);
+      const employees = mapped.rows.map(row => this.normalizeEmployeeData(row));
+      const validationResult = await this.validateEmployeeData(employees, tenantId, this.rowNumbersOf(mapped));
+      
+      if (validationResult.errors.length > 0 && validationMode === 'strict') {
+        // Keep the rejected rows so the run shows why it stopped and the
+        // error report can be downloaded, fixed and re-uploaded
+        const error = this.summarizeValidationErrors(validationResult.errors);
+        await this.recordValidationFailure(tenantId, onboardingId, source, validationResult);
+        await this.updateOnboardingSession(tenantId, onboardingId, { status: 'failed', error });
+        
+        logger.info('Bulk onboarding rejected in strict mode', {
           tenantId,
           onboardingId,
-          batchIndex: index,
-          employees: batch,
-          options
-        }, {
-          delay: index * 1000, // Stagger batches by 1 second
-          attempts: 3,
-          backoff: 'exponential'
+          invalidRecords: validationResult.invalidEmployees.length
         });
-      });
+        
+        return {
+          onboardingId,
+          status: 'failed',
+          validationMode,
+          error,
+          totalEmployees: 0,
+          totalBatches: 0,
+          invalidRecords: validationResult.invalidEmployees.length,
+          processingTimeMs: Date.now() - startTime
+        };
+      }
       
-      // Update session with batch information
-      await this.updateOnboardingSession(tenantId, onboardingId, {
-        status: 'processing',
-        totalEmployees: validationResult.validEmployees.length,
-        totalBatches: batches.length,
-        batchIds: batchPromises.map(p => p.id)
-      });
+      const { status, totalBatches } = await this.queueRun(tenantId, onboardingId, source, validationResult, options);
       
       const processingTime = Date.now() - startTime;
       
       return {
         onboardingId,
-        status: 'processing',
+        status,
+        validationMode,
         totalEmployees: validationResult.validEmployees.length,
-        totalBatches: batches.length,
+        totalBatches,
         invalidRecords: validationResult.invalidEmployees.length,
         processingTimeMs: processingTime,
         estimatedCompletionTime: this.estimateCompletionTime(validationResult.validEmployees.length)
@@ -146,32 +183,132 @@ class BulkOnboardingService {
       });
       
       // Update session with error
-      await this.updateOnboardingSession(tenantId, onboardingId, {
-        status: 'failed',
-        error: error.message
-      });
+      if (onboardingId) {
+        await this.updateOnboardingSession(tenantId, onboardingId, {
+          status: 'failed',
+          error: error.message
+        });
+      }
       
       throw error;
     }
   }
 
   /**
-   * Parse CSV file and extract employee data
+   * Record a validated run's rows and queue its valid employees in
+   * batches. Resolves to the run's status and batch count.
+   */
+  async queueRun(tenantId, onboardingId, source, validationResult, options = {}) {
+    // Split into batches for processing
+    const batches = this.createBatches(validationResult.validEmployees, this.batchSize);
+    
+    logger.info('Employee data validated, starting batch processing', {
+      tenantId,
+      onboardingId,
+      totalEmployees: validationResult.validEmployees.length,
+      totalBatches: batches.length,
+      invalidRecords: validationResult.invalidEmployees.length
+    });
+    
+    // Rows and batches are written before any job is queued, so a batch
+    // that starts straight away always finds its records
+    await this.recordQueuedRun(tenantId, onboardingId, source, validationResult, batches);
+    
+    // Queue batches for processing
+    const jobs = await Promise.all(batches.map((batch, index) => {
+      return this.employeeQueue.add('process-employee-batch', {
+        tenantId,
+        onboardingId,
+        batchIndex: index,
+        employees: batch,
+        options
+      }, {
+        delay: index * 1000, // Stagger batches by 1 second
+        attempts: 3,
+        backoff: 'exponential'
+      });
+    }));
+    
+    await this.recordBatchJobs(tenantId, onboardingId, jobs);
+    
+    // Nothing to queue, e.g. every row was quarantined: close the run now
+    const status = batches.length === 0 ?
+      await this.refreshRunProgress(tenantId, onboardingId) : 'processing';
+    
+    return { status, totalBatches: batches.length };
+  }
+
+  /**
+   * Parse an upload into { source, mapped }. source is the file as
+   * uploaded: quarantined rows and the error report keep its columns and
+   * values, so a fixed report can be re-uploaded with the same profile.
+   * mapped is what gets validated (see applyMapping).
+   */
+  async readUpload(tenantId, file, options = {}) {
+    const source = await this.parseUpload(file, options);
+    return { source, mapped: await this.applyMapping(tenantId, source, options) };
+  }
+
+  /**
+   * Rewrite a parsed upload through the tenant's column mapping profile
+   * named by options.mappingProfileId; without one the upload is unchanged
+   */
+  async applyMapping(tenantId, source, { mappingProfileId } = {}) {
+    if (!mappingProfileId) return source;
+    
+    const profile = await columnMappingService.getProfile(tenantId, mappingProfileId);
+    if (!profile) {
+      throw new Error('Column mapping profile not found');
+    }
+    
+    return columnMappingService.applyProfile(source, profile);
+  }
+
+  /**
+   * Parse an uploaded CSV or XLSX file into { headers, rows, rowNumbers },
+   * rowNumbers being each row's line in the file as the uploader sees it.
+   * XLSX is recognised by content, since browsers label spreadsheets
+   * inconsistently. Options: sheetName, to read a sheet other than the first.
+   */
+  async parseUpload(file, { sheetName } = {}) {
+    const signature = file.buffer.subarray(0, 4).toString('hex');
+    
+    if (signature === '504b0304') {
+      return this.parseXLSX(file.buffer, { sheetName });
+    }
+    if (signature === 'd0cf11e0') {
+      throw new Error('Legacy .xls workbooks are not supported; save the sheet as .xlsx or CSV');
+    }
+    
+    return this.parseCSV(file.buffer);
+  }
+
+  /**
+   * Parse CSV file into its header row and rows keyed by lower-cased header
    */
   async parseCSV(csvBuffer) {
     return new Promise((resolve, reject) => {
-      const employees = [];
+      // Original header names, in file order, for the error report
+      const headers = [];
+      const rows = [];
+      const rowNumbers = [];
       const stream = Readable.from(csvBuffer);
       
       stream
         .pipe(csv({
-          mapHeaders: ({ header }) => header.toLowerCase().trim()
+          mapHeaders: ({ header, index }) => {
+            headers[index] = this.unescapeCell(header.trim());
+            return headers[index].toLowerCase();
+          },
+          mapValues: ({ value }) => this.unescapeCell(value)
         }))
         .on('data', (row) => {
-          employees.push(this.normalizeEmployeeData(row));
+          rows.push(row);
+          // The header is row 1
+          rowNumbers.push(rows.length + 1);
         })
         .on('end', () => {
-          resolve(employees);
+          resolve({ headers, rows, rowNumbers });
         })
         .on('error', (error) => {
           reject(new Error(`CSV parsing failed: ${error.message}`));
@@ -179,6 +316,111 @@ class BulkOnboardingService {
     });
   }
 
+  /**
+   * Parse one sheet of an XLSX workbook the way parseCSV reads a file:
+   * original header names plus rows keyed by lower-cased header, every
+   * value a string. Rows above the header row and blank rows are skipped;
+   * rowNumbers keeps each row's number on the worksheet, so errors point
+   * at the row the uploader sees in Excel.
+   */
+  async parseXLSX(buffer, { sheetName } = {}) {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      throw new Error(`XLSX parsing failed: ${error.message}`);
+    }
+    
+    const worksheet = sheetName ?
+      workbook.worksheets.find(sheet => sheet.name.trim().toLowerCase() === String(sheetName).trim().toLowerCase()) :
+      workbook.worksheets.find(sheet => sheet.state === 'visible') || workbook.worksheets[0];
+    
+    if (!worksheet) {
+      throw new Error(sheetName ?
+        `Sheet "${sheetName}" not found; the workbook has: ${workbook.worksheets.map(sheet => sheet.name).join(', ')}` :
+        'The workbook has no sheets');
+    }
+    
+    const headerRow = this.findHeaderRow(worksheet);
+    if (!headerRow) {
+      return { headers: [], rows: [], rowNumbers: [] };
+    }
+    
+    // Column number -> header; a header merged across several columns
+    // keeps only its first one, and unnamed columns are dropped
+    const columns = [];
+    headerRow.eachCell({ includeEmpty: true }, (cell, colNumber) => {
+      const isMergedTail = cell.isMerged && cell.master.col !== cell.col;
+      const header = isMergedTail ? '' : this.unescapeCell(this.cleanHeader(this.cellText(cell.value)));
+      if (header) columns.push({ colNumber, header });
+    });
+    
+    const headers = columns.map(column => column.header);
+    const rows = [];
+    const rowNumbers = [];
+    
+    worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+      if (rowNumber <= headerRow.number) return;
+      
+      const values = columns.map(({ colNumber }) => this.unescapeCell(this.cellText(row.getCell(colNumber).value).trim()));
+      if (values.every(value => value === '')) return;
+      
+      rows.push(Object.fromEntries(columns.map(({ header }, i) => [header.toLowerCase(), values[i]])));
+      rowNumbers.push(rowNumber);
+    });
+    
+    return { headers, rows, rowNumbers };
+  }
+
+  /**
+   * The first row with an email column, or failing that the first row
+   * with any text, within the first headerScanRows rows
+   */
+  findHeaderRow(worksheet) {
+    let firstFilled = null;
+    const lastRow = Math.min(worksheet.rowCount, this.headerScanRows);
+    
+    for (let rowNumber = 1; rowNumber <= lastRow; rowNumber++) {
+      const row = worksheet.getRow(rowNumber);
+      const labels = [];
+      row.eachCell(cell => labels.push(this.cleanHeader(this.cellText(cell.value)).toLowerCase()));
+      
+      if (labels.includes('email')) return row;
+      if (!firstFilled && labels.some(label => label !== '')) firstFilled = row;
+    }
+    
+    return firstFilled;
+  }
+
+  /**
+   * Header labels from spreadsheets: line breaks and repeated spaces
+   * collapse to one space, and a trailing required-field * is dropped
+   */
+  cleanHeader(label) {
+    return label.replace(/\s+/g, ' ').replace(/\s*\*+$/, '').trim();
+  }
+
+  /**
+   * Cell value as the text a CSV export would hold. Dates become ISO
+   * dates (with the time only when there is one), formulas their result
+   * and hyperlinks (mailto: emails included) their text.
+   */
+  cellText(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+      const iso = value.toISOString();
+      return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+    }
+    if (typeof value !== 'object') return String(value);
+    
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.hyperlink !== undefined) return this.cellText(value.text);
+    if (value.formula !== undefined || value.sharedFormula !== undefined) return this.cellText(value.result);
+    
+    // Error values such as #N/A
+    return '';
+  }
+
   /**
    * Normalize employee data from CSV
    */
@@ -234,7 +476,8 @@ class BulkOnboardingService {
       'department', 'role', 'position', 'job_title', 'manager_id', 'manager_employee_id',
       'location', 'office', 'birth_year', 'age', 'gender', 'marital_status',
       'has_dependents', 'dependents', 'include_spouse', 'spouse_access', 'spouse_email',
-      'health_conditions', 'stress_level'
+      'health_conditions', 'stress_level',
+      ...ERROR_REPORT_COLUMNS
     ];
     
     const customFields = {};
@@ -248,9 +491,10 @@ class BulkOnboardingService {
   }
 
   /**
-   * Validate employee data
+   * Validate employee data. rowNumbers are the rows' numbers in the file
+   * (see parseUpload), used in errors and as record row numbers.
    */
-  async validateEmployeeData(employees, tenantId) {
+  async validateEmployeeData(employees, tenantId, rowNumbers = employees.map((employee, index) => index + 2)) {
     const validEmployees = [];
     const invalidEmployees = [];
     const errors = [];
@@ -260,21 +504,7 @@ class BulkOnboardingService {
     const tenant = await this.getTenantConfig(tenantId);
     
     for (const [index, employee] of employees.entries()) {
-      const rowErrors = [];
-      
-      // Required field validation
-      if (!employee.email) {
-        rowErrors.push('Email is required');
-      } else if (!this.isValidEmail(employee.email)) {
-        rowErrors.push('Invalid email format');
-      } else if (emailSet.has(employee.email)) {
-        rowErrors.push('Duplicate email address');
-      } else {
-        emailSet.add(employee.email);
-      }
-      
-      if (!employee.firstName) rowErrors.push('First name is required');
-      if (!employee.lastName) rowErrors.push('Last name is required');
+      const rowErrors = this.validateRowFields(employee, emailSet);
       
       // Check if employee already exists
       if (employee.email) {
@@ -290,24 +520,58 @@ class BulkOnboardingService {
       }
       
       if (rowErrors.length === 0) {
-        validEmployees.push({ ...employee, rowIndex: index + 2 }); // +2 for CSV header
+        validEmployees.push({ ...employee, rowIndex: rowNumbers[index] });
       } else {
         invalidEmployees.push({
-          rowIndex: index + 2,
+          rowIndex: rowNumbers[index],
           employee,
           errors: rowErrors
         });
-        errors.push(`Row ${index + 2}: ${rowErrors.join(', ')}`);
+        errors.push(`Row ${rowNumbers[index]}: ${rowErrors.join(', ')}`);
       }
     }
     
     return { validEmployees, invalidEmployees, errors };
   }
 
+  /**
+   * Checks that need only the row itself and the emails seen so far in the
+   * file. requireNames: false leaves the names to the caller, for rows that
+   * may update an employee who already has them.
+   */
+  validateRowFields(employee, emailSet, { requireNames = true } = {}) {
+    const rowErrors = [];
+    
+    // Required field validation
+    if (!employee.email) {
+      rowErrors.push('Email is required');
+    } else if (!this.isValidEmail(employee.email)) {
+      rowErrors.push('Invalid email format');
+    } else if (emailSet.has(employee.email)) {
+      rowErrors.push('Duplicate email address');
+    } else {
+      emailSet.add(employee.email);
+    }
+    
+    if (requireNames) rowErrors.push(...this.nameErrors(employee));
+    
+    return rowErrors;
+  }
+
+  /**
+   * Names a new employee can't be created without
+   */
+  nameErrors(employee) {
+    const rowErrors = [];
+    if (!employee.firstName) rowErrors.push('First name is required');
+    if (!employee.lastName) rowErrors.push('Last name is required');
+    return rowErrors;
+  }
+
   /**
    * Process a batch of employees
    */
-  async processEmployeeBatch({ tenantId, onboardingId, batchIndex, employees, options }) {
+  async processEmployeeBatch({ tenantId, onboardingId, batchIndex, employees, options }, { finalAttempt = true } = {}) {
     const startTime = Date.now();
     
     try {
@@ -318,9 +582,13 @@ class BulkOnboardingService {
         employeeCount: employees.length
       });
       
+      // A retried job skips the rows an earlier attempt already created
+      const createdRows = await this.startBatch(tenantId, onboardingId, batchIndex);
       const results = [];
       
       for (const employee of employees) {
+        if (createdRows.has(employee.rowIndex)) continue;
+        
         try {
           // Create employee record
           const employeeRecord = await this.createEmployeeRecord(tenantId, employee);
@@ -345,6 +613,12 @@ class BulkOnboardingService {
             onboardingId
           });
           
+          await this.recordRowOutcome(tenantId, onboardingId, employee.rowIndex, {
+            status: 'created',
+            employeeId: employeeRecord.id,
+            appsAssigned: appAssignments.length
+          });
+          
           results.push({
             email: employee.email,
             employeeId: employeeRecord.id,
@@ -359,6 +633,11 @@ class BulkOnboardingService {
             error: error.message
           });
           
+          await this.recordRowOutcome(tenantId, onboardingId, employee.rowIndex, {
+            status: 'failed',
+            error: error.message
+          });
+          
           results.push({
             email: employee.email,
             status: 'failed',
@@ -373,8 +652,6 @@ class BulkOnboardingService {
       // Update batch status
       await this.updateBatchStatus(tenantId, onboardingId, batchIndex, {
         status: 'completed',
-        processedCount: results.length,
-        successCount,
         processingTimeMs: processingTime
       });
       
@@ -384,14 +661,17 @@ class BulkOnboardingService {
         batchIndex,
         successCount,
         failureCount: results.length - successCount,
+        skippedCount: createdRows.size,
         processingTimeMs: processingTime
       });
       
       return results;
       
     } catch (error) {
+      // Bull retries the job; only the last attempt settles the batch
       await this.updateBatchStatus(tenantId, onboardingId, batchIndex, {
-        status: 'failed',
+        status: finalAttempt ? 'failed' : 'queued',
+        processingTimeMs: Date.now() - startTime,
         error: error.message
       });
       
@@ -607,8 +887,9 @@ Respond in JSON format:
         const assignment = await this.createAppAssignment(tenantId, employeeId, rec);
         assignments.push(assignment);
         
-        // If spouse access is recommended and spouse email provided
-        if (rec.includeSpouse && employee.spouseEmail) {
+        // If spouse access is recommended and spouse email provided; partners
+        // only get the partner-facing apps
+        if (rec.includeSpouse && employee.spouseEmail && PARTNER_APPS.includes(rec.app)) {
           const spouseAssignment = await this.createSpouseAppAssignment(
             tenantId, employeeId, rec, employee.spouseEmail
           );
@@ -657,6 +938,36 @@ Respond in JSON format:
     return result.rows[0];
   }
 
+  /**
+   * Share an app with the employee's spouse/partner, inviting them to a
+   * partner account on first share
+   */
+  async createSpouseAppAssignment(tenantId, employeeId, recommendation, spouseEmail) {
+    const result = await partnerService.invitePartner(tenantId, employeeId, {
+      email: spouseEmail,
+      apps: [recommendation.app]
+    });
+
+    if (result.status !== 'success') {
+      throw new Error(`Partner invitation failed: ${result.detail || result.status}`);
+    }
+
+    const assignment = await database.query(
+      `UPDATE tenant_main.app_assignments
+       SET assigned_to_spouse = TRUE, spouse_email = $3
+       WHERE employee_id = $1 AND app_name = $2
+       RETURNING id, app_name, access_level`,
+      [employeeId, recommendation.app, result.partner.email]
+    );
+
+    return {
+      ...assignment.rows[0],
+      assignedTo: 'partner',
+      partnerId: result.partner.id,
+      invitationSent: result.invitationSent
+    };
+  }
+
   /**
    * Helper methods
    */
@@ -691,42 +1002,359 @@ Respond in JSON format:
     return result.rows[0];
   }
 
-  async createOnboardingSession(tenantId, onboardingId, data) {
-    // Implementation for tracking onboarding sessions
-    await redisClient.setex(`onboarding:${onboardingId}`, 86400, JSON.stringify({
-      tenantId,
-      status: 'started',
-      startTime: new Date().toISOString(),
-      ...data
+  /**
+   * Start a durable run record; returns its id, which is the onboardingId
+   */
+  async createOnboardingSession(tenantId, { filename, fileSize, options, initiatedBy, source = 'csv' }) {
+    const result = await database.query(
+      `INSERT INTO tenant_main.onboarding_runs (
+         company_id, initiated_by, initiated_by_type, initiated_by_email,
+         filename, file_size, options, source
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING id`,
+      [
+        tenantId,
+        initiatedBy?.id && UUID_PATTERN.test(initiatedBy.id) ? initiatedBy.id : null,
+        initiatedBy?.userType || null,
+        initiatedBy?.email || null,
+        filename ? filename.slice(0, 255) : null,
+        fileSize ?? null,
+        JSON.stringify(options || {}),
+        source
+      ]
+    );
+    return result.rows[0].id;
+  }
+
+  async updateOnboardingSession(tenantId, onboardingId, { status, error }) {
+    await database.query(
+      `UPDATE tenant_main.onboarding_runs
+       SET status = $3, error_message = $4, updated_at = NOW(),
+           completed_at = CASE WHEN $5 THEN NOW() ELSE completed_at END
+       WHERE id = $1 AND company_id = $2`,
+      [onboardingId, tenantId, status, error || null, FINISHED_RUN_STATUSES.includes(status)]
+    );
+    await this.clearStatusCache(onboardingId);
+  }
+
+  /**
+   * Store the rows that stopped a run at validation
+   */
+  async recordValidationFailure(tenantId, onboardingId, source, { validEmployees, invalidEmployees }) {
+    const quarantinedRows = await this.encryptSourceRows(
+      tenantId, onboardingId, source, invalidEmployees.map(row => row.rowIndex)
+    );
+
+    await database.transaction([
+      this.insertRecordsQuery(tenantId, onboardingId, invalidEmployees.map(row => this.invalidRecord(row))),
+      this.runCountsQuery(tenantId, onboardingId, {
+        totalRows: source.rows.length,
+        validRows: validEmployees.length,
+        invalidRows: invalidEmployees.length,
+        sourceHeaders: source.headers,
+        quarantinedRows
+      })
+    ]);
+  }
+
+  /**
+   * Store every row, with valid ones pending in their batch and invalid
+   * ones quarantined, plus the batches themselves, and move the run to
+   * processing
+   */
+  async recordQueuedRun(tenantId, onboardingId, source, { validEmployees, invalidEmployees }, batches) {
+    const quarantinedRows = await this.encryptSourceRows(
+      tenantId, onboardingId, source, invalidEmployees.map(row => row.rowIndex)
+    );
+    const batchSourceRows = [];
+    for (const batch of batches) {
+      batchSourceRows.push(await this.encryptSourceRows(
+        tenantId, onboardingId, source, batch.map(employee => employee.rowIndex)
+      ));
+    }
+
+    const queries = [];
+
+    if (invalidEmployees.length > 0) {
+      queries.push(this.insertRecordsQuery(tenantId, onboardingId, invalidEmployees.map(row => this.invalidRecord(row))));
+    }
+    batches.forEach((batch, batchIndex) => {
+      queries.push(this.insertRecordsQuery(tenantId, onboardingId, batch.map(employee => ({
+        rowNumber: employee.rowIndex,
+        batchIndex,
+        email: employee.email,
+        externalEmployeeId: employee.employeeId,
+        status: 'pending',
+        errors: []
+      }))));
+    });
+
+    queries.push({
+      text: `INSERT INTO tenant_main.onboarding_batches (run_id, company_id, batch_index, row_count, source_rows_encrypted)
+             SELECT $1, $2, b.batch_index, b.row_count, b.source_rows_encrypted
+             FROM unnest($3::int[], $4::int[], $5::text[]) AS b(batch_index, row_count, source_rows_encrypted)`,
+      params: [
+        onboardingId,
+        tenantId,
+        batches.map((batch, index) => index),
+        batches.map(batch => batch.length),
+        batchSourceRows
+      ]
+    });
+
+    queries.push(this.runCountsQuery(tenantId, onboardingId, {
+      totalRows: source.rows.length,
+      validRows: validEmployees.length,
+      invalidRows: invalidEmployees.length,
+      totalBatches: batches.length,
+      status: 'processing',
+      sourceHeaders: source.headers,
+      quarantinedRows
     }));
+
+    await database.transaction(queries);
   }
 
-  async updateOnboardingSession(tenantId, onboardingId, updates) {
-    const existing = await redisClient.get(`onboarding:${onboardingId}`);
-    if (existing) {
-      const session = JSON.parse(existing);
-      await redisClient.setex(`onboarding:${onboardingId}`, 86400, JSON.stringify({
-        ...session,
-        ...updates,
-        lastUpdate: new Date().toISOString()
-      }));
+  /**
+   * Encrypt the original values of the given rows as one payload, keyed
+   * by row number, so the error report can reproduce them. One payload per
+   * run or batch keeps key derivation off the per-row path.
+   */
+  async encryptSourceRows(tenantId, onboardingId, source, rowNumbers) {
+    if (rowNumbers.length === 0) return null;
+
+    const keys = source.headers.map(header => header.toLowerCase());
+    const rowsByNumber = new Map(this.rowNumbersOf(source).map((rowNumber, index) => [rowNumber, source.rows[index]]));
+    const values = {};
+    for (const rowNumber of rowNumbers) {
+      const row = rowsByNumber.get(rowNumber) || {};
+      values[rowNumber] = keys.map(key => row[key] ?? '');
     }
+
+    const encrypted = await encryptionService.encryptData(values, tenantId, this.sourceRowsContext(onboardingId));
+    return JSON.stringify(encrypted);
   }
 
-  async updateBatchStatus(tenantId, onboardingId, batchIndex, status) {
-    await redisClient.setex(
-      `batch:${onboardingId}:${batchIndex}`, 
-      86400, 
-      JSON.stringify(status)
+  /**
+   * Each row's number in the uploaded file. Sources built without them
+   * count from the header line, so data starts at 2.
+   */
+  rowNumbersOf({ rows, rowNumbers }) {
+    return rowNumbers || rows.map((row, index) => index + 2);
+  }
+
+  async decryptSourceRows(tenantId, onboardingId, payload) {
+    if (!payload) return {};
+    return await encryptionService.decryptData(JSON.parse(payload), tenantId, this.sourceRowsContext(onboardingId));
+  }
+
+  sourceRowsContext(onboardingId) {
+    return `onboarding:${onboardingId}:source_rows`;
+  }
+
+  /**
+   * Strict-mode rejection message; the error report has the full list
+   */
+  summarizeValidationErrors(errors, shown = 10) {
+    const summary = `Validation failed: ${errors.slice(0, shown).join(', ')}`;
+    return errors.length > shown ?
+      `${summary} (and ${errors.length - shown} more rows; see the error report)` : summary;
+  }
+
+  async recordBatchJobs(tenantId, onboardingId, jobs) {
+    if (jobs.length === 0) return;
+
+    await database.query(
+      `UPDATE tenant_main.onboarding_batches b
+       SET job_id = j.job_id
+       FROM unnest($3::int[], $4::text[]) AS j(batch_index, job_id)
+       WHERE b.run_id = $1 AND b.company_id = $2 AND b.batch_index = j.batch_index`,
+      [onboardingId, tenantId, jobs.map((job, index) => index), jobs.map(job => String(job.id))]
+    );
+  }
+
+  invalidRecord({ rowIndex, employee, errors }) {
+    return {
+      rowNumber: rowIndex,
+      batchIndex: null,
+      email: employee.email,
+      externalEmployeeId: employee.employeeId,
+      status: 'invalid',
+      errors
+    };
+  }
+
+  insertRecordsQuery(tenantId, onboardingId, records) {
+    return {
+      text: `INSERT INTO tenant_main.onboarding_records (
+               run_id, company_id, row_number, batch_index, email, external_employee_id, status, errors
+             )
+             SELECT $1, $2, r.row_number, r.batch_index, r.email, r.external_employee_id, r.status, r.errors::jsonb
+             FROM unnest($3::int[], $4::int[], $5::text[], $6::text[], $7::text[], $8::text[])
+               AS r(row_number, batch_index, email, external_employee_id, status, errors)`,
+      params: [
+        onboardingId,
+        tenantId,
+        records.map(r => r.rowNumber),
+        records.map(r => r.batchIndex),
+        // Rejected rows can hold anything; keep them within the columns
+        records.map(r => (r.email ? String(r.email).slice(0, 255) : null)),
+        records.map(r => (r.externalEmployeeId ? String(r.externalEmployeeId).slice(0, 100) : null)),
+        records.map(r => r.status),
+        records.map(r => JSON.stringify(r.errors))
+      ]
+    };
+  }
+
+  runCountsQuery(tenantId, onboardingId, {
+    totalRows, validRows, invalidRows, totalBatches = 0, status = 'validating', sourceHeaders, quarantinedRows
+  }) {
+    return {
+      text: `UPDATE tenant_main.onboarding_runs
+             SET total_rows = $3, valid_rows = $4, invalid_rows = $5, total_batches = $6,
+                 status = $7, source_headers = $8, quarantined_rows_encrypted = $9, updated_at = NOW()
+             WHERE id = $1 AND company_id = $2`,
+      params: [
+        onboardingId, tenantId, totalRows, validRows, invalidRows, totalBatches,
+        status, JSON.stringify(sourceHeaders), quarantinedRows
+      ]
+    };
+  }
+
+  /**
+   * Mark a batch as running and return the rows it has already created
+   */
+  async startBatch(tenantId, onboardingId, batchIndex) {
+    await database.query(
+      `UPDATE tenant_main.onboarding_batches
+       SET status = 'processing', attempts = attempts + 1,
+           started_at = COALESCE(started_at, NOW()), error_message = NULL
+       WHERE run_id = $1 AND company_id = $2 AND batch_index = $3`,
+      [onboardingId, tenantId, batchIndex]
+    );
+
+    const created = await database.query(
+      `SELECT row_number FROM tenant_main.onboarding_records
+       WHERE run_id = $1 AND company_id = $2 AND batch_index = $3 AND status = 'created'`,
+      [onboardingId, tenantId, batchIndex]
+    );
+    return new Set(created.rows.map(row => row.row_number));
+  }
+
+  async recordRowOutcome(tenantId, onboardingId, rowNumber, { status, employeeId = null, appsAssigned = null, error }) {
+    await database.query(
+      `UPDATE tenant_main.onboarding_records
+       SET status = $4, employee_id = $5, apps_assigned = $6, errors = $7, processed_at = NOW()
+       WHERE run_id = $1 AND company_id = $2 AND row_number = $3`,
+      [onboardingId, tenantId, rowNumber, status, employeeId, appsAssigned, JSON.stringify(error ? [error] : [])]
     );
   }
 
+  /**
+   * Settle a batch's counters from its row outcomes. A batch that fails for
+   * good takes its unprocessed rows down with it, so every row ends up with
+   * an outcome.
+   */
+  async updateBatchStatus(tenantId, onboardingId, batchIndex, { status, processingTimeMs = null, error }) {
+    const queries = [];
+
+    if (status === 'failed') {
+      queries.push({
+        text: `UPDATE tenant_main.onboarding_records
+               SET status = 'failed', errors = jsonb_build_array($4::text), processed_at = NOW()
+               WHERE run_id = $1 AND company_id = $2 AND batch_index = $3 AND status = 'pending'`,
+        params: [onboardingId, tenantId, batchIndex, `Batch failed: ${error}`]
+      });
+    }
+
+    queries.push({
+      text: `UPDATE tenant_main.onboarding_batches b
+             SET status = $4,
+                 processed_count = o.processed,
+                 success_count = o.created,
+                 processing_time_ms = $5,
+                 error_message = $6,
+                 completed_at = CASE WHEN $7 THEN NOW() ELSE NULL END
+             FROM (
+               SELECT COUNT(*) FILTER (WHERE status IN ('created', 'failed'))::int AS processed,
+                      COUNT(*) FILTER (WHERE status = 'created')::int AS created
+               FROM tenant_main.onboarding_records
+               WHERE run_id = $1 AND company_id = $2 AND batch_index = $3
+             ) o
+             WHERE b.run_id = $1 AND b.company_id = $2 AND b.batch_index = $3`,
+      params: [onboardingId, tenantId, batchIndex, status, processingTimeMs, error || null, status !== 'queued']
+    });
+
+    await database.transaction(queries);
+
+    if (status !== 'queued') {
+      await this.refreshRunProgress(tenantId, onboardingId);
+    }
+    await this.clearStatusCache(onboardingId);
+  }
+
+  /**
+   * Roll row outcomes up into the run, and close it once no batch is
+   * queued or running. Resolves to the run's status.
+   */
+  async refreshRunProgress(tenantId, onboardingId) {
+    const result = await database.query(
+      `UPDATE tenant_main.onboarding_runs r
+       SET succeeded_count = o.created,
+           failed_count = o.failed,
+           status = CASE
+             WHEN b.open > 0 THEN r.status
+             WHEN o.created = 0 AND (o.failed > 0 OR r.invalid_rows > 0) THEN 'failed'
+             WHEN o.failed > 0 OR r.invalid_rows > 0 THEN 'completed_with_errors'
+             ELSE 'completed'
+           END,
+           completed_at = CASE WHEN b.open > 0 THEN NULL ELSE NOW() END,
+           updated_at = NOW()
+       FROM (
+         SELECT COUNT(*) FILTER (WHERE status = 'created')::int AS created,
+                COUNT(*) FILTER (WHERE status = 'failed')::int AS failed
+         FROM tenant_main.onboarding_records
+         WHERE run_id = $1 AND company_id = $2
+       ) o, (
+         SELECT COUNT(*) FILTER (WHERE status IN ('queued', 'processing'))::int AS open
+         FROM tenant_main.onboarding_batches
+         WHERE run_id = $1 AND company_id = $2
+       ) b
+       WHERE r.id = $1 AND r.company_id = $2 AND r.status = 'processing'
+       RETURNING r.status, r.succeeded_count, r.failed_count`,
+      [onboardingId, tenantId]
+    );
+
+    const run = result.rows[0];
+    if (run && FINISHED_RUN_STATUSES.includes(run.status)) {
+      logger.info('Bulk onboarding run finished', {
+        tenantId,
+        onboardingId,
+        status: run.status,
+        succeeded: run.succeeded_count,
+        failed: run.failed_count
+      });
+    }
+    return run?.status;
+  }
+
+  statusCacheKey(onboardingId) {
+    return `onboarding:${onboardingId}`;
+  }
+
+  async clearStatusCache(onboardingId) {
+    await redisClient.del(this.statusCacheKey(onboardingId));
+  }
+
   async sendWelcomeEmail({ tenantId, employeeId, email, appAssignments, onboardingId }) {
     try {
+      // New employees have no password yet; the link lets them choose one
+      const invitation = await passwordService.createInvitation(tenantId, employeeId);
+
       await emailService.sendWelcomeEmail(tenantId, {
         email,
         appAssignments,
-        loginUrl: `${process.env.DOMAIN}/employee/login`
+        loginUrl: invitation?.url || `${process.env.DOMAIN}/employee/login`
       });
       
       logger.info('Welcome email sent', { tenantId, employeeId, email });
@@ -738,33 +1366,311 @@ Respond in JSON format:
   }
 
   /**
-   * Get onboarding status
+   * Get onboarding status, or null when the run doesn't exist for this tenant
    */
   async getOnboardingStatus(tenantId, onboardingId) {
-    const session = await redisClient.get(`onboarding:${onboardingId}`);
-    if (!session) {
-      throw new Error('Onboarding session not found');
+    if (!UUID_PATTERN.test(onboardingId)) return null;
+
+    const cacheKey = this.statusCacheKey(onboardingId);
+    const cached = await redisClient.get(cacheKey);
+    if (cached) {
+      const status = JSON.parse(cached);
+      if (status.tenantId === tenantId) return status;
     }
-    
-    const sessionData = JSON.parse(session);
-    
-    // Get batch statuses
-    const batchStatuses = [];
-    if (sessionData.totalBatches) {
-      for (let i = 0; i < sessionData.totalBatches; i++) {
-        const batchStatus = await redisClient.get(`batch:${onboardingId}:${i}`);
-        if (batchStatus) {
-          batchStatuses.push(JSON.parse(batchStatus));
-        }
+
+    const [runResult, batchResult, outcomeResult] = await Promise.all([
+      database.query(
+        'SELECT * FROM tenant_main.onboarding_runs WHERE id = $1 AND company_id = $2',
+        [onboardingId, tenantId]
+      ),
+      database.query(
+        `SELECT batch_index, status, row_count, processed_count, success_count, attempts,
+                processing_time_ms, error_message, started_at, completed_at
+         FROM tenant_main.onboarding_batches
+         WHERE run_id = $1 AND company_id = $2
+         ORDER BY batch_index`,
+        [onboardingId, tenantId]
+      ),
+      database.query(
+        `SELECT status, COUNT(*)::int AS count
+         FROM tenant_main.onboarding_records
+         WHERE run_id = $1 AND company_id = $2
+         GROUP BY status`,
+        [onboardingId, tenantId]
+      )
+    ]);
+
+    const run = runResult.rows[0];
+    if (!run) return null;
+
+    const outcomes = Object.fromEntries(outcomeResult.rows.map(row => [row.status, row.count]));
+    const created = outcomes.created || 0;
+    const failed = outcomes.failed || 0;
+    const finished = FINISHED_RUN_STATUSES.includes(run.status);
+
+    const status = {
+      onboardingId: run.id,
+      tenantId,
+      status: run.status,
+      validationMode: this.validationModeOf(run),
+      filename: run.filename,
+      initiatedBy: this.formatInitiator(run),
+      totalRows: run.total_rows,
+      totalEmployees: run.valid_rows,
+      invalidRecords: run.invalid_rows,
+      totalBatches: run.total_batches,
+      completedBatches: batchResult.rows.filter(b => b.status === 'completed').length,
+      failedBatches: batchResult.rows.filter(b => b.status === 'failed').length,
+      totalProcessed: created + failed,
+      totalSuccessful: created,
+      totalFailed: failed,
+      startTime: run.started_at,
+      completedAt: run.completed_at,
+      lastUpdate: run.updated_at,
+      estimatedCompletionTime: finished ? null : this.estimateCompletionTime(outcomes.pending || 0),
+      error: run.error_message,
+      batchStatuses: batchResult.rows.map(batch => ({
+        batchIndex: batch.batch_index,
+        status: batch.status,
+        rowCount: batch.row_count,
+        processedCount: batch.processed_count,
+        successCount: batch.success_count,
+        attempts: batch.attempts,
+        processingTimeMs: batch.processing_time_ms,
+        error: batch.error_message,
+        startedAt: batch.started_at,
+        completedAt: batch.completed_at
+      }))
+    };
+
+    await redisClient.setex(
+      cacheKey,
+      finished ? this.finishedCacheSeconds : this.progressCacheSeconds,
+      JSON.stringify(status)
+    );
+
+    return status;
+  }
+
+  /**
+   * Onboarding runs for a tenant, newest first.
+   * Filters: status, page, limit.
+   * Resolves to { status: 'success', runs, pagination } or { status: 'invalid', detail }
+   */
+  async listOnboardingRuns(tenantId, filters = {}) {
+    const paging = this.parsePaging(filters, this.historyPageSize, this.maxHistoryPageSize);
+    if (paging.detail) return { status: 'invalid', detail: paging.detail };
+    if (filters.status !== undefined && !RUN_STATUSES.includes(filters.status)) {
+      return { status: 'invalid', detail: `status must be one of: ${RUN_STATUSES.join(', ')}` };
+    }
+
+    const values = [tenantId];
+    let where = 'company_id = $1';
+    if (filters.status) {
+      values.push(filters.status);
+      where += ' AND status = $2';
+    }
+
+    const [rows, count] = await Promise.all([
+      database.query(
+        `SELECT id, status, options, filename, total_rows, valid_rows, invalid_rows,
+                succeeded_count, failed_count, error_message,
+                initiated_by, initiated_by_type, initiated_by_email,
+                started_at, completed_at,
+                (EXTRACT(EPOCH FROM (completed_at - started_at)) * 1000)::int AS processing_time_ms
+         FROM tenant_main.onboarding_runs
+         WHERE ${where}
+         ORDER BY started_at DESC, id
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, paging.limit, (paging.page - 1) * paging.limit]
+      ),
+      database.query(`SELECT COUNT(*)::int AS total FROM tenant_main.onboarding_runs WHERE ${where}`, values)
+    ]);
+
+    return {
+      status: 'success',
+      runs: rows.rows.map(run => ({
+        id: run.id,
+        startTime: run.started_at,
+        completedAt: run.completed_at,
+        status: run.status,
+        validationMode: this.validationModeOf(run),
+        filename: run.filename,
+        totalRows: run.total_rows,
+        totalEmployees: run.valid_rows,
+        successfulEmployees: run.succeeded_count,
+        failedEmployees: run.failed_count,
+        invalidRecords: run.invalid_rows,
+        processingTimeMs: run.processing_time_ms,
+        error: run.error_message,
+        initiatedBy: this.formatInitiator(run)
+      })),
+      pagination: this.pagination(paging, count.rows[0].total)
+    };
+  }
+
+  /**
+   * Per-row outcomes of one run, in file order.
+   * Filters: status, page, limit.
+   * Resolves to { status: 'success', records, pagination }, { status: 'not_found' }
+   * or { status: 'invalid', detail }
+   */
+  async listOnboardingRecords(tenantId, onboardingId, filters = {}) {
+    if (!UUID_PATTERN.test(onboardingId)) return { status: 'not_found' };
+
+    const paging = this.parsePaging(filters, 100, 500);
+    if (paging.detail) return { status: 'invalid', detail: paging.detail };
+    if (filters.status !== undefined && !RECORD_STATUSES.includes(filters.status)) {
+      return { status: 'invalid', detail: `status must be one of: ${RECORD_STATUSES.join(', ')}` };
+    }
+
+    const run = await database.query(
+      'SELECT id FROM tenant_main.onboarding_runs WHERE id = $1 AND company_id = $2',
+      [onboardingId, tenantId]
+    );
+    if (run.rows.length === 0) return { status: 'not_found' };
+
+    const values = [onboardingId, tenantId];
+    let where = 'run_id = $1 AND company_id = $2';
+    if (filters.status) {
+      values.push(filters.status);
+      where += ' AND status = $3';
+    }
+
+    const [rows, count] = await Promise.all([
+      database.query(
+        `SELECT row_number, batch_index, email, external_employee_id, employee_id,
+                status, errors, apps_assigned, processed_at
+         FROM tenant_main.onboarding_records
+         WHERE ${where}
+         ORDER BY row_number
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, paging.limit, (paging.page - 1) * paging.limit]
+      ),
+      database.query(`SELECT COUNT(*)::int AS total FROM tenant_main.onboarding_records WHERE ${where}`, values)
+    ]);
+
+    return {
+      status: 'success',
+      records: rows.rows.map(row => ({
+        rowNumber: row.row_number,
+        batchIndex: row.batch_index,
+        email: row.email,
+        externalEmployeeId: row.external_employee_id,
+        employeeId: row.employee_id,
+        status: row.status,
+        errors: row.errors,
+        appsAssigned: row.apps_assigned,
+        processedAt: row.processed_at
+      })),
+      pagination: this.pagination(paging, count.rows[0].total)
+    };
+  }
+
+  /**
+   * Error report for a run: the original columns of every row that was
+   * quarantined or failed, plus its row number and errors, ready to be
+   * fixed and uploaded again. Resolves to null when the run doesn't exist.
+   */
+  async getErrorReport(tenantId, onboardingId) {
+    if (!UUID_PATTERN.test(onboardingId)) return null;
+
+    const runResult = await database.query(
+      `SELECT id, filename, source_headers, quarantined_rows_encrypted
+       FROM tenant_main.onboarding_runs
+       WHERE id = $1 AND company_id = $2`,
+      [onboardingId, tenantId]
+    );
+    const run = runResult.rows[0];
+    if (!run) return null;
+
+    const recordResult = await database.query(
+      `SELECT row_number, batch_index, errors
+       FROM tenant_main.onboarding_records
+       WHERE run_id = $1 AND company_id = $2 AND status IN ('invalid', 'failed')
+       ORDER BY row_number`,
+      [onboardingId, tenantId]
+    );
+    const records = recordResult.rows;
+
+    // Failed rows' values live with their batch; only decrypt the batches needed
+    const batchIndexes = [...new Set(records.filter(r => r.batch_index !== null).map(r => r.batch_index))];
+    const sourceRows = await this.decryptSourceRows(tenantId, onboardingId, run.quarantined_rows_encrypted);
+    if (batchIndexes.length > 0) {
+      const batchResult = await database.query(
+        `SELECT source_rows_encrypted
+         FROM tenant_main.onboarding_batches
+         WHERE run_id = $1 AND company_id = $2 AND batch_index = ANY($3::int[])`,
+        [onboardingId, tenantId, batchIndexes]
+      );
+      for (const batch of batchResult.rows) {
+        Object.assign(sourceRows, await this.decryptSourceRows(tenantId, onboardingId, batch.source_rows_encrypted));
       }
     }
-    
+
+    const headers = run.source_headers || [];
+    const lines = [this.toCsvLine([...headers, ...ERROR_REPORT_COLUMNS])];
+    for (const record of records) {
+      const values = sourceRows[record.row_number] || headers.map(() => '');
+      lines.push(this.toCsvLine([...values, record.row_number, (record.errors || []).join('; ')]));
+    }
+
+    return {
+      filename: `${(run.filename || 'onboarding').replace(/\.(csv|xlsx)$/i, '')}_errors.csv`,
+      rowCount: records.length,
+      csv: `${lines.join('\n')}\n`
+    };
+  }
+
+  /**
+   * One CSV line. Cells that a spreadsheet would run as a formula are
+   * prefixed with a quote so a hostile value can't execute when opened;
+   * parsing an upload strips it again (unescapeCell).
+   */
+  toCsvLine(values) {
+    return values.map(value => {
+      let cell = value === null || value === undefined ? '' : String(value);
+      if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+      return /[",\r\n]/.test(cell) || cell !== cell.trim() ? `"${cell.replace(/"/g, '""')}"` : cell;
+    }).join(',');
+  }
+
+  /**
+   * Undo toCsvLine's formula escape, so a value from a downloaded error
+   * report reads the same as it did in the original upload
+   */
+  unescapeCell(value) {
+    return value.replace(FORMULA_ESCAPE, '');
+  }
+
+  validationModeOf(run) {
+    // Runs from before validation modes existed were all strict
+    return run.options?.validationMode || 'strict';
+  }
+
+  parsePaging(filters, defaultLimit, maxLimit) {
+    const page = filters.page === undefined ? 1 : Number(filters.page);
+    const limit = filters.limit === undefined ? defaultLimit : Number(filters.limit);
+
+    if (!Number.isInteger(page) || page < 1) {
+      return { detail: 'page must be a positive integer' };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      return { detail: `limit must be between 1 and ${maxLimit}` };
+    }
+    return { page, limit };
+  }
+
+  pagination({ page, limit }, total) {
+    return { page, limit, total, pages: Math.ceil(total / limit) };
+  }
+
+  formatInitiator(run) {
+    if (!run.initiated_by && !run.initiated_by_email) return null;
     return {
-      ...sessionData,
-      batchStatuses,
-      completedBatches: batchStatuses.filter(b => b.status === 'completed').length,
-      totalProcessed: batchStatuses.reduce((sum, b) => sum + (b.processedCount || 0), 0),
-      totalSuccessful: batchStatuses.reduce((sum, b) => sum + (b.successCount || 0), 0)
+      id: run.initiated_by,
+      type: run.initiated_by_type,
+      email: run.initiated_by_email
     };
   }
 }
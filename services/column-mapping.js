@@ -0,0 +1,400 @@
+/**
+ * Corporate Wellness Portal - Column Mapping Service
+ * Per-tenant profiles that map HRIS export columns and values onto onboarding fields
+ */
+
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Row keys bulkOnboardingService.normalizeEmployeeData reads
+export const MAPPING_TARGET_FIELDS = [
+  'email', 'employee_id', 'first_name', 'last_name', 'department', 'role', 'manager_id', 'location',
+  'birth_year', 'age', 'gender', 'marital_status', 'has_dependents', 'include_spouse', 'spouse_email',
+  'health_conditions', 'stress_level'
+];
+
+// Header spellings seen in HRIS exports, compared with letters and digits only
+const TARGET_ALIASES = {
+  email: ['email', 'emailaddress', 'workemail', 'workemailaddress', 'businessemail', 'primaryemail', 'mail'],
+  employee_id: ['employeeid', 'empid', 'employeenumber', 'employeeno', 'empno', 'staffid', 'workerid', 'personnelnumber', 'id'],
+  first_name: ['firstname', 'givenname', 'forename', 'fname', 'first'],
+  last_name: ['lastname', 'surname', 'familyname', 'lname', 'last'],
+  department: ['department', 'dept', 'division', 'businessunit', 'team'],
+  role: ['role', 'jobtitle', 'title', 'position', 'job', 'designation'],
+  manager_id: ['managerid', 'manageremployeeid', 'supervisorid', 'reportsto', 'linemanagerid'],
+  location: ['location', 'office', 'worklocation', 'site'],
+  birth_year: ['birthyear', 'yearofbirth', 'dateofbirth', 'birthdate', 'dob'],
+  age: ['age'],
+  gender: ['gender', 'sex'],
+  marital_status: ['maritalstatus', 'civilstatus'],
+  has_dependents: ['hasdependents', 'dependents'],
+  include_spouse: ['includespouse', 'spouseaccess'],
+  spouse_email: ['spouseemail', 'partneremail'],
+  health_conditions: ['healthconditions'],
+  stress_level: ['stresslevel']
+};
+
+const PROFILE_COLUMNS = `id, name, description, columns, defaults, created_by, created_by_email,
+  updated_by, created_at, updated_at`;
+
+class ColumnMappingService {
+  constructor() {
+    this.maxColumns = 200;
+    this.maxTranslations = 500;
+    this.maxValueLength = 255;
+  }
+
+  async listProfiles(tenantId) {
+    const result = await database.query(
+      `SELECT ${PROFILE_COLUMNS}
+       FROM tenant_main.column_mapping_profiles
+       WHERE company_id = $1
+       ORDER BY name`,
+      [tenantId]
+    );
+
+    return result.rows.map(row => this.describeProfile(row));
+  }
+
+  async getProfile(tenantId, profileId) {
+    if (!UUID_PATTERN.test(profileId)) return null;
+
+    const result = await database.query(
+      `SELECT ${PROFILE_COLUMNS}
+       FROM tenant_main.column_mapping_profiles
+       WHERE id = $1 AND company_id = $2`,
+      [profileId, tenantId]
+    );
+
+    return result.rows[0] ? this.describeProfile(result.rows[0]) : null;
+  }
+
+  /**
+   * Resolves to { status: 'success', profile }, { status: 'invalid', detail }
+   * or { status: 'conflict', detail } when the name is taken
+   */
+  async createProfile(tenantId, input, createdBy) {
+    const { detail, profile } = this.validateProfile(input);
+    if (detail) return { status: 'invalid', detail };
+
+    let result;
+    try {
+      result = await database.query(
+        `INSERT INTO tenant_main.column_mapping_profiles
+           (company_id, name, description, columns, defaults, created_by, created_by_email)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)
+         RETURNING ${PROFILE_COLUMNS}`,
+        [
+          tenantId,
+          profile.name,
+          profile.description,
+          JSON.stringify(profile.columns),
+          JSON.stringify(profile.defaults),
+          createdBy?.id && UUID_PATTERN.test(createdBy.id) ? createdBy.id : null,
+          createdBy?.email || null
+        ]
+      );
+    } catch (error) {
+      if (error.code === '23505') {
+        return { status: 'conflict', detail: 'A mapping profile with this name already exists' };
+      }
+      throw error;
+    }
+
+    const created = this.describeProfile(result.rows[0]);
+
+    logger.audit('Column mapping profile created', {
+      tenantId,
+      profileId: created.id,
+      name: created.name,
+      createdBy: createdBy?.id,
+      auditType: 'configuration'
+    });
+
+    return { status: 'success', profile: created };
+  }
+
+  /**
+   * Replace a profile. Resolves like createProfile, or to { status: 'not_found' }
+   */
+  async updateProfile(tenantId, profileId, input, updatedBy) {
+    if (!UUID_PATTERN.test(profileId)) return { status: 'not_found' };
+
+    const { detail, profile } = this.validateProfile(input);
+    if (detail) return { status: 'invalid', detail };
+
+    let result;
+    try {
+      result = await database.query(
+        `UPDATE tenant_main.column_mapping_profiles
+         SET name = $3, description = $4, columns = $5, defaults = $6, updated_by = $7, updated_at = NOW()
+         WHERE id = $1 AND company_id = $2
+         RETURNING ${PROFILE_COLUMNS}`,
+        [
+          profileId,
+          tenantId,
+          profile.name,
+          profile.description,
+          JSON.stringify(profile.columns),
+          JSON.stringify(profile.defaults),
+          updatedBy?.id && UUID_PATTERN.test(updatedBy.id) ? updatedBy.id : null
+        ]
+      );
+    } catch (error) {
+      if (error.code === '23505') {
+        return { status: 'conflict', detail: 'A mapping profile with this name already exists' };
+      }
+      throw error;
+    }
+
+    if (!result.rows[0]) return { status: 'not_found' };
+
+    logger.audit('Column mapping profile updated', {
+      tenantId,
+      profileId,
+      name: profile.name,
+      updatedBy: updatedBy?.id,
+      auditType: 'configuration'
+    });
+
+    return { status: 'success', profile: this.describeProfile(result.rows[0]) };
+  }
+
+  async deleteProfile(tenantId, profileId, deletedBy) {
+    if (!UUID_PATTERN.test(profileId)) return false;
+
+    const result = await database.query(
+      `DELETE FROM tenant_main.column_mapping_profiles
+       WHERE id = $1 AND company_id = $2
+       RETURNING name`,
+      [profileId, tenantId]
+    );
+
+    if (!result.rows[0]) return false;
+
+    logger.audit('Column mapping profile deleted', {
+      tenantId,
+      profileId,
+      name: result.rows[0].name,
+      deletedBy: deletedBy?.id,
+      auditType: 'configuration'
+    });
+
+    return true;
+  }
+
+  /**
+   * Check a profile from the API and return it in stored form, or { detail }
+   */
+  validateProfile(input = {}) {
+    const { name, description, columns, defaults = {} } = input;
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return { detail: 'A profile name of up to 100 characters is required' };
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+      return { detail: 'description must be a string' };
+    }
+    if (!Array.isArray(columns) || columns.length === 0 || columns.length > this.maxColumns) {
+      return { detail: `columns must list between 1 and ${this.maxColumns} column mappings` };
+    }
+    if (!this.isPlainObject(defaults)) {
+      return { detail: 'defaults must be an object of field: value' };
+    }
+
+    const sources = new Set();
+    const targets = new Set();
+    const mapped = [];
+
+    for (const [index, column] of columns.entries()) {
+      const label = `columns[${index}]`;
+      if (!this.isPlainObject(column)) return { detail: `${label} must be an object` };
+
+      const source = typeof column.source === 'string' ? this.cleanLabel(column.source) : '';
+      if (!source || source.length > this.maxValueLength) {
+        return { detail: `${label}.source must name a column` };
+      }
+      if (!MAPPING_TARGET_FIELDS.includes(column.target)) {
+        return { detail: `${label}.target must be one of: ${MAPPING_TARGET_FIELDS.join(', ')}` };
+      }
+      if (sources.has(source.toLowerCase())) return { detail: `Column "${source}" is mapped more than once` };
+      if (targets.has(column.target)) return { detail: `Field ${column.target} is mapped from more than one column` };
+      sources.add(source.toLowerCase());
+      targets.add(column.target);
+
+      const values = column.values ?? {};
+      if (!this.isPlainObject(values) || Object.keys(values).length > this.maxTranslations) {
+        return { detail: `${label}.values must be an object of up to ${this.maxTranslations} source: target values` };
+      }
+      const translations = {};
+      for (const [from, to] of Object.entries(values)) {
+        if (!this.isScalar(to)) return { detail: `${label}.values["${from}"] must be a string or number` };
+        translations[from.trim()] = String(to).trim();
+      }
+
+      mapped.push({ source, target: column.target, values: translations });
+    }
+
+    const fieldDefaults = {};
+    for (const [field, value] of Object.entries(defaults)) {
+      if (!MAPPING_TARGET_FIELDS.includes(field)) {
+        return { detail: `defaults.${field} is not a field; use one of: ${MAPPING_TARGET_FIELDS.join(', ')}` };
+      }
+      if (!this.isScalar(value)) return { detail: `defaults.${field} must be a string or number` };
+      fieldDefaults[field] = String(value).trim();
+    }
+
+    return {
+      profile: {
+        name: name.trim(),
+        description: description?.trim() || null,
+        columns: mapped,
+        defaults: fieldDefaults
+      }
+    };
+  }
+
+  /**
+   * Rewrite a parsed upload ({ headers, rows, rowNumbers } from
+   * parseUpload) through a profile: mapped columns are renamed to their
+   * field with their values translated, other columns pass through
+   * unchanged, and defaults fill fields that are blank or missing. A mapped
+   * field replaces a column of the same name already in the file.
+   */
+  applyProfile({ headers, rows, rowNumbers }, profile) {
+    const bySource = new Map(profile.columns.map(column => [column.source.toLowerCase(), column]));
+
+    let columns = headers.map(header => {
+      const mapping = bySource.get(this.cleanLabel(header).toLowerCase());
+      return {
+        header: mapping ? mapping.target : header,
+        key: mapping ? mapping.target : header.toLowerCase(),
+        sourceKey: header.toLowerCase(),
+        translations: mapping ? this.translationTable(mapping.values) : null
+      };
+    });
+    const mappedFields = new Set(columns.filter(column => column.translations).map(column => column.key));
+    columns = columns.filter(column => column.translations || !mappedFields.has(column.key));
+
+    const defaults = Object.entries(profile.defaults || {});
+    const added = defaults.map(([field]) => field).filter(field => !columns.some(column => column.key === field));
+
+    return {
+      headers: [...columns.map(column => column.header), ...added],
+      rows: rows.map(row => {
+        const mapped = {};
+        for (const { key, sourceKey, translations } of columns) {
+          const value = row[sourceKey] ?? '';
+          mapped[key] = translations?.get(String(value).trim().toLowerCase()) ?? value;
+        }
+        for (const [field, value] of defaults) {
+          if (mapped[field] === undefined || String(mapped[field]).trim() === '') mapped[field] = value;
+        }
+        return mapped;
+      }),
+      rowNumbers
+    };
+  }
+
+  /**
+   * Suggest a mapping for an uploaded header row: a field for each column
+   * recognised by name, and the tenant's saved profiles that fit the file.
+   * match is exact (the field's own name), alias (a known spelling) or
+   * partial (the header contains a known spelling) and worth a look.
+   */
+  suggestMappings(headers, profiles = []) {
+    const candidates = headers.map(header => ({ source: header, key: this.aliasKey(header) }));
+    const taken = new Set();
+    const columns = new Map();
+
+    // Whole-name matches first, so a partial match never takes a field
+    // another column names outright
+    for (const candidate of candidates) {
+      const target = MAPPING_TARGET_FIELDS.find(field => !taken.has(field) && TARGET_ALIASES[field].includes(candidate.key));
+      if (!target) continue;
+      taken.add(target);
+      columns.set(candidate.source, {
+        source: candidate.source,
+        target,
+        match: candidate.key === target.replace(/_/g, '') ? 'exact' : 'alias'
+      });
+    }
+
+    for (const candidate of candidates) {
+      if (columns.has(candidate.source)) continue;
+
+      let best = null;
+      for (const field of MAPPING_TARGET_FIELDS) {
+        if (taken.has(field)) continue;
+        for (const alias of TARGET_ALIASES[field]) {
+          if (alias.length >= 4 && candidate.key.includes(alias) && (!best || alias.length > best.alias.length)) {
+            best = { field, alias };
+          }
+        }
+      }
+      if (!best) continue;
+      taken.add(best.field);
+      columns.set(candidate.source, { source: candidate.source, target: best.field, match: 'partial' });
+    }
+
+    const headerKeys = new Set(headers.map(header => this.cleanLabel(header).toLowerCase()));
+    const matchingProfiles = profiles
+      .map(profile => ({
+        profileId: profile.id,
+        name: profile.name,
+        matchedColumns: profile.columns.filter(column => headerKeys.has(column.source.toLowerCase())).length,
+        totalColumns: profile.columns.length
+      }))
+      .filter(profile => profile.matchedColumns > 0)
+      .sort((a, b) => b.matchedColumns / b.totalColumns - a.matchedColumns / a.totalColumns ||
+        b.matchedColumns - a.matchedColumns);
+
+    return {
+      columns: headers.filter(header => columns.has(header)).map(header => columns.get(header)),
+      unmapped: headers.filter(header => !columns.has(header)),
+      missingFields: ['email', 'first_name', 'last_name'].filter(field => !taken.has(field)),
+      matchingProfiles
+    };
+  }
+
+  translationTable(values = {}) {
+    return new Map(Object.entries(values).map(([from, to]) => [from.trim().toLowerCase(), to]));
+  }
+
+  cleanLabel(label) {
+    return label.replace(/\s+/g, ' ').trim();
+  }
+
+  aliasKey(label) {
+    return label.toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  isScalar(value) {
+    return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+  }
+
+  describeProfile(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      description: row.description,
+      columns: row.columns,
+      defaults: row.defaults,
+      createdBy: row.created_by || row.created_by_email ? { id: row.created_by, email: row.created_by_email } : null,
+      updatedBy: row.updated_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+// Export singleton instance
+export const columnMappingService = new ColumnMappingService();
+
+export default columnMappingService;
@@ -69,6 +69,18 @@ class EmailService {
       text: this.getRiskAlertTextTemplate()
     });
 
+    this.templates.set('password_reset', {
+      subject: 'Reset Your Wellness Portal Password',
+      html: this.getPasswordResetTemplate(),
+      text: this.getPasswordResetTextTemplate()
+    });
+
+    this.templates.set('partner_invitation', {
+      subject: 'You\'re Invited to Join a Corporate Wellness Program',
+      html: this.getPartnerInvitationTemplate(),
+      text: this.getPartnerInvitationTextTemplate()
+    });
+
     this.templates.set('program_update', {
       subject: 'Wellness Program Update',
       html: this.getProgramUpdateTemplate(),
@@ -219,6 +231,123 @@ class EmailService {
     }
   }
 
+  /**
+   * Send a single-use password reset link
+   */
+  async sendPasswordResetEmail(tenantId, emailData) {
+    try {
+      const tenant = await this.getTenantConfig(tenantId);
+      const template = this.templates.get('password_reset');
+      const templateData = {
+        companyName: tenant.name,
+        resetUrl: emailData.resetUrl,
+        expiresInMinutes: String(emailData.expiresInMinutes),
+        requestedIp: emailData.requestedIp || 'unknown',
+        supportEmail: tenant.primary_contact_email
+      };
+      
+      const emailContent = {
+        from: `${tenant.name} Wellness Team <${process.env.SMTP_USER}>`,
+        to: emailData.email,
+        subject: template.subject,
+        html: this.renderTemplate(template.html, templateData),
+        text: this.renderTemplate(template.text, templateData)
+      };
+
+      const result = await this.transporter.sendMail(emailContent);
+      
+      logger.info('Password reset email sent', {
+        tenantId,
+        email: emailData.email,
+        messageId: result.messageId
+      });
+
+      await this.logEmailEvent(tenantId, {
+        type: 'password_reset',
+        recipient: emailData.email,
+        status: 'sent',
+        messageId: result.messageId
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to send password reset email', {
+        tenantId,
+        email: emailData.email,
+        error: error.message
+      });
+
+      await this.logEmailEvent(tenantId, {
+        type: 'password_reset',
+        recipient: emailData.email,
+        status: 'failed',
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Send a spouse/partner invitation; accepting it records the partner's consent
+   */
+  async sendPartnerInvitationEmail(tenantId, emailData) {
+    try {
+      const tenant = await this.getTenantConfig(tenantId);
+      const template = this.templates.get('partner_invitation');
+      
+      const emailContent = {
+        from: `${tenant.name} Wellness Team <${process.env.SMTP_USER}>`,
+        to: emailData.email,
+        subject: template.subject,
+        html: this.renderTemplate(template.html, {
+          companyName: tenant.name,
+          partnerApps: emailData.apps,
+          invitationUrl: emailData.invitationUrl,
+          supportEmail: tenant.primary_contact_email
+        }),
+        text: this.renderTemplate(template.text, {
+          companyName: tenant.name,
+          invitationUrl: emailData.invitationUrl
+        })
+      };
+
+      const result = await this.transporter.sendMail(emailContent);
+      
+      logger.info('Partner invitation email sent', {
+        tenantId,
+        email: emailData.email,
+        messageId: result.messageId
+      });
+
+      await this.logEmailEvent(tenantId, {
+        type: 'partner_invitation',
+        recipient: emailData.email,
+        status: 'sent',
+        messageId: result.messageId
+      });
+
+      return result;
+
+    } catch (error) {
+      logger.error('Failed to send partner invitation email', {
+        tenantId,
+        email: emailData.email,
+        error: error.message
+      });
+
+      await this.logEmailEvent(tenantId, {
+        type: 'partner_invitation',
+        recipient: emailData.email,
+        status: 'failed',
+        error: error.message
+      });
+
+      throw error;
+    }
+  }
+
   /**
    * Get tenant configuration for email customization
    */
@@ -340,12 +469,12 @@ class EmailService {
             </ul>
             
             <div style="text-align: center;">
-                <a href="{{loginUrl}}" class="button">Access Your Wellness Portal</a>
+                <a href="{{loginUrl}}" class="button">Set Up Your Account</a>
             </div>
             
             <p><strong>Getting Started:</strong></p>
             <ol>
-                <li>Click the button above to access your wellness portal</li>
+                <li>Click the button above to choose your password (the link works once and expires in 7 days)</li>
                 <li>Log in with your work email: {{employeeEmail}}</li>
                 <li>Complete your health profile for personalized recommendations</li>
                 <li>Explore your assigned apps and start your wellness journey</li>
@@ -371,7 +500,8 @@ Dear Valued Employee,
 
 We're excited to welcome you to our comprehensive corporate wellness program. Your personalized wellness apps have been carefully selected to support your health journey.
 
-Access your wellness portal: {{loginUrl}}
+Set up your account: {{loginUrl}}
+(This link works once and expires in 7 days.)
 Login with: {{employeeEmail}}
 
 Questions? Contact us at {{supportEmail}}
@@ -511,6 +641,143 @@ Contact: {{contactInfo}}
 `;
   }
 
+  getPasswordResetTemplate() {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #2563eb; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .button { 
+            display: inline-block; 
+            background: #2563eb; 
+            color: white; 
+            padding: 12px 24px; 
+            text-decoration: none; 
+            border-radius: 5px; 
+            margin: 15px 0;
+        }
+        .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>Password Reset Request</h1>
+        </div>
+        
+        <div class="content">
+            <p>We received a request to reset the password for your {{companyName}} wellness portal account.</p>
+            
+            <div style="text-align: center;">
+                <a href="{{resetUrl}}" class="button">Choose a New Password</a>
+            </div>
+            
+            <p>This link can be used once and expires in {{expiresInMinutes}} minutes. Resetting your password signs you out of all devices.</p>
+            
+            <p>If you did not request a reset (request made from {{requestedIp}}), you can ignore this email; your password will not change. If you keep receiving these emails, contact <a href="mailto:{{supportEmail}}">{{supportEmail}}</a>.</p>
+        </div>
+        
+        <div class="footer">
+            <p>This email was sent by {{companyName}} Wellness Program</p>
+        </div>
+    </div>
+</body>
+</html>`;
+  }
+
+  getPasswordResetTextTemplate() {
+    return `
+Password Reset Request
+
+We received a request to reset the password for your {{companyName}} wellness portal account.
+
+Choose a new password: {{resetUrl}}
+
+This link can be used once and expires in {{expiresInMinutes}} minutes. Resetting your password signs you out of all devices.
+
+If you did not request a reset (request made from {{requestedIp}}), you can ignore this email; your password will not change.
+
+Best regards,
+{{companyName}} Wellness Team
+`;
+  }
+
+  getPartnerInvitationTemplate() {
+    return `
+<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: #7c3aed; color: white; padding: 20px; text-align: center; }
+        .content { padding: 20px; background: #f9f9f9; }
+        .app-list { background: white; padding: 15px; margin: 15px 0; border-radius: 5px; }
+        .button { 
+            display: inline-block; 
+            background: #7c3aed; 
+            color: white; 
+            padding: 12px 24px; 
+            text-decoration: none; 
+            border-radius: 5px; 
+            margin: 15px 0;
+        }
+        .footer { padding: 20px; text-align: center; font-size: 12px; color: #666; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>You're Invited to the {{companyName}} Wellness Program</h1>
+        </div>
+        
+        <div class="content">
+            <p>Your partner has included you in their {{companyName}} corporate wellness program. Joining gives you your own private account with:</p>
+            
+            <div class="app-list">
+                <ul>{{partnerApps}}</ul>
+            </div>
+            
+            <p>Before your account is created we will ask for your consent. Your activity is never shared with your partner or their employer.</p>
+            
+            <div style="text-align: center;">
+                <a href="{{invitationUrl}}" class="button">Review and Accept</a>
+            </div>
+            
+            <p>This link works once and expires in 7 days. If you were not expecting this invitation, you can ignore this email.</p>
+            
+            <p>Questions? Contact <a href="mailto:{{supportEmail}}">{{supportEmail}}</a></p>
+        </div>
+        
+        <div class="footer">
+            <p>This email was sent by {{companyName}} Wellness Program</p>
+        </div>
+    </div>
+</body>
+</html>`;
+  }
+
+  getPartnerInvitationTextTemplate() {
+    return `
+You're Invited to the {{companyName}} Wellness Program
+
+Your partner has included you in their {{companyName}} corporate wellness program. Before your account is created we will ask for your consent. Your activity is never shared with your partner or their employer.
+
+Review and accept: {{invitationUrl}}
+
+This link works once and expires in 7 days. If you were not expecting this invitation, you can ignore this email.
+
+Best regards,
+{{companyName}} Wellness Team
+`;
+  }
+
   getProgramUpdateTemplate() {
     return `
 <!DOCTYPE html>
@@ -0,0 +1,254 @@
+/**
+ * Corporate Wellness Portal - Event Log Service
+ * Paged history of integration calls and email deliveries, with retention
+ */
+
+import cron from 'node-cron';
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Each log's table, the columns it returns, and the query parameter that
+// filters on its service or type column
+const EVENT_LOGS = {
+  integration: {
+    table: 'tenant_integration.integration_events',
+    columns: 'id, service_name, endpoint, status, metadata, created_at',
+    kindColumn: 'service_name',
+    kindParam: 'service',
+    statuses: ['success', 'error']
+  },
+  email: {
+    table: 'tenant_audit.email_events',
+    columns: 'id, event_type, recipient, status, message_id, error_message, created_at',
+    kindColumn: 'event_type',
+    kindParam: 'type',
+    statuses: ['sent', 'failed']
+  }
+};
+
+class EventLogService {
+  constructor() {
+    this.defaultPageSize = 50;
+    this.maxPageSize = 200;
+    // Integration calls are operational telemetry; email deliveries stay
+    // longer as evidence that account links and notices went out
+    this.retentionDays = {
+      integration: parseInt(process.env.INTEGRATION_EVENT_RETENTION_DAYS) || 90,
+      email: parseInt(process.env.EMAIL_EVENT_RETENTION_DAYS) || 365
+    };
+    // Rows per DELETE, so a large backlog never holds long locks
+    this.purgeBatchSize = 5000;
+    this.scheduledTasks = [];
+  }
+
+  /**
+   * Integration calls made for a tenant, newest first.
+   * Filters: service, status, from, to, page, limit.
+   * Resolves to { status: 'success', events, pagination } or { status: 'invalid', detail }
+   */
+  async listIntegrationEvents(tenantId, filters = {}) {
+    const result = await this.listEvents('integration', tenantId, filters);
+    if (result.status !== 'success') return result;
+
+    return {
+      ...result,
+      events: result.events.map(row => ({
+        id: row.id,
+        service: row.service_name,
+        endpoint: row.endpoint,
+        status: row.status,
+        // The writer copies these into metadata alongside the call details
+        details: this.withoutKeys(row.metadata, ['tenantId', 'service', 'endpoint', 'status', 'timestamp']),
+        createdAt: row.created_at
+      }))
+    };
+  }
+
+  /**
+   * Emails sent on a tenant's behalf, newest first.
+   * Filters: type, status, from, to, page, limit.
+   */
+  async listEmailEvents(tenantId, filters = {}) {
+    const result = await this.listEvents('email', tenantId, filters);
+    if (result.status !== 'success') return result;
+
+    return {
+      ...result,
+      events: result.events.map(row => ({
+        id: row.id,
+        type: row.event_type,
+        recipient: row.recipient,
+        status: row.status,
+        messageId: row.message_id,
+        error: row.error_message,
+        createdAt: row.created_at
+      }))
+    };
+  }
+
+  async listEvents(logName, tenantId, filters) {
+    const log = EVENT_LOGS[logName];
+    const parsed = this.parseFilters(log, filters);
+    if (parsed.detail) return { status: 'invalid', detail: parsed.detail };
+
+    const values = [tenantId];
+    const conditions = ['tenant_id = $1'];
+
+    if (parsed.kind) {
+      values.push(parsed.kind);
+      conditions.push(`${log.kindColumn} = $${values.length}`);
+    }
+    if (parsed.status) {
+      values.push(parsed.status);
+      conditions.push(`status = $${values.length}`);
+    }
+    if (parsed.from) {
+      values.push(parsed.from);
+      conditions.push(`created_at >= $${values.length}`);
+    }
+    if (parsed.to) {
+      values.push(parsed.to);
+      conditions.push(`created_at < $${values.length}`);
+    }
+
+    const where = conditions.join(' AND ');
+    const [rows, count] = await Promise.all([
+      database.query(
+        `SELECT ${log.columns}
+         FROM ${log.table}
+         WHERE ${where}
+         ORDER BY created_at DESC, id
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, parsed.limit, (parsed.page - 1) * parsed.limit]
+      ),
+      database.query(`SELECT COUNT(*)::int AS total FROM ${log.table} WHERE ${where}`, values)
+    ]);
+
+    const total = count.rows[0].total;
+
+    return {
+      status: 'success',
+      events: rows.rows,
+      pagination: {
+        page: parsed.page,
+        limit: parsed.limit,
+        total,
+        pages: Math.ceil(total / parsed.limit)
+      }
+    };
+  }
+
+  /**
+   * Validate query-string filters. A bare date in `to` includes that whole day.
+   */
+  parseFilters(log, filters) {
+    const page = filters.page === undefined ? 1 : Number(filters.page);
+    const limit = filters.limit === undefined ? this.defaultPageSize : Number(filters.limit);
+
+    if (!Number.isInteger(page) || page < 1) {
+      return { detail: 'page must be a positive integer' };
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > this.maxPageSize) {
+      return { detail: `limit must be between 1 and ${this.maxPageSize}` };
+    }
+    if (filters.status !== undefined && !log.statuses.includes(filters.status)) {
+      return { detail: `status must be one of: ${log.statuses.join(', ')}` };
+    }
+
+    const kind = filters[log.kindParam];
+    if (kind !== undefined && (typeof kind !== 'string' || kind.length === 0 || kind.length > 100)) {
+      return { detail: `${log.kindParam} must be a non-empty string` };
+    }
+
+    const from = this.parseDate(filters.from);
+    const to = this.parseDate(filters.to, { endOfDay: true });
+    if (from === false) return { detail: 'from must be an ISO 8601 date or timestamp' };
+    if (to === false) return { detail: 'to must be an ISO 8601 date or timestamp' };
+    if (from && to && from >= to) return { detail: 'from must be before to' };
+
+    return { page, limit, kind, status: filters.status, from, to };
+  }
+
+  /**
+   * undefined when absent, false when unparseable
+   */
+  parseDate(value, { endOfDay = false } = {}) {
+    if (value === undefined || value === '') return undefined;
+    if (typeof value !== 'string') return false;
+
+    const date = new Date(DATE_ONLY.test(value) ? `${value}T00:00:00Z` : value);
+    if (Number.isNaN(date.getTime())) return false;
+
+    if (endOfDay && DATE_ONLY.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+    }
+    return date;
+  }
+
+  withoutKeys(object, keys) {
+    if (!object || typeof object !== 'object') return {};
+    return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+  }
+
+  /**
+   * Delete rows past each log's retention window. Returns the number of
+   * rows removed per log.
+   */
+  async purgeExpired() {
+    const removed = {};
+
+    for (const [logName, log] of Object.entries(EVENT_LOGS)) {
+      removed[logName] = 0;
+      let batch;
+      do {
+        const result = await database.query(
+          `DELETE FROM ${log.table}
+           WHERE id IN (
+             SELECT id FROM ${log.table}
+             WHERE created_at < NOW() - ($1 * INTERVAL '1 day')
+             LIMIT $2
+           )`,
+          [this.retentionDays[logName], this.purgeBatchSize]
+        );
+        batch = result.rowCount;
+        removed[logName] += batch;
+      } while (batch === this.purgeBatchSize);
+    }
+
+    if (removed.integration > 0 || removed.email > 0) {
+      logger.info('Purged expired event log rows', {
+        integrationEvents: removed.integration,
+        emailEvents: removed.email,
+        retentionDays: this.retentionDays
+      });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Purge once a day, off-peak
+   */
+  startScheduler() {
+    this.scheduledTasks.push(
+      cron.schedule('40 3 * * *', () => {
+        // Retention applies to every tenant's rows
+        database.runAsSystem(() => this.purgeExpired()).catch(error => {
+          logger.error('Event log retention purge failed', { error: error.message });
+        });
+      })
+    );
+  }
+
+  stopScheduler() {
+    this.scheduledTasks.forEach(task => task.stop());
+    this.scheduledTasks = [];
+  }
+}
+
+// Export singleton instance
+export const eventLogService = new EventLogService();
+
+export default eventLogService;
@@ -0,0 +1,315 @@
+/**
+ * Corporate Wellness Portal - Impersonation Service
+ * Tenant-approved, time-boxed support "view as" sessions
+ */
+
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+import { authService } from './auth.js';
+import { generateToken } from '../middleware/auth.js';
+import { recordAuditEvent } from '../middleware/audit.js';
+import { PLATFORM_TENANT_ID } from '../middleware/permissions.js';
+
+// Only tenant-level admin views can be reproduced; employees and platform
+// admins are never impersonated
+const IMPERSONATABLE_ROLES = ['tenant_admin', 'hr_analyst'];
+
+const GRANT_COLUMNS = `id, company_id, target_user_id, requested_by, requested_by_email, reason,
+  duration_minutes, requested_at, status, decided_by, decided_at, decision_note, expires_at,
+  ended_at, ended_by`;
+
+class ImpersonationService {
+  constructor() {
+    this.minDurationMinutes = 5;
+    this.maxDurationMinutes = 120;
+    this.defaultDurationMinutes = 30;
+    // Requests nobody decided on stop being approvable
+    this.pendingTtlHours = 24;
+  }
+
+  /**
+   * A platform operator asks to view the portal as a tenant admin.
+   * Resolves to { status: 'success', grant } or { status: 'invalid' | 'not_found', detail }
+   */
+  async requestGrant(operator, { tenantId, targetUserId, reason, durationMinutes }, context = {}) {
+    const duration = durationMinutes === undefined
+      ? this.defaultDurationMinutes
+      : parseInt(durationMinutes);
+
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0 || reason.length > 1000) {
+      return { status: 'invalid', detail: 'A reason of up to 1000 characters is required' };
+    }
+    if (!Number.isInteger(duration) || duration < this.minDurationMinutes || duration > this.maxDurationMinutes) {
+      return {
+        status: 'invalid',
+        detail: `durationMinutes must be between ${this.minDurationMinutes} and ${this.maxDurationMinutes}`
+      };
+    }
+    if (!tenantId || tenantId === PLATFORM_TENANT_ID) {
+      return { status: 'invalid', detail: 'A customer tenant is required' };
+    }
+
+    const target = await authService.findUserById(tenantId, targetUserId, 'admin');
+    if (!target?.active || !IMPERSONATABLE_ROLES.includes(target.role)) {
+      return { status: 'not_found', detail: 'Target admin not found or cannot be impersonated' };
+    }
+
+    const result = await database.query(
+      `INSERT INTO tenant_main.impersonation_grants
+         (company_id, target_user_id, requested_by, requested_by_email, reason, duration_minutes)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${GRANT_COLUMNS}`,
+      [tenantId, target.id, operator.id, operator.email, reason.trim(), duration]
+    );
+
+    const grant = result.rows[0];
+
+    await this.audit(grant, operator, 'impersonation.requested', context, {
+      targetUserId: target.id,
+      targetEmail: target.email,
+      reason: grant.reason,
+      durationMinutes: duration
+    });
+
+    return { status: 'success', grant: this.describeGrant(grant) };
+  }
+
+  /**
+   * Grants for a tenant, or across tenants for the operator console
+   */
+  async listGrants({ tenantId, status } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (tenantId) {
+      values.push(tenantId);
+      conditions.push(`company_id = $${values.length}`);
+    }
+    if (status) {
+      values.push(status);
+      conditions.push(`status = $${values.length}`);
+    }
+
+    const result = await database.query(
+      `SELECT ${GRANT_COLUMNS}
+       FROM tenant_main.impersonation_grants
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY requested_at DESC
+       LIMIT 200`,
+      values
+    );
+
+    return result.rows.map(row => this.describeGrant(row));
+  }
+
+  /**
+   * A tenant admin approves or denies a pending request. Approval starts
+   * the time box.
+   * Resolves to { status: 'success', grant } or { status: 'not_found' | 'forbidden' }
+   */
+  async decideGrant(tenantId, grantId, approver, approve, { note } = {}, context = {}) {
+    // Decisions belong to the customer: platform operators cannot approve their own requests
+    if (approver.userType !== 'admin' || approver.tenantId !== tenantId || approver.role !== 'tenant_admin') {
+      return { status: 'forbidden' };
+    }
+
+    const result = await database.query(
+      `UPDATE tenant_main.impersonation_grants
+       SET status = $3, decided_by = $4, decided_at = NOW(), decision_note = $5,
+           expires_at = CASE WHEN $3::text = 'approved'
+             THEN NOW() + (duration_minutes * INTERVAL '1 minute') END
+       WHERE id = $1 AND company_id = $2 AND status = 'pending'
+         AND requested_at > NOW() - ($6 * INTERVAL '1 hour')
+       RETURNING ${GRANT_COLUMNS}`,
+      [grantId, tenantId, approve ? 'approved' : 'denied', approver.id, note || null, this.pendingTtlHours]
+    );
+
+    const grant = result.rows[0];
+    if (!grant) return { status: 'not_found' };
+
+    await this.audit(grant, approver, approve ? 'impersonation.approved' : 'impersonation.denied', context, {
+      note: grant.decision_note,
+      expiresAt: grant.expires_at
+    });
+
+    return { status: 'success', grant: this.describeGrant(grant) };
+  }
+
+  /**
+   * Mint an impersonation access token for the requesting operator. It
+   * expires with the grant; there is no refresh token.
+   * Resolves to { status: 'success', token, expiresAt, user } or { status: 'not_found' }
+   */
+  async issueToken(grantId, operator, context = {}) {
+    const result = await database.query(
+      `SELECT ${GRANT_COLUMNS}
+       FROM tenant_main.impersonation_grants
+       WHERE id = $1 AND requested_by = $2 AND status = 'approved' AND expires_at > NOW()`,
+      [grantId, operator.id]
+    );
+
+    const grant = result.rows[0];
+    if (!grant) return { status: 'not_found' };
+
+    const target = await authService.findUserById(grant.company_id, grant.target_user_id, 'admin');
+    if (!target?.active) return { status: 'not_found' };
+
+    const user = { ...target, authMethod: 'impersonation' };
+    delete user.active;
+    delete user.status;
+
+    const expiresIn = Math.max(Math.floor((new Date(grant.expires_at) - Date.now()) / 1000), 1);
+    const token = generateToken(user, grant.company_id, {
+      expiresIn,
+      impersonation: {
+        grantId: grant.id,
+        actorId: operator.id,
+        actorEmail: operator.email,
+        actorTenantId: operator.tenantId
+      }
+    });
+
+    await this.audit(grant, operator, 'impersonation.started', context, {
+      targetUserId: target.id,
+      expiresAt: grant.expires_at
+    });
+
+    logger.security('Impersonation session started', {
+      tenantId: grant.company_id,
+      grantId: grant.id,
+      operatorId: operator.id,
+      targetUserId: target.id
+    });
+
+    return { status: 'success', token, expiresAt: grant.expires_at, user };
+  }
+
+  /**
+   * End an approved grant early. `tenantId` scopes the call to a tenant
+   * admin's own grants, `requestedBy` to an operator's own requests.
+   */
+  async endGrant(grantId, actor, { tenantId, requestedBy } = {}, context = {}) {
+    const values = [grantId, actor.id];
+    let scope = '';
+    if (tenantId) {
+      values.push(tenantId);
+      scope += ` AND company_id = $${values.length}`;
+    }
+    if (requestedBy) {
+      values.push(requestedBy);
+      scope += ` AND requested_by = $${values.length}`;
+    }
+
+    const result = await database.query(
+      `UPDATE tenant_main.impersonation_grants
+       SET status = 'ended', ended_at = NOW(), ended_by = $2
+       WHERE id = $1 AND status IN ('pending', 'approved')${scope}
+       RETURNING ${GRANT_COLUMNS}`,
+      values
+    );
+
+    const grant = result.rows[0];
+    if (!grant) return null;
+
+    await this.audit(grant, actor, 'impersonation.ended', context);
+
+    return this.describeGrant(grant);
+  }
+
+  /**
+   * The grant behind an impersonation token, while it is still usable
+   */
+  async getActiveGrant(grantId) {
+    const result = await database.query(
+      `SELECT id, company_id, target_user_id, requested_by, expires_at
+       FROM tenant_main.impersonation_grants
+       WHERE id = $1 AND status = 'approved' AND expires_at > NOW()`,
+      [grantId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Every audit entry written under a grant, oldest first
+   */
+  async getAuditTrail(tenantId, grantId) {
+    const result = await database.query(
+      `SELECT timestamp, action, user_id, user_email, user_role, impersonator_id,
+         impersonator_email, resource_type, resource_id, ip_address, success, new_values
+       FROM tenant_audit.audit_logs
+       WHERE tenant_id = $1 AND impersonation_grant_id = $2
+       ORDER BY timestamp ASC`,
+      [tenantId, grantId]
+    );
+
+    return result.rows.map(row => ({
+      timestamp: row.timestamp,
+      action: row.action,
+      user: { id: row.user_id, email: row.user_email, role: row.user_role },
+      impersonator: { id: row.impersonator_id, email: row.impersonator_email },
+      resourceType: row.resource_type,
+      resourceId: row.resource_id,
+      ip: row.ip_address,
+      success: row.success,
+      details: row.new_values
+    }));
+  }
+
+  /**
+   * Lifecycle entries go to the tenant's audit trail alongside the requests
+   * made under the grant; the operator is always recorded as impersonator
+   */
+  async audit(grant, actor, action, context = {}, details = null) {
+    await recordAuditEvent({
+      tenantId: grant.company_id,
+      userId: actor.id,
+      userEmail: actor.email,
+      userRole: actor.role,
+      action,
+      resourceType: 'impersonation_grant',
+      resourceId: grant.id,
+      newValues: details,
+      ip: context.ip,
+      userAgent: context.userAgent,
+      requestId: context.requestId,
+      impersonatorId: grant.requested_by,
+      impersonatorEmail: grant.requested_by_email,
+      impersonationGrantId: grant.id,
+      complianceCategory: 'impersonation'
+    });
+
+    logger.audit(`Impersonation grant ${action.split('.')[1]}`, {
+      tenantId: grant.company_id,
+      grantId: grant.id,
+      actorId: actor.id,
+      auditType: 'impersonation'
+    });
+  }
+
+  describeGrant(row) {
+    const expired = row.status === 'approved' && new Date(row.expires_at) <= new Date();
+
+    return {
+      id: row.id,
+      tenantId: row.company_id,
+      targetUserId: row.target_user_id,
+      requestedBy: { id: row.requested_by, email: row.requested_by_email },
+      reason: row.reason,
+      durationMinutes: row.duration_minutes,
+      requestedAt: row.requested_at,
+      status: expired ? 'expired' : row.status,
+      decidedBy: row.decided_by,
+      decidedAt: row.decided_at,
+      decisionNote: row.decision_note,
+      expiresAt: row.expires_at,
+      endedAt: row.ended_at,
+      endedBy: row.ended_by
+    };
+  }
+}
+
+// Export singleton instance
+export const impersonationService = new ImpersonationService();
+
+export default impersonationService;
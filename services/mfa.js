@@ -0,0 +1,495 @@
+/**
+ * Corporate Wellness Portal - Multi-Factor Authentication Service
+ * TOTP (RFC 6238) enrolment and verification with one-time recovery codes
+ */
+
+import crypto from 'crypto';
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+import { redisClient } from '../utils/redis.js';
+import { encryptionService } from './encryption.js';
+import { authService } from './auth.js';
+import { signToken, verifyToken } from '../middleware/auth.js';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Roles for which MFA is mandatory when a tenant enables the privileged-role policy
+const PRIVILEGED_ROLES = ['platform_admin', 'tenant_admin', 'hr_analyst'];
+
+class MfaService {
+  constructor() {
+    this.issuer = process.env.MFA_ISSUER || 'Corporate Wellness Portal';
+    this.digits = 6;
+    this.period = 30; // seconds per TOTP step
+    this.window = 1; // accept one step of clock drift either side
+    this.secretBytes = 20;
+    this.recoveryCodeCount = 10;
+    this.pendingEnrollmentTtl = 10 * 60;
+    this.challengeExpiresIn = '5m';
+    this.maxChallengeAttempts = 5;
+  }
+
+  /**
+   * Tenant MFA policy from companies.security_config.mfa
+   * { requiredRoles: [...] } or { requirePrivilegedRoles: true }; '*' covers every role
+   */
+  async getTenantPolicy(tenantId) {
+    const result = await database.query(
+      'SELECT security_config FROM tenant_main.companies WHERE id = $1',
+      [tenantId]
+    );
+
+    return result.rows[0]?.security_config?.mfa || {};
+  }
+
+  /**
+   * Whether the tenant policy makes MFA mandatory for a role
+   */
+  isRequiredForRole(policy, role) {
+    const requiredRoles = [
+      ...(policy.requiredRoles || []),
+      ...(policy.requirePrivilegedRoles ? PRIVILEGED_ROLES : [])
+    ];
+
+    return requiredRoles.includes('*') || requiredRoles.includes(role);
+  }
+
+  /**
+   * Decide whether a password login needs a second step.
+   * Returns { required, enrollmentRequired }
+   */
+  async getLoginRequirement(user, tenantId, mfaEnabled) {
+    if (mfaEnabled) {
+      return { required: true, enrollmentRequired: false };
+    }
+
+    const policy = await this.getTenantPolicy(tenantId);
+    const required = this.isRequiredForRole(policy, user.role);
+
+    return { required, enrollmentRequired: required };
+  }
+
+  /**
+   * Issue a short-lived token proving the password step succeeded
+   */
+  createChallengeToken(user, tenantId, { enrollmentRequired = false } = {}) {
+    return signToken({
+      userId: user.id,
+      email: user.email,
+      role: user.role,
+      userType: user.userType,
+      tenantId,
+      enrollmentRequired,
+      type: 'mfa_challenge',
+      jti: crypto.randomUUID()
+    }, {
+      expiresIn: this.challengeExpiresIn
+    });
+  }
+
+  /**
+   * Verify a challenge token and count the attempt against it.
+   * Returns { user, tenantId, enrollmentRequired } or null when invalid or exhausted.
+   */
+  async consumeChallengeToken(token) {
+    let decoded;
+    try {
+      decoded = verifyToken(token, { expectedType: 'mfa_challenge' });
+    } catch (error) {
+      return null;
+    }
+
+    const attemptsKey = `mfa:challenge_attempts:${decoded.jti}`;
+    const attempts = await redisClient.incr(attemptsKey);
+    if (attempts === 1) {
+      await redisClient.expire(attemptsKey, this.pendingEnrollmentTtl);
+    }
+
+    if (attempts > this.maxChallengeAttempts) {
+      logger.security('MFA challenge attempts exhausted', {
+        tenantId: decoded.tenantId,
+        userId: decoded.userId,
+        userType: decoded.userType
+      });
+      return null;
+    }
+
+    return {
+      user: {
+        id: decoded.userId,
+        email: decoded.email,
+        role: decoded.role,
+        userType: decoded.userType
+      },
+      tenantId: decoded.tenantId,
+      enrollmentRequired: Boolean(decoded.enrollmentRequired)
+    };
+  }
+
+  /**
+   * Start enrolment: generate a secret and return it with its provisioning URI.
+   * The secret is held in Redis until the user confirms a code.
+   */
+  async startEnrollment(user, tenantId) {
+    const secret = this.generateSecret();
+    const encrypted = await encryptionService.encryptData(secret, tenantId, this.getSecretContext(user));
+
+    await redisClient.setex(
+      this.getPendingEnrollmentKey(user),
+      this.pendingEnrollmentTtl,
+      JSON.stringify(encrypted)
+    );
+
+    return {
+      secret,
+      otpauthUrl: this.buildProvisioningUri(secret, user.email),
+      expiresIn: this.pendingEnrollmentTtl
+    };
+  }
+
+  /**
+   * Confirm enrolment with a code from the authenticator app.
+   * Returns the plaintext recovery codes (shown once) or null when the code is wrong.
+   */
+  async activateEnrollment(user, tenantId, code) {
+    const pending = await redisClient.get(this.getPendingEnrollmentKey(user));
+    if (!pending) {
+      return null;
+    }
+
+    const secret = await encryptionService.decryptData(JSON.parse(pending), tenantId, this.getSecretContext(user));
+    const timestep = this.verifyTotp(secret, code);
+    if (timestep === null) {
+      return null;
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    const table = authService.getUserTable(user.userType);
+
+    await database.query(
+      `UPDATE ${table}
+       SET mfa_enabled = TRUE,
+           mfa_secret_encrypted = $3,
+           mfa_recovery_codes = $4,
+           mfa_enrolled_at = NOW(),
+           updated_at = NOW()
+       WHERE id = $1 AND company_id = $2`,
+      [user.id, tenantId, pending, JSON.stringify(hashes)]
+    );
+
+    await redisClient.del(this.getPendingEnrollmentKey(user));
+    await this.markTimestepUsed(user, timestep);
+
+    logger.security('MFA enrolled', {
+      tenantId,
+      userId: user.id,
+      userType: user.userType
+    });
+
+    return codes;
+  }
+
+  /**
+   * Verify a TOTP code or a recovery code for an enrolled user.
+   * Returns the method used ('totp' or 'recovery_code') or null.
+   */
+  async verifyUser(user, tenantId, { code, recoveryCode }) {
+    const state = await this.getMfaState(user, tenantId);
+    if (!state?.mfa_enabled || !state.mfa_secret_encrypted) {
+      return null;
+    }
+
+    if (code) {
+      const secret = await encryptionService.decryptData(
+        JSON.parse(state.mfa_secret_encrypted),
+        tenantId,
+        this.getSecretContext(user)
+      );
+      const timestep = this.verifyTotp(secret, code);
+
+      if (timestep === null || !(await this.markTimestepUsed(user, timestep))) {
+        return null;
+      }
+      return 'totp';
+    }
+
+    if (recoveryCode) {
+      return (await this.redeemRecoveryCode(user, tenantId, state, recoveryCode)) ? 'recovery_code' : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Replace a user's recovery codes, invalidating the previous set
+   */
+  async regenerateRecoveryCodes(user, tenantId) {
+    const { codes, hashes } = this.generateRecoveryCodes();
+    const table = authService.getUserTable(user.userType);
+
+    await database.query(
+      `UPDATE ${table}
+       SET mfa_recovery_codes = $3, updated_at = NOW()
+       WHERE id = $1 AND company_id = $2 AND mfa_enabled = TRUE`,
+      [user.id, tenantId, JSON.stringify(hashes)]
+    );
+
+    logger.security('MFA recovery codes regenerated', {
+      tenantId,
+      userId: user.id,
+      userType: user.userType
+    });
+
+    return codes;
+  }
+
+  /**
+   * Remove MFA from an account
+   */
+  async disable(user, tenantId) {
+    const table = authService.getUserTable(user.userType);
+
+    await database.query(
+      `UPDATE ${table}
+       SET mfa_enabled = FALSE,
+           mfa_secret_encrypted = NULL,
+           mfa_recovery_codes = '[]',
+           mfa_enrolled_at = NULL,
+           updated_at = NOW()
+       WHERE id = $1 AND company_id = $2`,
+      [user.id, tenantId]
+    );
+
+    logger.security('MFA disabled', {
+      tenantId,
+      userId: user.id,
+      userType: user.userType
+    });
+  }
+
+  async getMfaState(user, tenantId) {
+    const table = authService.getUserTable(user.userType);
+    const result = await database.query(
+      `SELECT mfa_enabled, mfa_secret_encrypted, mfa_recovery_codes
+       FROM ${table}
+       WHERE id = $1 AND company_id = $2`,
+      [user.id, tenantId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Consume a recovery code; each code works once
+   */
+  async redeemRecoveryCode(user, tenantId, state, recoveryCode) {
+    const candidate = Buffer.from(this.hashRecoveryCode(recoveryCode), 'hex');
+    const storedCodes = state.mfa_recovery_codes || [];
+
+    const match = storedCodes.find(entry =>
+      !entry.usedAt &&
+      crypto.timingSafeEqual(Buffer.from(entry.hash, 'hex'), candidate)
+    );
+    if (!match) {
+      return false;
+    }
+
+    const table = authService.getUserTable(user.userType);
+
+    // Only mark the code used if it is still unused, so concurrent redemptions cannot both succeed
+    const result = await database.query(
+      `UPDATE ${table}
+       SET mfa_recovery_codes = (
+         SELECT jsonb_agg(
+           CASE WHEN entry->>'hash' = $3 THEN entry || jsonb_build_object('usedAt', NOW()) ELSE entry END
+         )
+         FROM jsonb_array_elements(mfa_recovery_codes) AS entry
+       )
+       WHERE id = $1 AND company_id = $2
+         AND mfa_recovery_codes @> jsonb_build_array(jsonb_build_object('hash', $3::text, 'usedAt', NULL))`,
+      [user.id, tenantId, match.hash]
+    );
+
+    if (result.rowCount === 0) {
+      return false;
+    }
+
+    const remaining = storedCodes.filter(entry => !entry.usedAt).length - 1;
+    logger.security('MFA recovery code used', {
+      tenantId,
+      userId: user.id,
+      userType: user.userType,
+      remainingCodes: remaining
+    });
+
+    return true;
+  }
+
+  /**
+   * Generate recovery codes and the hashed form stored in the database
+   */
+  generateRecoveryCodes() {
+    const codes = [];
+    const hashes = [];
+
+    for (let i = 0; i < this.recoveryCodeCount; i++) {
+      const raw = crypto.randomBytes(5).toString('hex');
+      const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+      codes.push(code);
+      hashes.push({ hash: this.hashRecoveryCode(code), usedAt: null });
+    }
+
+    return { codes, hashes };
+  }
+
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[^a-f0-9]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+
+  /**
+   * Generate a random base32 TOTP secret
+   */
+  generateSecret() {
+    return this.base32Encode(crypto.randomBytes(this.secretBytes));
+  }
+
+  /**
+   * otpauth:// URI rendered as a QR code by the client
+   */
+  buildProvisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${this.issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: this.issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.period)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  /**
+   * Compute the TOTP code for a timestep
+   */
+  generateTotp(secret, timestep) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(timestep));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % Math.pow(10, this.digits)).padStart(this.digits, '0');
+  }
+
+  /**
+   * Check a code against the current timestep and the drift window.
+   * Returns the matching timestep or null.
+   */
+  verifyTotp(secret, code, now = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) {
+      return null;
+    }
+
+    const currentStep = Math.floor(now / 1000 / this.period);
+
+    for (let offset = -this.window; offset <= this.window; offset++) {
+      const timestep = currentStep + offset;
+      const expected = this.generateTotp(secret, timestep);
+
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return timestep;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Reject replay of a code within its validity window.
+   * Returns false when this or a later timestep was already used, or when
+   * Redis can't record the use. Each timestep is claimed atomically, so two
+   * requests racing with the same code can't both pass.
+   */
+  async markTimestepUsed(user, timestep) {
+    const ttl = this.period * (this.window * 2 + 1);
+    if (!(await redisClient.setIfAbsent(this.getTimestepKey(user, timestep), '1', ttl))) {
+      return false;
+    }
+
+    const laterKeys = [];
+    for (let step = timestep + 1; step <= timestep + this.window * 2; step++) {
+      laterKeys.push(this.getTimestepKey(user, step));
+    }
+    if (laterKeys.length === 0) return true;
+
+    const later = await redisClient.mget(laterKeys);
+    return later !== null && later.every(value => value === null);
+  }
+
+  getTimestepKey(user, timestep) {
+    return `mfa:step:${user.userType}:${user.id}:${timestep}`;
+  }
+
+  getPendingEnrollmentKey(user) {
+    return `mfa:pending:${user.userType}:${user.id}`;
+  }
+
+  getSecretContext(user) {
+    return `mfa:${user.userType}:${user.id}`;
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character in MFA secret');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 0xff);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+}
+
+// Export singleton instance
+export const mfaService = new MfaService();
+
+export default mfaService;
@@ -0,0 +1,982 @@
+/**
+ * Corporate Wellness Portal - Onboarding Plan Service
+ * Dry-run diffs of an uploaded roster against current employees, applied by approving the plan
+ */
+
+import crypto from 'crypto';
+import cron from 'node-cron';
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+import { recordAuditEvent } from '../middleware/audit.js';
+import { bulkOnboardingService } from './bulk-onboarding.js';
+import { encryptionService } from './encryption.js';
+import { partnerService } from './partner.js';
+import { tokenService } from './token.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export const PLAN_ACTIONS = ['create', 'update', 'reactivate', 'terminate', 'missing', 'unchanged', 'invalid'];
+
+// Roster fields compared with the stored employee: the normalized row
+// property and its column. Names are left out because they are encrypted
+// per value and can't be compared without decrypting every employee.
+// The manager is compared separately, through its employee_id.
+const COMPARED_FIELDS = [
+  { field: 'email', column: 'email' },
+  { field: 'department', column: 'department' },
+  { field: 'role', column: 'role' },
+  { field: 'location', column: 'location' },
+  { field: 'birthYear', column: 'birth_year' },
+  { field: 'gender', column: 'gender' },
+  { field: 'maritalStatus', column: 'marital_status' }
+];
+
+const UPDATABLE_COLUMNS = [...COMPARED_FIELDS.map(f => f.column), 'manager_id'];
+
+class OnboardingPlanService {
+  constructor() {
+    this.planTtlHours = parseInt(process.env.ONBOARDING_PLAN_TTL_HOURS) || 72;
+    // Days an employee missing from the roster keeps access before being
+    // terminated, unless the upload sets terminationGraceDays; 0 is at once
+    this.terminationGraceDays = parseInt(process.env.ROSTER_TERMINATION_GRACE_DAYS) || 0;
+    this.defaultPageSize = 100;
+    this.maxPageSize = 500;
+    this.scheduledTasks = [];
+  }
+
+  /**
+   * Diff an uploaded roster against the tenant's employees and store the
+   * result as a pending plan. Options: terminateMissing,
+   * terminationGraceDays, plus the upload options the approved run should use.
+   */
+  async createPlan(tenantId, file, options = {}, { createdBy } = {}) {
+    const planId = crypto.randomUUID();
+    options = { ...options, terminationGraceDays: options.terminationGraceDays ?? this.terminationGraceDays };
+    // The plan keeps the file as uploaded, for the error report of the run
+    // it starts; the mapped rows are rebuilt from it on approval
+    const upload = await bulkOnboardingService.readUpload(tenantId, file, options);
+    const source = this.withBlankCells(upload.source);
+    const mapped = this.withBlankCells(upload.mapped);
+    const employees = await this.loadEmployees(tenantId);
+    const items = this.diffRoster(mapped, employees, options);
+    const counts = this.countActions(items);
+
+    const sourceRows = await bulkOnboardingService.encryptSourceRows(
+      tenantId, planId, source, bulkOnboardingService.rowNumbersOf(source)
+    );
+
+    const result = await database.transaction([
+      {
+        text: `INSERT INTO tenant_main.onboarding_plans (
+                 id, company_id, created_by, created_by_type, created_by_email,
+                 filename, file_size, options, total_rows,
+                 create_count, update_count, reactivate_count, terminate_count, missing_count, unchanged_count,
+                 invalid_count, fingerprint, source_headers, source_rows_encrypted, expires_at
+               ) VALUES (
+                 $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+                 NOW() + ($20 * INTERVAL '1 hour')
+               )
+               RETURNING *`,
+        params: [
+          planId,
+          tenantId,
+          createdBy?.id && UUID_PATTERN.test(createdBy.id) ? createdBy.id : null,
+          createdBy?.userType || null,
+          createdBy?.email || null,
+          file.originalname ? file.originalname.slice(0, 255) : null,
+          file.size ?? null,
+          JSON.stringify(options),
+          source.rows.length,
+          counts.create,
+          counts.update,
+          counts.reactivate,
+          counts.terminate,
+          counts.missing,
+          counts.unchanged,
+          counts.invalid,
+          this.fingerprint(items),
+          JSON.stringify(source.headers),
+          sourceRows,
+          this.planTtlHours
+        ]
+      },
+      {
+        text: `INSERT INTO tenant_main.onboarding_plan_items (
+                 plan_id, company_id, action, row_number, employee_id, email, external_employee_id, changes, errors
+               )
+               SELECT $1, $2, i.action, i.row_number, i.employee_id, i.email, i.external_employee_id,
+                      i.changes::jsonb, i.errors::jsonb
+               FROM unnest($3::text[], $4::int[], $5::uuid[], $6::text[], $7::text[], $8::text[], $9::text[])
+                 AS i(action, row_number, employee_id, email, external_employee_id, changes, errors)`,
+        params: [
+          planId,
+          tenantId,
+          items.map(i => i.action),
+          items.map(i => i.rowNumber),
+          items.map(i => i.employeeId || null),
+          items.map(i => (i.email ? String(i.email).slice(0, 255) : null)),
+          items.map(i => (i.externalEmployeeId ? String(i.externalEmployeeId).slice(0, 100) : null)),
+          items.map(i => JSON.stringify(i.changes || {})),
+          items.map(i => JSON.stringify(i.errors || []))
+        ]
+      }
+    ]);
+
+    logger.info('Onboarding plan created', {
+      tenantId,
+      planId,
+      createdBy: createdBy?.id,
+      ...counts
+    });
+
+    return this.describePlan(result[0].rows[0]);
+  }
+
+  /**
+   * Approve a pending plan. The diff is recomputed against the locked
+   * employees, through the plan's mapping profile as it is now; if either
+   * changed since the dry run the plan is marked stale and nothing is
+   * applied. Approving an approved plan whose new hires were never queued
+   * resumes it. Resolves to { status: 'success', ... }, { status: 'not_found' },
+   * { status: 'conflict', detail } or { status: 'stale', detail }.
+   */
+  async approvePlan(tenantId, planId, { approvedBy } = {}) {
+    const plan = await this.findPlan(tenantId, planId);
+    if (!plan) return { status: 'not_found' };
+
+    if (plan.status === 'approved' && plan.pending_creates_encrypted) {
+      return this.resumeApproval(tenantId, plan, { approvedBy });
+    }
+    if (plan.status !== 'pending') {
+      return { status: 'conflict', detail: `Plan is already ${plan.status}` };
+    }
+    if (new Date(plan.expires_at) <= new Date()) {
+      await this.setPlanStatus(tenantId, planId, 'expired');
+      return { status: 'conflict', detail: 'Plan has expired; run the dry run again' };
+    }
+
+    const source = await this.loadPlanSource(tenantId, plan);
+    const mapped = this.withBlankCells(await bulkOnboardingService.applyMapping(tenantId, source, plan.options || {}));
+
+    // Claim, re-diff and apply in one transaction, with the tenant's
+    // employees locked so nothing changes between the check and the
+    // updates. A failure rolls the claim back and the plan stays pending.
+    const outcome = await database.withTransaction(async client => {
+      const claimed = await client.query(
+        `UPDATE tenant_main.onboarding_plans
+         SET status = 'approved', approved_by = $3, approved_by_email = $4, approved_at = NOW()
+         WHERE id = $1 AND company_id = $2 AND status = 'pending'
+         RETURNING *`,
+        [
+          planId,
+          tenantId,
+          approvedBy?.id && UUID_PATTERN.test(approvedBy.id) ? approvedBy.id : null,
+          approvedBy?.email || null
+        ]
+      );
+      if (claimed.rowCount === 0) {
+        return { status: 'conflict', detail: 'Plan is no longer pending' };
+      }
+
+      const employees = await this.loadEmployees(tenantId, { client, forUpdate: true });
+      const items = this.diffRoster(mapped, employees, plan.options || {});
+
+      if (this.fingerprint(items) !== plan.fingerprint) {
+        await client.query(
+          `UPDATE tenant_main.onboarding_plans
+           SET status = 'stale', approved_by = NULL, approved_by_email = NULL, approved_at = NULL
+           WHERE id = $1 AND company_id = $2`,
+          [planId, tenantId]
+        );
+        return { status: 'stale', detail: 'Employees or the column mapping changed since the dry run; run it again' };
+      }
+
+      const applied = await this.applyChanges(client, tenantId, items, plan.options || {});
+
+      // Recorded with the approval, so the new hires can still be queued
+      // if starting their run fails after the commit
+      const pendingCreates = await this.encryptPendingCreates(tenantId, planId, items);
+      if (pendingCreates) {
+        await client.query(
+          'UPDATE tenant_main.onboarding_plans SET pending_creates_encrypted = $3 WHERE id = $1 AND company_id = $2',
+          [planId, tenantId, pendingCreates]
+        );
+      }
+
+      return { status: 'approved', plan: claimed.rows[0], items, applied };
+    }, { tenantId, planId });
+
+    if (outcome.status === 'stale') {
+      logger.info('Onboarding plan went stale before approval', { tenantId, planId });
+    }
+    if (outcome.status !== 'approved') {
+      return { status: outcome.status, detail: outcome.detail };
+    }
+
+    const { items, applied } = outcome;
+    await this.recordChanges(tenantId, planId, items, applied, approvedBy);
+
+    const terminated = await this.terminatePlanned(tenantId, applied.terminateNow, approvedBy);
+    const run = await this.startPendingRun(tenantId, planId, source, approvedBy);
+
+    logger.audit('Onboarding plan approved', {
+      tenantId,
+      planId,
+      approvedBy: approvedBy?.id,
+      updated: applied.updated,
+      reactivated: applied.reactivated.length,
+      terminated,
+      terminationsScheduled: applied.scheduled.length,
+      terminationsCancelled: applied.cancelled.length,
+      created: run?.totalEmployees || 0,
+      onboardingId: run?.onboardingId,
+      auditType: 'provisioning'
+    });
+
+    return {
+      status: 'success',
+      plan: this.describePlan({ ...outcome.plan, run_id: run?.onboardingId || null }),
+      updated: applied.updated,
+      reactivated: applied.reactivated.length,
+      terminated,
+      terminationsScheduled: applied.scheduled.length,
+      terminationsCancelled: applied.cancelled.length,
+      run
+    };
+  }
+
+  /**
+   * Finish an approval that failed after its commit: terminate the plan's
+   * employees still due and queue the new hires it recorded. Resolves like
+   * approvePlan, with resumed: true.
+   */
+  async resumeApproval(tenantId, plan, { approvedBy } = {}) {
+    const due = await database.query(
+      `SELECT e.id FROM tenant_main.onboarding_plan_items i
+       JOIN tenant_main.employees e ON e.id = i.employee_id
+       WHERE i.plan_id = $1 AND i.company_id = $2 AND i.action = 'terminate'
+         AND e.account_status <> 'terminated' AND e.roster_termination_due_at <= NOW()`,
+      [plan.id, tenantId]
+    );
+    const terminated = await this.terminatePlanned(tenantId, due.rows.map(row => row.id), approvedBy);
+
+    const source = await this.loadPlanSource(tenantId, plan);
+    const run = await this.startPendingRun(tenantId, plan.id, source, approvedBy);
+
+    logger.audit('Onboarding plan approval resumed', {
+      tenantId,
+      planId: plan.id,
+      resumedBy: approvedBy?.id,
+      terminated,
+      created: run?.totalEmployees || 0,
+      onboardingId: run?.onboardingId,
+      auditType: 'provisioning'
+    });
+
+    return {
+      status: 'success',
+      plan: this.describePlan({ ...plan, run_id: run?.onboardingId || plan.run_id, pending_creates_encrypted: null }),
+      updated: 0,
+      reactivated: 0,
+      terminated,
+      terminationsScheduled: 0,
+      terminationsCancelled: 0,
+      run,
+      resumed: true
+    };
+  }
+
+  /**
+   * Recurring roster upload: plan the file and approve the plan straight
+   * away, so the plan and its items remain as the record of the sync. In
+   * strict validation mode a file with invalid rows is left as a pending
+   * plan and nothing is applied.
+   * Resolves like approvePlan, or to { status: 'invalid', plan }.
+   */
+  async syncRoster(tenantId, file, options = {}, { initiatedBy } = {}) {
+    const plan = await this.createPlan(tenantId, file, { ...options, mode: 'sync' }, { createdBy: initiatedBy });
+
+    if (options.validationMode === 'strict' && plan.summary.invalid > 0) {
+      return { status: 'invalid', plan };
+    }
+
+    return this.approvePlan(tenantId, plan.planId, { approvedBy: initiatedBy });
+  }
+
+  /**
+   * Compare each roster row with the employee it matches, by employee_id
+   * when the row has one and otherwise by email. Blank cells leave the
+   * stored value alone. Terminated employees listed again are reactivated.
+   * Names are required only for rows that create an employee. Active
+   * employees absent from the file are listed as missing, or planned for
+   * termination when terminateMissing is set and every row is valid; an
+   * invalid row still shields the employee it names, and employees managed
+   * through SCIM are left to the identity provider.
+   */
+  diffRoster(source, employees, { terminateMissing = false } = {}) {
+    const byId = new Map();
+    const byEmail = new Map();
+    const byExternalId = new Map();
+    for (const employee of employees) {
+      byId.set(employee.id, employee);
+      byEmail.set(employee.email.toLowerCase(), employee);
+      if (employee.employee_id) byExternalId.set(employee.employee_id, employee);
+    }
+
+    const emailSet = new Set();
+    const externalIds = new Set();
+    const matched = new Set();
+    // Employees named by any row, valid or not, are never treated as absent
+    const listed = new Set();
+    const items = [];
+    const rowNumbers = bulkOnboardingService.rowNumbersOf(source);
+
+    source.rows.forEach((row, index) => {
+      const rowNumber = rowNumbers[index];
+      const employee = { ...bulkOnboardingService.normalizeEmployeeData(row), rowIndex: rowNumber };
+      const externalId = employee.employeeId ? String(employee.employeeId).trim() : null;
+      const errors = bulkOnboardingService.validateRowFields(employee, emailSet, { requireNames: false });
+
+      if (externalId) {
+        if (externalIds.has(externalId)) errors.push('Duplicate employee ID');
+        externalIds.add(externalId);
+      }
+
+      const emailOwner = byEmail.get(employee.email) || null;
+      const current = (externalId && byExternalId.get(externalId)) || emailOwner;
+      if (current) listed.add(current.id);
+      if (emailOwner) listed.add(emailOwner.id);
+
+      if (errors.length === 0) {
+        if (!current) {
+          errors.push(...bulkOnboardingService.nameErrors(employee));
+        } else if (emailOwner && emailOwner.id !== current.id) {
+          errors.push('Email belongs to another employee');
+        } else if (externalId && current.employee_id && current.employee_id !== externalId) {
+          errors.push('Employee ID does not match the existing employee with this email');
+        } else if (matched.has(current.id)) {
+          errors.push('Matches the same employee as an earlier row');
+        } else if (current.account_status === 'terminated' && current.scim_external_id) {
+          errors.push('Employee was terminated through SCIM; reactivate them in the identity provider');
+        }
+      }
+
+      const item = { rowNumber, email: employee.email, externalEmployeeId: externalId, employee };
+
+      if (errors.length > 0) {
+        items.push({ ...item, action: 'invalid', errors });
+      } else if (!current) {
+        items.push({ ...item, action: 'create' });
+      } else {
+        matched.add(current.id);
+        const { changes, updates } = this.compareEmployee(employee, current, { byId, byExternalId });
+        let action = Object.keys(changes).length > 0 ? 'update' : 'unchanged';
+        if (current.account_status === 'terminated') action = 'reactivate';
+        items.push({
+          ...item,
+          action,
+          employeeId: current.id,
+          changes,
+          updates
+        });
+      }
+    });
+
+    // A roster with invalid rows may be missing lines it meant to include,
+    // so nobody is terminated until it is corrected
+    const canTerminate = terminateMissing && !items.some(item => item.action === 'invalid');
+
+    for (const employee of employees) {
+      if (listed.has(employee.id) || employee.account_status === 'terminated' || employee.scim_external_id) {
+        continue;
+      }
+      items.push({
+        rowNumber: null,
+        action: canTerminate ? 'terminate' : 'missing',
+        employeeId: employee.id,
+        email: employee.email,
+        externalEmployeeId: employee.employee_id
+      });
+    }
+
+    return items;
+  }
+
+  /**
+   * Changed fields as { field: { from, to } } for display, and the same
+   * changes as { column: value } to apply
+   */
+  compareEmployee(employee, current, { byId, byExternalId }) {
+    const changes = {};
+    const updates = {};
+
+    for (const { field, column } of COMPARED_FIELDS) {
+      let value = employee[field];
+      if (typeof value === 'string') value = value.trim();
+      if (value === undefined || value === null || value === '' || Number.isNaN(value)) continue;
+
+      // Rows are matched on the lowercased email, so case alone isn't a change
+      const stored = current[column] ?? null;
+      if (value !== (column === 'email' ? stored?.toLowerCase() : stored)) {
+        changes[field] = { from: stored, to: value };
+        updates[column] = value;
+      }
+    }
+
+    // Managers are referenced by their employee_id; one not on file yet
+    // can't be linked and is skipped
+    const managerExternalId = employee.managerId ? String(employee.managerId).trim() : null;
+    const manager = managerExternalId ? byExternalId.get(managerExternalId) : null;
+    if (manager && manager.id !== current.id && manager.id !== current.manager_id) {
+      changes.manager = {
+        from: current.manager_id ? byId.get(current.manager_id)?.employee_id ?? null : null,
+        to: manager.employee_id
+      };
+      updates.manager_id = manager.id;
+    }
+
+    return { changes, updates };
+  }
+
+  /**
+   * Field updates, reactivations and the grace-period bookkeeping for
+   * terminations, on the caller's transaction. Terminations due at once are
+   * marked due now and left to the caller, since they also reach sessions
+   * and partner accounts; the hourly sweep finishes any the caller doesn't.
+   */
+  async applyChanges(client, tenantId, items, { terminationGraceDays = 0 } = {}) {
+    const ids = action => items.filter(item => item.action === action).map(item => item.employeeId);
+    const reactivate = ids('reactivate');
+    const terminate = ids('terminate');
+    // Everyone listed in the file is no longer due to leave
+    const listed = items.filter(item => item.rowNumber !== null && item.employeeId).map(item => item.employeeId);
+
+    const updates = items
+      .filter(item => ['update', 'reactivate'].includes(item.action) && Object.keys(item.updates).length > 0)
+      .map(item => this.updateQuery(tenantId, item));
+
+    const statusChanges = [
+      {
+        text: `UPDATE tenant_main.employees SET account_status = 'active', updated_at = NOW()
+               WHERE id = ANY($1::uuid[]) AND company_id = $2 AND account_status = 'terminated'
+               RETURNING id`,
+        params: [reactivate, tenantId]
+      },
+      {
+        // Rehire: restore the app access suspended when the employee left
+        text: `UPDATE tenant_main.app_assignments SET status = 'active'
+               WHERE employee_id = ANY($1::uuid[]) AND status = 'suspended'`,
+        params: [reactivate]
+      },
+      {
+        text: `UPDATE tenant_main.employees SET roster_termination_due_at = NULL
+               WHERE id = ANY($1::uuid[]) AND company_id = $2 AND roster_termination_due_at IS NOT NULL
+               RETURNING id`,
+        params: [listed, tenantId]
+      }
+    ];
+
+    if (terminationGraceDays > 0) {
+      // An earlier roster may already have started the clock; keep its date
+      statusChanges.push({
+        text: `UPDATE tenant_main.employees
+               SET roster_termination_due_at = COALESCE(roster_termination_due_at, NOW() + ($3 * INTERVAL '1 day'))
+               WHERE id = ANY($1::uuid[]) AND company_id = $2 AND account_status <> 'terminated'
+               RETURNING id, roster_termination_due_at`,
+        params: [terminate, tenantId, terminationGraceDays]
+      });
+    } else {
+      statusChanges.push({
+        text: `UPDATE tenant_main.employees SET roster_termination_due_at = NOW()
+               WHERE id = ANY($1::uuid[]) AND company_id = $2 AND account_status <> 'terminated'
+               RETURNING id, roster_termination_due_at`,
+        params: [terminate, tenantId]
+      });
+    }
+
+    const results = [];
+    for (const { text, params } of [...updates, ...statusChanges]) {
+      results.push(await client.query(text, params));
+    }
+    const [reactivated, , cancelled, terminations] = results.slice(updates.length);
+
+    return {
+      updated: ids('update').length,
+      reactivated: reactivated.rows.map(row => row.id),
+      cancelled: cancelled.rows.map(row => row.id),
+      scheduled: terminationGraceDays > 0 ? terminations.rows : [],
+      terminateNow: terminationGraceDays > 0 ? [] : terminations.rows.map(row => row.id)
+    };
+  }
+
+  updateQuery(tenantId, item) {
+    const columns = Object.keys(item.updates).filter(column => UPDATABLE_COLUMNS.includes(column));
+    return {
+      text: `UPDATE tenant_main.employees
+             SET ${columns.map((column, i) => `${column} = $${i + 3}`).join(', ')}, updated_at = NOW()
+             WHERE id = $1 AND company_id = $2`,
+      params: [item.employeeId, tenantId, ...columns.map(column => item.updates[column])]
+    };
+  }
+
+  /**
+   * Audit log entry, with old and new values, for every employee the plan
+   * changed. Terminations are recorded by terminateEmployee.
+   */
+  async recordChanges(tenantId, planId, items, applied, actor) {
+    const entry = (action, employeeId, oldValues, newValues) => recordAuditEvent({
+      tenantId,
+      ...this.auditActor(actor),
+      action,
+      resourceType: 'employee',
+      resourceId: employeeId,
+      oldValues,
+      newValues: { ...newValues, planId },
+      complianceCategory: 'provisioning'
+    });
+
+    for (const item of items) {
+      if (item.action !== 'update' && item.action !== 'reactivate') continue;
+
+      const oldValues = {};
+      const newValues = {};
+      for (const [field, { from, to }] of Object.entries(item.changes)) {
+        oldValues[field] = from;
+        newValues[field] = to;
+      }
+      if (item.action === 'reactivate') {
+        oldValues.accountStatus = 'terminated';
+        newValues.accountStatus = 'active';
+      }
+      await entry(`employee.roster_${item.action}`, item.employeeId, oldValues, newValues);
+    }
+
+    for (const { id, roster_termination_due_at: dueAt } of applied.scheduled) {
+      await entry('employee.roster_termination_scheduled', id, null, { terminationDueAt: dueAt });
+    }
+    for (const id of applied.cancelled) {
+      await entry('employee.roster_termination_cancelled', id, null, { terminationDueAt: null });
+    }
+  }
+
+  auditActor(actor) {
+    return {
+      userId: actor?.id && UUID_PATTERN.test(actor.id) ? actor.id : null,
+      userEmail: actor?.email || null,
+      userRole: actor?.role || actor?.userType || null
+    };
+  }
+
+  /**
+   * Leaver: mark terminated, suspend app access, sign the employee out
+   * everywhere and revoke the partners they sponsor. Resolves to false when
+   * the employee was already terminated.
+   */
+  async terminateEmployee(tenantId, employeeId, { reason, actor } = {}) {
+    const result = await database.query(
+      `UPDATE tenant_main.employees e
+       SET account_status = 'terminated', roster_termination_due_at = NULL, updated_at = NOW()
+       FROM (
+         SELECT id, account_status FROM tenant_main.employees
+         WHERE id = $1 AND company_id = $2
+         FOR UPDATE
+       ) previous
+       WHERE e.id = previous.id AND previous.account_status <> 'terminated'
+       RETURNING previous.account_status`,
+      [employeeId, tenantId]
+    );
+    if (result.rowCount === 0) return false;
+
+    const revokedBy = actor?.id || 'roster';
+
+    const suspended = await database.query(
+      `UPDATE tenant_main.app_assignments SET status = 'suspended'
+       WHERE employee_id = $1 AND status = 'active'`,
+      [employeeId]
+    );
+
+    await tokenService.revokeAllUserSessions(tenantId, employeeId, 'employee', 'account_terminated', { revokedBy });
+
+    const revokedPartners = await partnerService.revokeForSponsor(tenantId, employeeId, 'sponsor_terminated', {
+      revokedBy
+    });
+
+    logger.audit('Employee terminated by roster upload', {
+      tenantId,
+      employeeId,
+      reason,
+      terminatedBy: revokedBy,
+      suspendedAssignments: suspended.rowCount,
+      revokedPartners,
+      auditType: 'provisioning'
+    });
+
+    await recordAuditEvent({
+      tenantId,
+      ...this.auditActor(actor),
+      action: 'employee.roster_terminate',
+      resourceType: 'employee',
+      resourceId: employeeId,
+      oldValues: { accountStatus: result.rows[0].account_status },
+      newValues: { accountStatus: 'terminated', reason },
+      complianceCategory: 'provisioning'
+    });
+
+    return true;
+  }
+
+  /**
+   * Terminate the employees an approval left due at once. A failure is
+   * logged and left to the hourly sweep rather than holding up the rest of
+   * the approval.
+   */
+  async terminatePlanned(tenantId, employeeIds, actor) {
+    let terminated = 0;
+    for (const employeeId of employeeIds) {
+      try {
+        if (await this.terminateEmployee(tenantId, employeeId, { reason: 'roster_plan', actor })) {
+          terminated++;
+        }
+      } catch (error) {
+        logger.error('Roster termination failed', {
+          tenantId,
+          employeeId,
+          error: error.message
+        });
+      }
+    }
+    return terminated;
+  }
+
+  /**
+   * Terminate employees whose roster grace period has run out. Schedules
+   * left on employees who have since been terminated or handed to SCIM
+   * are dropped. Finding them spans tenants (system scope); each
+   * termination then runs in its own tenant's scope.
+   */
+  async terminateDueEmployees() {
+    const due = await database.runAsSystem(async () => {
+      await database.query(
+        `UPDATE tenant_main.employees SET roster_termination_due_at = NULL
+         WHERE roster_termination_due_at IS NOT NULL
+           AND (account_status = 'terminated' OR scim_external_id IS NOT NULL)`
+      );
+
+      return database.query(
+        `SELECT id, company_id FROM tenant_main.employees
+         WHERE roster_termination_due_at <= NOW()
+         ORDER BY roster_termination_due_at`
+      );
+    });
+
+    let terminated = 0;
+    for (const employee of due.rows) {
+      try {
+        const ended = await database.runWithTenant(employee.company_id, () =>
+          this.terminateEmployee(employee.company_id, employee.id, { reason: 'roster_grace_period_ended' })
+        );
+        if (ended) {
+          terminated++;
+        }
+      } catch (error) {
+        logger.error('Roster termination failed', {
+          tenantId: employee.company_id,
+          employeeId: employee.id,
+          error: error.message
+        });
+      }
+    }
+
+    if (terminated > 0) {
+      logger.info('Terminated employees past their roster grace period', { terminated });
+    }
+
+    return terminated;
+  }
+
+  /**
+   * The plan's new hires, and its invalid rows for the run's error report,
+   * encrypted for the plan row. Null when there is nobody to create.
+   */
+  async encryptPendingCreates(tenantId, planId, items) {
+    const creates = items.filter(item => item.action === 'create');
+    if (creates.length === 0) return null;
+
+    const pending = {
+      creates: creates.map(item => item.employee),
+      invalid: items
+        .filter(item => item.action === 'invalid')
+        .map(item => ({ rowIndex: item.rowNumber, employee: item.employee, errors: item.errors }))
+    };
+    return JSON.stringify(await encryptionService.encryptData(pending, tenantId, this.pendingCreatesContext(planId)));
+  }
+
+  pendingCreatesContext(planId) {
+    return `onboarding_plan:${planId}:pending_creates`;
+  }
+
+  /**
+   * Queue the new hires recorded on an approved plan and link their run.
+   * The plan row stays locked until the run has started, and the record is
+   * only cleared then, so a failure leaves it for approvePlan to resume.
+   * Resolves to the run, or null when nothing was pending.
+   */
+  async startPendingRun(tenantId, planId, source, approvedBy) {
+    return database.withTransaction(async client => {
+      const locked = await client.query(
+        `SELECT * FROM tenant_main.onboarding_plans
+         WHERE id = $1 AND company_id = $2 AND pending_creates_encrypted IS NOT NULL
+         FOR UPDATE`,
+        [planId, tenantId]
+      );
+      const plan = locked.rows[0];
+      if (!plan) return null;
+
+      const pending = await encryptionService.decryptData(
+        JSON.parse(plan.pending_creates_encrypted),
+        tenantId,
+        this.pendingCreatesContext(planId)
+      );
+      const run = await this.startCreateRun(tenantId, plan, source, pending, approvedBy);
+
+      await client.query(
+        `UPDATE tenant_main.onboarding_plans SET run_id = $3, pending_creates_encrypted = NULL
+         WHERE id = $1 AND company_id = $2`,
+        [planId, tenantId, run.onboardingId]
+      );
+      return run;
+    }, { tenantId, planId });
+  }
+
+  /**
+   * Queue new hires as an onboarding run. Invalid rows go along as
+   * quarantined records so the run's error report covers them.
+   */
+  async startCreateRun(tenantId, plan, source, { creates, invalid }, approvedBy) {
+    const options = { ...(plan.options || {}), validationMode: 'partial', planId: plan.id };
+    const onboardingId = await bulkOnboardingService.createOnboardingSession(tenantId, {
+      filename: plan.filename,
+      fileSize: plan.file_size,
+      options,
+      initiatedBy: approvedBy,
+      source: plan.options?.mode === 'sync' ? 'sync' : 'plan'
+    });
+
+    try {
+      const { status, totalBatches } = await bulkOnboardingService.queueRun(tenantId, onboardingId, source, {
+        validEmployees: creates,
+        invalidEmployees: invalid,
+        errors: []
+      }, options);
+
+      return { onboardingId, status, totalEmployees: creates.length, totalBatches };
+    } catch (error) {
+      await bulkOnboardingService.updateOnboardingSession(tenantId, onboardingId, {
+        status: 'failed',
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  async getPlan(tenantId, planId) {
+    const plan = await this.findPlan(tenantId, planId);
+    return plan ? this.describePlan(plan) : null;
+  }
+
+  /**
+   * Items of one plan, in file order with missing employees last.
+   * Filters: action, page, limit.
+   * Resolves to { status: 'success', items, pagination }, { status: 'not_found' }
+   * or { status: 'invalid', detail }
+   */
+  async listPlanItems(tenantId, planId, filters = {}) {
+    const paging = bulkOnboardingService.parsePaging(filters, this.defaultPageSize, this.maxPageSize);
+    if (paging.detail) return { status: 'invalid', detail: paging.detail };
+    if (filters.action !== undefined && !PLAN_ACTIONS.includes(filters.action)) {
+      return { status: 'invalid', detail: `action must be one of: ${PLAN_ACTIONS.join(', ')}` };
+    }
+
+    const plan = await this.findPlan(tenantId, planId);
+    if (!plan) return { status: 'not_found' };
+
+    const values = [planId, tenantId];
+    let where = 'plan_id = $1 AND company_id = $2';
+    if (filters.action) {
+      values.push(filters.action);
+      where += ' AND action = $3';
+    }
+
+    const [rows, count] = await Promise.all([
+      database.query(
+        `SELECT action, row_number, employee_id, email, external_employee_id, changes, errors
+         FROM tenant_main.onboarding_plan_items
+         WHERE ${where}
+         ORDER BY row_number NULLS LAST, email
+         LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+        [...values, paging.limit, (paging.page - 1) * paging.limit]
+      ),
+      database.query(`SELECT COUNT(*)::int AS total FROM tenant_main.onboarding_plan_items WHERE ${where}`, values)
+    ]);
+
+    return {
+      status: 'success',
+      items: rows.rows.map(row => ({
+        action: row.action,
+        rowNumber: row.row_number,
+        employeeId: row.employee_id,
+        email: row.email,
+        externalEmployeeId: row.external_employee_id,
+        changes: row.changes,
+        errors: row.errors
+      })),
+      pagination: bulkOnboardingService.pagination(paging, count.rows[0].total)
+    };
+  }
+
+  async findPlan(tenantId, planId) {
+    if (!UUID_PATTERN.test(planId)) return null;
+
+    const result = await database.query(
+      'SELECT * FROM tenant_main.onboarding_plans WHERE id = $1 AND company_id = $2',
+      [planId, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  async setPlanStatus(tenantId, planId, status) {
+    await database.query(
+      `UPDATE tenant_main.onboarding_plans
+       SET status = $3,
+           approved_by = CASE WHEN $3 = 'pending' THEN NULL ELSE approved_by END,
+           approved_by_email = CASE WHEN $3 = 'pending' THEN NULL ELSE approved_by_email END,
+           approved_at = CASE WHEN $3 = 'pending' THEN NULL ELSE approved_at END
+       WHERE id = $1 AND company_id = $2`,
+      [planId, tenantId, status]
+    );
+  }
+
+  /**
+   * The tenant's employees as diffRoster compares them. Inside a
+   * transaction (`client`), forUpdate locks them until it ends.
+   */
+  async loadEmployees(tenantId, { client = database, forUpdate = false } = {}) {
+    const result = await client.query(
+      `SELECT id, email, employee_id, scim_external_id, department, role, location, manager_id,
+              birth_year, gender, marital_status, account_status
+       FROM tenant_main.employees
+       WHERE company_id = $1
+       ${forUpdate ? 'FOR UPDATE' : ''}`,
+      [tenantId]
+    );
+    return result.rows;
+  }
+
+  /**
+   * Rebuild the planned file from the plan's encrypted rows
+   */
+  async loadPlanSource(tenantId, plan) {
+    const headers = plan.source_headers || [];
+    const keys = headers.map(header => header.toLowerCase());
+    const values = await bulkOnboardingService.decryptSourceRows(tenantId, plan.id, plan.source_rows_encrypted);
+
+    // Integer keys come back in ascending order, i.e. file order
+    const rows = [];
+    const rowNumbers = [];
+    for (const [rowNumber, cells] of Object.entries(values)) {
+      rows.push(Object.fromEntries(keys.map((key, i) => [key, cells[i]])));
+      rowNumbers.push(Number(rowNumber));
+    }
+    return { headers, rows, rowNumbers };
+  }
+
+  /**
+   * Give every row every column, as rows read back from the plan have, so
+   * planning and approval diff identical input
+   */
+  withBlankCells({ headers, rows, rowNumbers }) {
+    const keys = headers.map(header => header.toLowerCase());
+    return {
+      headers,
+      rows: rows.map(row => Object.fromEntries(keys.map(key => [key, row[key] ?? '']))),
+      rowNumbers
+    };
+  }
+
+  countActions(items) {
+    const counts = Object.fromEntries(PLAN_ACTIONS.map(action => [action, 0]));
+    for (const item of items) counts[item.action]++;
+    return counts;
+  }
+
+  /**
+   * Hash of what approving the plan would do. The mapped row is included so
+   * a new employee's details changing under an edited mapping profile make
+   * the plan stale, not just a changed action.
+   */
+  fingerprint(items) {
+    const planned = items.map(item => [
+      item.action,
+      item.rowNumber,
+      item.employeeId || null,
+      item.email || null,
+      item.externalEmployeeId || null,
+      item.employee || null,
+      item.changes || null,
+      item.errors || null
+    ]);
+    return crypto.createHash('sha256').update(JSON.stringify(planned)).digest('hex');
+  }
+
+  describePlan(plan) {
+    return {
+      planId: plan.id,
+      status: plan.status,
+      filename: plan.filename,
+      terminateMissing: Boolean(plan.options?.terminateMissing),
+      terminationGraceDays: plan.options?.terminationGraceDays || 0,
+      totalRows: plan.total_rows,
+      summary: {
+        create: plan.create_count,
+        update: plan.update_count,
+        reactivate: plan.reactivate_count,
+        terminate: plan.terminate_count,
+        missing: plan.missing_count,
+        unchanged: plan.unchanged_count,
+        invalid: plan.invalid_count
+      },
+      createdBy: plan.created_by || plan.created_by_email ?
+        { id: plan.created_by, type: plan.created_by_type, email: plan.created_by_email } : null,
+      createdAt: plan.created_at,
+      expiresAt: plan.expires_at,
+      approvedBy: plan.approved_at ? { id: plan.approved_by, email: plan.approved_by_email } : null,
+      approvedAt: plan.approved_at,
+      onboardingId: plan.run_id,
+      // Approved, but the run for its new hires has yet to start
+      runPending: Boolean(plan.pending_creates_encrypted)
+    };
+  }
+
+  /**
+   * Check for ended grace periods every hour
+   */
+  startScheduler() {
+    this.scheduledTasks.push(
+      cron.schedule('25 * * * *', () => {
+        this.terminateDueEmployees().catch(error => {
+          logger.error('Roster termination sweep failed', { error: error.message });
+        });
+      })
+    );
+  }
+
+  stopScheduler() {
+    this.scheduledTasks.forEach(task => task.stop());
+    this.scheduledTasks = [];
+  }
+}
+
+// Export singleton instance
+export const onboardingPlanService = new OnboardingPlanService();
+
+export default onboardingPlanService;
@@ -0,0 +1,252 @@
+/**
+ * Corporate Wellness Portal - Partner Service
+ * Spouse/partner accounts sponsored by employees, with consent capture
+ */
+
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+import { authService } from './auth.js';
+import { emailService } from './email.js';
+import { passwordService } from './password.js';
+import { tokenService } from './token.js';
+
+// Partner-facing apps; everything else stays with the employee
+export const PARTNER_APPS = ['supportpartner', 'menowellness'];
+
+export const PARTNER_RELATIONSHIPS = ['spouse', 'partner'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Bump the version whenever the statements change so partners consent again
+const CONSENT_TERMS = {
+  version: '2026-10',
+  statements: [
+    'I agree to create a wellness portal account sponsored by my partner\'s employer.',
+    'My app activity is never shared with my partner or with the employer; the employer only sees aggregated, de-identified program statistics.',
+    'My access ends if my partner leaves the employer or removes me, and I can withdraw at any time from my account settings.'
+  ]
+};
+
+const PARTNER_COLUMNS = `id, company_id, sponsor_employee_id, email, relationship, app_access, status,
+  consent_version, consent_given_at, invited_at, revoked_at, revoked_reason, last_login_at`;
+
+class PartnerService {
+  getConsentTerms() {
+    return CONSENT_TERMS;
+  }
+
+  /**
+   * Invite an employee's spouse/partner, or extend an existing partner's app
+   * access. A partner belongs to one sponsor at a time; a revoked partner can
+   * be invited again and must consent again.
+   * Resolves to { status: 'success', partner, invitationSent } or a failure
+   * status of 'not_found' (sponsor), 'invalid' or 'conflict' with a detail
+   */
+  async invitePartner(tenantId, employeeId, { email, relationship = 'spouse', apps }, { invitedBy } = {}) {
+    const normalizedEmail = String(email || '').toLowerCase().trim();
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      return { status: 'invalid', detail: 'A valid partner email is required' };
+    }
+    if (!PARTNER_RELATIONSHIPS.includes(relationship)) {
+      return { status: 'invalid', detail: `relationship must be one of: ${PARTNER_RELATIONSHIPS.join(', ')}` };
+    }
+    if (!Array.isArray(apps) || apps.length === 0 || !apps.every(app => PARTNER_APPS.includes(app))) {
+      return { status: 'invalid', detail: `apps must be a non-empty subset of: ${PARTNER_APPS.join(', ')}` };
+    }
+
+    const sponsor = await authService.findUserById(tenantId, employeeId, 'employee');
+    if (!sponsor || !['active', 'pending'].includes(sponsor.status)) {
+      return { status: 'not_found', detail: 'Sponsoring employee not found or inactive' };
+    }
+
+    const existing = await authService.findUserByEmail(tenantId, normalizedEmail);
+    if (existing && existing.userType !== 'partner') {
+      return { status: 'conflict', detail: 'Email belongs to an existing portal account' };
+    }
+
+    const result = await database.query(
+      `INSERT INTO tenant_main.partner_accounts AS p
+         (company_id, sponsor_employee_id, email, relationship, app_access)
+       VALUES ($1, $2, $3, $4, $5::text[])
+       ON CONFLICT (company_id, email) DO UPDATE SET
+         sponsor_employee_id = EXCLUDED.sponsor_employee_id,
+         relationship = EXCLUDED.relationship,
+         app_access = ARRAY(
+           SELECT DISTINCT unnest(
+             CASE WHEN p.status = 'revoked' THEN '{}'::text[] ELSE p.app_access END || EXCLUDED.app_access
+           )
+         ),
+         status = CASE WHEN p.status = 'revoked' THEN 'invited' ELSE p.status END,
+         password_hash = CASE WHEN p.status = 'revoked' THEN NULL ELSE p.password_hash END,
+         consent_version = CASE WHEN p.status = 'revoked' THEN NULL ELSE p.consent_version END,
+         consent_given_at = CASE WHEN p.status = 'revoked' THEN NULL ELSE p.consent_given_at END,
+         invited_at = CASE WHEN p.status = 'active' THEN p.invited_at ELSE NOW() END,
+         revoked_at = NULL,
+         revoked_reason = NULL,
+         updated_at = NOW()
+       WHERE p.sponsor_employee_id = EXCLUDED.sponsor_employee_id OR p.status = 'revoked'
+       RETURNING ${PARTNER_COLUMNS}`,
+      [tenantId, employeeId, normalizedEmail, relationship, apps]
+    );
+
+    const partner = result.rows[0];
+    if (!partner) {
+      return { status: 'conflict', detail: 'Partner is already sponsored by another employee' };
+    }
+
+    // Active partners already consented; only pending ones need the email
+    let invitationSent = false;
+    if (partner.status === 'invited') {
+      const link = await passwordService.createLink(tenantId, { id: partner.id, userType: 'partner' }, 'invitation', {
+        createdBy: invitedBy || null
+      });
+
+      await emailService.sendPartnerInvitationEmail(tenantId, {
+        email: partner.email,
+        invitationUrl: link.url,
+        apps: partner.app_access
+      });
+      invitationSent = true;
+    }
+
+    logger.audit('Partner invited', {
+      tenantId,
+      partnerId: partner.id,
+      sponsorEmployeeId: employeeId,
+      apps: partner.app_access,
+      invitationSent,
+      invitedBy,
+      auditType: 'provisioning'
+    });
+
+    return { status: 'success', partner: this.describePartner(partner), invitationSent };
+  }
+
+  /**
+   * Accept a partner invitation. Consent must name the current terms
+   * version; it is recorded before the account is activated.
+   */
+  async acceptInvitation(token, password, consent, context = {}) {
+    if (consent?.accepted !== true || consent.version !== CONSENT_TERMS.version) {
+      return { status: 'consent_required' };
+    }
+
+    return passwordService.completeLink(token, 'invitation', password, context, {
+      userTypes: ['partner'],
+      beforeActivate: async (user, tenantId) => {
+        await database.query(
+          `UPDATE tenant_main.partner_accounts
+           SET consent_version = $3, consent_given_at = NOW(),
+               consent_ip = $4, consent_user_agent = $5, updated_at = NOW()
+           WHERE id = $1 AND company_id = $2`,
+          [user.id, tenantId, CONSENT_TERMS.version, context.ip || null, context.userAgent || null]
+        );
+
+        logger.audit('Partner consent recorded', {
+          tenantId,
+          partnerId: user.id,
+          consentVersion: CONSENT_TERMS.version,
+          ip: context.ip,
+          auditType: 'consent'
+        });
+      }
+    });
+  }
+
+  async getPartner(tenantId, partnerId) {
+    const result = await database.query(
+      `SELECT ${PARTNER_COLUMNS} FROM tenant_main.partner_accounts
+       WHERE id = $1 AND company_id = $2`,
+      [partnerId, tenantId]
+    );
+
+    return result.rows[0] ? this.describePartner(result.rows[0]) : null;
+  }
+
+  /**
+   * The partner currently sponsored by an employee, if any
+   */
+  async getPartnerForEmployee(tenantId, employeeId) {
+    const result = await database.query(
+      `SELECT ${PARTNER_COLUMNS} FROM tenant_main.partner_accounts
+       WHERE company_id = $1 AND sponsor_employee_id = $2 AND status <> 'revoked'
+       ORDER BY invited_at DESC
+       LIMIT 1`,
+      [tenantId, employeeId]
+    );
+
+    return result.rows[0] ? this.describePartner(result.rows[0]) : null;
+  }
+
+  /**
+   * End a partner's access: pending links stop working and sessions are revoked
+   */
+  async revokePartner(tenantId, partnerId, reason, { revokedBy } = {}) {
+    const result = await database.query(
+      `UPDATE tenant_main.partner_accounts
+       SET status = 'revoked', revoked_at = NOW(), revoked_reason = $3, updated_at = NOW()
+       WHERE id = $1 AND company_id = $2 AND status <> 'revoked'
+       RETURNING id`,
+      [partnerId, tenantId, reason]
+    );
+
+    if (!result.rows[0]) return false;
+
+    await passwordService.invalidateLinks(tenantId, partnerId, 'partner');
+    await tokenService.revokeAllUserSessions(tenantId, partnerId, 'partner', `partner_${reason}`, { revokedBy });
+
+    logger.audit('Partner access revoked', {
+      tenantId,
+      partnerId,
+      reason,
+      revokedBy,
+      auditType: 'provisioning'
+    });
+
+    return true;
+  }
+
+  /**
+   * Revoke every partner an employee sponsors, e.g. when the employee leaves.
+   * Returns the number of partners revoked.
+   */
+  async revokeForSponsor(tenantId, employeeId, reason, { revokedBy } = {}) {
+    const result = await database.query(
+      `SELECT id FROM tenant_main.partner_accounts
+       WHERE company_id = $1 AND sponsor_employee_id = $2 AND status <> 'revoked'`,
+      [tenantId, employeeId]
+    );
+
+    let revoked = 0;
+    for (const { id } of result.rows) {
+      if (await this.revokePartner(tenantId, id, reason, { revokedBy })) {
+        revoked++;
+      }
+    }
+
+    return revoked;
+  }
+
+  describePartner(row) {
+    return {
+      id: row.id,
+      email: row.email,
+      relationship: row.relationship,
+      sponsorEmployeeId: row.sponsor_employee_id,
+      apps: row.app_access,
+      status: row.status,
+      consent: row.consent_given_at
+        ? { version: row.consent_version, givenAt: row.consent_given_at }
+        : null,
+      invitedAt: row.invited_at,
+      revokedAt: row.revoked_at,
+      revokedReason: row.revoked_reason,
+      lastLoginAt: row.last_login_at
+    };
+  }
+}
+
+// Export singleton instance
+export const partnerService = new PartnerService();
+
+export default partnerService;
@@ -0,0 +1,386 @@
+/**
+ * Corporate Wellness Portal - Password Service
+ * Password policy, invitation acceptance and self-service password reset
+ */
+
+import crypto from 'crypto';
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+import { redisClient } from '../utils/redis.js';
+import { authService } from './auth.js';
+import { tokenService } from './token.js';
+import { emailService } from './email.js';
+import { signToken, verifyToken } from '../middleware/auth.js';
+import { recordSecurityEvent } from '../middleware/audit.js';
+
+// Link lifetimes per purpose; the signed token and its database row share them
+const LINK_PURPOSES = {
+  invitation: {
+    ttlSeconds: 7 * 24 * 60 * 60,
+    path: userType => `/${userType}/accept-invitation`
+  },
+  password_reset: {
+    ttlSeconds: 60 * 60,
+    path: () => '/reset-password'
+  }
+};
+
+const COMMON_PASSWORDS = new Set([
+  'password', 'password1', 'password123', 'passw0rd', '123456789012',
+  'qwerty123456', 'letmein', 'welcome1', 'welcome123', 'changeme',
+  'iloveyou', 'admin123', 'wellness', 'wellness123'
+]);
+
+class PasswordService {
+  constructor() {
+    this.defaultPolicy = {
+      minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 12,
+      maxLength: 128,
+      minCharacterClasses: 3
+    };
+
+    // Reset requests send email, so they are throttled whether or not the account exists
+    this.resetThrottle = {
+      windowSeconds: 60 * 60,
+      maxPerAccount: 3,
+      maxPerIp: 20
+    };
+  }
+
+  /**
+   * Tenant password policy: defaults overridden by companies.security_config.passwordPolicy
+   * { minLength, minCharacterClasses }; tenants can tighten but not loosen the defaults
+   */
+  async getPolicy(tenantId) {
+    const result = await database.query(
+      'SELECT security_config FROM tenant_main.companies WHERE id = $1',
+      [tenantId]
+    );
+
+    const configured = result.rows[0]?.security_config?.passwordPolicy || {};
+
+    return {
+      ...this.defaultPolicy,
+      minLength: Math.min(
+        Math.max(parseInt(configured.minLength) || 0, this.defaultPolicy.minLength),
+        this.defaultPolicy.maxLength
+      ),
+      minCharacterClasses: Math.min(
+        Math.max(parseInt(configured.minCharacterClasses) || 0, this.defaultPolicy.minCharacterClasses),
+        4
+      )
+    };
+  }
+
+  /**
+   * Check a candidate password against a policy. Returns a list of violations.
+   */
+  validatePassword(password, policy, { email } = {}) {
+    if (typeof password !== 'string') {
+      return ['Password is required'];
+    }
+
+    const violations = [];
+
+    if (password.length < policy.minLength) {
+      violations.push(`Password must be at least ${policy.minLength} characters`);
+    }
+    if (password.length > policy.maxLength) {
+      violations.push(`Password must be at most ${policy.maxLength} characters`);
+    }
+
+    const characterClasses = [/[a-z]/, /[A-Z]/, /[0-9]/, /[^a-zA-Z0-9]/]
+      .filter(pattern => pattern.test(password)).length;
+    if (characterClasses < policy.minCharacterClasses) {
+      violations.push(
+        `Password must mix at least ${policy.minCharacterClasses} of lowercase, uppercase, digits and symbols`
+      );
+    }
+
+    const lowered = password.toLowerCase();
+    const localPart = email?.toLowerCase().split('@')[0];
+    if (localPart && localPart.length >= 3 && lowered.includes(localPart)) {
+      violations.push('Password must not contain your email address');
+    }
+
+    if (COMMON_PASSWORDS.has(lowered)) {
+      violations.push('Password is too common');
+    }
+
+    return violations;
+  }
+
+  /**
+   * Create a single-use invitation link for an onboarded employee
+   * Returns { url, expiresAt } or null when the account cannot be invited
+   */
+  async createInvitation(tenantId, employeeId, { createdBy } = {}) {
+    const user = await authService.findUserById(tenantId, employeeId, 'employee');
+    if (!user || !authService.getPasswordSetupStatuses('employee', 'invitation').includes(user.status)) {
+      return null;
+    }
+
+    const link = await this.createLink(tenantId, user, 'invitation', { createdBy });
+
+    logger.audit('Invitation link issued', {
+      tenantId,
+      userId: user.id,
+      userType: user.userType,
+      createdBy,
+      expiresAt: link.expiresAt,
+      auditType: 'authentication'
+    });
+
+    return link;
+  }
+
+  /**
+   * Re-send the welcome email with a fresh invitation link, e.g. when the
+   * first one expired. Returns { expiresAt } or null.
+   */
+  async sendInvitation(tenantId, employeeId, { createdBy } = {}) {
+    const invitation = await this.createInvitation(tenantId, employeeId, { createdBy });
+    if (!invitation) return null;
+
+    const employee = await database.query(
+      'SELECT email FROM tenant_main.employees WHERE id = $1 AND company_id = $2',
+      [employeeId, tenantId]
+    );
+    const assignments = await database.query(
+      `SELECT app_name FROM tenant_main.app_assignments
+       WHERE employee_id = $1 AND status = 'active'
+       ORDER BY app_name`,
+      [employeeId]
+    );
+
+    await emailService.sendWelcomeEmail(tenantId, {
+      email: employee.rows[0].email,
+      appAssignments: assignments.rows,
+      loginUrl: invitation.url
+    });
+
+    return { expiresAt: invitation.expiresAt };
+  }
+
+  /**
+   * Email a reset link when the address belongs to an eligible account.
+   * Callers respond identically whatever happens here.
+   */
+  async requestPasswordReset({ email, tenantDomain }, context = {}) {
+    const normalizedEmail = String(email).toLowerCase().trim();
+
+    if (await this.isResetThrottled(normalizedEmail, context.ip)) {
+      logger.security('Password reset request throttled', {
+        ip: context.ip
+      });
+      return;
+    }
+
+    const tenant = await authService.resolveTenant(tenantDomain || normalizedEmail.split('@')[1]);
+    const user = tenant ? await authService.findUserByEmail(tenant.id, normalizedEmail) : null;
+
+    if (!user || !authService.getPasswordSetupStatuses(user.userType, 'password_reset').includes(user.status)) {
+      logger.info('Password reset requested for unknown or inactive account', {
+        tenantId: tenant?.id,
+        ip: context.ip
+      });
+      return;
+    }
+
+    const link = await this.createLink(tenant.id, user, 'password_reset', { ip: context.ip });
+
+    await emailService.sendPasswordResetEmail(tenant.id, {
+      email: user.email,
+      resetUrl: link.url,
+      expiresInMinutes: LINK_PURPOSES.password_reset.ttlSeconds / 60,
+      requestedIp: context.ip
+    });
+
+    logger.security('Password reset link issued', {
+      tenantId: tenant.id,
+      userId: user.id,
+      userType: user.userType,
+      ip: context.ip
+    });
+  }
+
+  /**
+   * Set a password from an invitation or reset link. The link is consumed
+   * only once the password passes the policy, so a rejected attempt can be
+   * retried with the same link.
+   *
+   * `userTypes` limits which accounts the caller accepts links for;
+   * `beforeActivate(user, tenantId)` runs once the link is claimed and before
+   * the password is stored, e.g. to record consent.
+   * Resolves to { status: 'success', user, tenantId } or a failure status of
+   * 'invalid_link', 'weak_password' (with violations) or 'inactive'
+   */
+  async completeLink(token, purpose, password, context = {}, { userTypes, beforeActivate } = {}) {
+    let claims;
+    try {
+      claims = verifyToken(token, { expectedType: purpose });
+    } catch (error) {
+      return { status: 'invalid_link' };
+    }
+
+    if (userTypes && !userTypes.includes(claims.userType)) {
+      return { status: 'invalid_link' };
+    }
+
+    const pending = await database.query(
+      `SELECT id FROM tenant_main.account_action_tokens
+       WHERE id = $1 AND company_id = $2 AND purpose = $3
+         AND used_at IS NULL AND expires_at > NOW()`,
+      [claims.jti, claims.tenantId, purpose]
+    );
+    if (!pending.rows[0]) {
+      return { status: 'invalid_link' };
+    }
+
+    const user = await authService.findUserById(claims.tenantId, claims.sub, claims.userType);
+    if (!user || !authService.getPasswordSetupStatuses(user.userType, purpose).includes(user.status)) {
+      return { status: 'inactive' };
+    }
+
+    const policy = await this.getPolicy(claims.tenantId);
+    const violations = this.validatePassword(password, policy, { email: user.email });
+    if (violations.length > 0) {
+      return { status: 'weak_password', violations };
+    }
+
+    // Claim the link atomically so concurrent submissions cannot both succeed
+    const consumed = await database.query(
+      `UPDATE tenant_main.account_action_tokens
+       SET used_at = NOW()
+       WHERE id = $1 AND used_at IS NULL AND expires_at > NOW()
+       RETURNING id`,
+      [claims.jti]
+    );
+    if (!consumed.rows[0]) {
+      return { status: 'invalid_link' };
+    }
+
+    if (beforeActivate) {
+      await beforeActivate(user, claims.tenantId);
+    }
+
+    const account = await authService.setPassword(claims.tenantId, user.id, user.userType, password);
+    if (!account) {
+      return { status: 'inactive' };
+    }
+
+    await this.invalidateLinks(claims.tenantId, user.id, user.userType);
+
+    // Whoever held the old password may still hold a session
+    const revokedSessions = purpose === 'password_reset'
+      ? await tokenService.revokeAllUserSessions(claims.tenantId, user.id, user.userType, 'password_reset')
+      : 0;
+
+    logger.security(purpose === 'invitation' ? 'Invitation accepted' : 'Password reset completed', {
+      tenantId: claims.tenantId,
+      userId: user.id,
+      userType: user.userType,
+      revokedSessions,
+      ip: context.ip
+    });
+
+    if (purpose === 'password_reset') {
+      await recordSecurityEvent({
+        tenantId: claims.tenantId,
+        eventType: 'password_reset',
+        severity: 'low',
+        category: 'authentication',
+        description: `Password reset through emailed link; ${revokedSessions} session(s) revoked`,
+        affectedUserId: user.id,
+        affectedResource: `${user.userType}:${user.id}`,
+        sourceIp: context.ip,
+        userAgent: context.userAgent,
+        detectionMethod: 'self_service',
+        status: 'resolved'
+      });
+    }
+
+    return {
+      status: 'success',
+      tenantId: claims.tenantId,
+      user: {
+        id: user.id,
+        email: user.email,
+        userType: user.userType,
+        status: account.status
+      }
+    };
+  }
+
+  /**
+   * Issue a signed link and record its jti. Any earlier unused links for the
+   * same account are invalidated so only the newest email works.
+   */
+  async createLink(tenantId, user, purpose, { createdBy = null, ip = null } = {}) {
+    const { ttlSeconds, path } = LINK_PURPOSES[purpose];
+    const jti = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + ttlSeconds * 1000);
+
+    await this.invalidateLinks(tenantId, user.id, user.userType);
+
+    await database.query(
+      `INSERT INTO tenant_main.account_action_tokens
+       (id, company_id, user_id, user_type, purpose, created_by, requested_ip, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [jti, tenantId, user.id, user.userType, purpose, createdBy, ip, expiresAt]
+    );
+
+    const token = signToken({
+      type: purpose,
+      jti,
+      sub: user.id,
+      userType: user.userType,
+      tenantId
+    }, { expiresIn: ttlSeconds });
+
+    return {
+      url: `${this.getPortalBaseUrl()}${path(user.userType)}?token=${encodeURIComponent(token)}`,
+      expiresAt
+    };
+  }
+
+  async invalidateLinks(tenantId, userId, userType) {
+    await database.query(
+      `UPDATE tenant_main.account_action_tokens
+       SET used_at = NOW()
+       WHERE company_id = $1 AND user_id = $2 AND user_type = $3 AND used_at IS NULL`,
+      [tenantId, userId, userType]
+    );
+  }
+
+  /**
+   * Count a reset request against the account and IP windows.
+   * Returns true when either window is exhausted.
+   */
+  async isResetThrottled(email, ip) {
+    const checks = [{ key: `password_reset:email:${email}`, max: this.resetThrottle.maxPerAccount }];
+    if (ip) {
+      checks.push({ key: `password_reset:ip:${ip}`, max: this.resetThrottle.maxPerIp });
+    }
+
+    let throttled = false;
+    for (const { key, max } of checks) {
+      const count = await redisClient.incr(key);
+      if (count === 1) {
+        await redisClient.expire(key, this.resetThrottle.windowSeconds);
+      }
+      if (count > max) throttled = true;
+    }
+
+    return throttled;
+  }
+
+  getPortalBaseUrl() {
+    return process.env.PORTAL_BASE_URL || process.env.DOMAIN;
+  }
+}
+
+// Export singleton instance
+export const passwordService = new PasswordService();
+
+export default passwordService;
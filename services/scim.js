@@ -0,0 +1,963 @@
+/**
+ * Corporate Wellness Portal - SCIM Provisioning Service
+ * SCIM 2.0 Users and Groups pushed by tenant identity providers (Okta, Entra ID)
+ */
+
+import crypto from 'crypto';
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+import { encryptionService } from './encryption.js';
+import { authService } from './auth.js';
+import { partnerService } from './partner.js';
+import { ssoService } from './sso.js';
+import { tokenService } from './token.js';
+import { ROLES_BY_USER_TYPE } from '../middleware/permissions.js';
+
+export const SCIM_SCHEMAS = {
+  user: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  enterpriseUser: 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User',
+  group: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  listResponse: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  patchOp: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  error: 'urn:ietf:params:scim:api:messages:2.0:Error'
+};
+
+// Statuses reported to the IdP as active; suspended and terminated are not
+const ACTIVE_STATUSES = ['active', 'pending'];
+
+const EMPLOYEE_COLUMNS = `id, company_id, email, employee_id, scim_external_id,
+  first_name_encrypted, last_name_encrypted, department, role, manager_id,
+  account_status, created_at, updated_at`;
+
+// Filterable attributes (lower-cased) and the columns behind them
+const USER_FILTER_COLUMNS = {
+  id: 'id',
+  username: 'email',
+  'emails.value': 'email',
+  externalid: 'scim_external_id'
+};
+
+const GROUP_FILTER_COLUMNS = {
+  id: 'id',
+  displayname: 'display_name',
+  externalid: 'external_id'
+};
+
+// Canonical spelling of the User attributes we store; SCIM attribute names
+// are case-insensitive and anything else a client sends is ignored
+const USER_ATTRIBUTES = ['userName', 'externalId', 'active', 'title', 'name', 'emails'];
+const ENTERPRISE_ATTRIBUTES = ['employeeNumber', 'department', 'manager'];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class ScimService {
+  constructor() {
+    this.maxPageSize = 200;
+  }
+
+  /**
+   * Resolve the tenant a SCIM bearer token belongs to
+   */
+  async authenticate(token) {
+    if (!token) return null;
+
+    const result = await database.query(
+      `SELECT id, name, status, max_employees, sso_config->'scim' AS scim
+       FROM tenant_main.companies
+       WHERE sso_config->'scim'->>'tokenHash' = $1`,
+      [this.hashToken(token)]
+    );
+
+    const tenant = result.rows[0];
+    if (!tenant || tenant.status !== 'active' || !tenant.scim?.enabled) {
+      return null;
+    }
+
+    return {
+      id: tenant.id,
+      name: tenant.name,
+      maxEmployees: tenant.max_employees,
+      scim: tenant.scim
+    };
+  }
+
+  /**
+   * Issue a new SCIM token for a tenant, replacing any previous one.
+   * Only the hash is stored; the token is returned once.
+   */
+  async rotateToken(tenantId, updatedBy) {
+    const token = `scim_${crypto.randomBytes(32).toString('base64url')}`;
+
+    const settings = await ssoService.updateSsoConfig(tenantId, 'scim', {
+      enabled: true,
+      tokenHash: this.hashToken(token),
+      tokenPrefix: token.slice(0, 12),
+      tokenCreatedAt: new Date().toISOString()
+    }, updatedBy);
+
+    return settings ? token : null;
+  }
+
+  getBaseUrl(req) {
+    const baseUrl = process.env.PORTAL_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    return `${baseUrl}/scim/v2`;
+  }
+
+  /**
+   * Summary of SCIM settings safe to return to tenant admins
+   */
+  describeScimConfig(scim, baseUrl) {
+    return {
+      enabled: Boolean(scim?.enabled),
+      baseUrl,
+      tokenPrefix: scim?.tokenPrefix || null,
+      tokenCreatedAt: scim?.tokenCreatedAt || null,
+      groupRoleMapping: scim?.groupRoleMapping || {}
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Users
+  // ---------------------------------------------------------------------------
+
+  /**
+   * List employees as SCIM Users. Names are PHI-encrypted per employee and
+   * slow to decrypt, so they are only included for filtered lookups.
+   * Resolves to null when the filter is not supported.
+   */
+  async listUsers(tenant, { filter, startIndex, count }) {
+    const parsed = this.parseFilter(filter, USER_FILTER_COLUMNS);
+    if (!parsed) return null;
+
+    const page = this.getPage(startIndex, count);
+    const { where, params } = this.buildWhere(tenant.id, parsed);
+
+    const total = await database.query(
+      `SELECT COUNT(*) AS total FROM tenant_main.employees WHERE ${where}`,
+      params
+    );
+    const result = await database.query(
+      `SELECT ${EMPLOYEE_COLUMNS}
+       FROM tenant_main.employees
+       WHERE ${where}
+       ORDER BY created_at, id
+       LIMIT ${page.count} OFFSET ${page.startIndex - 1}`,
+      params
+    );
+
+    const resources = [];
+    for (const row of result.rows) {
+      resources.push(await this.toScimUser(row, { includeName: Boolean(parsed.column) }));
+    }
+
+    return this.toListResponse(resources, parseInt(total.rows[0].total), page.startIndex);
+  }
+
+  async getUser(tenant, id) {
+    const row = await this.findEmployee(tenant.id, id);
+    return row ? this.toScimUser(row) : null;
+  }
+
+  /**
+   * Provision an employee. Resolves to { status: 'success', resource } or
+   * { status: 'invalid' | 'conflict' | 'limit_reached', detail }
+   */
+  async createUser(tenant, resource) {
+    const fields = this.toEmployeeFields(resource);
+    if (!fields.email) {
+      return { status: 'invalid', detail: 'userName or a primary email must be an email address' };
+    }
+
+    const managerId = await this.resolveManagerId(tenant.id, fields.managerId);
+    const [firstName, lastName] = await Promise.all([
+      this.encryptName(fields.firstName, tenant.id, fields.email),
+      this.encryptName(fields.lastName, tenant.id, fields.email)
+    ]);
+
+    let result;
+    try {
+      result = await database.query(
+        `INSERT INTO tenant_main.employees (
+           company_id, email, scim_external_id, employee_id, first_name_encrypted, last_name_encrypted,
+           department, role, manager_id, account_status, onboarded_at, created_at
+         )
+         SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, $10::text, CASE WHEN $10::text = 'active' THEN NOW() END, NOW()
+         FROM tenant_main.companies c
+         WHERE c.id = $1
+           AND (SELECT COUNT(*) FROM tenant_main.employees WHERE company_id = $1 AND account_status != 'terminated') < c.max_employees
+         ON CONFLICT (company_id, email) DO NOTHING
+         RETURNING ${EMPLOYEE_COLUMNS}`,
+        [
+          tenant.id,
+          fields.email,
+          fields.externalId || null,
+          fields.employeeNumber || null,
+          firstName || null,
+          lastName || null,
+          fields.department || null,
+          fields.title || null,
+          managerId,
+          fields.active ? 'active' : 'terminated'
+        ]
+      );
+    } catch (error) {
+      if (error.code === '23505') {
+        return { status: 'conflict', detail: 'externalId is already in use' };
+      }
+      throw error;
+    }
+
+    const row = result.rows[0];
+    if (!row) {
+      const existing = await database.query(
+        'SELECT 1 FROM tenant_main.employees WHERE company_id = $1 AND LOWER(email) = $2',
+        [tenant.id, fields.email]
+      );
+      return existing.rows.length > 0
+        ? { status: 'conflict', detail: 'userName is already in use' }
+        : { status: 'limit_reached', detail: 'The tenant has reached its employee limit' };
+    }
+
+    logger.audit('Employee provisioned via SCIM', {
+      tenantId: tenant.id,
+      employeeId: row.id,
+      auditType: 'provisioning'
+    });
+
+    return { status: 'success', resource: await this.toScimUser(row) };
+  }
+
+  /**
+   * PUT: replace the stored attributes of an employee
+   */
+  async replaceUser(tenant, id, resource) {
+    const current = await this.findEmployee(tenant.id, id);
+    if (!current) return { status: 'not_found' };
+
+    return this.saveUser(tenant, current, this.toEmployeeFields(resource));
+  }
+
+  /**
+   * PATCH: apply RFC 7644 patch operations to an employee
+   */
+  async patchUser(tenant, id, operations) {
+    const current = await this.findEmployee(tenant.id, id);
+    if (!current) return { status: 'not_found' };
+
+    const resource = await this.toScimUser(current);
+    for (const operation of operations) {
+      const error = this.applyUserPatch(resource, operation);
+      if (error) return { status: 'invalid', detail: error };
+    }
+
+    return this.saveUser(tenant, current, this.toEmployeeFields(resource));
+  }
+
+  /**
+   * DELETE: employees are never removed, only deprovisioned, so their
+   * history stays available for compliance reporting
+   */
+  async deleteUser(tenant, id) {
+    const current = await this.findEmployee(tenant.id, id);
+    if (!current) return { status: 'not_found' };
+
+    if (current.account_status !== 'terminated') {
+      await database.query(
+        `UPDATE tenant_main.employees SET account_status = 'terminated', updated_at = NOW()
+         WHERE id = $1 AND company_id = $2`,
+        [current.id, tenant.id]
+      );
+      await this.deprovision(tenant.id, current.id);
+    }
+
+    return { status: 'success' };
+  }
+
+  async saveUser(tenant, current, fields) {
+    if (!fields.email) {
+      return { status: 'invalid', detail: 'userName or a primary email must be an email address' };
+    }
+
+    const wasActive = ACTIVE_STATUSES.includes(current.account_status);
+    const accountStatus = fields.active
+      ? (wasActive ? current.account_status : 'active')
+      : 'terminated';
+
+    // Names are encrypted against the email, so re-encrypt them if it changes
+    const emailChanged = fields.email !== current.email.toLowerCase();
+    if (emailChanged && fields.firstName === undefined && fields.lastName === undefined) {
+      const name = await this.decryptName(current);
+      fields.firstName = name?.givenName;
+      fields.lastName = name?.familyName;
+    }
+
+    const firstName = fields.firstName === undefined && !emailChanged
+      ? current.first_name_encrypted
+      : await this.encryptName(fields.firstName, tenant.id, fields.email);
+    const lastName = fields.lastName === undefined && !emailChanged
+      ? current.last_name_encrypted
+      : await this.encryptName(fields.lastName, tenant.id, fields.email);
+
+    let result;
+    try {
+      result = await database.query(
+        `UPDATE tenant_main.employees
+         SET email = $3, scim_external_id = $4, employee_id = $5,
+             first_name_encrypted = $6, last_name_encrypted = $7,
+             department = $8, role = $9, manager_id = $10,
+             account_status = $11::text,
+             onboarded_at = CASE WHEN $11::text = 'active' THEN COALESCE(onboarded_at, NOW()) ELSE onboarded_at END,
+             updated_at = NOW()
+         WHERE id = $1 AND company_id = $2
+         RETURNING ${EMPLOYEE_COLUMNS}`,
+        [
+          current.id,
+          tenant.id,
+          fields.email,
+          fields.externalId || null,
+          fields.employeeNumber || null,
+          firstName || null,
+          lastName || null,
+          fields.department || null,
+          fields.title || null,
+          await this.resolveManagerId(tenant.id, fields.managerId, current.id),
+          accountStatus
+        ]
+      );
+    } catch (error) {
+      if (error.code === '23505') {
+        return { status: 'conflict', detail: 'userName or externalId is already in use' };
+      }
+      throw error;
+    }
+
+    const row = result.rows[0];
+    if (!row) return { status: 'not_found' };
+
+    if (wasActive && !fields.active) {
+      await this.deprovision(tenant.id, row.id);
+    } else if (!wasActive && fields.active) {
+      await this.reactivate(tenant.id, row.id);
+    }
+
+    return { status: 'success', resource: await this.toScimUser(row) };
+  }
+
+  /**
+   * Leaver: suspend app access and sign the employee out everywhere
+   */
+  async deprovision(tenantId, employeeId) {
+    const suspended = await database.query(
+      `UPDATE tenant_main.app_assignments SET status = 'suspended'
+       WHERE employee_id = $1 AND status = 'active'`,
+      [employeeId]
+    );
+
+    await tokenService.revokeAllUserSessions(tenantId, employeeId, 'employee', 'scim_deprovisioned', {
+      revokedBy: 'scim'
+    });
+
+    const revokedPartners = await partnerService.revokeForSponsor(tenantId, employeeId, 'sponsor_deprovisioned', {
+      revokedBy: 'scim'
+    });
+
+    logger.audit('Employee deprovisioned via SCIM', {
+      tenantId,
+      employeeId,
+      suspendedAssignments: suspended.rowCount,
+      revokedPartners,
+      auditType: 'provisioning'
+    });
+  }
+
+  /**
+   * Rehire: restore the app access suspended when the employee left
+   */
+  async reactivate(tenantId, employeeId) {
+    const restored = await database.query(
+      `UPDATE tenant_main.app_assignments SET status = 'active'
+       WHERE employee_id = $1 AND status = 'suspended'`,
+      [employeeId]
+    );
+
+    logger.audit('Employee reactivated via SCIM', {
+      tenantId,
+      employeeId,
+      restoredAssignments: restored.rowCount,
+      auditType: 'provisioning'
+    });
+  }
+
+  async findEmployee(tenantId, id) {
+    if (!UUID_PATTERN.test(id)) return null;
+
+    const result = await database.query(
+      `SELECT ${EMPLOYEE_COLUMNS} FROM tenant_main.employees WHERE id = $1 AND company_id = $2`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Managers must be employees of the same tenant; unknown references are dropped
+   */
+  async resolveManagerId(tenantId, managerId, employeeId = null) {
+    if (!managerId || !UUID_PATTERN.test(managerId) || managerId === employeeId) {
+      return null;
+    }
+
+    const result = await database.query(
+      'SELECT id FROM tenant_main.employees WHERE id = $1 AND company_id = $2',
+      [managerId, tenantId]
+    );
+    return result.rows[0]?.id || null;
+  }
+
+  async toScimUser(row, { includeName = true } = {}) {
+    const resource = {
+      schemas: [SCIM_SCHEMAS.user, SCIM_SCHEMAS.enterpriseUser],
+      id: row.id,
+      externalId: row.scim_external_id || undefined,
+      userName: row.email,
+      active: ACTIVE_STATUSES.includes(row.account_status),
+      emails: [{ value: row.email, type: 'work', primary: true }],
+      title: row.role || undefined,
+      [SCIM_SCHEMAS.enterpriseUser]: {
+        employeeNumber: row.employee_id || undefined,
+        department: row.department || undefined,
+        manager: row.manager_id ? { value: row.manager_id } : undefined
+      },
+      meta: {
+        resourceType: 'User',
+        created: row.created_at,
+        lastModified: row.updated_at
+      }
+    };
+
+    if (includeName) {
+      resource.name = await this.decryptName(row);
+    }
+
+    return resource;
+  }
+
+  /**
+   * Flatten a SCIM User into employee fields. Names left undefined are kept as stored.
+   */
+  toEmployeeFields(resource) {
+    const enterprise = resource[SCIM_SCHEMAS.enterpriseUser] || {};
+    const emails = Array.isArray(resource.emails) ? resource.emails : [];
+    const primaryEmail = emails.find(email => email.primary) || emails[0];
+
+    const email = [resource.userName, primaryEmail?.value]
+      .map(value => (typeof value === 'string' ? value.trim().toLowerCase() : ''))
+      .find(value => value.includes('@'));
+
+    const manager = enterprise.manager;
+
+    return {
+      email: email || null,
+      externalId: resource.externalId,
+      firstName: resource.name ? resource.name.givenName ?? null : undefined,
+      lastName: resource.name ? resource.name.familyName ?? null : undefined,
+      title: resource.title,
+      employeeNumber: enterprise.employeeNumber,
+      department: enterprise.department,
+      managerId: typeof manager === 'string' ? manager : manager?.value,
+      active: resource.active === undefined ? true : this.parseBoolean(resource.active)
+    };
+  }
+
+  /**
+   * Apply one patch operation to a SCIM User resource in place.
+   * Returns an error message, or null on success.
+   */
+  applyUserPatch(resource, operation) {
+    const op = String(operation?.op || '').toLowerCase();
+    if (!['add', 'replace', 'remove'].includes(op)) {
+      return `Unsupported patch operation: ${operation?.op}`;
+    }
+
+    if (!operation.path) {
+      if (op === 'remove' || !this.isPlainObject(operation.value)) {
+        return 'Patch operations without a path need an object value';
+      }
+      for (const [path, value] of Object.entries(operation.value)) {
+        this.setUserAttribute(resource, path, value);
+      }
+      return null;
+    }
+
+    this.setUserAttribute(resource, operation.path, op === 'remove' ? undefined : operation.value);
+    return null;
+  }
+
+  setUserAttribute(resource, path, value) {
+    const enterprisePrefix = `${SCIM_SCHEMAS.enterpriseUser}`.toLowerCase();
+    const corePrefix = `${SCIM_SCHEMAS.user}:`.toLowerCase();
+    const lowerPath = path.toLowerCase();
+
+    if (lowerPath.startsWith(enterprisePrefix)) {
+      const attribute = path.slice(enterprisePrefix.length + 1);
+      const extension = resource[SCIM_SCHEMAS.enterpriseUser] ||= {};
+
+      if (!attribute) {
+        if (this.isPlainObject(value)) {
+          for (const [key, nested] of Object.entries(value)) {
+            this.setEnterpriseAttribute(extension, key, nested);
+          }
+        }
+        return;
+      }
+      this.setEnterpriseAttribute(extension, attribute, value);
+      return;
+    }
+
+    if (lowerPath.startsWith(corePrefix)) {
+      this.setUserAttribute(resource, path.slice(corePrefix.length), value);
+      return;
+    }
+
+    // emails[type eq "work"].value
+    const filtered = /^(\w+)\[(\w+)\s+eq\s+"([^"]*)"\]\.(\w+)$/i.exec(path);
+    if (filtered) {
+      const [, attribute, key, match, subAttribute] = filtered;
+      if (attribute.toLowerCase() !== 'emails') return;
+
+      resource.emails = Array.isArray(resource.emails) ? resource.emails : [];
+      let entry = resource.emails.find(email => String(email[key] ?? '').toLowerCase() === match.toLowerCase());
+      if (!entry) {
+        entry = { [key]: match };
+        resource.emails.push(entry);
+      }
+      entry[subAttribute] = value;
+      return;
+    }
+
+    const [head, ...rest] = path.split('.');
+    const attribute = USER_ATTRIBUTES.find(name => name.toLowerCase() === head.toLowerCase());
+    if (!attribute) return;
+
+    if (rest.length > 0) {
+      const parent = this.isPlainObject(resource[attribute]) ? resource[attribute] : {};
+      parent[rest.join('.')] = value;
+      resource[attribute] = parent;
+    } else if (attribute === 'name' && this.isPlainObject(value)) {
+      resource.name = { ...resource.name, ...value };
+    } else {
+      resource[attribute] = value;
+    }
+  }
+
+  setEnterpriseAttribute(extension, key, value) {
+    const attribute = ENTERPRISE_ATTRIBUTES.find(name => name.toLowerCase() === key.toLowerCase());
+    if (attribute) {
+      extension[attribute] = value;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Groups
+  // ---------------------------------------------------------------------------
+
+  async listGroups(tenant, { filter, startIndex, count, excludeMembers }) {
+    const parsed = this.parseFilter(filter, GROUP_FILTER_COLUMNS);
+    if (!parsed) return null;
+
+    const page = this.getPage(startIndex, count);
+    const { where, params } = this.buildWhere(tenant.id, parsed);
+
+    const total = await database.query(
+      `SELECT COUNT(*) AS total FROM tenant_main.scim_groups WHERE ${where}`,
+      params
+    );
+    const result = await database.query(
+      `SELECT id, display_name, external_id, created_at, updated_at
+       FROM tenant_main.scim_groups
+       WHERE ${where}
+       ORDER BY created_at, id
+       LIMIT ${page.count} OFFSET ${page.startIndex - 1}`,
+      params
+    );
+
+    const members = excludeMembers ? null : await this.getGroupMembers(result.rows.map(row => row.id));
+    const resources = result.rows.map(row => this.toScimGroup(row, members?.get(row.id)));
+
+    return this.toListResponse(resources, parseInt(total.rows[0].total), page.startIndex);
+  }
+
+  async getGroup(tenant, id, { excludeMembers = false } = {}) {
+    const row = await this.findGroup(tenant.id, id);
+    if (!row) return null;
+
+    const members = excludeMembers ? null : await this.getGroupMembers([row.id]);
+    return this.toScimGroup(row, members?.get(row.id));
+  }
+
+  async createGroup(tenant, resource) {
+    if (!resource.displayName) {
+      return { status: 'invalid', detail: 'displayName is required' };
+    }
+
+    const result = await database.query(
+      `INSERT INTO tenant_main.scim_groups (company_id, display_name, external_id)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (company_id, display_name) DO NOTHING
+       RETURNING id, display_name, external_id, created_at, updated_at`,
+      [tenant.id, resource.displayName, resource.externalId || null]
+    );
+
+    const row = result.rows[0];
+    if (!row) {
+      return { status: 'conflict', detail: 'displayName is already in use' };
+    }
+
+    const memberIds = this.toMemberIds(resource.members);
+    await this.setGroupMembers(tenant, row, new Set(), memberIds);
+
+    logger.audit('SCIM group created', {
+      tenantId: tenant.id,
+      groupId: row.id,
+      memberCount: memberIds.size,
+      auditType: 'provisioning'
+    });
+
+    return { status: 'success', resource: await this.getGroup(tenant, row.id) };
+  }
+
+  async replaceGroup(tenant, id, resource) {
+    const current = await this.findGroup(tenant.id, id);
+    if (!current) return { status: 'not_found' };
+
+    const displayName = resource.displayName || current.display_name;
+    const members = await this.getGroupMembers([current.id]);
+    const currentIds = new Set((members.get(current.id) || []).map(member => member.value));
+
+    return this.saveGroup(tenant, current, {
+      displayName,
+      externalId: resource.externalId ?? current.external_id,
+      currentIds,
+      memberIds: this.toMemberIds(resource.members)
+    });
+  }
+
+  /**
+   * PATCH a group: member add/remove/replace and displayName changes
+   */
+  async patchGroup(tenant, id, operations) {
+    const current = await this.findGroup(tenant.id, id);
+    if (!current) return { status: 'not_found' };
+
+    const members = await this.getGroupMembers([current.id]);
+    const currentIds = new Set((members.get(current.id) || []).map(member => member.value));
+    const memberIds = new Set(currentIds);
+    let displayName = current.display_name;
+    let externalId = current.external_id;
+
+    for (const operation of operations) {
+      const op = String(operation?.op || '').toLowerCase();
+      if (!['add', 'replace', 'remove'].includes(op)) {
+        return { status: 'invalid', detail: `Unsupported patch operation: ${operation?.op}` };
+      }
+
+      const path = operation.path || '';
+      const memberFilter = /^members\[value\s+eq\s+"([^"]+)"\]$/i.exec(path);
+
+      if (memberFilter) {
+        if (op !== 'remove') {
+          return { status: 'invalid', detail: 'Filtered member paths only support remove' };
+        }
+        memberIds.delete(memberFilter[1]);
+      } else if (path.toLowerCase() === 'members') {
+        const values = this.toMemberIds(operation.value);
+        if (op === 'replace' || (op === 'remove' && operation.value === undefined)) {
+          memberIds.clear();
+        }
+        for (const value of values) {
+          if (op === 'remove') memberIds.delete(value);
+          else memberIds.add(value);
+        }
+      } else if (path.toLowerCase() === 'displayname') {
+        if (op === 'remove') return { status: 'invalid', detail: 'displayName is required' };
+        displayName = operation.value;
+      } else if (path.toLowerCase() === 'externalid') {
+        externalId = op === 'remove' ? null : operation.value;
+      } else if (!path && this.isPlainObject(operation.value) && op !== 'remove') {
+        const value = Object.fromEntries(
+          Object.entries(operation.value).map(([key, nested]) => [key.toLowerCase(), nested])
+        );
+        if (value.displayname) displayName = value.displayname;
+        if (value.externalid !== undefined) externalId = value.externalid;
+        if (value.members !== undefined) {
+          if (op === 'replace') memberIds.clear();
+          for (const memberId of this.toMemberIds(value.members)) memberIds.add(memberId);
+        }
+      } else {
+        return { status: 'invalid', detail: `Unsupported patch path: ${path}` };
+      }
+    }
+
+    return this.saveGroup(tenant, current, { displayName, externalId, currentIds, memberIds });
+  }
+
+  async deleteGroup(tenant, id) {
+    const current = await this.findGroup(tenant.id, id);
+    if (!current) return { status: 'not_found' };
+
+    const members = await this.getGroupMembers([current.id]);
+    await database.query('DELETE FROM tenant_main.scim_groups WHERE id = $1', [current.id]);
+
+    await this.syncGroupRoles(tenant, (members.get(current.id) || []).map(member => member.value));
+
+    logger.audit('SCIM group deleted', {
+      tenantId: tenant.id,
+      groupId: current.id,
+      auditType: 'provisioning'
+    });
+
+    return { status: 'success' };
+  }
+
+  async saveGroup(tenant, current, { displayName, externalId, currentIds, memberIds }) {
+    if (!displayName) {
+      return { status: 'invalid', detail: 'displayName is required' };
+    }
+
+    let result;
+    try {
+      result = await database.query(
+        `UPDATE tenant_main.scim_groups
+         SET display_name = $2, external_id = $3, updated_at = NOW()
+         WHERE id = $1
+         RETURNING id, display_name, external_id, created_at, updated_at`,
+        [current.id, displayName, externalId || null]
+      );
+    } catch (error) {
+      if (error.code === '23505') {
+        return { status: 'conflict', detail: 'displayName is already in use' };
+      }
+      throw error;
+    }
+
+    const row = result.rows[0];
+    const renamed = row.display_name !== current.display_name;
+    await this.setGroupMembers(tenant, row, currentIds, memberIds, { renamed });
+
+    return { status: 'success', resource: await this.getGroup(tenant, row.id) };
+  }
+
+  /**
+   * Bring a group's membership from currentIds to memberIds and re-derive
+   * the roles of everyone affected
+   */
+  async setGroupMembers(tenant, group, currentIds, memberIds, { renamed = false } = {}) {
+    const added = [...memberIds].filter(id => !currentIds.has(id) && UUID_PATTERN.test(id));
+    const removed = [...currentIds].filter(id => !memberIds.has(id));
+
+    if (added.length > 0) {
+      await database.query(
+        `INSERT INTO tenant_main.scim_group_members (group_id, employee_id)
+         SELECT $1, e.id FROM tenant_main.employees e
+         WHERE e.id = ANY($2::uuid[]) AND e.company_id = $3
+         ON CONFLICT DO NOTHING`,
+        [group.id, added, tenant.id]
+      );
+    }
+
+    if (removed.length > 0) {
+      await database.query(
+        'DELETE FROM tenant_main.scim_group_members WHERE group_id = $1 AND employee_id = ANY($2::uuid[])',
+        [group.id, removed]
+      );
+    }
+
+    // A rename can move the whole group in or out of a role mapping
+    const affected = renamed ? [...new Set([...currentIds, ...added])] : [...added, ...removed];
+    await this.syncGroupRoles(tenant, affected);
+  }
+
+  /**
+   * Derive employee access roles from group membership using the tenant's
+   * groupRoleMapping ({ "<group displayName>": "manager" }). Without a
+   * mapping, roles are left to tenant admins.
+   */
+  async syncGroupRoles(tenant, employeeIds) {
+    const mapping = Object.fromEntries(
+      Object.entries(tenant.scim?.groupRoleMapping || {}).map(([group, role]) => [group.toLowerCase(), role])
+    );
+    if (Object.keys(mapping).length === 0 || employeeIds.length === 0) return;
+
+    const result = await database.query(
+      `SELECT e.id, e.access_role,
+         COALESCE(array_agg(LOWER(g.display_name)) FILTER (WHERE g.id IS NOT NULL), '{}') AS groups
+       FROM tenant_main.employees e
+       LEFT JOIN tenant_main.scim_group_members m ON m.employee_id = e.id
+       LEFT JOIN tenant_main.scim_groups g ON g.id = m.group_id
+       WHERE e.company_id = $1 AND e.id = ANY($2::uuid[])
+       GROUP BY e.id, e.access_role`,
+      [tenant.id, employeeIds]
+    );
+
+    // Employee roles are listed most privileged first
+    const roles = ROLES_BY_USER_TYPE.employee;
+
+    for (const row of result.rows) {
+      const granted = row.groups.map(group => mapping[group]).filter(Boolean);
+      const role = roles.find(candidate => granted.includes(candidate)) || 'employee';
+      if (role === row.access_role) continue;
+
+      await authService.assignRole(tenant.id, row.id, 'employee', role, { assignedBy: 'scim' });
+      await tokenService.revokeAllUserSessions(tenant.id, row.id, 'employee', 'role_changed', {
+        revokedBy: 'scim'
+      });
+    }
+  }
+
+  async findGroup(tenantId, id) {
+    if (!UUID_PATTERN.test(id)) return null;
+
+    const result = await database.query(
+      `SELECT id, display_name, external_id, created_at, updated_at
+       FROM tenant_main.scim_groups
+       WHERE id = $1 AND company_id = $2`,
+      [id, tenantId]
+    );
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Members of the given groups, keyed by group id
+   */
+  async getGroupMembers(groupIds) {
+    const members = new Map(groupIds.map(id => [id, []]));
+    if (groupIds.length === 0) return members;
+
+    const result = await database.query(
+      `SELECT m.group_id, e.id, e.email
+       FROM tenant_main.scim_group_members m
+       JOIN tenant_main.employees e ON e.id = m.employee_id
+       WHERE m.group_id = ANY($1::uuid[])`,
+      [groupIds]
+    );
+
+    for (const row of result.rows) {
+      members.get(row.group_id).push({ value: row.id, display: row.email });
+    }
+    return members;
+  }
+
+  toScimGroup(row, members) {
+    return {
+      schemas: [SCIM_SCHEMAS.group],
+      id: row.id,
+      externalId: row.external_id || undefined,
+      displayName: row.display_name,
+      members,
+      meta: {
+        resourceType: 'Group',
+        created: row.created_at,
+        lastModified: row.updated_at
+      }
+    };
+  }
+
+  toMemberIds(members) {
+    const list = Array.isArray(members) ? members : (members ? [members] : []);
+    return new Set(list.map(member => (typeof member === 'string' ? member : member?.value)).filter(Boolean));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Helpers
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Parse the `attribute eq "value"` filters that Okta and Entra ID send.
+   * Returns {} for no filter and null when the filter is not supported.
+   */
+  parseFilter(filter, columns) {
+    if (!filter) return {};
+
+    const match = /^\s*([\w.]+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i.exec(filter);
+    if (!match) return null;
+
+    const column = columns[match[1].toLowerCase()];
+    if (!column) return null;
+
+    return { column, value: match[2].replace(/\\(.)/g, '$1') };
+  }
+
+  buildWhere(tenantId, { column, value }) {
+    if (!column) {
+      return { where: 'company_id = $1', params: [tenantId] };
+    }
+
+    if (column === 'id' && !UUID_PATTERN.test(value)) {
+      return { where: 'FALSE', params: [] };
+    }
+
+    const condition = column === 'email' ? 'LOWER(email) = LOWER($2)' : `${column} = $2`;
+    return { where: `company_id = $1 AND ${condition}`, params: [tenantId, value] };
+  }
+
+  getPage(startIndex, count) {
+    return {
+      startIndex: Math.max(parseInt(startIndex) || 1, 1),
+      count: Math.min(Math.max(parseInt(count) || 100, 0), this.maxPageSize)
+    };
+  }
+
+  toListResponse(resources, totalResults, startIndex) {
+    return {
+      schemas: [SCIM_SCHEMAS.listResponse],
+      totalResults,
+      startIndex,
+      itemsPerPage: resources.length,
+      Resources: resources
+    };
+  }
+
+  async encryptName(value, tenantId, email) {
+    if (!value) return null;
+    return JSON.stringify(await encryptionService.encryptPHI(value, tenantId, email));
+  }
+
+  async decryptName(row) {
+    if (!row.first_name_encrypted && !row.last_name_encrypted) return undefined;
+
+    try {
+      const decrypt = value => (value
+        ? encryptionService.decryptPHI(JSON.parse(value), row.company_id, row.email)
+        : undefined);
+
+      return {
+        givenName: await decrypt(row.first_name_encrypted),
+        familyName: await decrypt(row.last_name_encrypted)
+      };
+    } catch (error) {
+      logger.warn('Could not decrypt employee name for SCIM', {
+        tenantId: row.company_id,
+        employeeId: row.id,
+        error: error.message
+      });
+      return undefined;
+    }
+  }
+
+  // Entra ID sends booleans as "True"/"False" strings
+  parseBoolean(value) {
+    return typeof value === 'string' ? value.toLowerCase() === 'true' : Boolean(value);
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+}
+
+// Export singleton instance
+export const scimService = new ScimService();
+
+export default scimService;
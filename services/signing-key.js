@@ -0,0 +1,385 @@
+/**
+ * Corporate Wellness Portal - Signing Key Service
+ * Asymmetric JWT key ring with JWKS publication and scheduled rotation
+ */
+
+import crypto from 'crypto';
+import cron from 'node-cron';
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+import { encryptionService } from './encryption.js';
+import { PLATFORM_TENANT_ID } from '../middleware/permissions.js';
+
+export const SIGNING_ALGORITHMS = ['ES256', 'RS256'];
+
+const KEY_GENERATORS = {
+  ES256: () => crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }),
+  RS256: () => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+};
+
+// RFC 7638: the thumbprint covers only the required members, in this order
+const THUMBPRINT_MEMBERS = {
+  EC: ['crv', 'kty', 'x', 'y'],
+  RSA: ['e', 'kty', 'n']
+};
+
+const KEY_COLUMNS = `kid, algorithm, public_jwk, private_key_encrypted, created_at, created_by,
+  activates_at, retire_after, revoked_at, revoked_by`;
+
+const ENCRYPTION_CONTEXT = 'jwt:signing_key';
+
+class SigningKeyService {
+  constructor() {
+    this.algorithm = process.env.JWT_SIGNING_ALGORITHM || 'ES256';
+    this.rotationIntervalDays = parseInt(process.env.JWT_KEY_ROTATION_DAYS) || 30;
+    // JWKS consumers cache keys; a new key is published this long before it signs
+    this.prepublishHours = parseInt(process.env.JWT_KEY_PREPUBLISH_HOURS) || 24;
+    // Must outlast the longest-lived token a key signs (7-day invitation links)
+    this.overlapHours = parseInt(process.env.JWT_KEY_OVERLAP_HOURS) || 8 * 24;
+    this.reloadIntervalMinutes = 5;
+    this.minReloadIntervalSeconds = 30;
+
+    this.keys = new Map();
+    this.loadedAt = null;
+    this.reloading = null;
+    this.lastReloadAttemptAt = 0;
+    this.scheduledTasks = [];
+  }
+
+  /**
+   * Load the key ring. Outside production an empty ring gets a first key so
+   * local setups work without configuration; production refuses to start
+   * without an encryption key and an active signing key.
+   */
+  async initialize() {
+    if (!SIGNING_ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`JWT_SIGNING_ALGORITHM must be one of: ${SIGNING_ALGORITHMS.join(', ')}`);
+    }
+
+    const production = process.env.NODE_ENV === 'production';
+
+    // Private keys are encrypted with the master key; a generated one would
+    // make them unreadable after a restart
+    if (production && (!process.env.ENCRYPTION_KEY || !process.env.TENANT_ENCRYPTION_SALT)) {
+      throw new Error('ENCRYPTION_KEY and TENANT_ENCRYPTION_SALT must be configured to use the JWT signing key ring');
+    }
+
+    await this.load();
+
+    if (!this.getSigningKey()) {
+      if (production) {
+        throw new Error('No active JWT signing key; run `npm run signing-keys -- rotate --now` to create one');
+      }
+
+      logger.warn('No JWT signing key found, generating one for this environment');
+      await this.rotate({ activateImmediately: true });
+    }
+
+    logger.info('Signing key ring loaded', {
+      keys: this.keys.size,
+      signingKid: this.getSigningKey().kid
+    });
+  }
+
+  /**
+   * Reload the ring periodically so every instance sees keys rotated elsewhere,
+   * and rotate once the signing key reaches the end of its interval
+   */
+  startScheduler() {
+    this.scheduledTasks.push(
+      cron.schedule(`*/${this.reloadIntervalMinutes} * * * *`, () => {
+        this.load().catch(error => {
+          logger.error('Failed to reload signing keys', { error: error.message });
+        });
+      }),
+      cron.schedule('17 * * * *', () => {
+        this.rotateIfDue().catch(error => {
+          logger.error('Scheduled signing key rotation failed', { error: error.message });
+        });
+      })
+    );
+  }
+
+  stopScheduler() {
+    this.scheduledTasks.forEach(task => task.stop());
+    this.scheduledTasks = [];
+  }
+
+  /**
+   * Read every key that can still verify tokens and decrypt the private keys
+   */
+  async load() {
+    const result = await database.query(
+      `SELECT ${KEY_COLUMNS}
+       FROM tenant_main.signing_keys
+       WHERE revoked_at IS NULL AND (retire_after IS NULL OR retire_after > NOW())
+       ORDER BY activates_at DESC`
+    );
+
+    const keys = new Map();
+    for (const row of result.rows) {
+      const privateKeyPem = await encryptionService.decryptData(
+        JSON.parse(row.private_key_encrypted),
+        PLATFORM_TENANT_ID,
+        ENCRYPTION_CONTEXT
+      );
+
+      keys.set(row.kid, {
+        kid: row.kid,
+        algorithm: row.algorithm,
+        publicJwk: row.public_jwk,
+        publicKey: crypto.createPublicKey({ key: row.public_jwk, format: 'jwk' }),
+        privateKey: crypto.createPrivateKey(privateKeyPem),
+        activatesAt: new Date(row.activates_at),
+        retireAfter: row.retire_after ? new Date(row.retire_after) : null
+      });
+    }
+
+    this.keys = keys;
+    this.loadedAt = new Date();
+
+    return keys.size;
+  }
+
+  /**
+   * The key new tokens are signed with: the most recently activated one
+   */
+  getSigningKey() {
+    const now = Date.now();
+    let current = null;
+
+    for (const key of this.keys.values()) {
+      if (key.activatesAt.getTime() > now || this.isRetired(key, now)) continue;
+      if (!current || key.activatesAt > current.activatesAt) {
+        current = key;
+      }
+    }
+
+    return current;
+  }
+
+  /**
+   * A key that may verify a token carrying this kid, or null. Pre-published
+   * keys verify too: another instance may already have started signing.
+   */
+  getVerificationKey(kid) {
+    const key = this.keys.get(kid);
+    if (!key) {
+      this.reloadSoon();
+      return null;
+    }
+    if (this.isRetired(key, Date.now())) return null;
+    return key;
+  }
+
+  /**
+   * An unknown kid usually means another instance rotated immediately; pick
+   * the key up without waiting for the scheduled reload
+   */
+  reloadSoon() {
+    const now = Date.now();
+    if (this.reloading || now - this.lastReloadAttemptAt < this.minReloadIntervalSeconds * 1000) {
+      return;
+    }
+
+    this.lastReloadAttemptAt = now;
+    this.reloading = this.load()
+      .catch(error => {
+        logger.error('Failed to reload signing keys', { error: error.message });
+      })
+      .finally(() => {
+        this.reloading = null;
+      });
+  }
+
+  /**
+   * Public keys for /.well-known/jwks.json
+   */
+  getJwks() {
+    const now = Date.now();
+
+    return {
+      keys: [...this.keys.values()]
+        .filter(key => !this.isRetired(key, now))
+        .map(key => ({
+          ...key.publicJwk,
+          kid: key.kid,
+          alg: key.algorithm,
+          use: 'sig'
+        }))
+    };
+  }
+
+  /**
+   * Rotate when the newest key has been in use for the rotation interval.
+   * Safe to run on every instance: rotate() only adds a key when no
+   * successor is waiting.
+   */
+  async rotateIfDue() {
+    const newest = [...this.keys.values()].sort((a, b) => b.activatesAt - a.activatesAt)[0];
+    // Schedule the successor early enough that it signs when the interval ends
+    const dueAt = newest
+      ? newest.activatesAt.getTime() + (this.rotationIntervalDays * 24 - this.prepublishHours) * 60 * 60 * 1000
+      : 0;
+
+    if (Date.now() < dueAt) return null;
+
+    return this.rotate();
+  }
+
+  /**
+   * Schedule a new signing key. It is published now and signs after the
+   * pre-publication window (or at once when `activateImmediately`, e.g. after
+   * a compromise); the current key then verifies for the overlap window.
+   * Resolves to the new key's description, or null when a successor is
+   * already waiting to sign.
+   */
+  async rotate({ activateImmediately = false, createdBy = null } = {}) {
+    const { kid, publicJwk, privateKeyPem } = this.generateKeyPair(this.algorithm);
+    const encrypted = await encryptionService.encryptData(privateKeyPem, PLATFORM_TENANT_ID, ENCRYPTION_CONTEXT);
+    const prepublishHours = activateImmediately ? 0 : this.prepublishHours;
+
+    // The advisory lock serialises instances rotating at the same time; the
+    // second one finds the key already waiting to sign and inserts nothing
+    const [, inserted] = await database.transaction([
+      {
+        text: "SELECT pg_advisory_xact_lock(hashtext('tenant_main.signing_keys'))",
+        params: []
+      },
+      {
+        text: `INSERT INTO tenant_main.signing_keys
+                 (kid, algorithm, public_jwk, private_key_encrypted, created_by, activates_at)
+               SELECT $1, $2, $3, $4, $5, NOW() + ($6 * INTERVAL '1 hour')
+               WHERE $7::boolean OR NOT EXISTS (
+                 SELECT 1 FROM tenant_main.signing_keys
+                 WHERE revoked_at IS NULL AND activates_at > NOW()
+               )
+               RETURNING ${KEY_COLUMNS}`,
+        params: [
+          kid,
+          this.algorithm,
+          publicJwk,
+          JSON.stringify(encrypted),
+          createdBy,
+          prepublishHours,
+          activateImmediately
+        ]
+      },
+      {
+        // An immediate rotation supersedes any key still waiting to sign
+        text: `UPDATE tenant_main.signing_keys
+               SET revoked_at = NOW(), revoked_by = $2
+               WHERE kid <> $1 AND revoked_at IS NULL AND activates_at > NOW()
+                 AND EXISTS (SELECT 1 FROM tenant_main.signing_keys WHERE kid = $1)`,
+        params: [kid, createdBy]
+      },
+      {
+        text: `UPDATE tenant_main.signing_keys
+               SET retire_after = NOW() + (($1::integer + $2::integer) * INTERVAL '1 hour')
+               WHERE kid <> $3 AND revoked_at IS NULL
+                 AND (retire_after IS NULL OR retire_after > NOW() + (($1::integer + $2::integer) * INTERVAL '1 hour'))
+                 AND EXISTS (SELECT 1 FROM tenant_main.signing_keys WHERE kid = $3)`,
+        params: [prepublishHours, this.overlapHours, kid]
+      }
+    ]);
+
+    const row = inserted.rows[0];
+    if (!row) return null;
+
+    await this.load();
+
+    logger.security('JWT signing key rotated', {
+      kid,
+      algorithm: this.algorithm,
+      activatesAt: row.activates_at,
+      activateImmediately,
+      createdBy
+    });
+
+    return this.describeKey(row);
+  }
+
+  /**
+   * Withdraw a key at once; tokens it signed stop verifying. The current
+   * signing key can only be revoked once a successor is active.
+   * Resolves to { status: 'success' | 'not_found' | 'signing_key' }
+   */
+  async revoke(kid, { revokedBy = null } = {}) {
+    if (this.getSigningKey()?.kid === kid) {
+      return { status: 'signing_key' };
+    }
+
+    const result = await database.query(
+      `UPDATE tenant_main.signing_keys
+       SET revoked_at = NOW(), revoked_by = $2
+       WHERE kid = $1 AND revoked_at IS NULL
+       RETURNING kid`,
+      [kid, revokedBy]
+    );
+
+    if (!result.rows[0]) return { status: 'not_found' };
+
+    await this.load();
+
+    logger.security('JWT signing key revoked', {
+      kid,
+      revokedBy
+    });
+
+    return { status: 'success' };
+  }
+
+  async listKeys() {
+    const result = await database.query(
+      `SELECT ${KEY_COLUMNS}
+       FROM tenant_main.signing_keys
+       ORDER BY activates_at DESC
+       LIMIT 50`
+    );
+
+    return result.rows.map(row => this.describeKey(row));
+  }
+
+  describeKey(row) {
+    const now = new Date();
+    let status = 'active';
+    if (row.revoked_at) status = 'revoked';
+    else if (row.retire_after && new Date(row.retire_after) <= now) status = 'retired';
+    else if (new Date(row.activates_at) > now) status = 'published';
+    else if (row.retire_after) status = 'retiring';
+
+    return {
+      kid: row.kid,
+      algorithm: row.algorithm,
+      status,
+      signing: this.getSigningKey()?.kid === row.kid,
+      createdAt: row.created_at,
+      createdBy: row.created_by,
+      activatesAt: row.activates_at,
+      retireAfter: row.retire_after,
+      revokedAt: row.revoked_at,
+      revokedBy: row.revoked_by
+    };
+  }
+
+  generateKeyPair(algorithm) {
+    const { publicKey, privateKey } = KEY_GENERATORS[algorithm]();
+    const jwk = publicKey.export({ format: 'jwk' });
+    const publicJwk = Object.fromEntries(THUMBPRINT_MEMBERS[jwk.kty].map(member => [member, jwk[member]]));
+
+    return {
+      kid: crypto.createHash('sha256').update(JSON.stringify(publicJwk)).digest('base64url'),
+      publicJwk,
+      privateKeyPem: privateKey.export({ format: 'pem', type: 'pkcs8' })
+    };
+  }
+
+  isRetired(key, now) {
+    return key.retireAfter !== null && key.retireAfter.getTime() <= now;
+  }
+}
+
+// Export singleton instance
+export const signingKeyService = new SigningKeyService();
+
+export default signingKeyService;
@@ -0,0 +1,755 @@
+/**
+ * Corporate Wellness Portal - Single Sign-On Service
+ * Per-tenant SAML 2.0 and OpenID Connect configuration, IdP metadata
+ * import, ID token validation and login handoff
+ */
+
+import crypto from 'crypto';
+import dns from 'dns';
+import https from 'https';
+import net from 'net';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+import xml2js from 'xml2js';
+import { MultiSamlStrategy } from 'passport-saml';
+import OAuth2Strategy from 'passport-oauth2';
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+import { redisClient } from '../utils/redis.js';
+import { encryptionService } from './encryption.js';
+import { clearTenantCache } from '../middleware/tenant.js';
+
+// Claim names checked for each employee field, covering Azure AD, Okta and
+// plain LDAP-style attribute names. Tenants can override per field.
+const DEFAULT_SAML_ATTRIBUTE_MAPPING = {
+  email: [
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/emailaddress',
+    'urn:oid:0.9.2342.19200300.100.1.3',
+    'email',
+    'mail',
+    'nameID'
+  ],
+  firstName: [
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/givenname',
+    'urn:oid:2.5.4.42',
+    'firstName',
+    'givenName'
+  ],
+  lastName: [
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/surname',
+    'urn:oid:2.5.4.4',
+    'lastName',
+    'sn'
+  ],
+  department: [
+    'http://schemas.xmlsoap.org/ws/2005/05/identity/claims/department',
+    'urn:oid:2.5.4.11',
+    'department'
+  ],
+  role: [
+    'http://schemas.microsoft.com/ws/2008/06/identity/claims/role',
+    'urn:oid:2.5.4.12',
+    'jobTitle',
+    'title',
+    'role'
+  ],
+  employeeId: [
+    'http://schemas.microsoft.com/identity/claims/employeeid',
+    'urn:oid:2.16.840.1.113730.3.1.3',
+    'employeeId',
+    'employeeNumber'
+  ]
+};
+
+// OIDC claim names checked for each employee field (Google Workspace, Entra ID)
+const DEFAULT_OIDC_CLAIM_MAPPING = {
+  email: ['email', 'preferred_username', 'upn'],
+  firstName: ['given_name'],
+  lastName: ['family_name'],
+  department: ['department'],
+  role: ['jobTitle', 'job_title'],
+  employeeId: ['employeeId', 'employee_id']
+};
+
+// Asymmetric algorithms accepted for ID token signatures
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+// Addresses a tenant-supplied IdP URL must never reach: loopback, private,
+// link-local (cloud metadata), carrier-grade NAT, multicast and reserved
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are matched against the IPv4 ranges
+function isPublicAddress(address, family) {
+  return !NON_PUBLIC_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup that refuses hosts resolving to a non-public address. It runs
+ * when the connection is made, so a DNS answer that changes between a check
+ * and the request (rebinding) cannot get through.
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address, family }) => !isPublicAddress(address, family));
+    if (blocked || addresses.length === 0) {
+      const refused = new Error(`IdP host ${hostname} does not resolve to a public address`);
+      refused.code = 'EADDRNOTPUBLIC';
+      return callback(refused);
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Used for every request to a tenant's IdP (metadata, discovery, JWKS, token endpoint)
+const idpAgent = new https.Agent({ lookup: publicOnlyLookup });
+
+/**
+ * passport-saml cache provider backed by Redis, so AuthnRequest IDs issued by
+ * one instance validate InResponseTo on whichever instance receives the ACS post
+ */
+class RedisSamlCacheProvider {
+  constructor(tenantId, ttlSeconds) {
+    this.prefix = `saml:request:${tenantId}:`;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  async saveAsync(key, value) {
+    await redisClient.setex(this.prefix + key, this.ttlSeconds, value);
+    return { value, createdAt: Date.now() };
+  }
+
+  async getAsync(key) {
+    return redisClient.get(this.prefix + key);
+  }
+
+  async removeAsync(key) {
+    const existing = await redisClient.get(this.prefix + key);
+    if (!existing) return null;
+
+    await redisClient.del(this.prefix + key);
+    return key;
+  }
+}
+
+/**
+ * passport-oauth2 state store backed by Redis. The session cookie is
+ * SameSite=Strict and is not sent on the IdP's redirect back, so the PKCE
+ * verifier and nonce are keyed by the state handle instead.
+ */
+class RedisOidcStateStore {
+  constructor(tenantId, ttlSeconds) {
+    this.tenantId = tenantId;
+    this.ttlSeconds = ttlSeconds;
+  }
+
+  store(req, verifier, state, meta, callback) {
+    const handle = crypto.randomBytes(24).toString('base64url');
+    const value = JSON.stringify({ ...state, tenantId: this.tenantId, codeVerifier: verifier });
+
+    redisClient.setex(`oidc:state:${handle}`, this.ttlSeconds, value)
+      .then(() => callback(null, handle))
+      .catch(callback);
+  }
+
+  verify(req, providedState, callback) {
+    const key = `oidc:state:${providedState}`;
+
+    // Claimed atomically so a replayed callback cannot reuse the PKCE verifier
+    redisClient.getDel(key)
+      .then(stored => {
+        if (!stored) {
+          return callback(null, false, { message: 'Unable to verify authorization request state.' });
+        }
+
+        const { codeVerifier, ...state } = JSON.parse(stored);
+
+        if (state.tenantId !== this.tenantId) {
+          return callback(null, false, { message: 'Authorization request state belongs to another tenant.' });
+        }
+
+        callback(null, codeVerifier, state);
+      })
+      .catch(callback);
+  }
+}
+
+/**
+ * Authorization-code strategy that adds the OIDC nonce (and Google's hd hint)
+ * to the authorization request. Built per request from the tenant's settings.
+ */
+class OidcStrategy extends OAuth2Strategy {
+  authorizationParams(options) {
+    const params = {};
+    if (options.nonce) params.nonce = options.nonce;
+    if (options.hostedDomain) params.hd = options.hostedDomain;
+    if (options.prompt) params.prompt = options.prompt;
+    return params;
+  }
+}
+
+class SsoService {
+  constructor() {
+    this.requestIdTtl = 10 * 60; // seconds an AuthnRequest stays redeemable
+    this.handoffTtl = 60; // seconds a one-time login code stays valid
+    this.oidcStateTtl = 10 * 60;
+    this.oidcCacheTtl = 60 * 60; // discovery documents and JWKS
+
+    this.samlStrategy = new MultiSamlStrategy(
+      {
+        passReqToCallback: true,
+        getSamlOptions: (req, done) => {
+          this.getSamlOptions(req)
+            .then(options => done(null, options))
+            .catch(error => done(error));
+        }
+      },
+      (req, profile, done) => done(null, profile)
+    );
+  }
+
+  /**
+   * Load a tenant's SAML and OIDC settings from companies.sso_config
+   */
+  async getSsoConfig(tenantId) {
+    const result = await database.query(
+      `SELECT id, name, status, sso_config
+       FROM tenant_main.companies
+       WHERE id = $1`,
+      [tenantId]
+    );
+
+    const tenant = result.rows[0];
+    if (!tenant || tenant.status !== 'active') {
+      return null;
+    }
+
+    return {
+      tenant: { id: tenant.id, name: tenant.name },
+      saml: tenant.sso_config?.saml || null,
+      oidc: tenant.sso_config?.oidc || null,
+      scim: tenant.sso_config?.scim || null
+    };
+  }
+
+  /**
+   * Build passport-saml options for the tenant in the request path.
+   * SP metadata can be generated before the IdP side is configured.
+   */
+  async getSamlOptions(req) {
+    const { tenantId } = req.params;
+    const config = await this.getSsoConfig(tenantId);
+
+    if (!config?.saml) {
+      throw new Error('SAML is not configured for this tenant');
+    }
+
+    const { saml } = config;
+    if (!req.samlMetadataOnly && (!saml.enabled || !saml.entryPoint || !saml.idpCert)) {
+      throw new Error('SAML is not enabled for this tenant');
+    }
+
+    const urls = this.getServiceProviderUrls(tenantId);
+
+    return {
+      callbackUrl: urls.acs,
+      issuer: saml.spEntityId || urls.metadata,
+      audience: saml.spEntityId || urls.metadata,
+      entryPoint: saml.entryPoint,
+      idpIssuer: saml.idpEntityId,
+      // Metadata generation needs a cert value even before the IdP cert is imported
+      cert: saml.idpCert || 'unconfigured',
+      identifierFormat: saml.identifierFormat || 'urn:oasis:names:tc:SAML:1.1:nameid-format:emailAddress',
+      signatureAlgorithm: 'sha256',
+      wantAssertionsSigned: saml.wantAssertionsSigned !== false,
+      disableRequestedAuthnContext: true, // Let the IdP choose how to authenticate (e.g. its own MFA)
+      acceptedClockSkewMs: 5000,
+      validateInResponseTo: true,
+      requestIdExpirationPeriodMs: this.requestIdTtl * 1000,
+      cacheProvider: new RedisSamlCacheProvider(tenantId, this.requestIdTtl)
+    };
+  }
+
+  /**
+   * Generate the SP metadata XML that a tenant uploads to Azure AD / Okta
+   */
+  generateServiceProviderMetadata(req) {
+    req.samlMetadataOnly = true;
+
+    return new Promise((resolve, reject) => {
+      this.samlStrategy.generateServiceProviderMetadata(req, null, null, (error, metadata) => {
+        if (error) return reject(error);
+        resolve(metadata);
+      });
+    });
+  }
+
+  getServiceProviderUrls(tenantId) {
+    const samlBase = `${this.getPortalBaseUrl()}/api/auth/sso/saml/${tenantId}`;
+
+    return {
+      metadata: `${samlBase}/metadata`,
+      login: `${samlBase}/login`,
+      acs: `${samlBase}/acs`
+    };
+  }
+
+  /**
+   * Map a SAML profile to employee fields using the tenant's attribute mapping
+   */
+  mapSamlProfile(profile, attributeMapping = {}) {
+    const mapped = {};
+
+    for (const [field, defaults] of Object.entries(DEFAULT_SAML_ATTRIBUTE_MAPPING)) {
+      const override = attributeMapping[field];
+      const candidates = override ? [].concat(override) : defaults;
+
+      for (const attribute of candidates) {
+        const value = profile[attribute];
+        const first = Array.isArray(value) ? value[0] : value;
+
+        if (first !== undefined && first !== null && String(first).trim() !== '') {
+          mapped[field] = String(first).trim();
+          break;
+        }
+      }
+    }
+
+    if (mapped.email) {
+      mapped.email = mapped.email.toLowerCase();
+    }
+
+    return mapped;
+  }
+
+  /**
+   * Parse IdP metadata XML into the settings stored in sso_config.saml
+   */
+  async parseIdpMetadata(metadataXml) {
+    const parsed = await xml2js.parseStringPromise(metadataXml, {
+      tagNameProcessors: [xml2js.processors.stripPrefix],
+      attrNameProcessors: [xml2js.processors.stripPrefix],
+      explicitArray: true
+    });
+
+    // Federation metadata may wrap several entities; use the first IdP
+    const entities = parsed.EntitiesDescriptor
+      ? parsed.EntitiesDescriptor.EntityDescriptor || []
+      : [parsed.EntityDescriptor];
+    const entity = entities.find(candidate => candidate?.IDPSSODescriptor);
+
+    if (!entity) {
+      throw new Error('Metadata does not contain an IDPSSODescriptor');
+    }
+
+    const descriptor = entity.IDPSSODescriptor[0];
+
+    const ssoServices = descriptor.SingleSignOnService || [];
+    const redirect = ssoServices.find(service => service.$.Binding?.endsWith('HTTP-Redirect'));
+    const post = ssoServices.find(service => service.$.Binding?.endsWith('HTTP-POST'));
+    const entryPoint = (redirect || post)?.$.Location;
+
+    const idpCert = (descriptor.KeyDescriptor || [])
+      .filter(key => !key.$?.use || key.$.use === 'signing')
+      .map(key => key.KeyInfo?.[0]?.X509Data?.[0]?.X509Certificate?.[0])
+      .map(cert => (typeof cert === 'string' ? cert : cert?._))
+      .filter(Boolean)
+      .map(cert => cert.replace(/\s+/g, ''));
+
+    if (!entryPoint) {
+      throw new Error('Metadata does not contain a SingleSignOnService location');
+    }
+    if (idpCert.length === 0) {
+      throw new Error('Metadata does not contain a signing certificate');
+    }
+
+    const logout = (descriptor.SingleLogoutService || [])[0];
+
+    return {
+      idpEntityId: entity.$.entityID,
+      entryPoint,
+      idpCert: [...new Set(idpCert)],
+      logoutUrl: logout?.$.Location || null
+    };
+  }
+
+  /**
+   * Fetch IdP metadata from the URL published by the IdP (e.g. Azure AD federation metadata)
+   */
+  async fetchIdpMetadata(metadataUrl) {
+    const url = this.assertIdpUrl(metadataUrl, 'IdP metadata URL');
+
+    const response = await this.fetchFromIdp(url, {
+      responseType: 'text',
+      maxContentLength: 1024 * 1024
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Save a tenant's settings for one SSO protocol ('saml' or 'oidc'),
+   * merging over what is already stored
+   */
+  async updateSsoConfig(tenantId, protocol, updates, updatedBy) {
+    const current = await this.getSsoConfig(tenantId);
+    if (!current) {
+      return null;
+    }
+
+    const settings = { ...(current[protocol] || {}), ...updates, updatedAt: new Date().toISOString() };
+
+    await database.query(
+      `UPDATE tenant_main.companies
+       SET sso_config = jsonb_set(COALESCE(sso_config, '{}'), $2::text[], $3::jsonb),
+           updated_at = NOW(),
+           updated_by = $4
+       WHERE id = $1`,
+      [tenantId, [protocol], JSON.stringify(settings), updatedBy]
+    );
+
+    await clearTenantCache(tenantId);
+
+    logger.audit('SSO configuration updated', {
+      tenantId,
+      protocol,
+      updatedBy,
+      enabled: Boolean(settings.enabled),
+      auditType: 'configuration'
+    });
+
+    return settings;
+  }
+
+  /**
+   * Summary of SAML settings safe to return to tenant admins
+   */
+  describeSamlConfig(saml, urls) {
+    return {
+      enabled: Boolean(saml?.enabled),
+      idpEntityId: saml?.idpEntityId || null,
+      entryPoint: saml?.entryPoint || null,
+      idpCertificates: (saml?.idpCert ? [].concat(saml.idpCert) : []).map(cert =>
+        crypto.createHash('sha256').update(Buffer.from(cert, 'base64')).digest('hex')
+      ),
+      attributeMapping: saml?.attributeMapping || {},
+      jitProvisioning: saml?.jitProvisioning !== false,
+      allowedDomains: saml?.allowedDomains || [],
+      serviceProvider: {
+        entityId: saml?.spEntityId || urls.metadata,
+        metadataUrl: urls.metadata,
+        acsUrl: urls.acs,
+        loginUrl: urls.login
+      }
+    };
+  }
+
+  /**
+   * Build the authorization-code strategy for a tenant's OIDC provider
+   */
+  async createOidcStrategy(req, tenantId) {
+    const config = await this.getSsoConfig(tenantId);
+    const oidc = config?.oidc;
+
+    if (!oidc?.enabled || !oidc.issuer || !oidc.clientId) {
+      throw new Error('OIDC is not enabled for this tenant');
+    }
+
+    const discovery = await this.getOidcDiscovery(oidc.issuer);
+    const clientSecret = oidc.clientSecretEncrypted
+      ? await encryptionService.decryptData(JSON.parse(oidc.clientSecretEncrypted), tenantId, 'oidc:client_secret')
+      : undefined;
+
+    const strategy = new OidcStrategy(
+      {
+        authorizationURL: discovery.authorization_endpoint,
+        tokenURL: discovery.token_endpoint,
+        clientID: oidc.clientId,
+        clientSecret,
+        callbackURL: this.getOidcCallbackUrl(tenantId),
+        scope: oidc.scopes || ['openid', 'email', 'profile'],
+        pkce: true,
+        state: true,
+        store: new RedisOidcStateStore(tenantId, this.oidcStateTtl),
+        skipUserProfile: true,
+        passReqToCallback: true
+      },
+      // The ID token is validated by the route once the state (and nonce) is known
+      (req, accessToken, refreshToken, params, profile, done) => done(null, { params })
+    );
+    // The code exchange goes to the same IdP, so it gets the same address checks
+    strategy._oauth2.setAgent(idpAgent);
+
+    return { strategy, oidc, discovery };
+  }
+
+  getOidcCallbackUrl(tenantId) {
+    return `${this.getPortalBaseUrl()}/api/auth/sso/oidc/${tenantId}/callback`;
+  }
+
+  /**
+   * Absolute portal URL for the endpoints registered with an IdP. It is only
+   * taken from configuration: the Host header is chosen by the client.
+   */
+  getPortalBaseUrl() {
+    const baseUrl = process.env.PORTAL_BASE_URL;
+    if (!baseUrl) {
+      throw new Error('PORTAL_BASE_URL must be configured for single sign-on');
+    }
+    return baseUrl.replace(/\/+$/, '');
+  }
+
+  assertIssuerUrl(issuer) {
+    return this.assertIdpUrl(issuer, 'OIDC issuer');
+  }
+
+  /**
+   * URLs the portal fetches from a tenant's IdP must be HTTPS; whether the
+   * host is public is checked when connecting (see publicOnlyLookup)
+   */
+  assertIdpUrl(value, label) {
+    let url;
+    try {
+      url = new URL(value);
+    } catch {
+      throw new Error(`${label} is not a valid URL`);
+    }
+
+    if (url.protocol !== 'https:') {
+      throw new Error(`${label} must use HTTPS`);
+    }
+    if (net.isIP(url.hostname.replace(/^\[|\]$/g, '')) && !this.isPublicHost(url.hostname)) {
+      throw new Error(`${label} must not point to a private or link-local address`);
+    }
+
+    return url;
+  }
+
+  isPublicHost(hostname) {
+    const address = hostname.replace(/^\[|\]$/g, '');
+    return isPublicAddress(address, net.isIP(address));
+  }
+
+  /**
+   * GET from a tenant's IdP over HTTPS to public addresses only, including
+   * across redirects
+   */
+  fetchFromIdp(url, options = {}) {
+    return axios.get(url.toString(), {
+      timeout: 10000,
+      httpsAgent: idpAgent,
+      maxRedirects: 3,
+      beforeRedirect: redirect => {
+        if (redirect.protocol !== 'https:') {
+          throw new Error('IdP redirected to a non-HTTPS URL');
+        }
+      },
+      ...options
+    });
+  }
+
+  /**
+   * Fetch (and cache) the provider's discovery document
+   */
+  async getOidcDiscovery(issuer, { forceRefresh = false } = {}) {
+    const normalizedIssuer = issuer.replace(/\/+$/, '');
+    const cacheKey = `oidc:discovery:${normalizedIssuer}`;
+
+    if (!forceRefresh) {
+      const cached = await redisClient.get(cacheKey);
+      if (cached) return JSON.parse(cached);
+    }
+
+    this.assertIssuerUrl(normalizedIssuer);
+
+    const response = await this.fetchFromIdp(`${normalizedIssuer}/.well-known/openid-configuration`, {
+      maxContentLength: 256 * 1024
+    });
+    const discovery = response.data;
+
+    // The document must describe the issuer it was fetched for
+    if (discovery.issuer?.replace(/\/+$/, '') !== normalizedIssuer) {
+      throw new Error(`Discovery issuer mismatch: expected ${normalizedIssuer}, got ${discovery.issuer}`);
+    }
+
+    for (const field of ['authorization_endpoint', 'token_endpoint', 'jwks_uri']) {
+      if (!discovery[field]) {
+        throw new Error(`Discovery document is missing ${field}`);
+      }
+      this.assertIdpUrl(discovery[field], `Discovery ${field}`);
+    }
+
+    await redisClient.setex(cacheKey, this.oidcCacheTtl, JSON.stringify(discovery));
+    return discovery;
+  }
+
+  /**
+   * Fetch (and cache) the provider's signing keys
+   */
+  async getJwks(jwksUri, { forceRefresh = false } = {}) {
+    const cacheKey = `oidc:jwks:${jwksUri}`;
+
+    if (!forceRefresh) {
+      const cached = await redisClient.get(cacheKey);
+      if (cached) return JSON.parse(cached);
+    }
+
+    const url = this.assertIdpUrl(jwksUri, 'JWKS URI');
+    const response = await this.fetchFromIdp(url, {
+      maxContentLength: 256 * 1024
+    });
+    const keys = response.data?.keys || [];
+
+    await redisClient.setex(cacheKey, this.oidcCacheTtl, JSON.stringify(keys));
+    return keys;
+  }
+
+  /**
+   * Validate an ID token's signature against the provider JWKS and its
+   * issuer, audience, expiry and nonce. Returns the verified claims.
+   */
+  async verifyIdToken(idToken, { discovery, clientId, nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) {
+      throw new Error('ID token is not a valid JWT');
+    }
+
+    const { kid, alg } = decoded.header;
+    if (!ID_TOKEN_ALGORITHMS.includes(alg)) {
+      throw new Error(`ID token algorithm not allowed: ${alg}`);
+    }
+
+    const findKey = keys => keys.find(key => (kid ? key.kid === kid : true) && (!key.use || key.use === 'sig'));
+
+    let jwk = findKey(await this.getJwks(discovery.jwks_uri));
+    if (!jwk) {
+      // The provider may have rotated keys since we cached them
+      jwk = findKey(await this.getJwks(discovery.jwks_uri, { forceRefresh: true }));
+    }
+    if (!jwk) {
+      throw new Error('No matching signing key for ID token');
+    }
+
+    const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+    const claims = jwt.verify(idToken, publicKey, {
+      algorithms: [alg],
+      issuer: discovery.issuer,
+      audience: clientId,
+      clockTolerance: 60
+    });
+
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== clientId) {
+      throw new Error('ID token authorized party mismatch');
+    }
+
+    if (!nonce || claims.nonce !== nonce) {
+      throw new Error('ID token nonce mismatch');
+    }
+
+    return claims;
+  }
+
+  /**
+   * Map verified ID token claims to employee fields using the tenant's claim mapping
+   */
+  mapOidcClaims(claims, claimMapping = {}) {
+    const mapped = {};
+
+    for (const [field, defaults] of Object.entries(DEFAULT_OIDC_CLAIM_MAPPING)) {
+      const override = claimMapping[field];
+      const candidates = override ? [].concat(override) : defaults;
+
+      for (const claim of candidates) {
+        const value = Array.isArray(claims[claim]) ? claims[claim][0] : claims[claim];
+        if (value !== undefined && value !== null && String(value).trim() !== '') {
+          mapped[field] = String(value).trim();
+          break;
+        }
+      }
+    }
+
+    if (mapped.email) {
+      mapped.email = mapped.email.toLowerCase();
+    }
+
+    return mapped;
+  }
+
+  /**
+   * Encrypt a client secret for storage in sso_config.oidc
+   */
+  async encryptClientSecret(tenantId, clientSecret) {
+    const encrypted = await encryptionService.encryptData(clientSecret, tenantId, 'oidc:client_secret');
+    return JSON.stringify(encrypted);
+  }
+
+  /**
+   * Summary of OIDC settings safe to return to tenant admins
+   */
+  describeOidcConfig(oidc, callbackUrl) {
+    return {
+      enabled: Boolean(oidc?.enabled),
+      issuer: oidc?.issuer || null,
+      clientId: oidc?.clientId || null,
+      clientSecretConfigured: Boolean(oidc?.clientSecretEncrypted),
+      scopes: oidc?.scopes || ['openid', 'email', 'profile'],
+      hostedDomain: oidc?.hostedDomain || null,
+      claimMapping: oidc?.claimMapping || {},
+      jitProvisioning: oidc?.jitProvisioning !== false,
+      allowedDomains: oidc?.allowedDomains || [],
+      redirectUri: callbackUrl
+    };
+  }
+
+  /**
+   * Park an issued access token behind a one-time code so it never appears
+   * in a browser URL; the frontend redeems the code via /api/auth/sso/exchange
+   */
+  async createLoginHandoff(payload) {
+    const code = crypto.randomBytes(32).toString('base64url');
+    await redisClient.setex(`sso:handoff:${code}`, this.handoffTtl, JSON.stringify(payload));
+    return code;
+  }
+
+  async redeemLoginHandoff(code) {
+    // Read and delete in one step so two concurrent redemptions cannot both succeed
+    const stored = await redisClient.getDel(`sso:handoff:${code}`);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * Frontend route receiving the handoff code; returnTo is only honoured for relative paths.
+   * Without a configured portal URL the redirect stays relative to the host the browser used.
+   */
+  buildFrontendRedirect(params) {
+    const baseUrl = (process.env.PORTAL_BASE_URL || '').replace(/\/+$/, '');
+    const query = new URLSearchParams(params);
+    return `${baseUrl}/sso/callback?${query.toString()}`;
+  }
+
+  sanitizeReturnTo(returnTo) {
+    if (typeof returnTo !== 'string') return null;
+    // Relative paths only; reject protocol-relative and backslash tricks
+    return /^\/(?![\/\\])/.test(returnTo) ? returnTo : null;
+  }
+}
+
+// Export singleton instance
+export const ssoService = new SsoService();
+
+export default ssoService;
@@ -0,0 +1,373 @@
+/**
+ * Corporate Wellness Portal - Token Service
+ * Short-lived access tokens, rotating refresh tokens and server-side revocation
+ */
+
+import crypto from 'crypto';
+import { database } from '../utils/database.js';
+import { logger } from '../utils/logger.js';
+import { redisClient } from '../utils/redis.js';
+import { authService } from './auth.js';
+import { generateToken } from '../middleware/auth.js';
+import { recordSecurityEvent } from '../middleware/audit.js';
+import { destroyBrowserSession } from '../utils/session.js';
+
+class TokenService {
+  constructor() {
+    this.accessTokenTtlSeconds = parseInt(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+    this.refreshTokenTtlDays = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 14; // idle limit
+    this.sessionMaxDays = parseInt(process.env.SESSION_MAX_DAYS) || 30; // absolute limit
+    this.lastSeenThrottleSeconds = 60;
+  }
+
+  /**
+   * Start a session after a completed login and issue its first token pair
+   */
+  async issueSession(user, tenantId, context = {}) {
+    const result = await database.query(
+      `INSERT INTO tenant_main.auth_sessions (
+         company_id, user_id, user_type, auth_method, ip_address, user_agent, expires_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, NOW() + ($7 * INTERVAL '1 day'))
+       RETURNING id, expires_at`,
+      [
+        tenantId,
+        user.id,
+        user.userType,
+        user.authMethod || 'password',
+        context.ip || null,
+        context.userAgent || null,
+        this.sessionMaxDays
+      ]
+    );
+
+    const session = result.rows[0];
+    const refreshToken = await this.createRefreshToken(session.id, session.expires_at);
+
+    return {
+      token: this.issueAccessToken(user, tenantId, session.id),
+      refreshToken: refreshToken.token,
+      expiresIn: this.accessTokenTtlSeconds,
+      sessionId: session.id
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair. A refresh token that was
+   * already used revokes its whole session (token family).
+   * Resolves to { status: 'success', token, refreshToken, expiresIn, user }
+   * or { status: 'invalid' } / { status: 'reused' }
+   */
+  async refresh(refreshToken, context = {}) {
+    const tokenHash = this.hashToken(refreshToken);
+
+    // Claim the token atomically so concurrent refreshes cannot both succeed
+    const claimed = await database.query(
+      `UPDATE tenant_main.refresh_tokens rt
+       SET used_at = NOW()
+       FROM tenant_main.auth_sessions s
+       WHERE rt.token_hash = $1 AND rt.used_at IS NULL AND rt.session_id = s.id
+       RETURNING rt.id, rt.expires_at AS token_expires_at,
+         s.id AS session_id, s.company_id, s.user_id, s.user_type, s.auth_method,
+         s.expires_at AS session_expires_at, s.revoked_at`,
+      [tokenHash]
+    );
+
+    const row = claimed.rows[0];
+
+    if (!row) {
+      const previous = await database.query(
+        `SELECT rt.session_id, rt.used_at, s.company_id, s.user_id, s.user_type, s.revoked_at
+         FROM tenant_main.refresh_tokens rt
+         JOIN tenant_main.auth_sessions s ON s.id = rt.session_id
+         WHERE rt.token_hash = $1`,
+        [tokenHash]
+      );
+
+      const reused = previous.rows[0];
+      if (reused?.used_at) {
+        await this.handleRefreshTokenReuse(reused, context);
+        return { status: 'reused' };
+      }
+
+      return { status: 'invalid' };
+    }
+
+    const now = new Date();
+    if (row.revoked_at || new Date(row.session_expires_at) <= now || new Date(row.token_expires_at) <= now) {
+      return { status: 'invalid' };
+    }
+
+    // Pick up role or status changes made since the last refresh
+    const user = await authService.findUserById(row.company_id, row.user_id, row.user_type);
+    if (!user?.active) {
+      await this.revokeSession(row.session_id, 'account_inactive');
+      return { status: 'invalid' };
+    }
+
+    const next = await this.createRefreshToken(row.session_id, row.session_expires_at);
+
+    await database.query(
+      'UPDATE tenant_main.refresh_tokens SET replaced_by = $2 WHERE id = $1',
+      [row.id, next.id]
+    );
+    await database.query(
+      `UPDATE tenant_main.auth_sessions
+       SET last_used_at = NOW(), ip_address = COALESCE($2, ip_address)
+       WHERE id = $1`,
+      [row.session_id, context.ip || null]
+    );
+
+    const authUser = { ...user, authMethod: row.auth_method };
+    delete authUser.active;
+    delete authUser.status;
+
+    return {
+      status: 'success',
+      token: this.issueAccessToken(authUser, row.company_id, row.session_id),
+      refreshToken: next.token,
+      expiresIn: this.accessTokenTtlSeconds,
+      user: authUser
+    };
+  }
+
+  /**
+   * Revoke every token in a session: refresh tokens stop working at once and
+   * access tokens carrying the session id are denied until they expire
+   */
+  async revokeSession(sessionId, reason = 'logout') {
+    const result = await database.query(
+      `UPDATE tenant_main.auth_sessions
+       SET revoked_at = NOW(), revoked_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING id, company_id, user_id, user_type`,
+      [sessionId, reason]
+    );
+
+    await redisClient.setex(this.getSessionDenyKey(sessionId), this.accessTokenTtlSeconds, reason);
+    await destroyBrowserSession(sessionId);
+
+    const session = result.rows[0];
+    if (session) {
+      logger.security('Session revoked', {
+        tenantId: session.company_id,
+        userId: session.user_id,
+        sessionId,
+        reason
+      });
+    }
+
+    return Boolean(session);
+  }
+
+  /**
+   * Active (unrevoked, unexpired) sessions for a user, most recently used first
+   */
+  async listUserSessions(tenantId, userId, userType) {
+    const result = await database.query(
+      `SELECT id, auth_method, ip_address, user_agent, created_at, last_used_at, expires_at
+       FROM tenant_main.auth_sessions
+       WHERE company_id = $1 AND user_id = $2 AND user_type = $3
+         AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY last_used_at DESC`,
+      [tenantId, userId, userType]
+    );
+
+    return result.rows.map(row => ({
+      id: row.id,
+      authMethod: row.auth_method,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      createdAt: row.created_at,
+      lastSeenAt: row.last_used_at,
+      expiresAt: row.expires_at
+    }));
+  }
+
+  /**
+   * Revoke one of a user's own sessions. Returns false when the session
+   * does not belong to the user or is already revoked.
+   */
+  async revokeUserSession(tenantId, userId, userType, sessionId, reason = 'user_revoked') {
+    const result = await database.query(
+      `SELECT id FROM tenant_main.auth_sessions
+       WHERE id = $1 AND company_id = $2 AND user_id = $3 AND user_type = $4 AND revoked_at IS NULL`,
+      [sessionId, tenantId, userId, userType]
+    );
+
+    if (!result.rows[0]) return false;
+    return this.revokeSession(sessionId, reason);
+  }
+
+  /**
+   * Sign a user out everywhere, e.g. on termination or by admin request.
+   * Returns the number of sessions revoked.
+   */
+  async revokeAllUserSessions(tenantId, userId, userType, reason = 'admin_revoked', { revokedBy } = {}) {
+    const result = await database.query(
+      `UPDATE tenant_main.auth_sessions
+       SET revoked_at = NOW(), revoked_reason = $4
+       WHERE company_id = $1 AND user_id = $2 AND user_type = $3
+         AND revoked_at IS NULL AND expires_at > NOW()
+       RETURNING id`,
+      [tenantId, userId, userType, reason]
+    );
+
+    for (const { id } of result.rows) {
+      await redisClient.setex(this.getSessionDenyKey(id), this.accessTokenTtlSeconds, reason);
+      await destroyBrowserSession(id);
+    }
+
+    logger.security('All sessions revoked for user', {
+      tenantId,
+      userId,
+      userType,
+      reason,
+      revokedBy,
+      sessionCount: result.rows.length
+    });
+
+    return result.rows.length;
+  }
+
+  /**
+   * Revoke the session a refresh token belongs to (logout without a valid access token)
+   */
+  async revokeSessionByRefreshToken(refreshToken, reason = 'logout') {
+    const result = await database.query(
+      'SELECT session_id FROM tenant_main.refresh_tokens WHERE token_hash = $1',
+      [this.hashToken(refreshToken)]
+    );
+
+    const sessionId = result.rows[0]?.session_id;
+    return sessionId ? this.revokeSession(sessionId, reason) : false;
+  }
+
+  /**
+   * Deny a single access token until it would have expired anyway
+   */
+  async revokeAccessToken(decoded) {
+    if (!decoded?.jti) return;
+
+    const remaining = decoded.exp ? decoded.exp - Math.floor(Date.now() / 1000) : this.accessTokenTtlSeconds;
+    if (remaining > 0) {
+      await redisClient.setex(this.getTokenDenyKey(decoded.jti), remaining, 'revoked');
+    }
+  }
+
+  /**
+   * Check a verified access token against the denylist.
+   * Redis is the fast path here. When it can't be read, the token's session
+   * is checked in Postgres instead; a token without a session can only be
+   * denied through Redis, so it is refused until Redis is back.
+   */
+  async isRevoked(decoded) {
+    const keys = [];
+    if (decoded.jti) keys.push(this.getTokenDenyKey(decoded.jti));
+    if (decoded.sid) keys.push(this.getSessionDenyKey(decoded.sid));
+    if (keys.length === 0) return false;
+
+    const values = await redisClient.mget(keys);
+    if (values) return values.some(value => value !== null);
+
+    if (!decoded.sid) return true;
+
+    const result = await database.runWithTenant(decoded.tenantId, () => database.query(
+      'SELECT revoked_at FROM tenant_main.auth_sessions WHERE id = $1 AND company_id = $2',
+      [decoded.sid, decoded.tenantId]
+    ));
+    return !result.rows[0] || result.rows[0].revoked_at !== null;
+  }
+
+  /**
+   * Record that a session's access token was used, so session listings show
+   * real activity. Written at most once per throttle window per session.
+   */
+  async touchSession(sessionId, context = {}) {
+    if (!sessionId) return false;
+
+    const due = await redisClient.setIfAbsent(
+      this.getSessionSeenKey(sessionId), '1', this.lastSeenThrottleSeconds
+    );
+    if (!due) return false;
+
+    await database.query(
+      `UPDATE tenant_main.auth_sessions
+       SET last_used_at = NOW(), ip_address = COALESCE($2, ip_address)
+       WHERE id = $1 AND revoked_at IS NULL`,
+      [sessionId, context.ip || null]
+    );
+    return true;
+  }
+
+  /**
+   * A rotated-out refresh token came back: assume it was stolen and kill the family
+   */
+  async handleRefreshTokenReuse(token, context = {}) {
+    if (!token.revoked_at) {
+      await this.revokeSession(token.session_id, 'refresh_token_reuse');
+    }
+
+    logger.security('Refresh token reuse detected', {
+      tenantId: token.company_id,
+      userId: token.user_id,
+      sessionId: token.session_id,
+      ip: context.ip
+    });
+
+    await recordSecurityEvent({
+      tenantId: token.company_id,
+      eventType: 'refresh_token_reuse',
+      severity: 'high',
+      category: 'authentication',
+      description: 'A previously used refresh token was presented; the session was revoked',
+      affectedUserId: token.user_id,
+      affectedResource: `session:${token.session_id}`,
+      sourceIp: context.ip,
+      userAgent: context.userAgent,
+      detectionMethod: 'refresh_token_rotation'
+    });
+  }
+
+  issueAccessToken(user, tenantId, sessionId) {
+    return generateToken(user, tenantId, {
+      sessionId,
+      expiresIn: this.accessTokenTtlSeconds
+    });
+  }
+
+  async createRefreshToken(sessionId, sessionExpiresAt) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const idleExpiry = new Date(Date.now() + this.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+    const expiresAt = new Date(Math.min(idleExpiry.getTime(), new Date(sessionExpiresAt).getTime()));
+
+    const result = await database.query(
+      `INSERT INTO tenant_main.refresh_tokens (session_id, token_hash, expires_at)
+       VALUES ($1, $2, $3)
+       RETURNING id`,
+      [sessionId, this.hashToken(token), expiresAt]
+    );
+
+    return { id: result.rows[0].id, token };
+  }
+
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  getTokenDenyKey(jti) {
+    return `auth:denylist:jti:${jti}`;
+  }
+
+  getSessionDenyKey(sessionId) {
+    return `auth:denylist:sid:${sessionId}`;
+  }
+
+  getSessionSeenKey(sessionId) {
+    return `auth:session:seen:${sessionId}`;
+  }
+}
+
+// Export singleton instance
+export const tokenService = new TokenService();
+
+export default tokenService;
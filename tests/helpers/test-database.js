@@ -0,0 +1,177 @@
+/**
+ * Corporate Wellness Portal - Integration Test Database
+ * Builds a scratch database from the migrations for one test file
+ *
+ * TEST_DATABASE_URL points at a server the tests may create databases on
+ * (a role with CREATEDB and CREATEROLE). Each test file gets its own
+ * database, migrated as that role, plus a login role in wellness_app that
+ * the application connects as, so row-level security applies to it.
+ */
+
+import crypto from 'crypto';
+import { spawnSync } from 'child_process';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pg from 'pg';
+
+const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const APP_ROLE = 'wellness_test_app';
+
+export const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+function withDatabase(connectionString, database, credentials = {}) {
+  const url = new URL(connectionString);
+  url.pathname = `/${database}`;
+  if (credentials.user) {
+    url.username = credentials.user;
+    url.password = credentials.password;
+  }
+  return url.toString();
+}
+
+/**
+ * Create and migrate a scratch database. Resolves to
+ * { appUrl, owner (pg.Client with RLS bypassed), drop() }
+ */
+export async function createTestDatabase() {
+  const name = `wellness_test_${process.pid}_${crypto.randomBytes(3).toString('hex')}`;
+  const admin = new pg.Client({ connectionString: TEST_DATABASE_URL });
+  await admin.connect();
+
+  try {
+    await admin.query(`CREATE DATABASE ${name}`);
+  } finally {
+    await admin.end();
+  }
+
+  const ownerUrl = withDatabase(TEST_DATABASE_URL, name);
+  const migration = spawnSync(process.execPath, [path.join(ROOT_DIR, 'database', 'migrate.js')], {
+    cwd: ROOT_DIR,
+    env: { ...process.env, MIGRATION_DATABASE_URL: ownerUrl },
+    encoding: 'utf8'
+  });
+  if (migration.status !== 0) {
+    throw new Error(`Migrations failed: ${migration.stderr || migration.stdout}`);
+  }
+
+  const owner = new pg.Client({ connectionString: ownerUrl });
+  await owner.connect();
+
+  // Roles are shared by every database on the server
+  const password = crypto.randomBytes(16).toString('hex');
+  await owner.query(`
+    DO $$
+    BEGIN
+      IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = '${APP_ROLE}') THEN
+        CREATE ROLE ${APP_ROLE} LOGIN IN ROLE wellness_app;
+      END IF;
+    END
+    $$
+  `);
+  await owner.query(`ALTER ROLE ${APP_ROLE} PASSWORD '${password}'`);
+
+  return {
+    appUrl: withDatabase(TEST_DATABASE_URL, name, { user: APP_ROLE, password }),
+    owner,
+    async drop() {
+      await owner.end();
+      const cleanup = new pg.Client({ connectionString: TEST_DATABASE_URL });
+      await cleanup.connect();
+      try {
+        await cleanup.query(`DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+      } finally {
+        await cleanup.end();
+      }
+    }
+  };
+}
+
+/**
+ * Insert a tenant with one admin, one employee, their data and the
+ * tenant's analytics as the owner (bypassing RLS). Resolves to the ids
+ * created.
+ */
+export async function seedTenant(owner, label) {
+  const tenantId = crypto.randomUUID();
+  const domain = `${label}-${tenantId.slice(0, 8)}.example.com`;
+
+  await owner.query(
+    `INSERT INTO tenant_main.companies (
+       id, name, domain, encryption_key, primary_contact_email, primary_contact_name
+     ) VALUES ($1, $2, $3, $4, $5, $6)`,
+    [tenantId, `Tenant ${label}`, domain, crypto.randomBytes(32).toString('hex'), `admin@${domain}`, `Admin ${label}`]
+  );
+
+  const admin = await owner.query(
+    `INSERT INTO tenant_main.tenant_admins (company_id, email, role)
+     VALUES ($1, $2, 'tenant_admin') RETURNING id, email`,
+    [tenantId, `admin@${domain}`]
+  );
+
+  const employee = await owner.query(
+    `INSERT INTO tenant_main.employees (company_id, email, department, account_status)
+     VALUES ($1, $2, $3, 'active') RETURNING id`,
+    [tenantId, `pat@${domain}`, `Department ${label}`]
+  );
+
+  const session = await owner.query(
+    `INSERT INTO tenant_main.auth_sessions (company_id, user_id, user_type, expires_at)
+     VALUES ($1, $2, 'employee', NOW() + INTERVAL '1 day') RETURNING id`,
+    [tenantId, employee.rows[0].id]
+  );
+
+  const adminSession = await owner.query(
+    `INSERT INTO tenant_main.auth_sessions (company_id, user_id, user_type, expires_at)
+     VALUES ($1, $2, 'admin', NOW() + INTERVAL '1 day') RETURNING id`,
+    [tenantId, admin.rows[0].id]
+  );
+
+  const run = await owner.query(
+    `INSERT INTO tenant_main.onboarding_runs (company_id, filename, status, total_rows)
+     VALUES ($1, 'roster.csv', 'completed', 1) RETURNING id`,
+    [tenantId]
+  );
+
+  await owner.query(
+    `INSERT INTO tenant_main.onboarding_records (run_id, company_id, row_number, email, employee_id, status)
+     VALUES ($1, $2, 2, $3, $4, 'created')`,
+    [run.rows[0].id, tenantId, `pat@${domain}`, employee.rows[0].id]
+  );
+
+  const assignment = await owner.query(
+    `INSERT INTO tenant_main.app_assignments (employee_id, app_name)
+     VALUES ($1, 'myconfidant') RETURNING id`,
+    [employee.rows[0].id]
+  );
+
+  const engagement = await owner.query(
+    `INSERT INTO tenant_analytics.engagement_metrics (tenant_id, employee_id, app_name, engagement_score, date_recorded)
+     VALUES ($1, $2, 'myconfidant', 0.75, CURRENT_DATE) RETURNING id`,
+    [tenantId, employee.rows[0].id]
+  );
+
+  const populationHealth = await owner.query(
+    `INSERT INTO tenant_analytics.population_health (tenant_id, department, total_employees, analysis_date)
+     VALUES ($1, $2, 1, CURRENT_DATE) RETURNING id`,
+    [tenantId, `Department ${label}`]
+  );
+
+  const wellnessRoi = await owner.query(
+    `INSERT INTO tenant_analytics.wellness_roi (tenant_id, net_roi_percent, calculation_date, period_start, period_end)
+     VALUES ($1, 12.5, CURRENT_DATE, CURRENT_DATE - 90, CURRENT_DATE) RETURNING id`,
+    [tenantId]
+  );
+
+  return {
+    tenantId,
+    domain,
+    admin: { ...admin.rows[0], sessionId: adminSession.rows[0].id },
+    employeeId: employee.rows[0].id,
+    sessionId: session.rows[0].id,
+    runId: run.rows[0].id,
+    appAssignmentId: assignment.rows[0].id,
+    engagementMetricId: engagement.rows[0].id,
+    populationHealthId: populationHealth.rows[0].id,
+    wellnessRoiId: wellnessRoi.rows[0].id
+  };
+}
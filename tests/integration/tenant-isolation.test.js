@@ -0,0 +1,360 @@
+/**
+ * Tenant isolation: row-level security and the request pipeline
+ *
+ * Runs against a real PostgreSQL server (TEST_DATABASE_URL); skipped when
+ * none is configured. The application connects as a wellness_app member,
+ * exactly as in production, so every query below goes through the
+ * tenant_isolation policies.
+ */
+
+import express from 'express';
+import request from 'supertest';
+import { createTestDatabase, seedTenant, TEST_DATABASE_URL } from '../helpers/test-database.js';
+
+const describeWithDatabase = TEST_DATABASE_URL ? describe : describe.skip;
+
+if (!TEST_DATABASE_URL) {
+  console.warn('TEST_DATABASE_URL is not set; skipping tenant isolation tests');
+}
+
+describeWithDatabase('tenant isolation', () => {
+  let testDatabase;
+  let database;
+  let generateToken;
+  let app;
+  let tenantA;
+  let tenantB;
+
+  beforeAll(async () => {
+    testDatabase = await createTestDatabase();
+    tenantA = await seedTenant(testDatabase.owner, 'a');
+    tenantB = await seedTenant(testDatabase.owner, 'b');
+
+    process.env.DATABASE_URL = testDatabase.appUrl;
+    process.env.LOG_LEVEL = 'error';
+
+    // Imported once the environment points at the test database
+    ({ database } = await import('../../utils/database.js'));
+    const auth = await import('../../middleware/auth.js');
+    const { tenantMiddleware } = await import('../../middleware/tenant.js');
+    const { securityMiddleware } = await import('../../middleware/security.js');
+    const { signingKeyService } = await import('../../services/signing-key.js');
+    const { default: authRoutes } = await import('../../routes/auth.js');
+    const { default: employeeRoutes } = await import('../../routes/employee.js');
+    generateToken = auth.generateToken;
+
+    await database.connect();
+    await signingKeyService.initialize();
+
+    // The same pipeline order as server.js
+    app = express();
+    app.use(express.json());
+    app.use(tenantMiddleware);
+    app.use(securityMiddleware);
+    app.use(auth.authMiddleware);
+    app.use('/api/auth', authRoutes);
+    app.use('/api/employee', employeeRoutes);
+  }, 60000);
+
+  afterAll(async () => {
+    await database?.end();
+    await testDatabase?.drop();
+  });
+
+  const adminToken = tenant => generateToken(
+    { id: tenant.admin.id, email: tenant.admin.email, role: 'tenant_admin', userType: 'admin' },
+    tenant.tenantId,
+    { sessionId: tenant.admin.sessionId }
+  );
+
+  const sessionIsActive = async sessionId => {
+    const result = await testDatabase.owner.query(
+      'SELECT revoked_at FROM tenant_main.auth_sessions WHERE id = $1',
+      [sessionId]
+    );
+    return result.rows[0].revoked_at === null;
+  };
+
+  describe('database scope', () => {
+    test('the application role does not bypass row-level security', async () => {
+      await expect(database.verifyTenantIsolation()).resolves.toBe(true);
+    });
+
+    test('a query with no scope returns no tenant rows', async () => {
+      const tables = [
+        'tenant_main.companies',
+        'tenant_main.employees',
+        'tenant_main.auth_sessions',
+        'tenant_main.onboarding_runs',
+        'tenant_main.onboarding_records',
+        'tenant_main.app_assignments',
+        'tenant_analytics.engagement_metrics',
+        'tenant_analytics.population_health',
+        'tenant_analytics.wellness_roi'
+      ];
+
+      for (const table of tables) {
+        const result = await database.query(`SELECT COUNT(*)::int AS count FROM ${table}`);
+        expect({ table, count: result.rows[0].count }).toEqual({ table, count: 0 });
+      }
+    });
+
+    test('a query with no scope cannot write tenant rows', async () => {
+      const update = await database.query(
+        "UPDATE tenant_main.employees SET department = 'Changed' WHERE id = $1",
+        [tenantB.employeeId]
+      );
+      expect(update.rowCount).toBe(0);
+
+      await expect(database.query(
+        "INSERT INTO tenant_main.employees (company_id, email) VALUES ($1, 'intruder@example.com')",
+        [tenantB.tenantId]
+      )).rejects.toMatchObject({ code: '42501' });
+    });
+
+    test("tenant A's scope reads only tenant A's employees, sessions and onboarding rows", async () => {
+      const rows = await database.runWithTenant(tenantA.tenantId, async () => ({
+        employees: (await database.query('SELECT company_id FROM tenant_main.employees')).rows,
+        sessions: (await database.query('SELECT company_id FROM tenant_main.auth_sessions')).rows,
+        runs: (await database.query('SELECT company_id FROM tenant_main.onboarding_runs')).rows,
+        records: (await database.query('SELECT company_id FROM tenant_main.onboarding_records')).rows
+      }));
+
+      expect(rows.employees).toHaveLength(1);
+      expect(rows.sessions).toHaveLength(2);
+      expect(rows.runs).toHaveLength(1);
+      expect(rows.records).toHaveLength(1);
+      for (const row of Object.values(rows).flat()) {
+        expect(row.company_id).toBe(tenantA.tenantId);
+      }
+    });
+
+    test("tenant A's scope cannot read tenant B's rows even by id", async () => {
+      const found = await database.runWithTenant(tenantA.tenantId, async () => [
+        await database.query('SELECT 1 FROM tenant_main.employees WHERE id = $1', [tenantB.employeeId]),
+        await database.query('SELECT 1 FROM tenant_main.auth_sessions WHERE id = $1', [tenantB.sessionId]),
+        await database.query('SELECT 1 FROM tenant_main.onboarding_runs WHERE id = $1', [tenantB.runId]),
+        await database.query('SELECT 1 FROM tenant_main.onboarding_records WHERE run_id = $1', [tenantB.runId])
+      ]);
+
+      expect(found.map(result => result.rowCount)).toEqual([0, 0, 0, 0]);
+    });
+
+    test("tenant A's scope cannot update or delete tenant B's rows", async () => {
+      const results = await database.runWithTenant(tenantA.tenantId, () => database.transaction([
+        {
+          text: "UPDATE tenant_main.employees SET account_status = 'terminated' WHERE id = $1",
+          params: [tenantB.employeeId]
+        },
+        {
+          text: "UPDATE tenant_main.auth_sessions SET revoked_at = NOW(), revoked_reason = 'intrusion' WHERE id = $1",
+          params: [tenantB.sessionId]
+        },
+        {
+          text: "UPDATE tenant_main.onboarding_runs SET status = 'cancelled' WHERE id = $1",
+          params: [tenantB.runId]
+        },
+        {
+          text: 'DELETE FROM tenant_main.employees WHERE company_id = $1',
+          params: [tenantB.tenantId]
+        }
+      ]));
+
+      expect(results.map(result => result.rowCount)).toEqual([0, 0, 0, 0]);
+
+      const employee = await testDatabase.owner.query(
+        'SELECT account_status FROM tenant_main.employees WHERE id = $1',
+        [tenantB.employeeId]
+      );
+      const run = await testDatabase.owner.query(
+        'SELECT status FROM tenant_main.onboarding_runs WHERE id = $1',
+        [tenantB.runId]
+      );
+      expect(employee.rows[0].account_status).toBe('active');
+      expect(run.rows[0].status).toBe('completed');
+      expect(await sessionIsActive(tenantB.sessionId)).toBe(true);
+    });
+
+    test("tenant A's scope reads only tenant A's app assignments and analytics", async () => {
+      const rows = await database.runWithTenant(tenantA.tenantId, async () => ({
+        assignments: (await database.query('SELECT id FROM tenant_main.app_assignments')).rows,
+        engagement: (await database.query('SELECT id FROM tenant_analytics.engagement_metrics')).rows,
+        populationHealth: (await database.query('SELECT id FROM tenant_analytics.population_health')).rows,
+        wellnessRoi: (await database.query('SELECT id FROM tenant_analytics.wellness_roi')).rows
+      }));
+
+      expect(rows.assignments.map(row => row.id)).toEqual([tenantA.appAssignmentId]);
+      expect(rows.engagement.map(row => row.id)).toEqual([tenantA.engagementMetricId]);
+      expect(rows.populationHealth.map(row => row.id)).toEqual([tenantA.populationHealthId]);
+      expect(rows.wellnessRoi.map(row => row.id)).toEqual([tenantA.wellnessRoiId]);
+
+      const found = await database.runWithTenant(tenantA.tenantId, async () => [
+        await database.query('SELECT 1 FROM tenant_main.app_assignments WHERE id = $1', [tenantB.appAssignmentId]),
+        await database.query('SELECT 1 FROM tenant_analytics.engagement_metrics WHERE id = $1', [tenantB.engagementMetricId]),
+        await database.query('SELECT 1 FROM tenant_analytics.population_health WHERE id = $1', [tenantB.populationHealthId]),
+        await database.query('SELECT 1 FROM tenant_analytics.wellness_roi WHERE id = $1', [tenantB.wellnessRoiId])
+      ]);
+
+      expect(found.map(result => result.rowCount)).toEqual([0, 0, 0, 0]);
+    });
+
+    test("tenant A's scope cannot update or delete tenant B's app assignments and analytics", async () => {
+      const updates = await database.runWithTenant(tenantA.tenantId, () => database.transaction([
+        {
+          text: "UPDATE tenant_main.app_assignments SET status = 'suspended' WHERE id = $1",
+          params: [tenantB.appAssignmentId]
+        },
+        {
+          text: 'UPDATE tenant_analytics.engagement_metrics SET engagement_score = 0 WHERE id = $1',
+          params: [tenantB.engagementMetricId]
+        },
+        {
+          text: 'UPDATE tenant_analytics.population_health SET total_employees = 0 WHERE id = $1',
+          params: [tenantB.populationHealthId]
+        },
+        {
+          text: 'UPDATE tenant_analytics.wellness_roi SET net_roi_percent = 0 WHERE id = $1',
+          params: [tenantB.wellnessRoiId]
+        }
+      ]));
+
+      const deletes = await database.runWithTenant(tenantA.tenantId, () => database.transaction([
+        { text: 'DELETE FROM tenant_main.app_assignments WHERE id = $1', params: [tenantB.appAssignmentId] },
+        { text: 'DELETE FROM tenant_analytics.engagement_metrics WHERE tenant_id = $1', params: [tenantB.tenantId] },
+        { text: 'DELETE FROM tenant_analytics.population_health WHERE tenant_id = $1', params: [tenantB.tenantId] },
+        { text: 'DELETE FROM tenant_analytics.wellness_roi WHERE tenant_id = $1', params: [tenantB.tenantId] }
+      ]));
+
+      expect(updates.map(result => result.rowCount)).toEqual([0, 0, 0, 0]);
+      expect(deletes.map(result => result.rowCount)).toEqual([0, 0, 0, 0]);
+
+      const stored = await testDatabase.owner.query(
+        `SELECT
+           (SELECT status FROM tenant_main.app_assignments WHERE id = $1) AS assignment_status,
+           (SELECT engagement_score::text FROM tenant_analytics.engagement_metrics WHERE id = $2) AS engagement_score,
+           (SELECT total_employees FROM tenant_analytics.population_health WHERE id = $3) AS total_employees,
+           (SELECT net_roi_percent::text FROM tenant_analytics.wellness_roi WHERE id = $4) AS net_roi_percent`,
+        [tenantB.appAssignmentId, tenantB.engagementMetricId, tenantB.populationHealthId, tenantB.wellnessRoiId]
+      );
+      expect(stored.rows[0]).toEqual({
+        assignment_status: 'active',
+        engagement_score: '0.75',
+        total_employees: 1,
+        net_roi_percent: '12.50'
+      });
+    });
+
+    test("tenant A's scope cannot insert rows for tenant B", async () => {
+      const attempts = [
+        {
+          text: "INSERT INTO tenant_main.employees (company_id, email) VALUES ($1, 'intruder@example.com')",
+          params: [tenantB.tenantId]
+        },
+        {
+          text: `INSERT INTO tenant_main.auth_sessions (company_id, user_id, user_type, expires_at)
+                 VALUES ($1, $2, 'employee', NOW() + INTERVAL '1 day')`,
+          params: [tenantB.tenantId, tenantB.employeeId]
+        },
+        {
+          text: "INSERT INTO tenant_main.onboarding_runs (company_id, filename) VALUES ($1, 'intruder.csv')",
+          params: [tenantB.tenantId]
+        },
+        {
+          text: `INSERT INTO tenant_main.onboarding_records (run_id, company_id, row_number, status)
+                 VALUES ($1, $2, 99, 'invalid')`,
+          params: [tenantB.runId, tenantB.tenantId]
+        }
+      ];
+
+      for (const { text, params } of attempts) {
+        await expect(
+          database.runWithTenant(tenantA.tenantId, () => database.query(text, params))
+        ).rejects.toMatchObject({ code: '42501' });
+      }
+    });
+
+    test('the system scope is opt-in and sees every tenant', async () => {
+      const result = await database.runAsSystem(() => database.query(
+        'SELECT DISTINCT company_id FROM tenant_main.employees WHERE company_id = ANY($1)',
+        [[tenantA.tenantId, tenantB.tenantId]]
+      ));
+      expect(result.rowCount).toBe(2);
+    });
+  });
+
+  describe('HTTP requests', () => {
+    test("an admin sees their own tenant's employee sessions", async () => {
+      const response = await request(app)
+        .get(`/api/employee/${tenantA.employeeId}/sessions`)
+        .set('Authorization', `Bearer ${adminToken(tenantA)}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.sessions.map(session => session.id)).toEqual([tenantA.sessionId]);
+    });
+
+    test("an admin cannot list another tenant's employee sessions", async () => {
+      const response = await request(app)
+        .get(`/api/employee/${tenantB.employeeId}/sessions`)
+        .set('Authorization', `Bearer ${adminToken(tenantA)}`);
+
+      expect(response.status).toBe(404);
+      expect(response.body.sessions).toBeUndefined();
+    });
+
+    test("an admin cannot revoke another tenant's employee sessions", async () => {
+      const response = await request(app)
+        .post(`/api/employee/${tenantB.employeeId}/sessions/revoke`)
+        .set('Authorization', `Bearer ${adminToken(tenantA)}`);
+
+      expect(response.status).toBe(404);
+      expect(await sessionIsActive(tenantB.sessionId)).toBe(true);
+    });
+
+    test("a user cannot sign out another tenant's session", async () => {
+      const response = await request(app)
+        .delete(`/api/auth/sessions/${tenantB.admin.sessionId}`)
+        .set('Authorization', `Bearer ${adminToken(tenantA)}`);
+
+      expect(response.status).toBe(404);
+      expect(await sessionIsActive(tenantB.admin.sessionId)).toBe(true);
+    });
+
+    test('a user only lists their own sessions', async () => {
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${adminToken(tenantA)}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.sessions.map(session => session.id)).toEqual([tenantA.admin.sessionId]);
+    });
+
+    // The tests never connect Redis, so revocation falls back to Postgres
+    test('a token for a revoked session is refused while Redis is unavailable', async () => {
+      const session = await testDatabase.owner.query(
+        `INSERT INTO tenant_main.auth_sessions (company_id, user_id, user_type, expires_at, revoked_at, revoked_reason)
+         VALUES ($1, $2, 'admin', NOW() + INTERVAL '1 day', NOW(), 'logout') RETURNING id`,
+        [tenantA.tenantId, tenantA.admin.id]
+      );
+      const token = generateToken(
+        { id: tenantA.admin.id, email: tenantA.admin.email, role: 'tenant_admin', userType: 'admin' },
+        tenantA.tenantId,
+        { sessionId: session.rows[0].id }
+      );
+
+      const response = await request(app)
+        .get('/api/auth/sessions')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(401);
+    });
+
+    test('a token cannot be pointed at another tenant with X-Tenant-ID', async () => {
+      const response = await request(app)
+        .get(`/api/employee/${tenantB.employeeId}/sessions`)
+        .set('Authorization', `Bearer ${adminToken(tenantA)}`)
+        .set('X-Tenant-ID', tenantB.tenantId);
+
+      expect(response.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Roster diff: how uploaded rows are matched to the tenant's employees,
+ * and the fingerprint that tells approval whether the plan went stale
+ *
+ * diffRoster works on rows already read from the file and employees
+ * already loaded, so these tests need neither a database nor Redis.
+ */
+
+import { jest } from '@jest/globals';
+
+// The services create their Bull queues on import; none are used here
+jest.unstable_mockModule('bull', () => ({
+  default: class Queue {
+    process() {}
+    on() {}
+  }
+}));
+
+const { onboardingPlanService } = await import('../../services/onboarding-plan.js');
+
+const employee = (id, email, externalId) => ({
+  id,
+  email,
+  employee_id: externalId,
+  department: 'Sales',
+  role: null,
+  location: null,
+  birth_year: null,
+  gender: null,
+  marital_status: null,
+  manager_id: null,
+  account_status: 'active',
+  scim_external_id: null
+});
+
+const roster = (headers, rows) => ({
+  headers,
+  rows: rows.map(values => Object.fromEntries(headers.map((header, i) => [header, values[i] ?? '']))),
+  rowNumbers: rows.map((_, index) => index + 2)
+});
+
+const actions = items => items.map(item => [item.action, item.employeeId || item.email]);
+
+describe('diffRoster', () => {
+  const employees = [
+    employee('e1', 'ana@example.com', 'A1'),
+    employee('e2', 'ben@example.com', 'B2')
+  ];
+
+  test('rows for existing employees do not need names', () => {
+    const items = onboardingPlanService.diffRoster(
+      roster(['employee_id', 'email', 'department'], [
+        ['A1', 'ana@example.com', 'Sales'],
+        ['B2', 'ben@example.com', 'Finance']
+      ]),
+      employees,
+      { terminateMissing: true }
+    );
+
+    expect(actions(items)).toEqual([['unchanged', 'e1'], ['update', 'e2']]);
+  });
+
+  test('a new employee still needs a first and last name', () => {
+    const items = onboardingPlanService.diffRoster(
+      roster(['employee_id', 'email', 'department'], [['C3', 'cat@example.com', 'Sales']]),
+      [],
+      {}
+    );
+
+    expect(items[0].action).toBe('invalid');
+    expect(items[0].errors).toEqual(['First name is required', 'Last name is required']);
+  });
+
+  test('an invalid row keeps the employee it names from being terminated', () => {
+    const items = onboardingPlanService.diffRoster(
+      roster(['employee_id', 'email', 'department'], [
+        ['A1', 'not-an-email', 'Sales'],
+        ['B2', 'ben@example.com', 'Sales']
+      ]),
+      [...employees, employee('e3', 'cal@example.com', 'C3')],
+      { terminateMissing: true }
+    );
+
+    expect(actions(items)).toEqual([
+      ['invalid', 'not-an-email'],
+      ['unchanged', 'e2'],
+      ['missing', 'e3']
+    ]);
+  });
+
+  test('nobody is terminated while any row is invalid', () => {
+    const headers = ['employee_id', 'email', 'first_name', 'last_name'];
+    const withInvalid = onboardingPlanService.diffRoster(
+      roster(headers, [['A1', 'ana@example.com', 'Ana', 'Lee'], ['', '', 'No', 'Email']]),
+      employees,
+      { terminateMissing: true }
+    );
+    const allValid = onboardingPlanService.diffRoster(
+      roster(headers, [['A1', 'ana@example.com', 'Ana', 'Lee']]),
+      employees,
+      { terminateMissing: true }
+    );
+
+    expect(actions(withInvalid).slice(1)).toEqual([['invalid', ''], ['missing', 'e2']]);
+    expect(actions(allValid).slice(1)).toEqual([['terminate', 'e2']]);
+  });
+});
+
+describe('fingerprint', () => {
+  test("changes when a new employee's mapped details change", () => {
+    const headers = ['email', 'first_name', 'last_name', 'department'];
+    const before = onboardingPlanService.diffRoster(
+      roster(headers, [['dee@example.com', 'Dee', 'Ray', 'Sales']]), [], {}
+    );
+    const after = onboardingPlanService.diffRoster(
+      roster(headers, [['dee@example.com', 'Dee', 'Ray', 'Finance']]), [], {}
+    );
+
+    expect(before[0].action).toBe('create');
+    expect(after[0].action).toBe('create');
+    expect(onboardingPlanService.fingerprint(after)).not.toBe(onboardingPlanService.fingerprint(before));
+  });
+});
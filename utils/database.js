@@ -4,10 +4,20 @@
  */
 
 import pg from 'pg';
+import { AsyncLocalStorage, AsyncResource } from 'async_hooks';
 import { logger } from './logger.js';
 
 const { Pool } = pg;
 
+// Row-level security scope of the current request or job. Policies read it
+// from app.current_tenant; 'system' is for work done before a tenant is
+// known (login, token lookups) and for platform jobs, and must be asked for
+// with runAsSystem. Code running outside any scope sees no tenant rows.
+const tenantScope = new AsyncLocalStorage();
+export const SYSTEM_SCOPE = 'system';
+const NO_SCOPE = '';
+const TENANT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
 class DatabaseManager {
   constructor() {
     this.pool = null;
@@ -120,7 +130,17 @@ class DatabaseManager {
         options
       });
 
-      const result = await client.query(text, params);
+      // The tenant setting is transaction-local, so it cannot leak to the
+      // next user of the pooled connection
+      await client.query(this.beginScopedTransaction());
+      let result;
+      try {
+        result = await client.query(text, params);
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      }
       
       const endTime = process.hrtime.bigint();
       const duration = Number(endTime - startTime) / 1000000; // Convert to milliseconds
@@ -157,31 +177,41 @@ class DatabaseManager {
    * Execute multiple queries in a transaction
    */
   async transaction(queries) {
-    const client = await this.pool.connect();
-    
-    try {
-      await client.query('BEGIN');
-      
+    return this.withTransaction(async client => {
       const results = [];
       for (const { text, params } of queries) {
         const result = await client.query(text, params);
         results.push(result);
       }
+      return results;
+    }, { queryCount: queries.length });
+  }
+
+  /**
+   * Run `work(client)` in one scoped transaction, for queries that depend
+   * on earlier results (e.g. rows read FOR UPDATE). Commits with whatever
+   * `work` resolves to; rolls back if it throws.
+   */
+  async withTransaction(work, logContext = {}) {
+    const client = await this.pool.connect();
+    
+    try {
+      await client.query(this.beginScopedTransaction());
+      
+      const result = await work(client);
       
       await client.query('COMMIT');
       
-      logger.info('Transaction completed successfully', {
-        queryCount: queries.length
-      });
+      logger.info('Transaction completed successfully', logContext);
       
-      return results;
+      return result;
       
     } catch (error) {
       await client.query('ROLLBACK');
       
       logger.error('Transaction failed and rolled back', {
         error: error.message,
-        queryCount: queries.length
+        ...logContext
       });
       
       throw error;
@@ -270,7 +300,7 @@ class DatabaseManager {
   }
 
   /**
-   * Execute raw SQL with tenant context validation
+   * Execute raw SQL with row-level security limited to one tenant
    */
   async queryWithTenantContext(text, params, tenantId) {
     if (!tenantId) {
@@ -283,7 +313,78 @@ class DatabaseManager {
       query: this.sanitizeQuery(text)
     });
 
-    return await this.query(text, params);
+    return await this.runWithTenant(tenantId, () => this.query(text, params));
+  }
+
+  /**
+   * Run `fn` (and everything it awaits) with queries limited to one tenant's rows
+   */
+  runWithTenant(tenantId, fn) {
+    if (!TENANT_ID_PATTERN.test(String(tenantId))) {
+      throw new Error('Invalid tenant ID for database scope');
+    }
+    return tenantScope.run({ tenantId: String(tenantId).toLowerCase() }, fn);
+  }
+
+  /**
+   * Run `fn` with queries across all tenants (platform operators, sign-in
+   * lookups and jobs). This is the only way to get the system scope.
+   */
+  runAsSystem(fn) {
+    return tenantScope.run({ tenantId: SYSTEM_SCOPE }, fn);
+  }
+
+  /**
+   * Bind a callback to the current scope, for libraries that resume the
+   * request from their own events (e.g. multer's busboy stream) and would
+   * otherwise run it outside any scope
+   */
+  bindScope(fn) {
+    return AsyncResource.bind(fn);
+  }
+
+  /**
+   * Tenant the current request or job is scoped to, 'system', or '' when
+   * there is no scope (row-level security then denies every tenant row)
+   */
+  getTenantScope() {
+    return tenantScope.getStore()?.tenantId ?? NO_SCOPE;
+  }
+
+  /**
+   * BEGIN plus the transaction-local app.current_tenant setting. The scope is
+   * a validated UUID, 'system' or empty, so it can be sent in the same round trip.
+   */
+  beginScopedTransaction() {
+    return `BEGIN; SELECT set_config('app.current_tenant', '${this.getTenantScope()}', true)`;
+  }
+
+  /**
+   * Refuse to run (in production) on a database role that bypasses
+   * row-level security: superusers, BYPASSRLS roles and table owners
+   */
+  async verifyTenantIsolation() {
+    const result = await this.query(`
+      SELECT current_user AS role,
+        r.rolsuper OR r.rolbypassrls AS bypasses_rls,
+        COALESCE(pg_has_role(current_user, c.relowner, 'USAGE'), false) AS owns_tables
+      FROM pg_roles r
+      LEFT JOIN pg_class c ON c.oid = to_regclass('tenant_main.employees')
+      WHERE r.rolname = current_user
+    `);
+
+    const { role, bypasses_rls: bypassesRls, owns_tables: ownsTables } = result.rows[0];
+    if (!bypassesRls && !ownsTables) {
+      return true;
+    }
+
+    const message = `Database role ${role} bypasses row-level security; connect as a member of wellness_app`;
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error(message);
+    }
+
+    logger.warn(message, { bypassesRls, ownsTables });
+    return false;
   }
 
   /**
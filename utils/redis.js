@@ -139,6 +139,33 @@ class RedisManager {
     }
   }
 
+  /**
+   * Get a value and delete it in one step (single-use keys)
+   */
+  async getDel(key) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('Redis not connected');
+      }
+
+      const value = await this.client.getDel(key);
+
+      logger.debug('Redis GETDEL operation', {
+        key: this.sanitizeKey(key),
+        found: value !== null
+      });
+
+      return value;
+
+    } catch (error) {
+      logger.error('Redis GETDEL failed', {
+        key: this.sanitizeKey(key),
+        error: error.message
+      });
+      return null;
+    }
+  }
+
   /**
    * Set value in Redis with TTL
    */
@@ -170,6 +197,35 @@ class RedisManager {
     }
   }
 
+  /**
+   * Set a value with TTL only if the key does not exist yet.
+   * Resolves to true when this call set it.
+   */
+  async setIfAbsent(key, value, ttl = this.defaultTTL) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('Redis not connected');
+      }
+
+      const result = await this.client.set(key, value, { NX: true, EX: ttl });
+
+      logger.debug('Redis SET NX operation', {
+        key: this.sanitizeKey(key),
+        ttl,
+        set: result === 'OK'
+      });
+
+      return result === 'OK';
+
+    } catch (error) {
+      logger.error('Redis SET NX failed', {
+        key: this.sanitizeKey(key),
+        error: error.message
+      });
+      return false;
+    }
+  }
+
   /**
    * Set value with expiration time
    */
@@ -259,6 +315,26 @@ class RedisManager {
     }
   }
 
+  /**
+   * Get remaining time to live for a key in seconds
+   */
+  async ttl(key) {
+    try {
+      if (!this.isConnected) {
+        throw new Error('Redis not connected');
+      }
+
+      return await this.client.ttl(key);
+
+    } catch (error) {
+      logger.error('Redis TTL failed', {
+        key: this.sanitizeKey(key),
+        error: error.message
+      });
+      return -2;
+    }
+  }
+
   /**
    * Check if key exists
    */
@@ -281,7 +357,8 @@ class RedisManager {
   }
 
   /**
-   * Get multiple keys at once
+   * Get multiple keys at once. Resolves to null when Redis can't be read,
+   * so callers can tell an outage from keys that are all absent.
    */
   async mget(keys) {
     try {
@@ -306,7 +383,7 @@ class RedisManager {
         keyCount: keys.length,
         error: error.message
       });
-      return new Array(keys.length).fill(null);
+      return null;
     }
   }
 
@@ -0,0 +1,98 @@
+/**
+ * Corporate Wellness Portal - Browser Session Management
+ * express-session backed by Redis, bound to the auth session behind the tokens
+ */
+
+import session from 'express-session';
+import RedisStore from 'connect-redis';
+import { redisClient } from './redis.js';
+import { logger } from './logger.js';
+
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000; // 24 hours
+
+// connect-redis needs a node-redis client, which RedisManager only creates once
+// connected at startup; resolve it on each call instead of at import time
+const lazyRedisClient = {
+  get: (key) => redisClient.client.get(key),
+  set: (key, value, options) => redisClient.client.set(key, value, options),
+  del: (keys) => redisClient.client.del(keys),
+  expire: (key, ttl) => redisClient.client.expire(key, ttl),
+  mGet: (keys) => redisClient.client.mGet(keys),
+  scanIterator: (options) => redisClient.client.scanIterator(options)
+};
+
+export const sessionStore = new RedisStore({
+  client: lazyRedisClient,
+  prefix: 'sess:'
+});
+
+export const sessionMiddleware = session({
+  store: sessionStore,
+  secret: process.env.SESSION_SECRET || 'corporate-wellness-portal-secret',
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    secure: process.env.NODE_ENV === 'production',
+    httpOnly: true,
+    maxAge: SESSION_MAX_AGE_MS,
+    sameSite: 'strict'
+  }
+});
+
+/**
+ * Attach a completed login to the browser session. The session id is
+ * regenerated to prevent fixation, and the auth session remembers it so a
+ * revocation can destroy it too.
+ */
+export async function bindBrowserSession(req, authSessionId, user, tenantId) {
+  if (!req.session || !authSessionId) return;
+
+  await new Promise((resolve, reject) => {
+    req.session.regenerate(error => (error ? reject(error) : resolve()));
+  });
+
+  req.session.auth = {
+    sessionId: authSessionId,
+    userId: user.id,
+    userType: user.userType,
+    tenantId
+  };
+
+  await redisClient.setex(
+    getBrowserSessionKey(authSessionId),
+    Math.ceil(SESSION_MAX_AGE_MS / 1000),
+    req.sessionID
+  );
+}
+
+/**
+ * Destroy the browser session bound to an auth session, if any
+ */
+export async function destroyBrowserSession(authSessionId) {
+  const key = getBrowserSessionKey(authSessionId);
+  const browserSessionId = await redisClient.get(key);
+  if (!browserSessionId) return false;
+
+  try {
+    await sessionStore.destroy(browserSessionId);
+    await redisClient.del(key);
+    return true;
+  } catch (error) {
+    logger.warn('Failed to destroy browser session', {
+      authSessionId,
+      error: error.message
+    });
+    return false;
+  }
+}
+
+function getBrowserSessionKey(authSessionId) {
+  return `auth_session:browser:${authSessionId}`;
+}
+
+export default {
+  sessionStore,
+  sessionMiddleware,
+  bindBrowserSession,
+  destroyBrowserSession
+};